@@ -40,8 +40,7 @@ const jwt = require('jsonwebtoken');
 const { promisify } = require('util');
 const crypto = require('crypto');
 const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/emailService');
-const passport = require('passport');
-const GoogleStrategy = require('passport-google-oauth20').Strategy;
+const { recordFailedSignup } = require('../utils/failedSignupService');
 
 const signToken = (id) => {
   return jwt.sign({ id }, process.env.JWT_SECRET, {
@@ -49,32 +48,6 @@ const signToken = (id) => {
   });
 };
 
-// Configure Google OAuth Strategy
-passport.use(new GoogleStrategy({
-  clientID: process.env.GOOGLE_CLIENT_ID,
-  clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-  callbackURL: process.env.GOOGLE_CALLBACK_URL
-}, async (accessToken, refreshToken, profile, done) => {
-  try {
-    let user = await User.findOne({ googleId: profile.id });
-    
-    if (!user) {
-      user = await User.create({
-        googleId: profile.id,
-        email: profile.emails[0].value,
-        fullName: profile.displayName,
-        profileImage: profile.photos[0].value,
-        isEmailVerified: true,
-        role: 'student' // Default role, can be updated later
-      });
-    }
-
-    return done(null, user);
-  } catch (error) {
-    return done(error, null);
-  }
-}));
-
 exports.signup = async (req, res) => {
   try {
     const { fullName, email, password, role, department, yearOfStudy, studentId } = req.body;
@@ -82,6 +55,7 @@ exports.signup = async (req, res) => {
     // Check if user already exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
+      await recordFailedSignup(req, 'duplicate_email', 'Email already registered');
       return res.status(400).json({
         status: 'error',
         message: 'Email already registered'
@@ -89,23 +63,30 @@ exports.signup = async (req, res) => {
     }
 
     // Create new user
-    const user = await User.create({
+    const user = new User({
       fullName,
       email,
       password,
       role,
       department,
       yearOfStudy,
-      studentId,
-      isEmailVerified: true // Temporarily set to true
+      studentId
     });
 
-    // Generate token
-    const token = signToken(user._id);
+    const verificationToken = user.generateEmailVerificationToken();
+    user.emailVerificationSentAt = Date.now();
+    await user.save();
+
+    try {
+      await sendVerificationEmail(user.email, verificationToken);
+    } catch (mailError) {
+      console.error('Error sending verification email:', mailError);
+    }
 
+    // No token is issued until the email address has been verified
     res.status(201).json({
       status: 'success',
-      token,
+      message: 'Account created. Please check your email for a link to verify your address.',
       data: {
         user: {
           id: user._id,
@@ -118,6 +99,11 @@ exports.signup = async (req, res) => {
     });
   } catch (error) {
     console.error('Signup error:', error);
+    await recordFailedSignup(
+      req,
+      error.name === 'ValidationError' ? 'validation_error' : 'server_error',
+      error.message
+    );
     res.status(400).json({
       status: 'error',
       message: error.message
@@ -166,20 +152,16 @@ exports.forgotPassword = async (req, res) => {
     const { email } = req.body;
     const user = await User.findOne({ email });
 
-    if (!user) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'No user found with that email address'
-      });
+    // Respond the same way whether or not the email belongs to an account
+    if (user) {
+      const resetToken = user.generatePasswordResetToken();
+      await user.save();
+      await sendPasswordResetEmail(email, resetToken);
     }
 
-    const resetToken = user.generatePasswordResetToken();
-    await user.save();
-    await sendPasswordResetEmail(email, resetToken);
-
     res.status(200).json({
       status: 'success',
-      message: 'Password reset link sent to email'
+      message: 'If an account exists for that email, a password reset link has been sent.'
     });
   } catch (error) {
     res.status(400).json({
@@ -246,6 +228,14 @@ exports.login = async (req, res) => {
       });
     }
 
+    if (!user.isEmailVerified) {
+      return res.status(403).json({
+        status: 'error',
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Please verify your email address before signing in'
+      });
+    }
+
     // Generate token
     const token = signToken(user._id);
 
@@ -270,26 +260,6 @@ exports.login = async (req, res) => {
   }
 };
 
-exports.googleAuth = passport.authenticate('google', {
-  scope: ['profile', 'email']
-});
-
-exports.googleCallback = (req, res) => {
-  passport.authenticate('google', { session: false }, (err, user) => {
-    if (err) {
-      return res.status(401).json({
-        status: 'error',
-        message: err.message
-      });
-    }
-
-    const token = signToken(user._id);
-
-    // Redirect to frontend with token
-    res.redirect(`${process.env.FRONTEND_URL}/auth/success?token=${token}`);
-  })(req, res);
-};
-
 exports.protect = async (req, res, next) => {
   try {
     // Get token
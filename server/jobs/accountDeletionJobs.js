@@ -0,0 +1,28 @@
+/**
+ * Account Deletion Job
+ *
+ * Deletes accounts whose deletion grace period has ended (see
+ * utils/accountService.js). Runs once at startup and then every hour.
+ *
+ * @type {module} Scheduled account deletion
+ */
+
+const { processDueDeletions } = require('../utils/accountService');
+
+const CHECK_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+const runDueDeletions = async () => {
+  try {
+    const deleted = await processDueDeletions();
+    if (deleted > 0) {
+      console.log(`Deleted ${deleted} account(s) after their deletion grace period`);
+    }
+  } catch (error) {
+    console.error('Error processing account deletions:', error);
+  }
+};
+
+exports.startAccountDeletionJob = () => {
+  runDueDeletions();
+  return setInterval(runDueDeletions, CHECK_INTERVAL);
+};
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Audit Middleware
+ *
+ * Records administrative changes in the AuditLog collection. Add it to a
+ * mutating route after protect/authorize; it loads the target record before
+ * the handler runs, and once a successful response has been sent it loads
+ * the record again and stores the field-level difference.
+ *
+ * Usage:
+ * - Single record: router.put('/:id', audit('session.update', Session), handler)
+ * - Created record: router.post('/', audit('session.create', Session), handler)
+ *   (the new ID is read from the response's data object)
+ * - Other target: audit('impersonation.end', User, { target: req => req.user._id })
+ * - No single target: audit('roster.import', null, { meta: (req, body) => ({ ... }) })
+ * - Requests that change nothing: audit(..., { skip: req => req.body.commit !== 'true' })
+ *
+ * Notes:
+ * - Only admin and capability-holder actions are audited; users changing
+ *   their own profile or account are not
+ * - Only responses below 400 are recorded; refused requests changed nothing
+ * - Password, token and secret fields are redacted in diffs
+ * - While impersonating, the admin is recorded as the actor
+ * - Writing the entry never affects the response; failures are logged
+ *
+ * @type {module} Audit trail middleware
+ */
+
+// Values of these fields are never written to the audit log
+const SECRET_FIELD = /password|token|secret|recoverycodes/i;
+const IGNORED_FIELDS = ['__v', 'updatedAt'];
+
+const isPlainObject = (value) => (
+  value !== null &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  !(value instanceof mongoose.Types.ObjectId) &&
+  !Buffer.isBuffer(value)
+);
+
+// { a: { b: 1 } } -> { 'a.b': 1 }; arrays are compared as a whole
+const flatten = (value, prefix = '', out = {}) => {
+  if (isPlainObject(value)) {
+    Object.entries(value).forEach(([key, child]) => flatten(child, prefix ? `${prefix}.${key}` : key, out));
+  } else if (prefix) {
+    // ObjectIds and Dates become strings, as they appear in the API
+    out[prefix] = value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+  return out;
+};
+
+/**
+ * Field-level difference between two versions of a record.
+ * @param {Object|null} before - Record before the change (null when created)
+ * @param {Object|null} after - Record after the change (null when deleted)
+ * @returns {Array} [{ field, before, after }]
+ */
+const diffRecords = (before, after) => {
+  const oldValues = flatten(before || {});
+  const newValues = flatten(after || {});
+  const fields = [...new Set([...Object.keys(oldValues), ...Object.keys(newValues)])];
+
+  return fields
+    .filter(field => !IGNORED_FIELDS.includes(field.split('.')[0]))
+    .filter(field => JSON.stringify(oldValues[field]) !== JSON.stringify(newValues[field]))
+    .map(field => (SECRET_FIELD.test(field)
+      ? { field, before: '[redacted]', after: '[redacted]' }
+      : { field, before: oldValues[field], after: newValues[field] }));
+};
+
+// The first record with an _id in a { data: { ... } } response body
+const findCreatedId = (body) => {
+  const record = Object.values(body?.data || {}).find(value => value && value._id);
+  return record ? String(record._id) : null;
+};
+
+const loadRecord = async (Model, id) => {
+  if (!Model || !id || !mongoose.isValidObjectId(id)) return null;
+  return Model.findById(id).lean();
+};
+
+/**
+ * @param {string} action - Name of the change, "<target>.<verb>"
+ * @param {Object|null} Model - Mongoose model of the target record
+ * @param {Object} options - { target(req), meta(req, responseBody), skip(req) }
+ */
+const audit = (action, Model, options = {}) => {
+  const { target = (req) => req.params.id, meta, skip } = options;
+
+  return async (req, res, next) => {
+    const targetId = target(req) ? String(target(req)) : null;
+    let before = null;
+
+    try {
+      before = await loadRecord(Model, targetId);
+    } catch (error) {
+      console.error('Audit: error loading record before change:', error);
+    }
+
+    // Keep the response body, which holds the ID of a newly created record
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on('finish', async () => {
+      if (res.statusCode >= 400 || !req.user || (skip && skip(req))) return;
+
+      try {
+        const recordId = targetId || findCreatedId(responseBody);
+        const after = await loadRecord(Model, recordId);
+        const actor = req.impersonator || req.user;
+
+        await AuditLog.create({
+          actor: actor._id,
+          actorEmail: actor.email,
+          actorRole: actor.role,
+          impersonatedUser: req.impersonator ? req.user._id : undefined,
+          action,
+          method: req.method,
+          path: req.originalUrl,
+          targetModel: Model ? Model.modelName : undefined,
+          targetId: recordId || undefined,
+          changes: Model ? diffRecords(before, after) : [],
+          meta: meta ? meta(req, responseBody) : undefined,
+          statusCode: res.statusCode,
+          ip: req.ip,
+          userAgent: req.get('user-agent')
+        });
+      } catch (error) {
+        console.error('Audit: error writing audit log:', error);
+      }
+    });
+
+    next();
+  };
+};
+
+module.exports = { audit, diffRecords };
@@ -1,5 +1,9 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isSessionActive } = require('../utils/authSessionService');
+const { checkLoginAllowed } = require('../utils/loginThrottleService');
+const { isTwoFactorRequired } = require('../utils/totpService');
+const { getCapabilityScope } = require('../utils/permissions');
 
 /**
  * Authentication Middleware
@@ -9,12 +13,15 @@ const User = require('../models/User');
  * 
  * Middleware Functions:
  * - protect: Verifies JWT token and attaches user to request
- * - authorize: Checks user role permissions
+ * - authorize: Checks user role permissions (and enforced admin 2FA enrolment)
+ * - requireCapability: Checks a granted capability and attaches its department scope
  * - isOwner: Verifies resource ownership
- * - rateLimiter: Prevents brute force attempts
+ * - rateLimiter: Refuses sign-in while the IP or account is throttled or locked
  * 
  * Security Features:
  * - JWT validation
+ * - Server-side session check (signed-out devices are rejected immediately)
+ * - Impersonation sessions are read-only (see routes/impersonation.js)
  * - Role-based access control
  * - Request rate limiting
  * - Token expiration handling
@@ -25,11 +32,14 @@ const User = require('../models/User');
  * - Missing authorization
  * - Insufficient permissions
  * - Rate limit exceeded
+ * - Changes attempted while impersonating
  * 
  * Usage:
  * - Protected routes: router.get('/path', protect, handler)
  * - Role-specific: router.post('/admin', protect, authorize('admin'), handler)
+ * - Capability: router.put('/:id', protect, requireCapability('placements.approve'), handler)
  * - Owner access: router.put('/profile', protect, isOwner, handler)
+ * - Sign-in: router.post('/login', rateLimiter, handler)
  * 
  * Dependencies:
  * - JWT for token verification
@@ -39,6 +49,10 @@ const User = require('../models/User');
  * @type {module} Authentication middleware functions
  */
 
+// Impersonating admins may only read, apart from ending the impersonation
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const IMPERSONATION_ALLOWED = ['/api/impersonation/end'];
+
 const protect = async (req, res, next) => {
   try {
     let token;
@@ -55,29 +69,130 @@ const protect = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Access tokens belong to an AuthSession that may have been revoked since
+    if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ message: 'Session has ended. Please sign in again' });
+    }
+
     // Get user from token
     const user = await User.findById(decoded.userId).select('-password');
     if (!user) {
       return res.status(401).json({ message: 'User not found' });
     }
 
+    // Tokens issued before a password change or reset are no longer valid
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({ message: 'Password was changed recently. Please sign in again' });
+    }
+
+    if (!user.isEmailVerified) {
+      return res.status(403).json({ message: 'Email address has not been verified' });
+    }
+
+    if (user.approvalStatus === 'pending') {
+      return res.status(403).json({ message: 'Account is awaiting admin approval' });
+    }
+
+    // Impersonation tokens also name the admin behind them (imp)
+    if (decoded.imp) {
+      const impersonator = await User.findById(decoded.imp).select('fullName email role');
+      if (!impersonator || impersonator.role !== 'admin') {
+        return res.status(401).json({ message: 'Not authorized' });
+      }
+      if (!SAFE_METHODS.includes(req.method) && !IMPERSONATION_ALLOWED.includes(req.originalUrl.split('?')[0])) {
+        return res.status(403).json({
+          code: 'IMPERSONATION_READ_ONLY',
+          message: 'Changes are disabled while viewing as another user'
+        });
+      }
+      req.impersonator = impersonator;
+    }
+
     req.user = user;
+    req.authSessionId = decoded.sid;
     next();
   } catch (error) {
     res.status(401).json({ message: 'Not authorized' });
   }
 };
 
+// Admins must enrol in 2FA (when enforced) before using admin features
+const twoFactorSetupRequired = (req, res) => {
+  // Enrolment itself only needs protect(), so admins can still reach the 2FA setup routes
+  if (isTwoFactorRequired(req.user) && !req.user.twoFactorEnabled) {
+    res.status(403).json({
+      code: 'TWO_FACTOR_SETUP_REQUIRED',
+      message: 'Set up two-factor authentication before using admin features'
+    });
+    return true;
+  }
+  return false;
+};
+
 // Middleware to check user role
 const authorize = (...roles) => {
-  return (req, res, next) => {
+  const middleware = (req, res, next) => {
     if (!roles.includes(req.user.role)) {
       return res.status(403).json({ 
         message: `User role ${req.user.role} is not authorized to access this route`
       });
     }
+    if (twoFactorSetupRequired(req, res)) return;
     next();
   };
+
+  // Read by utils/openapi.js to document the route's access
+  middleware.roles = roles;
+  return middleware;
+};
+
+// Middleware to check a capability (see utils/permissions). The handler gets
+// req.permissionScope and must check department-scoped records against it.
+const requireCapability = (capability) => {
+  const middleware = async (req, res, next) => {
+    try {
+      const scope = await getCapabilityScope(req.user, capability);
+      if (!scope) {
+        return res.status(403).json({
+          code: 'CAPABILITY_REQUIRED',
+          message: `You do not have permission to do this (${capability})`
+        });
+      }
+      if (twoFactorSetupRequired(req, res)) return;
+
+      req.permissionScope = scope;
+      next();
+    } catch (error) {
+      console.error('Permission check failed:', error);
+      res.status(500).json({ message: 'Error checking permissions' });
+    }
+  };
+
+  // Read by utils/openapi.js to document the route's access
+  middleware.capability = capability;
+  return middleware;
+};
+
+// Middleware to refuse sign-in attempts while throttled (see loginThrottleService)
+const rateLimiter = async (req, res, next) => {
+  try {
+    // Password logins are keyed by email, campus (LDAP) logins by username
+    const block = await checkLoginAllowed(req.ip, req.body?.email || req.body?.username);
+    if (block) {
+      res.set('Retry-After', String(block.retryAfter));
+      return res.status(429).json({
+        status: 'error',
+        code: block.code,
+        message: block.message,
+        retryAfter: block.retryAfter
+      });
+    }
+    next();
+  } catch (error) {
+    // Throttling must not take sign-in down with it
+    console.error('Login throttle check failed:', error);
+    next();
+  }
 };
 
-module.exports = { protect, authorize }; 
\ No newline at end of file
+module.exports = { protect, authorize, requireCapability, rateLimiter }; 
\ No newline at end of file
@@ -0,0 +1,88 @@
+/**
+ * Error Envelope Middleware
+ *
+ * Gives every API error response the same shape, so clients can rely on a
+ * machine-readable code and per-field details:
+ *
+ *   { status: 'error', code, message, errors?: [{ field, location?, code, message }] }
+ *
+ * - errorEnvelope: Wraps res.json; responses with a 4xx/5xx status are
+ *   completed with status, a default code for the HTTP status and a
+ *   message. Fields a route already sends (code, errors, success, ...)
+ *   are kept
+ * - notFound: 404 for unknown /api routes
+ * - errorHandler: Final Express error handler (malformed JSON, oversized
+ *   bodies, unexpected errors)
+ *
+ * @type {module} Uniform API errors
+ */
+
+const DEFAULT_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  423: 'LOCKED',
+  429: 'TOO_MANY_REQUESTS',
+  500: 'SERVER_ERROR',
+  502: 'BAD_GATEWAY',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+const defaultCode = (statusCode) => DEFAULT_CODES[statusCode] || (statusCode >= 500 ? 'SERVER_ERROR' : 'BAD_REQUEST');
+
+// Plain-text error lists (e.g. password policy failures) become field-less entries
+const normalizeErrors = (errors, code) => errors.map(error => (
+  typeof error === 'string' ? { field: null, code, message: error } : error
+));
+
+const errorEnvelope = (req, res, next) => {
+  const json = res.json.bind(res);
+
+  res.json = (payload) => {
+    if (res.statusCode < 400 || !payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      return json(payload);
+    }
+
+    const code = payload.code || defaultCode(res.statusCode);
+    const envelope = {
+      ...payload,
+      status: 'error',
+      code,
+      message: payload.message || payload.error || 'Request failed'
+    };
+    if (Array.isArray(payload.errors)) {
+      envelope.errors = normalizeErrors(payload.errors, code);
+    } else {
+      delete envelope.errors;
+    }
+    return json(envelope);
+  };
+
+  next();
+};
+
+const notFound = (req, res) => {
+  res.status(404).json({ message: `No API route for ${req.method} ${req.originalUrl}` });
+};
+
+const errorHandler = (err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ code: 'INVALID_JSON', message: 'Request body is not valid JSON' });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ message: 'Request body is too large' });
+  }
+
+  // http-errors (body-parser, multer, ...) mark client errors whose message is safe to show
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({ message: err.message });
+  }
+
+  console.error(err.stack);
+  res.status(500).json({ message: 'Something went wrong!' });
+};
+
+module.exports = { errorEnvelope, notFound, errorHandler };
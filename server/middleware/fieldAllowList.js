@@ -0,0 +1,91 @@
+const { FIELD_POLICIES, isProtectedField } = require('../utils/fieldPolicies');
+
+/**
+ * Field Allow-List Middleware
+ *
+ * Guards create/update routes against mass assignment. The request body is
+ * checked against a named policy from utils/fieldPolicies.js:
+ * - Allowed fields are kept
+ * - Protected fields (role, email verification, tokens, googleId, ...) are
+ *   rejected with 400
+ * - Field names or values containing MongoDB operators ($...) are rejected
+ * - Any other field is dropped
+ *
+ * Usage:
+ * - router.put('/profile', protect, allowFields('user.profile'), handler)
+ *
+ * Error Response:
+ * - { status: 'error', code: 'FIELD_NOT_ALLOWED', message,
+ *     errors: [{ field, code: 'PROTECTED_FIELD' | 'INVALID_FIELD', message }] }
+ *
+ * @type {module} Mass-assignment protection
+ */
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// True when an object key anywhere in the value starts with "$"
+const containsOperator = (value) => {
+  if (Array.isArray(value)) {
+    return value.some(containsOperator);
+  }
+  if (isPlainObject(value)) {
+    return Object.entries(value).some(([key, child]) => key.startsWith('$') || containsOperator(child));
+  }
+  return false;
+};
+
+/**
+ * @param {string} policyName - Key of FIELD_POLICIES
+ */
+const allowFields = (policyName) => {
+  const allowed = FIELD_POLICIES[policyName];
+  if (!allowed) {
+    throw new Error(`Unknown field policy: ${policyName}`);
+  }
+
+  const middleware = (req, res, next) => {
+    const body = req.body || {};
+
+    if (!isPlainObject(body)) {
+      return res.status(400).json({
+        status: 'error',
+        code: 'INVALID_BODY',
+        message: 'Request body must be a JSON object'
+      });
+    }
+
+    const errors = [];
+    const accepted = {};
+
+    Object.entries(body).forEach(([field, value]) => {
+      // Dotted paths ("a.b") are checked by their top-level field
+      const root = field.split('.')[0];
+
+      if (isProtectedField(root)) {
+        errors.push({ field, code: 'PROTECTED_FIELD', message: `${field} cannot be changed` });
+      } else if (field.includes('$') || containsOperator(value)) {
+        errors.push({ field, code: 'INVALID_FIELD', message: `${field} contains a MongoDB operator` });
+      } else if (allowed.includes(root)) {
+        accepted[field] = value;
+      }
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        code: 'FIELD_NOT_ALLOWED',
+        message: 'The request contains fields that cannot be changed',
+        errors
+      });
+    }
+
+    req.body = accepted;
+    next();
+  };
+
+  // Lets scripts/checkFieldPolicies.js confirm which routes are guarded
+  middleware.fieldPolicy = policyName;
+  return middleware;
+};
+
+module.exports = { allowFields };
@@ -0,0 +1,76 @@
+const { validateSchema } = require('../utils/validation');
+
+/**
+ * Validation Middleware
+ *
+ * Checks route parameters, the query string and the request body against
+ * schemas from utils/validation.js before the route handler runs. Cleaned
+ * values (trimmed strings, lower-cased emails, numbers parsed from text)
+ * replace the originals on the request.
+ *
+ * Usage:
+ * - router.post('/', validate({ body: inviteSchema }), handler)
+ * - router.get('/:id', validate({ params: { id: { type: 'objectId' } } }), handler)
+ * - validate(schemas, { onInvalid: (req, errors) => ... }) runs a hook
+ *   before the 400 response (e.g. to record a failed signup)
+ *
+ * Error Response:
+ * - { status: 'error', code: 'VALIDATION_ERROR', message,
+ *     errors: [{ field, location: 'params' | 'query' | 'body', code, message }] }
+ *
+ * @type {module} Request validation
+ */
+
+// Query strings and route params arrive as text, so booleans are parsed there
+const LOCATIONS = [
+  { location: 'params', coerce: true },
+  { location: 'query', coerce: true },
+  { location: 'body', coerce: false }
+];
+
+/**
+ * @param {Object} schemas - { params, query, body } (each optional)
+ * @param {Object} options - { onInvalid }
+ */
+const validate = (schemas, options = {}) => {
+  const middleware = async (req, res, next) => {
+    const errors = [];
+    const cleaned = {};
+
+    LOCATIONS.forEach(({ location, coerce }) => {
+      if (!schemas[location]) {
+        return;
+      }
+      const result = validateSchema(schemas[location], req[location], { coerce });
+      if (result.errors) {
+        errors.push(...result.errors.map(error => ({ ...error, location })));
+      } else {
+        cleaned[location] = result.value;
+      }
+    });
+
+    if (errors.length > 0) {
+      if (options.onInvalid) {
+        await options.onInvalid(req, errors);
+      }
+      return res.status(400).json({
+        status: 'error',
+        code: 'VALIDATION_ERROR',
+        message: errors[0].message,
+        errors
+      });
+    }
+
+    Object.entries(cleaned).forEach(([location, value]) => {
+      req[location] = value;
+    });
+
+    next();
+  };
+
+  // Lets utils/openapi.js document the request from the same schemas
+  middleware.schemas = schemas;
+  return middleware;
+};
+
+module.exports = { validate };
@@ -0,0 +1,70 @@
+/**
+ * AuditLog Model
+ *
+ * One entry per successful administrative change, written by the audit
+ * middleware (middleware/audit.js). Entries are never edited or deleted by
+ * the application.
+ *
+ * Schema Fields:
+ * - actor: Reference to the User who made the change
+ * - actorEmail / actorRole: Snapshot of the actor, kept if the user is deleted
+ * - impersonatedUser: User the actor was viewing the app as, if any
+ * - action: What was done, e.g. "session.update" or "registration.approve"
+ * - method / path: The HTTP request that made the change
+ * - targetModel / targetId: The record that was changed, when there is one
+ * - changes: Field-level diff, [{ field, before, after }]; secrets are redacted
+ * - meta: Extra details for changes without a single target (e.g. bulk updates)
+ * - statusCode: Response status
+ * - ip / userAgent: Where the request came from
+ * - createdAt: When the change was made
+ *
+ * Indexes:
+ * - createdAt: Newest-first listing and date ranges
+ * - actor, action, targetModel + targetId: Viewer filters
+ *
+ * @type {dynamic} - Append-only record of administrative changes
+ */
+
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorEmail: String,
+  actorRole: String,
+  impersonatedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  method: String,
+  path: String,
+  targetModel: String,
+  targetId: String,
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  meta: mongoose.Schema.Types.Mixed,
+  statusCode: Number,
+  ip: String,
+  userAgent: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetModel: 1, targetId: 1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
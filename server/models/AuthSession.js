@@ -0,0 +1,70 @@
+/**
+ * AuthSession Model
+ *
+ * One record per signed-in device. Holds the hash of the current refresh
+ * token so the session can be rotated, listed and revoked server-side.
+ * Not to be confused with the Session model, which stores mentoring sessions.
+ *
+ * Schema Fields:
+ * - user: Reference to the signed-in user
+ * - refreshTokenHash: SHA-256 hash of the current refresh token
+ * - previousTokenHash: Hash of the token it replaced (reuse detection)
+ * - device: Readable device label derived from the user agent
+ * - userAgent: Raw User-Agent header
+ * - ip: Client IP at sign-in / last refresh
+ * - lastUsedAt: Last time the refresh token was exchanged
+ * - expiresAt: Refresh token expiry (TTL removes the record afterwards)
+ * - revokedAt: Set when the session is signed out
+ * - impersonator: Admin viewing the app as this user (impersonation
+ *   sessions never get a usable refresh token and end after 30 minutes)
+ *
+ * Indexes:
+ * - refreshTokenHash: Unique lookup on refresh
+ * - user + revokedAt: Active session listing
+ * - expiresAt: TTL cleanup
+ *
+ * @type {dynamic} - Revocable refresh-token sessions
+ */
+
+const mongoose = require('mongoose');
+
+const authSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  previousTokenHash: {
+    type: String,
+    index: true
+  },
+  device: String,
+  userAgent: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  impersonator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+authSessionSchema.index({ user: 1, revokedAt: 1 });
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthSession', authSessionSchema);
@@ -8,9 +8,14 @@
  * - name: Attempted user name
  * - email: Attempted email address
  * - error: Error message/reason for failure
+ * - category: Error category (duplicate email, roster mismatch, ...)
+ * - role: Role the applicant tried to register as
  * - status: Status of the failed attempt (checked/unchecked)
+ * - checkedBy: Reference to admin who reviewed the attempt
+ * - checkedAt: Timestamp of the review
  * - createdAt: Timestamp of the failed attempt
- * - metadata: Additional information about the attempt
+ * - metadata: Additional information about the attempt (IP, user agent,
+ *   submitted IDs)
  * 
  * Indexes:
  * - email: For tracking multiple attempts
@@ -46,16 +51,39 @@ const failedSignupSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  category: {
+    type: String,
+    enum: ['duplicate_email', 'roster_mismatch', 'invalid_invite', 'validation_error', 'blocked', 'server_error'],
+    default: 'validation_error'
+  },
+  role: {
+    type: String
+  },
   status: {
     type: String,
     required: true,
     enum: ['checked', 'unchecked'],
     default: 'unchecked'
   },
+  checkedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  checkedAt: Date,
+  metadata: {
+    ip: String,
+    userAgent: String,
+    studentId: String,
+    collegeId: String,
+    facultyId: String
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+failedSignupSchema.index({ email: 1 });
+failedSignupSchema.index({ status: 1, createdAt: -1 });
+
 module.exports = mongoose.model('FailedSignup', failedSignupSchema); 
\ No newline at end of file
@@ -0,0 +1,138 @@
+/**
+ * Invite Model
+ *
+ * Invitation to register a faculty or admin account. Those roles cannot sign
+ * up without one: an admin creates the invite, the link is emailed, and the
+ * first signup that presents the token (for the same email and role) uses it
+ * up.
+ *
+ * Schema Fields:
+ * - email: Address the invite was sent to; only it can redeem the invite
+ * - role: Role the account will get (faculty/admin)
+ * - tokenHash: SHA-256 of the emailed token (the token itself is not stored)
+ * - status: pending/accepted/revoked (expiry is read from expiresAt)
+ * - expiresAt: Time after which the link no longer works
+ * - note: Optional message for the invitee, included in the email
+ * - invitedBy: Reference to the admin who created the invite
+ * - lastSentAt / sendCount: Email history, for resends
+ * - acceptedAt / acceptedUser: Set when the invite is redeemed
+ * - revokedAt / revokedBy: Set when an admin cancels the invite
+ *
+ * Indexes:
+ * - tokenHash: Lookup on redemption
+ * - email + status: One pending invite per email
+ *
+ * @type {dynamic} - Invitation-only registration for privileged roles
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Roles that can only be registered through an invite
+const INVITE_ROLES = ['faculty', 'admin'];
+
+const INVITE_LIFETIME = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const inviteSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  role: {
+    type: String,
+    enum: INVITE_ROLES,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastSentAt: Date,
+  sendCount: {
+    type: Number,
+    default: 0
+  },
+  acceptedAt: Date,
+  acceptedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+inviteSchema.index({ tokenHash: 1 });
+inviteSchema.index({ email: 1, status: 1 });
+
+// New token and a fresh expiry; any earlier link for this invite stops working
+inviteSchema.methods.generateToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.tokenHash = hashToken(token);
+  this.expiresAt = Date.now() + INVITE_LIFETIME;
+  return token;
+};
+
+inviteSchema.methods.isUsable = function() {
+  return this.status === 'pending' && this.expiresAt > Date.now();
+};
+
+// Pending, unexpired invite for a token, otherwise null
+inviteSchema.statics.findUsable = function(token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    status: 'pending',
+    expiresAt: { $gt: Date.now() }
+  });
+};
+
+/**
+ * Marks the invite for a token as used, atomically, so a token can only
+ * ever create one account.
+ * @returns {Promise<Object|null>} The invite, or null if it was not usable
+ */
+inviteSchema.statics.redeem = function(token, { email, role }) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      email: String(email).trim().toLowerCase(),
+      role,
+      status: 'pending',
+      expiresAt: { $gt: Date.now() }
+    },
+    { status: 'accepted', acceptedAt: Date.now() },
+    { new: true }
+  );
+};
+
+const Invite = mongoose.model('Invite', inviteSchema);
+Invite.INVITE_ROLES = INVITE_ROLES;
+
+module.exports = Invite;
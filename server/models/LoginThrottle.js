@@ -0,0 +1,67 @@
+/**
+ * LoginThrottle Model
+ *
+ * Failed sign-in counters shared by every server process. One record is
+ * kept per client IP and one per account email; the login route consults
+ * both before checking a password.
+ *
+ * Schema Fields:
+ * - key: "ip:<address>" or "account:<email>"
+ * - scope: ip/account
+ * - email: Account email (account scope only)
+ * - failures: Failed attempts in the current window
+ * - lastFailureAt: Time of the most recent failure
+ * - lockouts: Lockouts so far; each one doubles the next lockout
+ * - lockedUntil: Sign-in refused until this time
+ * - unlockTokenHash: Hash of the emailed unlock token (account scope)
+ * - expiresAt: TTL; the record disappears a day after the last failure
+ *
+ * Indexes:
+ * - key: Unique lookup
+ * - lockedUntil: Admin list of active lockouts
+ * - expiresAt: TTL cleanup
+ *
+ * @type {dynamic} - Login attempt tracking and lockout
+ */
+
+const mongoose = require('mongoose');
+
+const loginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scope: {
+    type: String,
+    enum: ['ip', 'account'],
+    required: true
+  },
+  email: String,
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: Date,
+  lockouts: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date,
+    index: true
+  },
+  unlockTokenHash: {
+    type: String,
+    index: true,
+    sparse: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
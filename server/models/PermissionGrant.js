@@ -0,0 +1,67 @@
+/**
+ * PermissionGrant Model
+ *
+ * A capability given to one user by an admin, optionally limited to a single
+ * department. Department placement coordinators (DPN members) and HODs get
+ * their rights this way; admins hold every capability without a grant.
+ *
+ * Schema Fields:
+ * - user: Reference to the User holding the capability
+ * - capability: One of CAPABILITIES below
+ * - department: Department the grant is limited to; empty for all departments
+ * - note: Why the grant was made (e.g. "CSE DPN member 2025-26")
+ * - grantedBy: Reference to the admin who made the grant
+ * - expiresAt: Optional end date; expired grants are ignored
+ *
+ * Indexes:
+ * - user + capability + department: Unique, one grant per scope
+ *
+ * @type {dynamic} - Department-scoped access control
+ */
+
+const mongoose = require('mongoose');
+
+// Capabilities that can be granted, with the description shown to admins
+const CAPABILITIES = {
+  'sessions.manage': 'Create, edit and cancel sessions',
+  'placements.view': 'View placement submissions',
+  'placements.approve': 'Accept or reject placement submissions',
+  'users.view': 'View user accounts and profiles'
+};
+
+const permissionGrantSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  capability: {
+    type: String,
+    enum: Object.keys(CAPABILITIES),
+    required: true
+  },
+  department: {
+    type: String,
+    enum: ['CSE', 'ECE', 'EEE', 'CIVIL', 'MECH', 'CHEM', 'MME', null],
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  grantedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+permissionGrantSchema.index({ user: 1, capability: 1, department: 1 }, { unique: true });
+
+const PermissionGrant = mongoose.model('PermissionGrant', permissionGrantSchema);
+PermissionGrant.CAPABILITIES = CAPABILITIES;
+
+module.exports = PermissionGrant;
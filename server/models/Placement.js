@@ -6,6 +6,8 @@
  * 
  * Schema Fields:
  * - student: Reference to User (student)
+ * - submittedBy: Reference to the User who submitted the placement
+ * - department: Student's department, used for department-scoped approval
  * - company: Company name
  * - position: Job title/role
  * - type: Placement type (full-time/internship)
@@ -22,6 +24,7 @@
  * - student: For student's placement history
  * - company: For company-wise placements
  * - status: For filtering by application status
+ * - department + status: Department coordinators' approval queue
  * 
  * Features:
  * - Offer letter document handling
@@ -57,10 +60,21 @@ const placementSchema = new mongoose.Schema({
     enum: ['accepted', 'rejected', 'pending'],
     default: 'pending'
   },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  department: {
+    type: String,
+    enum: ['CSE', 'ECE', 'EEE', 'CIVIL', 'MECH', 'CHEM', 'MME', null],
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+placementSchema.index({ department: 1, status: 1 });
+
 module.exports = mongoose.model('Placement', placementSchema); 
\ No newline at end of file
@@ -12,6 +12,7 @@
  * - rejectedBy: Reference to admin who rejected
  * - rejectedAt: Timestamp of rejection
  * - additionalNotes: Admin notes about rejection
+ * - blocked: Whether the email is refused on re-signup
  * 
  * Indexes:
  * - email: For preventing repeated attempts
@@ -53,6 +54,14 @@ const rejectedSignupSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  rejectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  blocked: {
+    type: Boolean,
+    default: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -0,0 +1,88 @@
+/**
+ * Roster Model
+ *
+ * Holds the institute's official list of people who are allowed to register.
+ * Every signup is checked against this collection on the server before a
+ * User account is created.
+ *
+ * Schema Fields:
+ * - role: Role the entry may register as (student/alumni/faculty/admin)
+ * - email: Registered institutional or personal email
+ * - fullName: Name as recorded by the institute
+ * - studentId: Student ID (students)
+ * - collegeId: College ID (alumni)
+ * - facultyId: Faculty ID (faculty)
+ * - department: Academic department
+ * - yearOfStudy: Current year (students)
+ * - graduationYear: Year of graduation (alumni)
+ * - addedBy: Reference to admin who created the entry
+ *
+ * Indexes:
+ * - email + role: Unique, one entry per person per role
+ * - studentId, collegeId, facultyId: Unique where present
+ *
+ * Use Cases:
+ * - Server-side signup verification
+ * - Admin roster management
+ *
+ * @type {dynamic} - Managed by admins through /api/roster
+ */
+
+const mongoose = require('mongoose');
+
+const rosterSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['student', 'alumni', 'faculty', 'admin'],
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  fullName: {
+    type: String,
+    trim: true
+  },
+  studentId: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  collegeId: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  facultyId: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  department: {
+    type: String,
+    enum: ['CSE', 'ECE', 'EEE', 'CIVIL', 'MECH', 'CHEM', 'MME']
+  },
+  yearOfStudy: {
+    type: String,
+    enum: ['E-1', 'E-2', 'E-3', 'E-4']
+  },
+  graduationYear: {
+    type: Number
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+rosterSchema.index({ email: 1, role: 1 }, { unique: true });
+rosterSchema.index({ studentId: 1 }, { unique: true, sparse: true });
+rosterSchema.index({ collegeId: 1 }, { unique: true, sparse: true });
+rosterSchema.index({ facultyId: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('Roster', rosterSchema);
@@ -8,11 +8,15 @@
  * - title: Session title/topic
  * - description: Detailed session description
  * - host: Reference to User (alumni/faculty)
+ * - sessionHead: Reference to the User (alumni/faculty) leading the session
+ * - sessionHeadName: Name of a head without an account (guest speakers, and
+ *   heads `npm run migrate:session-heads` could not match to a user)
  * - date: Session date and time
  * - duration: Session duration in minutes
  * - type: Session type (technical/career/motivational)
  * - mode: Session mode (online/offline/hybrid)
  * - venue: Physical or virtual location
+ * - department: Organising department; empty for institute-wide sessions
  * - maxParticipants: Maximum allowed participants
  * - participants: Array of registered students
  * - status: Session status (pending/approved/rejected/completed)
@@ -23,6 +27,7 @@
  * - host: For quick lookup of host's sessions
  * - date: For chronological queries
  * - status: For filtering by session status
+ * - sessionHead: Sessions a user heads (profile contributions)
  * 
  * Features:
  * - Automatic status updates based on date
@@ -58,9 +63,18 @@ const sessionSchema = new mongoose.Schema({
     required: true
   },
   sessionHead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  sessionHeadName: {
     type: String,
-    required: true,
-    trim: true
+    trim: true,
+    maxlength: 100
+  },
+  department: {
+    type: String,
+    enum: ['CSE', 'ECE', 'EEE', 'CIVIL', 'MECH', 'CHEM', 'MME', null],
+    default: null
   },
   feedbackFormLink: {
     type: String
@@ -83,8 +97,17 @@ const sessionSchema = new mongoose.Schema({
   }
 });
 
+// Every session has a head: a user or a guest speaker's name
+sessionSchema.pre('validate', function(next) {
+  if (!this.sessionHead && !this.sessionHeadName) {
+    this.invalidate('sessionHead', 'A session head is required');
+  }
+  next();
+});
+
 // Index for efficient queries
 sessionSchema.index({ date: 1, status: 1 });
 sessionSchema.index({ sessionHead: 1 });
+sessionSchema.index({ department: 1 });
 
 module.exports = mongoose.model('Session', sessionSchema); 
\ No newline at end of file
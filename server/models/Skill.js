@@ -0,0 +1,108 @@
+/**
+ * Skill Model
+ *
+ * The curated skills list maintained by admins. Users can only attach skills
+ * from this list; what they type is matched against the names and aliases
+ * (e.g. "JS" -> "JavaScript"), so the same skill is never stored under two
+ * spellings and directory and search filters find everyone who has it.
+ *
+ * Schema Fields:
+ * - name: Display name stored on user profiles (unique, case-insensitive)
+ * - aliases: Other spellings that resolve to this skill
+ * - category: Optional grouping shown to admins (e.g. "Programming")
+ * - keys: Lower-cased name and aliases, kept in sync on save (lookups and
+ *   autocomplete)
+ * - createdBy: Reference to the admin who added the skill
+ *
+ * Methods:
+ * - Skill.resolve(inputs): Maps typed names or aliases to skill names
+ *
+ * Indexes:
+ * - keys: Unique, so no name or alias belongs to two skills; also serves
+ *   prefix search for autocomplete
+ *
+ * @type {dynamic} - Skills taxonomy
+ */
+
+const mongoose = require('mongoose');
+
+const toKey = (value) => String(value).trim().toLowerCase();
+
+const skillSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Skill name is required'],
+    trim: true,
+    maxlength: 50
+  },
+  aliases: {
+    type: [{ type: String, trim: true, maxlength: 50 }],
+    default: []
+  },
+  category: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  keys: {
+    type: [String],
+    select: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  // The lookup keys are internal
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.keys;
+      return ret;
+    }
+  }
+});
+
+skillSchema.index({ keys: 1 }, { unique: true });
+
+// Keep the lookup keys in step with the name and aliases
+skillSchema.pre('validate', function(next) {
+  const seen = new Set(this.name ? [toKey(this.name)] : []);
+  this.aliases = this.aliases.filter((alias) => {
+    const key = toKey(alias);
+    if (!key || seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+  this.keys = [...seen];
+  next();
+});
+
+/**
+ * Maps what users typed to skill names, by name or alias.
+ * @param {string[]} inputs - Skill names or aliases, any case
+ * @returns {Promise<Object>} { skills: names in input order without duplicates, unknown: inputs with no match }
+ */
+skillSchema.statics.resolve = async function(inputs) {
+  const skills = await this.find({ keys: { $in: inputs.map(toKey) } }).select('+keys');
+  const byKey = new Map(skills.flatMap(skill => skill.keys.map(key => [key, skill.name])));
+
+  const names = [];
+  const unknown = [];
+  inputs.forEach((input) => {
+    const name = byKey.get(toKey(input));
+    if (!name) {
+      unknown.push(input);
+    } else if (!names.includes(name)) {
+      names.push(name);
+    }
+  });
+  return { skills: names, unknown };
+};
+
+const Skill = mongoose.model('Skill', skillSchema);
+Skill.toKey = toKey;
+
+module.exports = Skill;
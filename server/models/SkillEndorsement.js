@@ -0,0 +1,71 @@
+/**
+ * SkillEndorsement Model
+ *
+ * One alumnus's or faculty member's endorsement of a skill on a student's
+ * profile. Profiles show the number of endorsements per skill.
+ *
+ * Schema Fields:
+ * - user: Reference to the endorsed student
+ * - skill: Skill name, as stored in the student's skills
+ * - endorsedBy: Reference to the alumnus or faculty member
+ *
+ * Notes:
+ * - Endorsements of a skill are removed when the student drops it, and
+ *   follow a skill when an admin renames it
+ *
+ * Indexes:
+ * - user + skill + endorsedBy: Unique, one endorsement per skill and person
+ * - skill: Users-by-skill ranking
+ *
+ * @type {dynamic} - Peer endorsements of student skills
+ */
+
+const mongoose = require('mongoose');
+
+const skillEndorsementSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  skill: {
+    type: String,
+    required: true
+  },
+  endorsedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+skillEndorsementSchema.index({ user: 1, skill: 1, endorsedBy: 1 }, { unique: true });
+skillEndorsementSchema.index({ skill: 1 });
+
+/**
+ * Endorsement counts for each of a user's skills.
+ * @param {ObjectId} userId - Endorsed user
+ * @param {ObjectId} viewerId - Optional; marks the skills this user endorsed
+ * @returns {Promise<Object>} { skill: { count, endorsedByMe } }
+ */
+skillEndorsementSchema.statics.summarize = async function(userId, viewerId) {
+  const rows = await this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    {
+      $group: {
+        _id: '$skill',
+        count: { $sum: 1 },
+        endorsers: { $push: '$endorsedBy' }
+      }
+    }
+  ]);
+
+  return Object.fromEntries(rows.map(row => [row._id, {
+    count: row.count,
+    endorsedByMe: Boolean(viewerId) && row.endorsers.some(id => id.equals(viewerId))
+  }]));
+};
+
+module.exports = mongoose.model('SkillEndorsement', skillEndorsementSchema);
@@ -7,28 +7,55 @@
  * Schema Fields:
  * - name: User's full name
  * - email: Unique email address
- * - password: Hashed password
+ * - password: Hashed password (optional for Google and campus accounts)
  * - role: User role (student/alumni/faculty/admin)
- * - profileImage: Profile picture URL
+ * - profilePhoto: Profile picture URL (the medium size for uploaded photos;
+ *   Google accounts start with their Google photo)
+ * - profilePhotoSizes: URLs of an uploaded photo's thumb, medium and large
+ *   sizes (utils/profilePhotoService.js)
  * - branch: Academic branch/department
  * - year: Current year (for students)
  * - graduationYear: Graduation year (for alumni)
  * - bio: User biography
- * - skills: Array of skills
+ * - skills: Skill names from the skills list (models/Skill.js); typed
+ *   names and aliases are resolved on profile update
  * - achievements: Array of achievements
  * - socialLinks: Social media profiles
  * - isVerified: Email verification status
+ * - approvalStatus: Admin approval state (alumni/admin signups start pending)
  * - resetPasswordToken: For password reset
  * - resetPasswordExpires: Token expiry
+ * - passwordChangedAt: Tokens issued before this time are rejected
+ * - twoFactorEnabled: TOTP second factor on (admin/faculty only)
+ * - twoFactorSecret / twoFactorPendingSecret: Encrypted TOTP secrets
+ * - twoFactorRecoveryCodes: Hashes of unused recovery codes
+ * - googleId: Linked Google account (Google sign-in)
+ * - ldapUid: Linked campus directory entry (LDAP sign-in)
+ * - deletionRequestedAt / deletionScheduledFor: Self-service account deletion;
+ *   the account is removed once the grace period ends (utils/accountService.js)
+ * - currentCompany / location: Alumni's current employer and city
+ *   (currentCompany and designation follow the current position)
+ * - positions: Employment history (company, title, location, dates, current)
+ * - higherStudies: Further education (university, degree, field, years)
+ * - directoryVisibility: Who finds the alumnus in the directory
+ *   (everyone signed in, other alumni only, or hidden)
+ * - privacy: Who may see each contact/profile field (PRIVACY_DEFAULTS below);
+ *   applied to other users' records by utils/privacy.js
  * 
  * Methods:
  * - comparePassword: Password verification
+ * - changedPasswordAfter: Checks whether a JWT predates the last password change
  * - generateAuthToken: JWT token generation
  * - toJSON: Data transformation for API
  * 
  * Indexes:
  * - email: Unique index
  * - role: For role-based queries
+ * - deletionScheduledFor: Finding accounts due for deletion
+ * - role + department/yearOfPassedOut, fullName, currentCompany, location,
+ *   skills: Alumni directory filters and sorts
+ * - fullName (text): Directory name search
+ * - role + positions.current/company: "Where alumni work now" statistics
  * 
  * @type {dynamic} - Includes methods for auth and data manipulation
  */
@@ -39,6 +66,51 @@ const validator = require('validator');
 const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
+// Alumni career history, shown as a timeline on the profile (most recent first)
+const positionSchema = new mongoose.Schema({
+  company: { type: String, required: true, trim: true },
+  title: { type: String, required: true, trim: true },
+  location: { type: String, trim: true },
+  startDate: { type: Date, required: true },
+  endDate: Date,
+  current: { type: Boolean, default: false }
+});
+
+const higherStudySchema = new mongoose.Schema({
+  university: { type: String, required: true, trim: true },
+  degree: { type: String, required: true, trim: true },
+  fieldOfStudy: { type: String, trim: true },
+  startYear: Number,
+  endYear: Number
+});
+
+const photoSizesSchema = new mongoose.Schema({
+  thumb: String,
+  medium: String,
+  large: String
+}, { _id: false });
+
+// Who may see a field: anyone, signed-in users, users of the same department, or admins only
+const PRIVACY_LEVELS = ['public', 'signed_in', 'department', 'admins'];
+
+// Fields the user can restrict, with the level used until they choose one
+const PRIVACY_DEFAULTS = {
+  email: 'signed_in',
+  phoneNumber: 'department',
+  profilePhoto: 'public',
+  designation: 'signed_in',
+  currentCompany: 'signed_in',
+  location: 'signed_in',
+  positions: 'signed_in',
+  higherStudies: 'signed_in',
+  skills: 'signed_in'
+};
+
+const privacySchema = new mongoose.Schema(
+  Object.fromEntries(Object.keys(PRIVACY_DEFAULTS).map(field => [field, { type: String, enum: PRIVACY_LEVELS }])),
+  { _id: false }
+);
+
 const userSchema = new mongoose.Schema({
   fullName: {
     type: String,
@@ -54,7 +126,10 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: true,
+    // Accounts created through Google or campus sign-in have no password
+    required: function() {
+      return !this.googleId && !this.ldapUid;
+    },
     minlength: 6
   },
   role: {
@@ -96,13 +171,57 @@ const userSchema = new mongoose.Schema({
     type: String,
     sparse: true
   },
-  profilePhoto: {
-    type: String,
-    default: '/src/assets/profile1.jpg'
+  // Without a photo the frontend shows a placeholder
+  profilePhoto: String,
+  profilePhotoSizes: {
+    type: photoSizesSchema,
+    default: undefined
   },
   yearOfPassedOut: {
     type: Number, // For alumni
   },
+  // Alumni directory (routes/alumni.js)
+  currentCompany: {
+    type: String,
+    trim: true
+  },
+  location: {
+    type: String,
+    trim: true
+  },
+  skills: {
+    type: [String],
+    default: undefined
+  },
+  positions: {
+    type: [positionSchema],
+    default: undefined
+  },
+  higherStudies: {
+    type: [higherStudySchema],
+    default: undefined
+  },
+  privacy: {
+    type: privacySchema,
+    default: undefined
+  },
+  // Who can find the alumnus in the directory; accounts without a value are listed for everyone
+  directoryVisibility: {
+    type: String,
+    enum: ['everyone', 'alumni', 'hidden'],
+    default: 'everyone'
+  },
+  // Admin approval
+  approvalStatus: {
+    type: String,
+    enum: ['pending', 'approved'],
+    default: 'approved'
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
   // Email verification
   isEmailVerified: {
     type: Boolean,
@@ -110,20 +229,63 @@ const userSchema = new mongoose.Schema({
   },
   emailVerificationToken: String,
   emailVerificationExpires: Date,
+  emailVerificationSentAt: Date,
   // Password reset
   passwordResetToken: String,
   passwordResetExpires: Date,
+  passwordChangedAt: Date,
+  // Two-factor authentication
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  twoFactorEnabledAt: Date,
   // Google OAuth
   googleId: {
     type: String,
     sparse: true
   },
+  // Campus directory (LDAP)
+  ldapUid: {
+    type: String,
+    sparse: true
+  },
+  // Account deletion (cancelled by clearing both fields)
+  deletionRequestedAt: Date,
+  deletionScheduledFor: Date,
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+
+// Alumni directory filters, sorts and name search
+userSchema.index({ role: 1, department: 1, yearOfPassedOut: -1 });
+userSchema.index({ role: 1, fullName: 1 });
+userSchema.index({ role: 1, currentCompany: 1 });
+userSchema.index({ role: 1, location: 1 });
+userSchema.index({ role: 1, skills: 1 });
+userSchema.index({ role: 1, 'positions.current': 1, 'positions.company': 1 });
+userSchema.index({ fullName: 'text' });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -134,6 +296,10 @@ userSchema.pre('save', async function(next) {
     }
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) {
+      // Back-date by a second so a token issued right after the change stays valid
+      this.passwordChangedAt = Date.now() - 1000;
+    }
     next();
   } catch (error) {
     next(error);
@@ -150,6 +316,12 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
+// Check whether a JWT was issued before the password last changed
+userSchema.methods.changedPasswordAfter = function(JWTTimestamp) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > JWTTimestamp;
+};
+
 // Generate email verification token
 userSchema.methods.generateEmailVerificationToken = function() {
   const verificationToken = crypto.randomBytes(32).toString('hex');
@@ -172,4 +344,8 @@ userSchema.methods.generatePasswordResetToken = function() {
   return resetToken;
 };
 
-module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
+const User = mongoose.model('User', userSchema);
+User.PRIVACY_LEVELS = PRIVACY_LEVELS;
+User.PRIVACY_DEFAULTS = PRIVACY_DEFAULTS;
+
+module.exports = User; 
\ No newline at end of file
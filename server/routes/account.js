@@ -0,0 +1,191 @@
+/**
+ * Account Routes
+ *
+ * Self-service routes for a user's own data: download everything stored
+ * about the account, and request (or cancel) deletion of the account.
+ *
+ * Routes:
+ * - GET /api/account/export: Download the account's data as JSON
+ * - GET /api/account/deletion: Pending deletion request, if any
+ * - POST /api/account/deletion: Request deletion after a 14-day grace period
+ * - DELETE /api/account/deletion: Cancel a pending deletion
+ *
+ * Access Control:
+ * - Signed-in users, for their own account only
+ * - Not available while an admin is viewing as the user
+ * - Admin accounts are removed by another admin, not through these routes
+ *
+ * @type {dynamic} - Data export and account deletion
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const User = require('../models/User');
+const {
+  DELETION_GRACE_PERIOD,
+  buildAccountExport,
+  requestDeletion,
+  cancelDeletion
+} = require('../utils/accountService');
+const { sendAccountDeletionScheduledEmail } = require('../utils/emailService');
+
+const CONFIRMATION_TEXT = 'DELETE';
+
+router.use(protect);
+
+// The account owner's data is not exposed to an impersonating admin
+router.use((req, res, next) => {
+  if (req.impersonator) {
+    return res.status(403).json({
+      status: 'error',
+      code: 'IMPERSONATION_READ_ONLY',
+      message: 'Account data is not available while viewing as another user'
+    });
+  }
+  next();
+});
+
+const deletionStatus = (user) => ({
+  requestedAt: user.deletionRequestedAt || null,
+  scheduledFor: user.deletionScheduledFor || null,
+  gracePeriodDays: DELETION_GRACE_PERIOD / (24 * 60 * 60 * 1000)
+});
+
+/**
+ * @route   GET /api/account/export
+ * @desc    Download profile, notifications, sessions, placements, devices and permissions
+ * @access  Private
+ */
+router.get('/export', async (req, res) => {
+  try {
+    const data = await buildAccountExport(req.user);
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename=my-data-${date}.json`);
+    res.send(JSON.stringify(data, null, 2));
+  } catch (error) {
+    console.error('Error exporting account data:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error exporting account data'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/account/deletion
+ * @desc    Pending deletion request (scheduledFor is null when there is none)
+ * @access  Private
+ */
+router.get('/deletion', (req, res) => {
+  res.json({
+    status: 'success',
+    data: { deletion: deletionStatus(req.user) }
+  });
+});
+
+/**
+ * @route   POST /api/account/deletion
+ * @desc    Schedule the account for deletion after the grace period
+ * @access  Private (not admins)
+ * @param   {string} confirmation - Must be "DELETE"
+ * @param   {string} password - Current password (accounts that have one)
+ */
+router.post('/deletion', validate({
+  body: {
+    confirmation: { type: 'string', required: true, maxLength: 20, label: 'Confirmation' },
+    password: { type: 'string', trim: false, maxLength: 128, label: 'Password' }
+  }
+}), async (req, res) => {
+  try {
+    const { confirmation, password } = req.body;
+
+    if (req.user.role === 'admin') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Admin accounts must be removed by another admin'
+      });
+    }
+    if (confirmation !== CONFIRMATION_TEXT) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Type ${CONFIRMATION_TEXT} to confirm`,
+        errors: [{ field: 'confirmation', location: 'body', code: 'INVALID_CHOICE', message: `Type ${CONFIRMATION_TEXT} to confirm` }]
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (user.deletionScheduledFor) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Deletion has already been requested',
+        data: { deletion: deletionStatus(user) }
+      });
+    }
+    if (user.password && !(await user.comparePassword(String(password || '')))) {
+      // 400 rather than 401 so the client keeps the session and can retry
+      return res.status(400).json({
+        status: 'error',
+        code: 'PASSWORD_INCORRECT',
+        message: 'Password is incorrect',
+        errors: [{ field: 'password', location: 'body', code: 'PASSWORD_INCORRECT', message: 'Password is incorrect' }]
+      });
+    }
+
+    await requestDeletion(user);
+
+    try {
+      await sendAccountDeletionScheduledEmail(user.email, user.fullName, user.deletionScheduledFor);
+    } catch (error) {
+      console.error('Error sending account deletion email:', error);
+    }
+
+    res.json({
+      status: 'success',
+      message: `Your account will be deleted on ${user.deletionScheduledFor.toDateString()}`,
+      data: { deletion: deletionStatus(user) }
+    });
+  } catch (error) {
+    console.error('Error requesting account deletion:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error requesting account deletion'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/account/deletion
+ * @desc    Cancel a pending deletion
+ * @access  Private
+ */
+router.delete('/deletion', async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user.deletionScheduledFor) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'There is no pending deletion request'
+      });
+    }
+
+    await cancelDeletion(user);
+
+    res.json({
+      status: 'success',
+      message: 'Account deletion cancelled',
+      data: { deletion: deletionStatus(user) }
+    });
+  } catch (error) {
+    console.error('Error cancelling account deletion:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error cancelling account deletion'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,203 @@
+/**
+ * Alumni Directory Routes
+ *
+ * Lets signed-in users browse alumni by department, graduation year,
+ * company, location and skills, with name search.
+ *
+ * Routes:
+ * - GET /api/alumni: Search the directory (filters, name search, sort, paginate)
+ *
+ * Filters:
+ * - search: Full-text search on the name (whole words)
+ * - department, year (yearOfPassedOut), company, location: Exact match
+ * - skills: Comma-separated; alumni must have all of them
+ * - sort: relevance (with search), name, newest or oldest batch first
+ *
+ * Facets:
+ * - Each response lists the departments, years, companies, locations and
+ *   skills found among the alumni the caller can see, with counts, to fill
+ *   the filter menus
+ *
+ * Access Control:
+ * - Any signed-in user
+ * - Alumni awaiting registration approval or scheduled for deletion are not listed
+ * - directoryVisibility decides who finds an alumnus: everyone, other
+ *   alumni (and admins), or nobody
+ * - Listings include public profile fields only (no email or phone number),
+ *   minus any the alumnus hid from the caller (utils/privacy.js); filters
+ *   and facets only count alumni whose field the caller may see
+ *
+ * @type {dynamic} - Alumni directory search
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const User = require('../models/User');
+const { applyPrivacy, privacyQuery } = require('../utils/privacy');
+
+const FACET_LIMIT = 50;
+const LISTING_FIELDS = {
+  fullName: 1,
+  department: 1,
+  yearOfPassedOut: 1,
+  designation: 1,
+  currentCompany: 1,
+  location: 1,
+  skills: 1,
+  profilePhoto: 1,
+  profilePhotoSizes: 1,
+  privacy: 1
+};
+
+const SORTS = {
+  relevance: { score: -1, fullName: 1 },
+  name: { fullName: 1 },
+  newest: { yearOfPassedOut: -1, fullName: 1 },
+  oldest: { yearOfPassedOut: 1, fullName: 1 }
+};
+
+const directorySchema = {
+  search: { type: 'string', maxLength: 100, label: 'Search' },
+  department: { type: 'enum', values: User.schema.path('department').enumValues, label: 'Department' },
+  year: { type: 'integer', min: 1900, max: 2100, label: 'Year' },
+  company: { type: 'string', maxLength: 200, label: 'Company' },
+  location: { type: 'string', maxLength: 200, label: 'Location' },
+  skills: { type: 'string', maxLength: 500, label: 'Skills' },
+  sort: { type: 'enum', values: Object.keys(SORTS), label: 'Sort' },
+  page: { type: 'integer', min: 1, label: 'Page' },
+  limit: { type: 'integer', min: 1, max: 50, label: 'Limit' }
+};
+
+// Alumni-only listings are shown to other alumni and admins
+const visibleTo = (role) => (
+  role === 'alumni' || role === 'admin' ? ['everyone', 'alumni'] : ['everyone']
+);
+
+// Alumni the caller may see; accounts saved before the setting existed count as
+// "everyone", and accounts saved before registration approval have no approvalStatus
+const visibilityQuery = (role) => ({
+  role: 'alumni',
+  approvalStatus: { $ne: 'pending' },
+  deletionScheduledFor: null,
+  directoryVisibility: { $in: [...visibleTo(role), null] }
+});
+
+const parseSkills = (skills) => (
+  skills ? skills.split(',').map(skill => skill.trim()).filter(Boolean) : []
+);
+
+// Filtering on a field only finds alumni who let the viewer see it
+const buildFilters = ({ department, year, company, location, skills }, viewer) => {
+  const filters = {};
+  const hidden = [];
+  if (department) filters.department = department;
+  if (year) filters.yearOfPassedOut = year;
+  if (company) {
+    filters.currentCompany = company;
+    hidden.push(privacyQuery('currentCompany', viewer));
+  }
+  if (location) {
+    filters.location = location;
+    hidden.push(privacyQuery('location', viewer));
+  }
+
+  const skillList = parseSkills(skills);
+  if (skillList.length > 0) {
+    filters.skills = { $all: skillList };
+    hidden.push(privacyQuery('skills', viewer));
+  }
+  if (hidden.length > 0) {
+    filters.$and = hidden;
+  }
+  return filters;
+};
+
+// privacy: Condition from privacyQuery, for fields users can hide
+const facetCounts = (field, sort, privacy = {}) => [
+  { $match: { ...privacy, [field]: { $nin: [null, ''] } } },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: sort || { count: -1, _id: 1 } },
+  { $limit: FACET_LIMIT },
+  { $project: { _id: 0, value: '$_id', count: 1 } }
+];
+
+/**
+ * @route   GET /api/alumni
+ * @desc    Search the alumni directory
+ * @access  Private (any signed-in user)
+ * @param   {number} page - Page number (default 1)
+ * @param   {number} limit - Page size (default 12, max 50)
+ */
+router.get('/', protect, validate({ query: directorySchema }), async (req, res) => {
+  try {
+    const { search, page = 1, limit = 12 } = req.query;
+    // Relevance needs a search; without one the list is sorted by name
+    let sort = req.query.sort || (search ? 'relevance' : 'name');
+    if (sort === 'relevance' && !search) {
+      sort = 'name';
+    }
+    const baseQuery = visibilityQuery(req.user.role);
+    const query = {
+      ...baseQuery,
+      ...buildFilters(req.query, req.user),
+      ...(search && { $text: { $search: search } })
+    };
+
+    const [[results], [facets]] = await Promise.all([
+      User.aggregate([
+        { $match: query },
+        ...(search ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+        {
+          $facet: {
+            alumni: [
+              { $sort: SORTS[sort] },
+              { $skip: (page - 1) * limit },
+              { $limit: limit },
+              { $project: LISTING_FIELDS }
+            ],
+            total: [{ $count: 'count' }]
+          }
+        }
+      ]),
+      User.aggregate([
+        { $match: baseQuery },
+        {
+          $facet: {
+            departments: facetCounts('department', { _id: 1 }),
+            years: facetCounts('yearOfPassedOut', { _id: -1 }),
+            companies: facetCounts('currentCompany', null, privacyQuery('currentCompany', req.user)),
+            locations: facetCounts('location', null, privacyQuery('location', req.user)),
+            skills: [{ $unwind: '$skills' }, ...facetCounts('skills', null, privacyQuery('skills', req.user))]
+          }
+        }
+      ])
+    ]);
+
+    const total = results.total[0]?.count || 0;
+
+    res.json({
+      status: 'success',
+      data: {
+        alumni: results.alumni.map(alumnus => applyPrivacy(alumnus, req.user)),
+        facets,
+        sort,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error searching alumni directory:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error searching the alumni directory'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,162 @@
+/**
+ * Audit Log Routes
+ *
+ * Admin viewer for the audit trail written by middleware/audit.js: who
+ * changed what, when, and from where.
+ *
+ * Routes:
+ * - GET /api/audit-logs: Search entries (filters, free-text search, paginate)
+ * - GET /api/audit-logs/export: Download matching entries as .xlsx or .csv
+ *
+ * Filters (both routes):
+ * - search: Actor email, action, target ID or request path
+ * - action, targetModel, actorRole: Exact match
+ * - from / to: Date range (inclusive days)
+ *
+ * Access Control:
+ * - Admin-only access; entries cannot be edited or deleted
+ *
+ * @type {dynamic} - Admin audit trail viewer
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const AuditLog = require('../models/AuditLog');
+const { exportAuditLogs } = require('../utils/excelService');
+
+const EXPORT_LIMIT = 10000;
+const EXPORT_FORMATS = {
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  csv: 'text/csv'
+};
+
+const filterSchema = {
+  search: { type: 'string', maxLength: 100, label: 'Search' },
+  action: { type: 'string', maxLength: 100, label: 'Action' },
+  targetModel: { type: 'string', maxLength: 50, label: 'Target' },
+  actorRole: { type: 'string', maxLength: 20, label: 'Actor role' },
+  from: { type: 'date', label: 'From' },
+  to: { type: 'date', label: 'To' }
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const buildQuery = ({ search, action, targetModel, actorRole, from, to }) => {
+  const query = {};
+
+  if (action) query.action = String(action);
+  if (targetModel) query.targetModel = String(targetModel);
+  if (actorRole) query.actorRole = String(actorRole);
+
+  if (search) {
+    const pattern = new RegExp(escapeRegex(String(search).trim()), 'i');
+    query.$or = [{ actorEmail: pattern }, { action: pattern }, { targetId: pattern }, { path: pattern }];
+  }
+
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  if (fromDate && !isNaN(fromDate)) {
+    query.createdAt = { $gte: fromDate };
+  }
+  if (toDate && !isNaN(toDate)) {
+    // "to" is a day, so include all of it
+    query.createdAt = { ...query.createdAt, $lt: new Date(toDate.getTime() + 24 * 60 * 60 * 1000) };
+  }
+
+  return query;
+};
+
+router.use(protect, authorize('admin'));
+
+/**
+ * @route   GET /api/audit-logs
+ * @desc    Search audit log entries, newest first
+ * @access  Admin
+ * @param   {number} page - Page number (default 1)
+ * @param   {number} limit - Page size (default 25, max 100)
+ */
+router.get('/', validate({
+  query: {
+    ...filterSchema,
+    page: { type: 'integer', min: 1, label: 'Page' },
+    limit: { type: 'integer', min: 1, max: 100, label: 'Limit' }
+  }
+}), async (req, res) => {
+  try {
+    const { page = 1, limit = 25 } = req.query;
+    const query = buildQuery(req.query);
+
+    const [logs, total, actions, targetModels] = await Promise.all([
+      AuditLog.find(query)
+        .populate('actor', 'fullName')
+        .populate('impersonatedUser', 'fullName email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(query),
+      AuditLog.distinct('action'),
+      AuditLog.distinct('targetModel')
+    ]);
+
+    res.json({
+      status: 'success',
+      data: {
+        logs,
+        filters: {
+          actions: actions.sort(),
+          targetModels: targetModels.filter(Boolean).sort()
+        },
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching audit log'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/audit-logs/export
+ * @desc    Download matching entries (newest first, up to 10,000)
+ * @access  Admin
+ * @param   {string} format - xlsx (default) or csv
+ */
+router.get('/export', validate({
+  query: {
+    ...filterSchema,
+    format: { type: 'enum', values: Object.keys(EXPORT_FORMATS), label: 'Format' }
+  }
+}), async (req, res) => {
+  try {
+    const format = EXPORT_FORMATS[req.query.format] ? req.query.format : 'xlsx';
+    const logs = await AuditLog.find(buildQuery(req.query))
+      .sort({ createdAt: -1 })
+      .limit(EXPORT_LIMIT)
+      .lean();
+
+    const buffer = exportAuditLogs(logs, format);
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.setHeader('Content-Type', EXPORT_FORMATS[format]);
+    res.setHeader('Content-Disposition', `attachment; filename=audit-log-${date}.${format}`);
+    res.send(buffer);
+  } catch (error) {
+    console.error('Error exporting audit log:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error exporting audit log'
+    });
+  }
+});
+
+module.exports = router;
@@ -5,22 +5,37 @@
  * password reset, and OAuth authentication.
  * 
  * Routes:
- * - POST /api/auth/register: User registration
- * - POST /api/auth/login: User login
+ * - POST /api/auth/register: User registration (faculty and admin need an invite token)
+ * - POST /api/auth/login: Sign in with a credentials provider (password or campus LDAP)
+ * - GET /api/auth/providers: Enabled sign-in methods
  * - POST /api/auth/forgot-password: Password reset request
- * - POST /api/auth/reset-password: Password reset
- * - GET /api/auth/verify-email: Email verification
+ * - PATCH /api/auth/reset-password/:token: Password reset
+ * - PATCH /api/auth/password: Change password (signed-in users)
+ * - POST /api/auth/refresh: Exchange a refresh token for a new token pair
+ * - POST /api/auth/logout: End the session that owns a refresh token
+ * - GET /api/auth/sessions: List the signed-in devices of the current user
+ * - DELETE /api/auth/sessions/:id: Sign out one device
+ * - POST /api/auth/logout-all: Sign out every device
+ * - GET /api/auth/unlock-account/:token: Unlock an account locked after failed sign-ins
+ * - /api/auth/2fa/*: Two-factor enrolment and the second login step (routes/twoFactor.js)
+ * - GET /api/auth/verify-email/:token: Email verification
+ * - POST /api/auth/resend-verification: Resend the verification link
  * - GET /api/auth/google: Google OAuth login
  * - GET /api/auth/google/callback: Google OAuth callback
+ * - POST /api/auth/google/complete: Exchange the callback token for a session
+ * - POST /api/auth/google/signup: Create an account for a new Google user
  * 
  * Middleware Used:
- * - validateRegistration: Registration data validation
- * - validateLogin: Login data validation
- * - rateLimiter: Prevent brute force attempts
+ * - validate: Request body and parameter schemas (see utils/validation.js)
+ * - rateLimiter: Login throttling and account lockout
+ * 
+ * Auth Providers:
+ * - Each sign-in method is a provider (utils/authProviders); these routes
+ *   add throttling, account checks, 2FA and sessions on top
  * 
  * Security Features:
  * - Password hashing
- * - JWT token generation
+ * - Short-lived access tokens with rotating refresh tokens
  * - Email verification
  * - Rate limiting
  * - OAuth2 integration
@@ -36,68 +51,261 @@
 
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const passport = require('passport');
 const User = require('../models/User');
+const RejectedSignup = require('../models/RejectedSignup');
+const Notification = require('../models/Notification');
+const Invite = require('../models/Invite');
+const { verifySignup } = require('../utils/rosterService');
+const { recordFailedSignup } = require('../utils/failedSignupService');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/emailService');
+const { validatePassword } = require('../utils/passwordPolicy');
+const { protect, rateLimiter } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const {
+  recordLoginFailure,
+  clearLoginFailures,
+  unlockWithToken
+} = require('../utils/loginThrottleService');
+const { createLoginChallenge, isTwoFactorRequired } = require('../utils/totpService');
+const { getProvider, listProviders, googleProvider } = require('../utils/authProviders');
+const {
+  createSession,
+  rotateSession,
+  listActiveSessions,
+  revokeSession,
+  revokeByRefreshToken,
+  revokeAllSessions
+} = require('../utils/authSessionService');
+
+// Roles whose new accounts wait in the admin approval queue
+const APPROVAL_REQUIRED_ROLES = ['alumni', 'admin'];
+
+// Roles that can only register with an admin's invite (see routes/invites.js)
+const { INVITE_ROLES } = Invite;
+
+// Role details a signup may provide; everything else in the body is ignored
+const SIGNUP_DETAIL_FIELDS = [
+  'studentId', 'collegeId', 'facultyId', 'department',
+  'yearOfStudy', 'yearOfPassedOut', 'designation', 'phoneNumber'
+];
+
+const pickSignupDetails = (body) => Object.fromEntries(
+  SIGNUP_DETAIL_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Request schemas
+const passwordRule = { type: 'string', trim: false, maxLength: 128 };
+
+const signupDetailsSchema = {
+  studentId: { type: 'string', maxLength: 50, label: 'Student ID' },
+  collegeId: { type: 'string', maxLength: 50, label: 'College ID' },
+  facultyId: { type: 'string', maxLength: 50, label: 'Faculty ID' },
+  department: { type: 'enum', values: User.schema.path('department').enumValues, label: 'Department' },
+  yearOfStudy: { type: 'enum', values: User.schema.path('yearOfStudy').enumValues, label: 'Year of study' },
+  yearOfPassedOut: { type: 'integer', min: 1900, max: 2100, label: 'Year of passing out' },
+  designation: { type: 'string', maxLength: 100, label: 'Designation' },
+  phoneNumber: {
+    type: 'string',
+    pattern: /^\+?[0-9\s()-]{7,20}$/,
+    patternMessage: 'Phone number must contain 7 to 20 digits',
+    label: 'Phone number'
+  }
+};
+
+const signupSchema = {
+  fullName: { type: 'string', required: true, maxLength: 100, label: 'Full name' },
+  email: { type: 'email', required: true, label: 'Email' },
+  password: { ...passwordRule, required: true, minLength: 6, label: 'Password' },
+  role: { type: 'enum', required: true, values: User.schema.path('role').enumValues, label: 'Role' },
+  inviteToken: { type: 'string', maxLength: 200, label: 'Invite token' },
+  ...signupDetailsSchema
+};
+
+const emailSchema = {
+  email: { type: 'email', required: true, label: 'Email' }
+};
+
+const tokenParamsSchema = {
+  token: { type: 'string', required: true, maxLength: 200, label: 'Token' }
+};
+
+// Minimum time between two verification emails to the same account
+const VERIFICATION_RESEND_INTERVAL = 2 * 60 * 1000; // 2 minutes
+
+// Mail failures are logged; the applicant can always request a new link
+const sendVerificationLink = async (email, verificationToken) => {
+  try {
+    await sendVerificationEmail(email, verificationToken);
+  } catch (error) {
+    console.error('Error sending verification email:', error);
+  }
+};
+
+// Let every admin know there is a registration to review
+const notifyAdminsOfRegistration = async (user) => {
+  // Accounts created before approvals existed have no approvalStatus and count as approved
+  const admins = await User.find({ role: 'admin', approvalStatus: { $ne: 'pending' } }).select('_id');
+  await Notification.insertMany(admins.map(admin => ({
+    recipient: admin._id,
+    title: 'New registration awaiting approval',
+    message: `${user.fullName} (${user.email}) registered as ${user.role}.`,
+    link: '/registrationapprovals'
+  })));
+};
+
+// Final step of every login method: 2FA challenge or a new session.
+// throttleIdentifier: what failed attempts were counted against; they are
+// only cleared once a session is issued (2FA accounts clear them at /2fa/verify)
+const completeLogin = async (user, req, res, message = 'Login successful', throttleIdentifier = null) => {
+  // Two-factor accounts finish signing in at POST /api/auth/2fa/verify
+  if (user.twoFactorEnabled) {
+    return res.json({
+      status: 'success',
+      message: 'Enter the code from your authenticator app',
+      twoFactorRequired: true,
+      twoFactorToken: createLoginChallenge(user)
+    });
+  }
+
+  // Start a session for this device
+  const { token, refreshToken } = await createSession(user, req);
+  if (throttleIdentifier) {
+    await clearLoginFailures(throttleIdentifier);
+  }
+
+  // Remove password from response
+  const userResponse = user.toObject();
+  delete userResponse.password;
+
+  res.json({
+    status: 'success',
+    message,
+    token,
+    refreshToken,
+    twoFactorSetupRequired: isTwoFactorRequired(user),
+    data: { user: userResponse }
+  });
+};
+
+// Sends the OAuth callback back to the sign-in page, which finishes the login
+const redirectToFrontend = (res, params) => {
+  res.redirect(`${process.env.FRONTEND_URL}/signin?${new URLSearchParams(params).toString()}`);
+};
 
 // Signup route
-router.post('/signup', async (req, res) => {
+router.post('/signup', validate({ body: signupSchema }, {
+  onInvalid: (req, errors) => recordFailedSignup(req, 'validation_error', errors[0].message)
+}), async (req, res) => {
+  let invite = null;
   try {
-    const { fullName, email, password, role, ...otherFields } = req.body;
+    const { fullName, email, password, role, inviteToken } = req.body;
+    const otherFields = pickSignupDetails(req.body);
 
-    if (!fullName || !email || !password || !role) {
+    // Check if user already exists
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      await recordFailedSignup(req, 'duplicate_email', 'Email already registered');
       return res.status(400).json({ 
         status: 'error',
-        message: 'Please provide all required fields: fullName, email, password, and role' 
+        message: 'Email already registered' 
       });
     }
 
-    // Validate email format
-    if (!email.includes('@')) {
-      return res.status(400).json({ 
+    // Refuse emails an admin has blocked from registering
+    const blocked = await RejectedSignup.findOne({ email: email.toLowerCase(), blocked: true });
+    if (blocked) {
+      await recordFailedSignup(req, 'blocked', 'Email is blocked from registering');
+      return res.status(403).json({
         status: 'error',
-        message: 'Please provide a valid email address' 
+        message: 'This email has been blocked from registering. Please contact the administrator.'
       });
     }
 
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({ 
-        status: 'error',
-        message: 'Email already registered' 
-      });
+    if (INVITE_ROLES.includes(role)) {
+      // Used up here, before the account exists, so one invite cannot create two accounts
+      invite = inviteToken ? await Invite.redeem(inviteToken, { email, role }) : null;
+      if (!invite) {
+        await recordFailedSignup(req, 'invalid_invite', inviteToken ? 'Invalid or expired invite' : 'No invite provided');
+        return res.status(403).json({
+          status: 'error',
+          message: `${role === 'admin' ? 'Admin' : 'Faculty'} accounts can only be created from an invitation. Please use the link in your invitation email.`
+        });
+      }
+    } else {
+      // Verify the applicant against the institute roster
+      const rosterCheck = await verifySignup({ role, email, ...otherFields });
+      if (!rosterCheck.isValid) {
+        await recordFailedSignup(req, 'roster_mismatch', rosterCheck.reason);
+        return res.status(403).json({
+          status: 'error',
+          message: rosterCheck.reason
+        });
+      }
     }
 
-    // Create new user
+    // Create new user. The invite was emailed to this address and issued by
+    // an admin, so invited accounts need neither verification nor approval.
     const user = new User({
       fullName,
       email,
       password,
       role,
-      ...otherFields
+      ...otherFields,
+      isEmailVerified: Boolean(invite),
+      approvalStatus: !invite && APPROVAL_REQUIRED_ROLES.includes(role) ? 'pending' : 'approved'
     });
 
+    const verificationToken = invite ? null : user.generateEmailVerificationToken();
+    if (verificationToken) {
+      user.emailVerificationSentAt = Date.now();
+    }
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '30d' }
-    );
+    if (invite) {
+      invite.acceptedUser = user._id;
+      await invite.save();
+    } else {
+      await sendVerificationLink(user.email, verificationToken);
+    }
 
-    // Remove password from response
-    const userResponse = user.toObject();
-    delete userResponse.password;
+    if (user.approvalStatus === 'pending') {
+      await notifyAdminsOfRegistration(user);
+    }
+
+    // No token is issued until the email address has been verified
+    let message = 'Account created. Please check your email for a link to verify your address.';
+    if (invite) {
+      message = 'Account created. You can now sign in.';
+    } else if (user.approvalStatus === 'pending') {
+      message = 'Registration received. Please verify your email; your account is also awaiting admin approval.';
+    }
 
     res.status(201).json({
       status: 'success',
-      message: 'User created successfully',
-      token,
-      data: { user: userResponse }
+      message,
+      data: {
+        user: {
+          fullName: user.fullName,
+          email: user.email,
+          role: user.role,
+          isEmailVerified: user.isEmailVerified,
+          approvalStatus: user.approvalStatus
+        }
+      }
     });
   } catch (error) {
     console.error('Signup error:', error);
+    if (invite && !invite.acceptedUser) {
+      // The account was not created, so the invite can still be used
+      await Invite.updateOne({ _id: invite._id }, { status: 'pending', $unset: { acceptedAt: 1 } });
+    }
+    await recordFailedSignup(
+      req,
+      error.name === 'ValidationError' ? 'validation_error' : 'server_error',
+      error.message || 'Error creating user'
+    );
     res.status(500).json({ 
       status: 'error',
       message: error.message || 'Error creating user' 
@@ -106,57 +314,672 @@ router.post('/signup', async (req, res) => {
 });
 
 // Login route
-router.post('/login', async (req, res) => {
+router.post('/login', validate({
+  body: {
+    provider: { type: 'string', maxLength: 50, label: 'Sign-in method' },
+    email: { type: 'string', maxLength: 254, label: 'Email' },
+    username: { type: 'string', maxLength: 100, label: 'Username' },
+    password: { ...passwordRule, label: 'Password' }
+  }
+}), rateLimiter, async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const provider = getProvider(req.body.provider || 'password');
+    if (!provider || provider.type !== 'credentials') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This sign-in method is not available'
+      });
+    }
+
+    const identifier = req.body[provider.identifierField];
+    const { password } = req.body;
 
-    if (!email || !password) {
+    if (!identifier || !password) {
       return res.status(400).json({ 
         status: 'error',
-        message: 'Please provide both email and password' 
+        message: `Please provide both ${provider.identifierField} and password` 
+      });
+    }
+
+    const result = await provider.authenticate({ [provider.identifierField]: identifier, password });
+    const { user } = result;
+    if (!user) {
+      const status = result.status || 401;
+      if (status === 401) {
+        await recordLoginFailure(req.ip, identifier, result.targetUser || null);
+      }
+      return res.status(status).json({ 
+        status: 'error',
+        message: result.error || 'Invalid credentials' 
       });
     }
 
-    // Find user and include password field for comparison
-    const user = await User.findOne({ email }).select('+password');
+    if (!user.isEmailVerified) {
+      return res.status(403).json({
+        status: 'error',
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Please verify your email address before signing in'
+      });
+    }
+
+    if (user.approvalStatus === 'pending') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Your account is awaiting admin approval'
+      });
+    }
+
+    await completeLogin(user, req, res, 'Login successful', identifier);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ 
+      status: 'error',
+      message: error.message || 'Error logging in' 
+    });
+  }
+});
+
+// Forgot password route
+router.post('/forgot-password', validate({ body: emailSchema }), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    // The same response is returned whether or not the account exists
+    const genericResponse = {
+      status: 'success',
+      message: 'If an account exists for that email, a password reset link has been sent.'
+    };
+
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res.json(genericResponse);
+    }
+
+    const resetToken = user.generatePasswordResetToken();
+    await user.save();
+
+    try {
+      await sendPasswordResetEmail(user.email, resetToken);
+    } catch (mailError) {
+      console.error('Error sending password reset email:', mailError);
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error processing password reset request'
+    });
+  }
+});
+
+// Reset password route
+router.patch('/reset-password/:token', validate({
+  params: tokenParamsSchema,
+  body: { password: { ...passwordRule, required: true, label: 'Password' } }
+}), async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+
+    const user = await User.findOne({
+      passwordResetToken: hashedToken,
+      passwordResetExpires: { $gt: Date.now() }
+    });
+
     if (!user) {
-      return res.status(401).json({ 
+      return res.status(400).json({
         status: 'error',
-        message: 'Invalid credentials' 
+        message: 'Invalid or expired reset link'
       });
     }
 
-    // Check password
-    const isMatch = await user.comparePassword(password);
+    const passwordErrors = validatePassword(password, user);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        code: 'PASSWORD_POLICY',
+        message: passwordErrors[0],
+        errors: passwordErrors.map(message => ({ field: 'password', location: 'body', code: 'PASSWORD_POLICY', message }))
+      });
+    }
+
+    // Saving a new password sets passwordChangedAt, which revokes existing tokens
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    // Following the emailed link proves the user owns the address
+    user.isEmailVerified = true;
+    await user.save();
+    await revokeAllSessions(user._id);
+    await clearLoginFailures(user.email);
+
+    res.json({
+      status: 'success',
+      message: 'Password reset successfully. Please sign in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error resetting password'
+    });
+  }
+});
+
+// Change password route
+router.patch('/password', protect, validate({
+  body: {
+    currentPassword: { ...passwordRule, required: true, label: 'Current password' },
+    newPassword: { ...passwordRule, required: true, label: 'New password' }
+  }
+}), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    // protect() strips the password hash, so load it again for the comparison
+    const user = await User.findById(req.user._id);
+    const isMatch = await user.comparePassword(currentPassword);
     if (!isMatch) {
-      return res.status(401).json({ 
+      // 400 rather than 401 so the client keeps the session and can retry
+      return res.status(400).json({
         status: 'error',
-        message: 'Invalid credentials' 
+        code: 'CURRENT_PASSWORD_INCORRECT',
+        message: 'Current password is incorrect',
+        errors: [{ field: 'currentPassword', location: 'body', code: 'CURRENT_PASSWORD_INCORRECT', message: 'Current password is incorrect' }]
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '30d' }
-    );
+    const passwordErrors = validatePassword(newPassword, user);
+    if (await user.comparePassword(newPassword)) {
+      passwordErrors.push('New password must be different from the current password');
+    }
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        code: 'PASSWORD_POLICY',
+        message: passwordErrors[0],
+        errors: passwordErrors.map(message => ({ field: 'newPassword', location: 'body', code: 'PASSWORD_POLICY', message }))
+      });
+    }
+
+    // Sign out every device, then start a fresh session for this one
+    user.password = newPassword;
+    await user.save();
+    await revokeAllSessions(user._id);
+    const { token, refreshToken } = await createSession(user, req);
 
-    // Remove password from response
     const userResponse = user.toObject();
     delete userResponse.password;
 
     res.json({
       status: 'success',
-      message: 'Login successful',
+      message: 'Password changed successfully',
       token,
+      refreshToken,
       data: { user: userResponse }
     });
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ 
+    console.error('Change password error:', error);
+    res.status(500).json({
       status: 'error',
-      message: error.message || 'Error logging in' 
+      message: 'Error changing password'
+    });
+  }
+});
+
+// Refresh token route
+// A missing refresh token is a 401 like an expired one, so clients sign in again
+router.post('/refresh', validate({
+  body: { refreshToken: { type: 'string', maxLength: 200, label: 'Refresh token' } }
+}), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const rotated = refreshToken && await rotateSession(refreshToken, req);
+    if (!rotated) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Session has ended. Please sign in again'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      token: rotated.token,
+      refreshToken: rotated.refreshToken
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error refreshing session'
+    });
+  }
+});
+
+// Logout route; works with an expired access token
+router.post('/logout', validate({
+  body: { refreshToken: { type: 'string', maxLength: 200, label: 'Refresh token' } }
+}), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (refreshToken) {
+      await revokeByRefreshToken(refreshToken);
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Logged out'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error logging out'
+    });
+  }
+});
+
+// Signed-in devices route
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id);
+
+    res.json({
+      status: 'success',
+      data: {
+        sessions: sessions.map(session => ({
+          ...session.toObject(),
+          current: session._id.equals(req.authSessionId)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching sessions'
+    });
+  }
+});
+
+// Sign out one device route
+router.delete('/sessions/:id', protect, validate({
+  params: { id: { type: 'objectId', required: true, label: 'Session ID' } }
+}), async (req, res) => {
+  try {
+    const session = await revokeSession(req.params.id, req.user._id);
+
+    if (!session) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Device signed out'
+    });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error signing out device'
+    });
+  }
+});
+
+// Sign out every device route
+router.post('/logout-all', protect, async (req, res) => {
+  try {
+    const result = await revokeAllSessions(req.user._id);
+
+    res.json({
+      status: 'success',
+      message: `Signed out of ${result.modifiedCount} devices`
+    });
+  } catch (error) {
+    console.error('Error signing out all devices:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error signing out all devices'
+    });
+  }
+});
+
+// Unlock account route
+router.get('/unlock-account/:token', validate({ params: tokenParamsSchema }), async (req, res) => {
+  try {
+    const lock = await unlockWithToken(req.params.token);
+
+    if (!lock) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid or already used unlock link'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Your account has been unlocked. You can now sign in.'
+    });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error unlocking account'
+    });
+  }
+});
+
+// Verify email route
+router.get('/verify-email/:token', validate({ params: tokenParamsSchema }), async (req, res) => {
+  try {
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+
+    const user = await User.findOne({
+      emailVerificationToken: hashedToken,
+      emailVerificationExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid or expired verification link'
+      });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    res.json({
+      status: 'success',
+      message: user.approvalStatus === 'pending'
+        ? 'Email verified. Your account is still awaiting admin approval.'
+        : 'Email verified successfully. You can now sign in.',
+      data: {
+        approvalStatus: user.approvalStatus
+      }
+    });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error verifying email'
+    });
+  }
+});
+
+// Resend verification email route
+router.post('/resend-verification', validate({ body: emailSchema }), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    // The same response is returned whether or not the account exists
+    const genericResponse = {
+      status: 'success',
+      message: 'If that account still needs verification, a new link has been sent.'
+    };
+
+    const user = await User.findOne({ email });
+    if (!user || user.isEmailVerified) {
+      return res.json(genericResponse);
+    }
+
+    const elapsed = Date.now() - (user.emailVerificationSentAt?.getTime() || 0);
+    if (elapsed < VERIFICATION_RESEND_INTERVAL) {
+      const retryAfter = Math.ceil((VERIFICATION_RESEND_INTERVAL - elapsed) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        status: 'error',
+        message: `Please wait ${retryAfter} seconds before requesting another email`,
+        retryAfter
+      });
+    }
+
+    const verificationToken = user.generateEmailVerificationToken();
+    user.emailVerificationSentAt = Date.now();
+    await user.save();
+
+    await sendVerificationLink(user.email, verificationToken);
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error sending verification email'
+    });
+  }
+});
+
+// Enabled sign-in methods, for the sign-in page
+router.get('/providers', (req, res) => {
+  res.json({
+    status: 'success',
+    data: { providers: listProviders() }
+  });
+});
+
+// Google OAuth routes
+router.get('/google', (req, res, next) => {
+  if (!googleProvider.isEnabled()) {
+    return res.status(503).json({
+      status: 'error',
+      message: 'Google sign-in is not available'
+    });
+  }
+  passport.authenticate('google', {
+    scope: ['profile', 'email'],
+    prompt: 'select_account',
+    session: false
+  })(req, res, next);
+});
+
+router.get('/google/callback', (req, res) => {
+  if (!googleProvider.isEnabled()) {
+    return redirectToFrontend(res, { googleError: 'Google sign-in is not available' });
+  }
+
+  passport.authenticate('google', { session: false }, async (err, account) => {
+    try {
+      if (err || !account) {
+        return redirectToFrontend(res, { googleError: 'Google sign-in was cancelled or failed' });
+      }
+
+      const result = await googleProvider.authenticate(account);
+      if (result.error) {
+        return redirectToFrontend(res, { googleError: result.error });
+      }
+
+      redirectToFrontend(res, {
+        googleToken: result.user
+          ? googleProvider.createLoginToken(result.user)
+          : googleProvider.createSignupToken(result.account)
+      });
+    } catch (error) {
+      console.error('Google callback error:', error);
+      redirectToFrontend(res, { googleError: 'Error signing in with Google' });
+    }
+  })(req, res);
+});
+
+// Exchange the token from the Google callback
+router.post('/google/complete', validate({
+  body: { googleToken: { type: 'string', maxLength: 2000, label: 'Google token' } }
+}), async (req, res) => {
+  try {
+    const payload = req.body.googleToken && googleProvider.readGoogleToken(req.body.googleToken);
+
+    if (!payload) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Google sign-in has expired. Please try again'
+      });
+    }
+
+    // New users choose a role and pass roster verification first
+    if (payload.purpose === googleProvider.SIGNUP_PURPOSE) {
+      return res.json({
+        status: 'success',
+        message: 'Choose your role to finish creating your account',
+        signupRequired: true,
+        data: {
+          email: payload.email,
+          fullName: payload.fullName
+        }
+      });
+    }
+
+    const user = payload.purpose === googleProvider.LOGIN_PURPOSE && await User.findById(payload.userId);
+    if (!user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Google sign-in has expired. Please try again'
+      });
+    }
+
+    if (user.approvalStatus === 'pending') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Your account is awaiting admin approval'
+      });
+    }
+
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('Google login error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error signing in with Google'
+    });
+  }
+});
+
+// Create an account for a new Google user
+router.post('/google/signup', validate({
+  body: {
+    googleToken: { type: 'string', maxLength: 2000, label: 'Google token' },
+    role: { type: 'enum', values: User.schema.path('role').enumValues, label: 'Role' },
+    ...signupDetailsSchema
+  }
+}), async (req, res) => {
+  let applicant = {};
+  try {
+    const { googleToken, role } = req.body;
+    const payload = googleToken && googleProvider.readGoogleToken(googleToken);
+
+    if (!payload || payload.purpose !== googleProvider.SIGNUP_PURPOSE) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Google sign-up has expired. Please sign in with Google again'
+      });
+    }
+
+    applicant = { fullName: payload.fullName, email: payload.email };
+
+    if (!role) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please select a role'
+      });
+    }
+
+    if (INVITE_ROLES.includes(role)) {
+      await recordFailedSignup(req, 'invalid_invite', 'No invite provided', applicant);
+      return res.status(403).json({
+        status: 'error',
+        message: 'Faculty and admin accounts can only be created from an invitation link'
+      });
+    }
+
+    // Name and email come from Google; only role details are taken from the form
+    const details = pickSignupDetails(req.body);
+
+    const existingUser = await User.findOne({
+      $or: [{ email: payload.email }, { googleId: payload.googleId }]
+    });
+    if (existingUser) {
+      await recordFailedSignup(req, 'duplicate_email', 'Email already registered', applicant);
+      return res.status(400).json({
+        status: 'error',
+        message: 'An account already exists for this email. Please sign in with Google again'
+      });
+    }
+
+    const blocked = await RejectedSignup.findOne({ email: payload.email, blocked: true });
+    if (blocked) {
+      await recordFailedSignup(req, 'blocked', 'Email is blocked from registering', applicant);
+      return res.status(403).json({
+        status: 'error',
+        message: 'This email has been blocked from registering. Please contact the administrator.'
+      });
+    }
+
+    const rosterCheck = await verifySignup({ role, email: payload.email, ...details });
+    if (!rosterCheck.isValid) {
+      await recordFailedSignup(req, 'roster_mismatch', rosterCheck.reason, applicant);
+      return res.status(403).json({
+        status: 'error',
+        message: rosterCheck.reason
+      });
+    }
+
+    // Google accounts have no password; Google has already verified the email
+    const user = new User({
+      ...details,
+      fullName: payload.fullName || rosterCheck.entry.fullName,
+      email: payload.email,
+      role,
+      googleId: payload.googleId,
+      ...(payload.profilePhoto && { profilePhoto: payload.profilePhoto }),
+      isEmailVerified: true,
+      approvalStatus: APPROVAL_REQUIRED_ROLES.includes(role) ? 'pending' : 'approved'
+    });
+    await user.save();
+
+    if (user.approvalStatus === 'pending') {
+      await notifyAdminsOfRegistration(user);
+      return res.status(201).json({
+        status: 'success',
+        message: 'Registration received. Your account is awaiting admin approval.',
+        data: {
+          user: {
+            fullName: user.fullName,
+            email: user.email,
+            role: user.role,
+            approvalStatus: user.approvalStatus
+          }
+        }
+      });
+    }
+
+    res.status(201);
+    await completeLogin(user, req, res, 'Account created. You are now signed in.');
+  } catch (error) {
+    console.error('Google signup error:', error);
+    await recordFailedSignup(
+      req,
+      error.name === 'ValidationError' ? 'validation_error' : 'server_error',
+      error.message || 'Error creating user',
+      applicant
+    );
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Error creating user'
     });
   }
 });
@@ -9,9 +9,7 @@ router.post('/forgot-password', authController.forgotPassword);
 router.patch('/reset-password/:token', authController.resetPassword);
 router.get('/verify-email/:token', authController.verifyEmail);
 
-// Google OAuth routes
-router.get('/google', authController.googleAuth);
-router.get('/google/callback', authController.googleCallback);
+// Google OAuth is served by the live router (routes/auth.js)
 
 // Protect all routes after this middleware
 router.use(authController.protect);
@@ -0,0 +1,40 @@
+/**
+ * API Documentation Routes
+ *
+ * Serves the OpenAPI document generated from the routers (utils/openapi.js)
+ * and an interactive Swagger UI for it.
+ *
+ * Routes:
+ * - GET /api/docs: Swagger UI
+ * - GET /api/docs/openapi.json: OpenAPI 3 document
+ *
+ * Access Control:
+ * - Public; the document lists routes and request schemas only. Use
+ *   "Authorize" in Swagger UI with an access token to try protected routes
+ *
+ * @type {dynamic} - Built once from the mounted routers
+ */
+
+const express = require('express');
+const router = express.Router();
+const swaggerUi = require('swagger-ui-express');
+const { API_ROUTES } = require('./index');
+const { buildOpenApiDocument } = require('../utils/openapi');
+
+const document = buildOpenApiDocument(API_ROUTES);
+
+/**
+ * @route   GET /api/docs/openapi.json
+ * @desc    OpenAPI 3 document for the API
+ * @access  Public
+ */
+router.get('/openapi.json', (req, res) => {
+  res.json(document);
+});
+
+router.use('/', swaggerUi.serve, swaggerUi.setup(document, {
+  customSiteTitle: 'Alumni Interactive API',
+  swaggerOptions: { persistAuthorization: true }
+}));
+
+module.exports = router;
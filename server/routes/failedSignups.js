@@ -0,0 +1,189 @@
+/**
+ * Failed Signup Triage Routes
+ *
+ * Admin view of recorded signup failures so support staff can see why
+ * applicants could not register and mark attempts as reviewed.
+ *
+ * Routes:
+ * - GET /api/failed-signups: List attempts (filter by status/category, search, paginate)
+ * - PATCH /api/failed-signups/bulk: Set status on many attempts at once
+ * - PATCH /api/failed-signups/:id: Set status on a single attempt
+ *
+ * Access Control:
+ * - Admin-only access
+ *
+ * @type {dynamic} - Admin triage of signup failures
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { validate } = require('../middleware/validate');
+const FailedSignup = require('../models/FailedSignup');
+
+const STATUSES = FailedSignup.schema.path('status').enumValues;
+const CATEGORIES = FailedSignup.schema.path('category').enumValues;
+
+const listQuerySchema = {
+  status: { type: 'enum', values: STATUSES, label: 'Status' },
+  category: { type: 'enum', values: CATEGORIES, label: 'Category' },
+  search: { type: 'string', maxLength: 100, label: 'Search' },
+  page: { type: 'integer', min: 1, label: 'Page' },
+  limit: { type: 'integer', min: 1, max: 100, label: 'Limit' }
+};
+
+const statusRule = { type: 'enum', values: STATUSES, label: 'Status' };
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Review fields for a status change; unchecking clears the reviewer
+const statusUpdate = (status, adminId) => (
+  status === 'checked'
+    ? { status, checkedBy: adminId, checkedAt: Date.now() }
+    : { status, $unset: { checkedBy: 1, checkedAt: 1 } }
+);
+
+router.use(protect, authorize('admin'));
+
+/**
+ * @route   GET /api/failed-signups
+ * @desc    List failed signup attempts
+ * @access  Admin
+ * @param   {string} status - Optional status filter (checked/unchecked)
+ * @param   {string} category - Optional category filter
+ * @param   {string} search - Optional name/email search
+ * @param   {number} page - Page number (default 1)
+ * @param   {number} limit - Page size (default 25, max 100)
+ */
+router.get('/', validate({ query: listQuerySchema }), async (req, res) => {
+  try {
+    const { status, category, search, page = 1, limit = 25 } = req.query;
+    const query = {};
+
+    if (status) {
+      query.status = status;
+    }
+    if (category) {
+      query.category = category;
+    }
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ email: pattern }, { name: pattern }];
+    }
+
+    const [failedSignups, total, byCategory] = await Promise.all([
+      FailedSignup.find(query)
+        .populate('checkedBy', 'fullName')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      FailedSignup.countDocuments(query),
+      FailedSignup.aggregate([
+        { $match: { status: 'unchecked' } },
+        { $group: { _id: '$category', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.json({
+      status: 'success',
+      data: {
+        failedSignups,
+        uncheckedByCategory: Object.fromEntries(
+          byCategory.map(c => [c._id || 'validation_error', c.count])
+        ),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching failed signups:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching failed signups'
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/failed-signups/bulk
+ * @desc    Set status on many failed signup attempts
+ * @access  Admin
+ * @param   {Array} ids - Failed signup IDs
+ * @param   {string} status - New status (default 'checked')
+ */
+router.patch('/bulk', validate({
+  body: {
+    ids: { type: 'array', required: true, minItems: 1, maxItems: 500, items: { type: 'objectId' }, label: 'IDs' },
+    status: statusRule
+  }
+}), audit('failed_signup.bulk_update', null, {
+  meta: (req, body) => ({ ids: req.body.ids, status: req.body.status || 'checked', modified: body?.data?.modified })
+}), async (req, res) => {
+  try {
+    const { ids, status = 'checked' } = req.body;
+
+    const result = await FailedSignup.updateMany(
+      { _id: { $in: ids } },
+      statusUpdate(status, req.user._id)
+    );
+
+    res.json({
+      status: 'success',
+      message: `${result.modifiedCount} failed signups marked as ${status}`,
+      data: { modified: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Error updating failed signups:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error updating failed signups'
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/failed-signups/:id
+ * @desc    Set status on a failed signup attempt
+ * @access  Admin
+ * @param   {string} id - Failed signup ID
+ * @param   {string} status - New status
+ */
+router.patch('/:id', validate({
+  params: { id: { type: 'objectId', required: true, label: 'Failed signup ID' } },
+  body: { status: { ...statusRule, required: true } }
+}), audit('failed_signup.update', FailedSignup), async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    const failedSignup = await FailedSignup.findByIdAndUpdate(
+      req.params.id,
+      statusUpdate(status, req.user._id),
+      { new: true }
+    ).populate('checkedBy', 'fullName');
+
+    if (!failedSignup) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Failed signup not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: { failedSignup }
+    });
+  } catch (error) {
+    console.error('Error updating failed signup:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error updating failed signup'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,126 @@
+/**
+ * Impersonation Routes
+ *
+ * Lets an admin see the app exactly as a given user sees it (e.g. to follow
+ * up a report that a student's dashboard looks wrong). The admin receives a
+ * separate access token for that user; their own session is untouched and
+ * is restored by the frontend when the impersonation ends.
+ *
+ * Routes:
+ * - POST /api/impersonation: Start viewing as a user (admin)
+ * - POST /api/impersonation/end: End the current impersonation
+ *
+ * Safeguards:
+ * - Tokens are marked with the admin's ID, last 30 minutes and cannot be refreshed
+ * - Impersonated sessions are read-only (enforced by protect in middleware/auth.js)
+ * - Admin accounts cannot be impersonated
+ * - A reason is required; start and end are written to the audit log
+ *
+ * @type {dynamic} - Admin "view as user"
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { validate } = require('../middleware/validate');
+const User = require('../models/User');
+const { createImpersonationSession, revokeSession } = require('../utils/authSessionService');
+
+/**
+ * @route   POST /api/impersonation/end
+ * @desc    End the impersonation that owns the current token
+ * @access  Private (impersonation token)
+ */
+router.post('/end', protect, audit('impersonation.end', User, {
+  target: req => req.user._id,
+  meta: req => ({ sessionId: req.authSessionId })
+}), async (req, res) => {
+  try {
+    if (!req.impersonator) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'You are not viewing as another user'
+      });
+    }
+
+    await revokeSession(req.authSessionId, req.user._id);
+
+    res.json({
+      status: 'success',
+      message: `Stopped viewing as ${req.user.fullName}`
+    });
+  } catch (error) {
+    console.error('Error ending impersonation:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error ending impersonation'
+    });
+  }
+});
+
+router.use(protect, authorize('admin'));
+
+/**
+ * @route   POST /api/impersonation
+ * @desc    Issue a read-only, 30-minute token for viewing the app as a user
+ * @access  Admin
+ * @param   {string} userId - User to view as
+ * @param   {string} reason - Why access is needed (kept in the audit log)
+ */
+router.post('/', validate({
+  body: {
+    userId: { type: 'objectId', required: true, label: 'User' },
+    reason: { type: 'string', required: true, maxLength: 500, label: 'Reason' }
+  }
+}), audit('impersonation.start', User, {
+  target: req => req.body.userId,
+  meta: (req, body) => ({
+    reason: req.body.reason,
+    sessionId: body?.sessionId,
+    expiresAt: body?.expiresAt
+  })
+}), async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    const user = await User.findById(userId).select('-password');
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+    if (user.role === 'admin') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Admin accounts cannot be viewed as another user'
+      });
+    }
+    if (!user.isEmailVerified || user.approvalStatus === 'pending') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This account cannot sign in yet, so there is nothing to view'
+      });
+    }
+
+    const { token, session, expiresAt } = await createImpersonationSession(req.user, user, req);
+
+    res.status(201).json({
+      status: 'success',
+      message: `Viewing as ${user.fullName}`,
+      token,
+      sessionId: session._id,
+      expiresAt,
+      data: { user }
+    });
+  } catch (error) {
+    console.error('Error starting impersonation:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error starting impersonation'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+/**
+ * API Route Table
+ *
+ * The routers mounted by server.js, in mount order. The same table feeds the
+ * OpenAPI document (utils/openapi.js), so every mounted route is documented
+ * at /api/docs.
+ *
+ * Entries:
+ * - path: Mount path
+ * - file: Router module in this directory
+ * - description: Shown for the route group in the API docs
+ *
+ * @type {module} API route table
+ */
+
+const API_ROUTES = [
+  { path: '/api/auth/2fa', file: 'twoFactor', description: 'Two-factor authentication' },
+  { path: '/api/auth', file: 'auth', description: 'Authentication' },
+  { path: '/api/users', file: 'users', description: 'User management' },
+  { path: '/api/alumni', file: 'alumni', description: 'Alumni directory' },
+  { path: '/api/skills', file: 'skills', description: 'Skills list and endorsements' },
+  { path: '/api/sessions', file: 'sessions', description: 'Session management' },
+  { path: '/api/statistics', file: 'statistics', description: 'Statistics and analytics' },
+  { path: '/api/notifications', file: 'notifications', description: 'Notification system' },
+  { path: '/api/placements', file: 'placements', description: 'Placement submissions' },
+  { path: '/api/roster', file: 'roster', description: 'Signup roster management (admin)' },
+  { path: '/api/registrations', file: 'registrations', description: 'Registration approval queue (admin)' },
+  { path: '/api/failed-signups', file: 'failedSignups', description: 'Failed signup triage (admin)' },
+  { path: '/api/login-locks', file: 'loginLocks', description: 'Login lockouts (admin)' },
+  { path: '/api/permissions', file: 'permissions', description: 'Department-scoped permission grants' },
+  { path: '/api/invites', file: 'invites', description: 'Faculty and admin invitations' },
+  { path: '/api/audit-logs', file: 'auditLogs', description: 'Audit trail of administrative changes (admin)' },
+  { path: '/api/impersonation', file: 'impersonation', description: 'Read-only "view as user" for admins' },
+  { path: '/api/account', file: 'account', description: 'Own data export and account deletion' }
+].map(entry => ({ ...entry, router: require(`./${entry.file}`) }));
+
+module.exports = { API_ROUTES };
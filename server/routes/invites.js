@@ -0,0 +1,280 @@
+/**
+ * Invite Routes
+ *
+ * Faculty and admin accounts can only be registered with an invitation.
+ * Admins create invites bound to an email and role; the emailed link opens
+ * the matching signup page, which redeems the token through
+ * POST /api/auth/signup.
+ *
+ * Routes:
+ * - GET /api/invites/lookup/:token: Email and role of a usable invite (public)
+ * - GET /api/invites: List invites (admin, filter by state)
+ * - POST /api/invites: Create and email an invite (admin)
+ * - POST /api/invites/:id/resend: Email a new link for a pending invite (admin)
+ * - DELETE /api/invites/:id: Revoke a pending invite (admin)
+ *
+ * Invite States:
+ * - pending: Sent and still usable
+ * - expired: Pending but past its expiry (a resend makes it usable again)
+ * - accepted: Used to create an account
+ * - revoked: Cancelled by an admin
+ *
+ * @type {dynamic} - Invitation management for privileged roles
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { validate } = require('../middleware/validate');
+const Invite = require('../models/Invite');
+const User = require('../models/User');
+const { sendInviteEmail } = require('../utils/emailService');
+
+const { INVITE_ROLES } = Invite;
+const STATES = ['pending', 'expired', 'accepted', 'revoked'];
+
+const idParamsSchema = {
+  id: { type: 'objectId', required: true, label: 'Invite ID' }
+};
+
+const inviteState = (invite) => {
+  if (invite.status === 'pending' && invite.expiresAt <= Date.now()) return 'expired';
+  return invite.status;
+};
+
+// Emails the invite link; a mail failure leaves the invite in place for a resend
+const sendInvite = async (invite, inviteToken, admin) => {
+  try {
+    await sendInviteEmail(invite.email, invite.role, inviteToken, {
+      invitedBy: admin.fullName,
+      note: invite.note,
+      expiresAt: invite.expiresAt
+    });
+    invite.lastSentAt = Date.now();
+    invite.sendCount += 1;
+    await invite.save();
+    return true;
+  } catch (error) {
+    console.error('Error sending invite email:', error);
+    return false;
+  }
+};
+
+/**
+ * @route   GET /api/invites/lookup/:token
+ * @desc    Email and role of a usable invite, to prefill the signup page
+ * @access  Public
+ * @param   {string} token - Invite token from the emailed link
+ */
+router.get('/lookup/:token', validate({
+  params: { token: { type: 'string', required: true, maxLength: 200, label: 'Token' } }
+}), async (req, res) => {
+  try {
+    const invite = await Invite.findUsable(req.params.token);
+
+    if (!invite) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'This invitation link is invalid, has expired or has already been used'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        invite: {
+          email: invite.email,
+          role: invite.role,
+          expiresAt: invite.expiresAt
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error looking up invite:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error looking up invite'
+    });
+  }
+});
+
+router.use(protect, authorize('admin'));
+
+/**
+ * @route   GET /api/invites
+ * @desc    List invites, newest first
+ * @access  Admin
+ * @param   {string} state - Optional state filter (pending/expired/accepted/revoked)
+ */
+router.get('/', validate({
+  query: { state: { type: 'enum', values: STATES, label: 'State' } }
+}), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.state === 'pending') {
+      Object.assign(query, { status: 'pending', expiresAt: { $gt: Date.now() } });
+    } else if (req.query.state === 'expired') {
+      Object.assign(query, { status: 'pending', expiresAt: { $lte: Date.now() } });
+    } else if (req.query.state) {
+      query.status = req.query.state;
+    }
+
+    const invites = await Invite.find(query)
+      .populate('invitedBy', 'fullName')
+      .populate('acceptedUser', 'fullName email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      status: 'success',
+      data: {
+        invites: invites.map(invite => ({ ...invite.toObject(), state: inviteState(invite) }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching invites:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching invites'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/invites
+ * @desc    Create an invite and email the link
+ * @access  Admin
+ * @param   {string} email - Address to invite
+ * @param   {string} role - faculty or admin
+ * @param   {string} note - Optional message included in the email
+ */
+router.post('/', validate({
+  body: {
+    email: { type: 'email', required: true, label: 'Email' },
+    role: { type: 'enum', required: true, values: INVITE_ROLES, label: 'Role' },
+    note: { type: 'string', maxLength: 500, label: 'Note' }
+  }
+}), audit('invite.create', Invite), async (req, res) => {
+  try {
+    const { email, role, note } = req.body;
+
+    if (await User.exists({ email })) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'An account with this email already exists',
+        errors: [{ field: 'email', location: 'body', code: 'CONFLICT', message: 'An account with this email already exists' }]
+      });
+    }
+
+    const pending = await Invite.findOne({ email, status: 'pending', expiresAt: { $gt: Date.now() } });
+    if (pending) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'This email already has a pending invite. Resend or revoke it instead'
+      });
+    }
+
+    const invite = new Invite({ email, role, note, invitedBy: req.user._id });
+    const inviteToken = invite.generateToken();
+    await invite.save();
+
+    const sent = await sendInvite(invite, inviteToken, req.user);
+
+    res.status(201).json({
+      status: 'success',
+      message: sent
+        ? `Invite sent to ${email}`
+        : 'Invite created, but the email could not be sent. Use Resend to try again',
+      data: { invite: { ...invite.toObject(), tokenHash: undefined, state: inviteState(invite) } }
+    });
+  } catch (error) {
+    console.error('Error creating invite:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error creating invite'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/invites/:id/resend
+ * @desc    Email a new link for a pending (or expired) invite; the old link stops working
+ * @access  Admin
+ * @param   {string} id - Invite ID
+ */
+router.post('/:id/resend', validate({ params: idParamsSchema }), audit('invite.resend', Invite), async (req, res) => {
+  try {
+    const invite = await Invite.findById(req.params.id);
+
+    if (!invite) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Invite not found'
+      });
+    }
+    if (invite.status !== 'pending') {
+      return res.status(400).json({
+        status: 'error',
+        message: `This invite has been ${invite.status} and cannot be resent`
+      });
+    }
+
+    const inviteToken = invite.generateToken();
+    await invite.save();
+
+    if (!(await sendInvite(invite, inviteToken, req.user))) {
+      return res.status(502).json({
+        status: 'error',
+        message: 'The invite email could not be sent. Please try again later'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: `Invite resent to ${invite.email}`,
+      data: { invite: { ...invite.toObject(), tokenHash: undefined, state: inviteState(invite) } }
+    });
+  } catch (error) {
+    console.error('Error resending invite:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error resending invite'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/invites/:id
+ * @desc    Revoke a pending invite
+ * @access  Admin
+ * @param   {string} id - Invite ID
+ */
+router.delete('/:id', validate({ params: idParamsSchema }), audit('invite.revoke', Invite), async (req, res) => {
+  try {
+    const invite = await Invite.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      { status: 'revoked', revokedAt: Date.now(), revokedBy: req.user._id },
+      { new: true }
+    );
+
+    if (!invite) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No pending invite found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Invite revoked'
+    });
+  } catch (error) {
+    console.error('Error revoking invite:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error revoking invite'
+    });
+  }
+});
+
+module.exports = router;
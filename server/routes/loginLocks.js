@@ -0,0 +1,103 @@
+/**
+ * Login Lockout Routes
+ *
+ * Admin view of accounts and IP addresses that are currently locked out
+ * after repeated failed sign-ins, with the option to lift a lockout.
+ *
+ * Routes:
+ * - GET /api/login-locks: List active lockouts (filter by scope)
+ * - DELETE /api/login-locks/:id: Lift a lockout and reset its counters
+ *
+ * Access Control:
+ * - Admin-only access
+ *
+ * @type {dynamic} - Admin management of login lockouts
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { validate } = require('../middleware/validate');
+const LoginThrottle = require('../models/LoginThrottle');
+const User = require('../models/User');
+
+const SCOPES = LoginThrottle.schema.path('scope').enumValues;
+
+router.use(protect, authorize('admin'));
+
+/**
+ * @route   GET /api/login-locks
+ * @desc    List active lockouts
+ * @access  Admin
+ * @param   {string} scope - Optional scope filter (ip/account)
+ */
+router.get('/', validate({
+  query: { scope: { type: 'enum', values: SCOPES, label: 'Scope' } }
+}), async (req, res) => {
+  try {
+    const query = { lockedUntil: { $gt: Date.now() } };
+    if (req.query.scope) {
+      query.scope = req.query.scope;
+    }
+
+    const locks = await LoginThrottle.find(query)
+      .select('-unlockTokenHash')
+      .sort({ lockedUntil: -1 });
+
+    // Attach the account owner, if the email belongs to one
+    const emails = locks.filter(lock => lock.scope === 'account').map(lock => lock.email);
+    const users = await User.find({ email: { $in: emails } }).select('fullName email role');
+    const usersByEmail = new Map(users.map(user => [user.email, user]));
+
+    res.json({
+      status: 'success',
+      data: {
+        locks: locks.map(lock => ({
+          ...lock.toObject(),
+          user: lock.scope === 'account' ? usersByEmail.get(lock.email) || null : null
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching login lockouts:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching login lockouts'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/login-locks/:id
+ * @desc    Lift a lockout and reset its failure counters
+ * @access  Admin
+ * @param   {string} id - LoginThrottle ID
+ */
+router.delete('/:id', validate({
+  params: { id: { type: 'objectId', required: true, label: 'Lock ID' } }
+}), audit('login_lock.delete', LoginThrottle), async (req, res) => {
+  try {
+    const lock = await LoginThrottle.findByIdAndDelete(req.params.id);
+
+    if (!lock) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Lockout not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Lockout lifted'
+    });
+  } catch (error) {
+    console.error('Error lifting login lockout:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error lifting login lockout'
+    });
+  }
+});
+
+module.exports = router;
@@ -26,6 +26,19 @@ const express = require('express');
 const router = express.Router();
 const Notification = require('../models/Notification');
 const { protect } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+const notificationSchema = {
+  title: { type: 'string', required: true, maxLength: 200, label: 'Title' },
+  message: { type: 'string', required: true, maxLength: 2000, label: 'Message' },
+  type: { type: 'enum', values: Notification.schema.path('type').enumValues, label: 'Type' },
+  link: { type: 'string', maxLength: 500, label: 'Link' },
+  recipient: { type: 'objectId', label: 'Recipient' }
+};
+
+const idParamsSchema = {
+  id: { type: 'objectId', required: true, label: 'Notification ID' }
+};
 
 /**
  * @route   GET /api/notifications
@@ -64,7 +77,7 @@ router.get('/', protect, async (req, res) => {
  * @param   {string} link - Optional link associated with notification
  * @param   {string} recipient - Optional recipient ID (defaults to current user)
  */
-router.post('/', protect, async (req, res) => {
+router.post('/', protect, validate({ body: notificationSchema }), async (req, res) => {
   try {
     const { title, message, type, link, recipient } = req.body;
 
@@ -99,7 +112,7 @@ router.post('/', protect, async (req, res) => {
  * @access  Private
  * @param   {string} id - Notification ID
  */
-router.put('/:id/read', protect, async (req, res) => {
+router.put('/:id/read', protect, validate({ params: idParamsSchema }), async (req, res) => {
   try {
     const notification = await Notification.findOneAndUpdate(
       {
@@ -138,7 +151,7 @@ router.put('/:id/read', protect, async (req, res) => {
  * @access  Private
  * @param   {string} id - Notification ID
  */
-router.delete('/:id', protect, async (req, res) => {
+router.delete('/:id', protect, validate({ params: idParamsSchema }), async (req, res) => {
   try {
     const notification = await Notification.findOneAndDelete({
       _id: req.params.id,
@@ -0,0 +1,212 @@
+/**
+ * Permission Routes
+ *
+ * Lets admins grant capabilities to individual users, optionally limited to
+ * one department (e.g. a CSE placement coordinator who approves CSE
+ * placements only), and lets any user see what they have been granted.
+ *
+ * Routes:
+ * - GET /api/permissions/me: Capabilities held by the current user
+ * - GET /api/permissions/capabilities: Grantable capabilities and departments (admin)
+ * - GET /api/permissions: List grants (admin, filter by capability/department)
+ * - POST /api/permissions: Grant a capability (admin)
+ * - DELETE /api/permissions/:id: Revoke a grant (admin)
+ *
+ * Access Control:
+ * - Admins hold every capability already and cannot be given grants
+ *
+ * @type {dynamic} - Admin management of department-scoped permissions
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { validate } = require('../middleware/validate');
+const PermissionGrant = require('../models/PermissionGrant');
+const User = require('../models/User');
+const { CAPABILITIES, getUserCapabilities } = require('../utils/permissions');
+
+const DEPARTMENTS = User.schema.path('department').enumValues;
+const CAPABILITY_NAMES = Object.keys(CAPABILITIES);
+
+const grantSchema = {
+  email: { type: 'email', required: true, label: 'Email' },
+  capability: { type: 'enum', required: true, values: CAPABILITY_NAMES, label: 'Capability' },
+  department: { type: 'enum', values: DEPARTMENTS, nullable: true, label: 'Department' },
+  note: { type: 'string', maxLength: 200, label: 'Note' },
+  expiresAt: { type: 'date', future: true, label: 'Expiry date' }
+};
+
+/**
+ * @route   GET /api/permissions/me
+ * @desc    Capabilities held by the current user, with their department scope
+ * @access  Private
+ */
+router.get('/me', protect, async (req, res) => {
+  try {
+    const capabilities = await getUserCapabilities(req.user);
+
+    res.json({
+      status: 'success',
+      data: { capabilities }
+    });
+  } catch (error) {
+    console.error('Error fetching capabilities:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching capabilities'
+    });
+  }
+});
+
+router.use(protect, authorize('admin'));
+
+/**
+ * @route   GET /api/permissions/capabilities
+ * @desc    Grantable capabilities and the departments a grant can be limited to
+ * @access  Admin
+ */
+router.get('/capabilities', (req, res) => {
+  res.json({
+    status: 'success',
+    data: {
+      capabilities: Object.entries(CAPABILITIES).map(([name, description]) => ({ name, description })),
+      departments: DEPARTMENTS
+    }
+  });
+});
+
+/**
+ * @route   GET /api/permissions
+ * @desc    List permission grants
+ * @access  Admin
+ * @param   {string} capability - Optional capability filter
+ * @param   {string} department - Optional department filter
+ */
+router.get('/', validate({
+  query: {
+    capability: { type: 'enum', values: CAPABILITY_NAMES, label: 'Capability' },
+    department: { type: 'enum', values: DEPARTMENTS, label: 'Department' }
+  }
+}), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.capability) {
+      query.capability = req.query.capability;
+    }
+    if (req.query.department) {
+      query.department = req.query.department;
+    }
+
+    const grants = await PermissionGrant.find(query)
+      .populate('user', 'fullName email role department')
+      .populate('grantedBy', 'fullName')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      status: 'success',
+      data: { grants }
+    });
+  } catch (error) {
+    console.error('Error fetching permission grants:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching permission grants'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/permissions
+ * @desc    Grant a capability to a user
+ * @access  Admin
+ * @param   {string} email - Email of the user receiving the grant
+ * @param   {string} capability - Capability name
+ * @param   {string} department - Optional department the grant is limited to
+ * @param   {string} note - Optional reason for the grant
+ * @param   {string} expiresAt - Optional end date
+ */
+router.post('/', validate({ body: grantSchema }), audit('permission.grant', PermissionGrant), async (req, res) => {
+  try {
+    const { email, capability, department, note, expiresAt } = req.body;
+
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No user with that email',
+        errors: [{ field: 'email', location: 'body', code: 'NOT_FOUND', message: 'No user with that email' }]
+      });
+    }
+    if (user.role === 'admin') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Admins already hold every capability',
+        errors: [{ field: 'email', location: 'body', code: 'INVALID_CHOICE', message: 'Admins already hold every capability' }]
+      });
+    }
+
+    const grant = await PermissionGrant.create({
+      user: user._id,
+      capability,
+      department: department || null,
+      note,
+      expiresAt: expiresAt || undefined,
+      grantedBy: req.user._id
+    });
+    await grant.populate('user', 'fullName email role department');
+
+    res.status(201).json({
+      status: 'success',
+      message: `Granted ${capability} to ${user.fullName}`,
+      data: { grant }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'This user already has that grant'
+      });
+    }
+    console.error('Error creating permission grant:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error creating permission grant'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/permissions/:id
+ * @desc    Revoke a permission grant
+ * @access  Admin
+ * @param   {string} id - PermissionGrant ID
+ */
+router.delete('/:id', validate({
+  params: { id: { type: 'objectId', required: true, label: 'Grant ID' } }
+}), audit('permission.revoke', PermissionGrant), async (req, res) => {
+  try {
+    const grant = await PermissionGrant.findByIdAndDelete(req.params.id);
+
+    if (!grant) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Grant not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Grant revoked'
+    });
+  } catch (error) {
+    console.error('Error revoking permission grant:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error revoking permission grant'
+    });
+  }
+});
+
+module.exports = router;
@@ -7,17 +7,55 @@
  * Routes:
  * - POST /api/placements: Submit new placement
  * - GET /api/placements/user/:userId: Get user's placements
- * - GET /api/placements: Get all placements (admin only)
- * - PUT /api/placements/:id: Update placement status (admin only)
+ * - GET /api/placements: Get all placements in scope (placements.view)
+ * - PUT /api/placements/:id: Update placement status (placements.approve)
+ *
+ * Access Control:
+ * - Placements carry the submitting student's department, so department
+ *   placement coordinators only see and approve their own department's
+ *   (see utils/permissions)
+ * - Request bodies are limited to the placement.submit/placement.review
+ *   policies (utils/fieldPolicies.js) and checked against the schemas below
  */
 
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requireCapability } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { allowFields } = require('../middleware/fieldAllowList');
+const { validate } = require('../middleware/validate');
+const { canAccessDepartment, scopeQuery } = require('../utils/permissions');
 const Placement = require('../models/Placement');
 
+const PLACEMENT_TYPES = Placement.schema.path('type').enumValues;
+
+const submitSchema = {
+  studentName: { type: 'string', required: true, maxLength: 100, label: 'Student name' },
+  year: { type: 'string', required: true, maxLength: 20, label: 'Year' },
+  company: { type: 'string', required: true, maxLength: 200, label: 'Company' },
+  type: { type: 'enum', required: true, values: PLACEMENT_TYPES, label: 'Type' },
+  position: { type: 'string', maxLength: 200, label: 'Position' },
+  package: { type: 'string', maxLength: 50, label: 'Package' },
+  location: { type: 'string', maxLength: 200, label: 'Location' },
+  joiningDate: { type: 'date', label: 'Joining date' },
+  additionalInfo: { type: 'string', maxLength: 2000, label: 'Additional information' }
+};
+
+const reviewSchema = {
+  status: { type: 'enum', values: Placement.schema.path('status').enumValues, label: 'Status' },
+  company: { type: 'string', minLength: 1, maxLength: 200, label: 'Company' },
+  year: { type: 'string', minLength: 1, maxLength: 20, label: 'Year' },
+  type: { type: 'enum', values: PLACEMENT_TYPES, label: 'Type' },
+  department: {
+    type: 'enum',
+    values: Placement.schema.path('department').enumValues.filter(Boolean),
+    nullable: true,
+    label: 'Department'
+  }
+};
+
 // Submit new placement
-router.post('/', protect, async (req, res) => {
+router.post('/', protect, allowFields('placement.submit'), validate({ body: submitSchema }), async (req, res) => {
   try {
     const {
       studentName,
@@ -41,7 +79,9 @@ router.post('/', protect, async (req, res) => {
       location,
       joiningDate,
       additionalInfo,
-      status: 'pending'
+      status: 'pending',
+      submittedBy: req.user._id,
+      department: req.user.department || null
     });
 
     res.status(201).json({
@@ -76,10 +116,10 @@ router.get('/user/:userId', protect, async (req, res) => {
   }
 });
 
-// Get all placements (admin only)
-router.get('/', protect, authorize('admin'), async (req, res) => {
+// Get all placements in the caller's departments (placements.view)
+router.get('/', protect, requireCapability('placements.view'), async (req, res) => {
   try {
-    const placements = await Placement.find().sort({ createdAt: -1 });
+    const placements = await Placement.find(scopeQuery(req.permissionScope)).sort({ createdAt: -1 });
 
     res.json({
       success: true,
@@ -94,22 +134,35 @@ router.get('/', protect, authorize('admin'), async (req, res) => {
   }
 });
 
-// Update placement status (admin only)
-router.put('/:id', protect, authorize('admin'), async (req, res) => {
+// Update placement status (placements.approve)
+router.put('/:id', protect, requireCapability('placements.approve'), allowFields('placement.review'), validate({
+  params: { id: { type: 'objectId', required: true, label: 'Placement ID' } },
+  body: reviewSchema
+}), audit('placement.update', Placement), async (req, res) => {
   try {
-    const placement = await Placement.findByIdAndUpdate(
-      req.params.id,
-      { $set: req.body },
-      { new: true, runValidators: true }
-    );
+    const existing = await Placement.findById(req.params.id).select('department');
 
-    if (!placement) {
+    if (!existing) {
       return res.status(404).json({
         success: false,
         message: 'Placement not found'
       });
     }
 
+    if (!canAccessDepartment(req.permissionScope, existing.department) ||
+        (req.body.department !== undefined && !canAccessDepartment(req.permissionScope, req.body.department || null))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only review placements for your own department'
+      });
+    }
+
+    const placement = await Placement.findByIdAndUpdate(
+      req.params.id,
+      { $set: req.body },
+      { new: true, runValidators: true }
+    );
+
     res.json({
       success: true,
       data: { placement }
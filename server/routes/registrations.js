@@ -0,0 +1,227 @@
+/**
+ * Registration Approval Routes
+ *
+ * Admin queue for signups that need approval before the account becomes
+ * active (alumni and admin registrations). Rejections are recorded in
+ * RejectedSignup and can optionally block the email from signing up again.
+ *
+ * Routes:
+ * - GET /api/registrations/pending: List accounts awaiting approval
+ * - POST /api/registrations/:id/approve: Approve a pending account
+ * - POST /api/registrations/:id/reject: Reject a pending account with a reason
+ * - GET /api/registrations/rejected: List rejected signups
+ * - DELETE /api/registrations/rejected/:id: Remove a rejection (unblocks the email)
+ *
+ * Access Control:
+ * - Admin-only access
+ *
+ * @type {dynamic} - Admin approval workflow
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { validate } = require('../middleware/validate');
+const User = require('../models/User');
+const RejectedSignup = require('../models/RejectedSignup');
+const {
+  sendRegistrationApprovedEmail,
+  sendRegistrationRejectedEmail
+} = require('../utils/emailService');
+
+router.use(protect, authorize('admin'));
+
+const idParamsSchema = {
+  id: { type: 'objectId', required: true, label: 'ID' }
+};
+
+// Email failures are logged but never undo an approval decision
+const sendDecisionEmail = async (send, ...args) => {
+  try {
+    await send(...args);
+  } catch (error) {
+    console.error('Error sending registration decision email:', error);
+  }
+};
+
+/**
+ * @route   GET /api/registrations/pending
+ * @desc    List accounts awaiting approval
+ * @access  Admin
+ */
+router.get('/pending', async (req, res) => {
+  try {
+    const users = await User.find({ approvalStatus: 'pending' })
+      .select('-password')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      status: 'success',
+      data: { users }
+    });
+  } catch (error) {
+    console.error('Error fetching pending registrations:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching pending registrations'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/registrations/:id/approve
+ * @desc    Approve a pending account
+ * @access  Admin
+ * @param   {string} id - User ID
+ */
+router.post('/:id/approve', validate({ params: idParamsSchema }), audit('registration.approve', User), async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, approvalStatus: 'pending' },
+      {
+        approvalStatus: 'approved',
+        approvedBy: req.user._id,
+        approvedAt: Date.now()
+      },
+      { new: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Pending registration not found'
+      });
+    }
+
+    await sendDecisionEmail(sendRegistrationApprovedEmail, user.email, user.fullName);
+
+    res.json({
+      status: 'success',
+      message: 'Registration approved',
+      data: { user }
+    });
+  } catch (error) {
+    console.error('Error approving registration:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error approving registration'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/registrations/:id/reject
+ * @desc    Reject a pending account
+ * @access  Admin
+ * @param   {string} id - User ID
+ * @param   {string} reason - Rejection reason sent to the applicant
+ * @param   {boolean} block - Refuse future signups from this email
+ */
+router.post('/:id/reject', validate({
+  params: idParamsSchema,
+  body: {
+    reason: { type: 'string', required: true, maxLength: 1000, label: 'Reason' },
+    block: { type: 'boolean', label: 'Block' }
+  }
+}), audit('registration.reject', User, {
+  meta: req => ({ reason: req.body.reason, blocked: Boolean(req.body.block) })
+}), async (req, res) => {
+  try {
+    const { reason, block } = req.body;
+
+    const user = await User.findOne({ _id: req.params.id, approvalStatus: 'pending' });
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Pending registration not found'
+      });
+    }
+
+    // One record per email; a repeat rejection replaces the previous one
+    const rejection = await RejectedSignup.findOneAndUpdate(
+      { email: user.email },
+      {
+        name: user.fullName,
+        email: user.email,
+        role: user.role,
+        reason,
+        rejectedBy: req.user._id,
+        blocked: Boolean(block),
+        createdAt: Date.now()
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    await User.deleteOne({ _id: user._id });
+    await sendDecisionEmail(sendRegistrationRejectedEmail, user.email, user.fullName, rejection.reason);
+
+    res.json({
+      status: 'success',
+      message: 'Registration rejected',
+      data: { rejection }
+    });
+  } catch (error) {
+    console.error('Error rejecting registration:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error rejecting registration'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/registrations/rejected
+ * @desc    List rejected signups
+ * @access  Admin
+ */
+router.get('/rejected', async (req, res) => {
+  try {
+    const rejections = await RejectedSignup.find()
+      .populate('rejectedBy', 'fullName email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      status: 'success',
+      data: { rejections }
+    });
+  } catch (error) {
+    console.error('Error fetching rejected signups:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching rejected signups'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/registrations/rejected/:id
+ * @desc    Remove a rejection record, allowing the email to sign up again
+ * @access  Admin
+ * @param   {string} id - RejectedSignup ID
+ */
+router.delete('/rejected/:id', validate({ params: idParamsSchema }), audit('rejected_signup.delete', RejectedSignup), async (req, res) => {
+  try {
+    const rejection = await RejectedSignup.findByIdAndDelete(req.params.id);
+
+    if (!rejection) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Rejected signup not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Rejection removed'
+    });
+  } catch (error) {
+    console.error('Error removing rejected signup:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error removing rejected signup'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,343 @@
+/**
+ * Roster Management Routes
+ *
+ * Lets admins maintain the institute roster that signups are verified
+ * against. All routes require an authenticated admin.
+ *
+ * Routes:
+ * - GET /api/roster: List roster entries (filter by role, search by email/ID)
+ * - POST /api/roster: Add a roster entry
+ * - PUT /api/roster/:id: Update a roster entry
+ * - DELETE /api/roster/:id: Remove a roster entry
+ * - POST /api/roster/import: Bulk import students/alumni from .xlsx/.csv
+ *   (dry run by default, send commit=true to write)
+ *
+ * Error Handling:
+ * - Duplicate email/ID entries
+ * - Validation errors
+ * - Missing entries
+ *
+ * @type {dynamic} - Admin-managed roster data
+ */
+
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const path = require('path');
+const { protect, authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { validate } = require('../middleware/validate');
+const Roster = require('../models/Roster');
+const { parseExcel } = require('../utils/excelService');
+const { IMPORT_ROLES, buildImportPlan, applyImportPlan } = require('../utils/rosterService');
+
+// Roster sheets are parsed in memory and never written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: function (req, file, cb) {
+    const extname = path.extname(file.originalname).toLowerCase();
+    if (['.xlsx', '.xls', '.csv'].includes(extname)) {
+      return cb(null, true);
+    }
+    cb(new Error('Only .xlsx, .xls and .csv files are allowed!'));
+  }
+});
+
+const uploadRosterFile = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        status: 'error',
+        message: err.message
+      });
+    }
+    next();
+  });
+};
+
+// Documented as a multipart upload by utils/openapi.js
+uploadRosterFile.fileField = 'file';
+
+const ROSTER_FIELDS = [
+  'role',
+  'email',
+  'fullName',
+  'studentId',
+  'collegeId',
+  'facultyId',
+  'department',
+  'yearOfStudy',
+  'graduationYear'
+];
+
+const ROLES = Roster.schema.path('role').enumValues;
+
+// Updates may change any subset of the fields
+const rosterUpdateSchema = {
+  role: { type: 'enum', values: ROLES, label: 'Role' },
+  email: { type: 'email', label: 'Email' },
+  fullName: { type: 'string', maxLength: 100, label: 'Full name' },
+  studentId: { type: 'string', maxLength: 50, label: 'Student ID' },
+  collegeId: { type: 'string', maxLength: 50, label: 'College ID' },
+  facultyId: { type: 'string', maxLength: 50, label: 'Faculty ID' },
+  department: { type: 'enum', values: Roster.schema.path('department').enumValues, label: 'Department' },
+  yearOfStudy: { type: 'enum', values: Roster.schema.path('yearOfStudy').enumValues, label: 'Year of study' },
+  graduationYear: { type: 'integer', min: 1900, max: 2100, label: 'Graduation year' }
+};
+
+const rosterCreateSchema = {
+  ...rosterUpdateSchema,
+  role: { ...rosterUpdateSchema.role, required: true },
+  email: { ...rosterUpdateSchema.email, required: true }
+};
+
+const idParamsSchema = {
+  id: { type: 'objectId', required: true, label: 'Roster entry ID' }
+};
+
+const pickRosterFields = (body) => Object.fromEntries(
+  ROSTER_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const duplicateMessage = (error) => {
+  const field = Object.keys(error.keyPattern || {}).find(key => key !== 'role') || 'email';
+  return `A roster entry with this ${field} already exists`;
+};
+
+router.use(protect, authorize('admin'));
+
+/**
+ * @route   GET /api/roster
+ * @desc    List roster entries
+ * @access  Admin
+ * @param   {string} role - Optional role filter
+ * @param   {string} search - Optional email/ID/name search
+ */
+router.get('/', validate({
+  query: {
+    role: { type: 'enum', values: ROLES, label: 'Role' },
+    search: { type: 'string', maxLength: 100, label: 'Search' }
+  }
+}), async (req, res) => {
+  try {
+    const { role, search } = req.query;
+    const query = {};
+
+    if (role) {
+      query.role = role;
+    }
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [
+        { email: pattern },
+        { fullName: pattern },
+        { studentId: pattern },
+        { collegeId: pattern },
+        { facultyId: pattern }
+      ];
+    }
+
+    const entries = await Roster.find(query).sort({ role: 1, email: 1 });
+
+    res.json({
+      status: 'success',
+      data: { entries }
+    });
+  } catch (error) {
+    console.error('Error fetching roster:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching roster'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/roster
+ * @desc    Add a roster entry
+ * @access  Admin
+ */
+router.post('/', validate({ body: rosterCreateSchema }), audit('roster.create', Roster), async (req, res) => {
+  try {
+    const entry = await Roster.create({
+      ...pickRosterFields(req.body),
+      addedBy: req.user._id
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Roster entry created successfully',
+      data: { entry }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: duplicateMessage(error)
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    console.error('Error creating roster entry:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error creating roster entry'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/roster/import
+ * @desc    Bulk import roster entries from a spreadsheet
+ * @access  Admin
+ * @param   {File} file - .xlsx/.xls/.csv file, first sheet is read
+ * @param   {string} role - 'student' or 'alumni'
+ * @param   {string} commit - 'true' to write changes; otherwise only a dry-run diff is returned
+ */
+router.post('/import', uploadRosterFile, validate({
+  body: {
+    role: { type: 'enum', required: true, values: IMPORT_ROLES, label: 'Role' },
+    commit: { type: 'enum', values: ['true', 'false'], label: 'Commit' }
+  }
+}), audit('roster.import', null, {
+  // Dry runs change nothing
+  skip: req => req.body.commit !== 'true',
+  meta: (req, body) => ({ role: req.body.role, file: req.file?.originalname, summary: body?.data?.summary })
+}), async (req, res) => {
+  try {
+    const { role } = req.body;
+    const commit = req.body.commit === 'true';
+
+    if (!req.file) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please upload a spreadsheet file'
+      });
+    }
+
+    const rows = parseExcel(req.file.buffer);
+    if (!rows.length) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'The uploaded sheet has no data rows'
+      });
+    }
+
+    const plan = await buildImportPlan(rows, role);
+    const summary = commit
+      ? await applyImportPlan(plan, req.user._id)
+      : {
+        created: plan.creates.length,
+        updated: plan.updates.length,
+        unchanged: plan.unchanged,
+        failed: plan.errors.length
+      };
+
+    res.json({
+      status: 'success',
+      message: commit ? 'Roster import completed' : 'Dry run completed, no changes were saved',
+      data: {
+        committed: commit,
+        summary,
+        creates: plan.creates,
+        updates: plan.updates,
+        errors: plan.errors
+      }
+    });
+  } catch (error) {
+    console.error('Error importing roster:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Error importing roster'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/roster/:id
+ * @desc    Update a roster entry
+ * @access  Admin
+ * @param   {string} id - Roster entry ID
+ */
+router.put('/:id', validate({ params: idParamsSchema, body: rosterUpdateSchema }), audit('roster.update', Roster), async (req, res) => {
+  try {
+    const entry = await Roster.findByIdAndUpdate(
+      req.params.id,
+      { $set: pickRosterFields(req.body) },
+      { new: true, runValidators: true }
+    );
+
+    if (!entry) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Roster entry not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Roster entry updated successfully',
+      data: { entry }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: duplicateMessage(error)
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    console.error('Error updating roster entry:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error updating roster entry'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/roster/:id
+ * @desc    Remove a roster entry
+ * @access  Admin
+ * @param   {string} id - Roster entry ID
+ */
+router.delete('/:id', validate({ params: idParamsSchema }), audit('roster.delete', Roster), async (req, res) => {
+  try {
+    const entry = await Roster.findByIdAndDelete(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Roster entry not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Roster entry deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting roster entry:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error deleting roster entry'
+    });
+  }
+});
+
+module.exports = router;
@@ -5,13 +5,13 @@
  * and management of mentoring/guidance sessions between users.
  * 
  * Routes:
- * - POST /api/sessions/create: Create new session request
- * - GET /api/sessions/user/:userId: Get user's sessions
- * - GET /api/sessions/pending: Get pending session requests
- * - PUT /api/sessions/:id/status: Update session status
- * - GET /api/sessions/stats: Get session statistics
- * - GET /api/sessions/upcoming: Get upcoming sessions
- * - DELETE /api/sessions/:id: Cancel/delete session
+ * - GET /api/sessions: List all sessions
+ * - GET /api/sessions/heads: Users who can head a session, by name (sessions.manage)
+ * - GET /api/sessions/user/:userId: Sessions headed by a user (scheduled and conducted)
+ * - GET /api/sessions/:id: Get one session
+ * - POST /api/sessions: Create a session (sessions.manage)
+ * - PUT /api/sessions/:id: Update a session, including its status (sessions.manage)
+ * - DELETE /api/sessions/:id: Delete a session (sessions.manage)
  * 
  * Features:
  * - Session request creation
@@ -23,11 +23,20 @@
  * Access Control:
  * - Students can request sessions
  * - Alumni/Faculty can accept/reject requests
+ * - Creating, editing and deleting sessions needs the sessions.manage
+ *   capability; department-scoped holders only manage their department's
+ *   sessions, and institute-wide sessions need an unscoped grant
  * - Admins have full access
  * - Users can only view their own sessions
+ * - The session head and participants are shown according to their
+ *   privacy settings (utils/privacy.js)
  * 
  * Data Validation:
+ * - Writable fields limited by the session.create/session.update policies
+ *   (utils/fieldPolicies.js)
  * - Date/time validation
+ * - The session head is an alumni, faculty or admin account, or the name
+ *   of a guest speaker (sessionHeadName)
  * - User role verification
  * - Session status transitions
  * 
@@ -42,15 +51,107 @@
 
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requireCapability } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { allowFields } = require('../middleware/fieldAllowList');
+const { validate } = require('../middleware/validate');
+const { canAccessDepartment } = require('../utils/permissions');
+const { PRIVACY_FIELDS, applyPrivacy } = require('../utils/privacy');
 const Session = require('../models/Session');
+const User = require('../models/User');
+
+const DEPARTMENTS = Session.schema.path('department').enumValues;
+
+// "All" (or no department) means an institute-wide session
+const normalizeDepartment = (body) => {
+  if (body.department !== undefined) {
+    body.department = DEPARTMENTS.includes(body.department) ? body.department : null;
+  }
+};
+
+// Updates may send any subset of the fields; creating a session needs the required ones
+const sessionUpdateSchema = {
+  title: { type: 'string', maxLength: 200, label: 'Title' },
+  description: { type: 'string', maxLength: 5000, label: 'Description' },
+  date: { type: 'date', label: 'Date' },
+  time: {
+    type: 'string',
+    pattern: /^([01]\d|2[0-3]):[0-5]\d$/,
+    patternMessage: 'Time must be in HH:MM format',
+    label: 'Time'
+  },
+  venue: { type: 'string', maxLength: 200, label: 'Venue' },
+  sessionHead: { type: 'objectId', label: 'Session head' },
+  sessionHeadName: { type: 'string', maxLength: 100, label: 'Guest speaker' },
+  department: { type: 'enum', values: [...DEPARTMENTS.filter(Boolean), 'All'], nullable: true, label: 'Department' },
+  feedbackFormLink: { type: 'url', label: 'Feedback form link' },
+  status: { type: 'enum', values: Session.schema.path('status').enumValues, label: 'Status' },
+  meetingLink: { type: 'url', label: 'Meeting link' }
+};
+
+const sessionCreateSchema = Object.fromEntries(
+  Object.entries(sessionUpdateSchema).map(([field, rule]) => [
+    field,
+    ['title', 'description', 'date', 'time', 'venue'].includes(field) ? { ...rule, required: true } : rule
+  ])
+);
+
+const HEAD_ROLES = ['alumni', 'faculty', 'admin'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Alumni, faculty and admin accounts can head sessions once their registration
+// is approved (accounts from before approvals existed have no approvalStatus)
+const HEAD_QUERY = { role: { $in: HEAD_ROLES }, approvalStatus: { $ne: 'pending' } };
+
+// A linked head must be one of those accounts
+const invalidHead = async (sessionHead) => (
+  Boolean(sessionHead) && !(await User.exists({ _id: sessionHead, ...HEAD_QUERY }))
+);
+
+// Empty head fields would leave a session without a head
+const dropEmptyHead = (fields) => {
+  ['sessionHead', 'sessionHeadName'].forEach((field) => {
+    if (!fields[field]) delete fields[field];
+  });
+  return fields;
+};
+
+const invalidHeadResponse = (res) => res.status(400).json({
+  status: 'error',
+  code: 'VALIDATION_ERROR',
+  message: 'Session head must be an alumni, faculty or admin account',
+  errors: [{ field: 'sessionHead', location: 'body', code: 'INVALID_CHOICE', message: 'Session head must be an alumni, faculty or admin account' }]
+});
+
+const idParamsSchema = {
+  id: { type: 'objectId', required: true, label: 'Session ID' }
+};
+
+// The head as the viewer may see them: the populated user, or the guest speaker's name
+const headFor = (session, viewer) => (
+  session.sessionHead ? applyPrivacy(session.sessionHead, viewer) : { fullName: session.sessionHeadName || 'TBA' }
+);
+
+// A populated session with its head and participants shown as the viewer may see them
+const withPrivacy = (session, viewer) => {
+  const record = session.toObject();
+  record.sessionHead = headFor(record, viewer);
+  record.participants = (record.participants || []).map(user => applyPrivacy(user, viewer));
+  return record;
+};
+
+const departmentForbidden = (res) => res.status(403).json({
+  status: 'error',
+  message: 'You can only manage sessions for your own department'
+});
 
 // Get all sessions
 router.get('/', protect, async (req, res) => {
   try {
     const sessions = await Session.find()
-      .populate('sessionHead', 'fullName email profilePhoto')
-      .populate('participants', 'fullName email')
+      .populate('sessionHead', `fullName email profilePhoto ${PRIVACY_FIELDS}`)
+      .populate('participants', `fullName email ${PRIVACY_FIELDS}`)
       .sort({ date: 1 }); // Sort by date ascending
 
     if (!sessions) {
@@ -71,8 +172,8 @@ router.get('/', protect, async (req, res) => {
           time: session.time || '00:00',
           venue: session.venue || 'TBA',
           status: session.status || 'upcoming',
-          sessionHead: session.sessionHead || { fullName: 'TBA' },
-          participants: session.participants || [],
+          sessionHead: headFor(session, req.user),
+          participants: (session.participants || []).map(user => applyPrivacy(user, req.user)),
           meetingLink: session.meetingLink,
           feedbackFormLink: session.feedbackFormLink
         };
@@ -97,12 +198,73 @@ router.get('/', protect, async (req, res) => {
   }
 });
 
+// Users who can head a session, matched on the start of any word of their name
+router.get('/heads', protect, requireCapability('sessions.manage'), validate({
+  query: { search: { type: 'string', required: true, maxLength: 100, label: 'Search' } }
+}), async (req, res) => {
+  try {
+    const users = await User.find({
+      ...HEAD_QUERY,
+      deletionScheduledFor: null,
+      fullName: { $regex: `\\b${escapeRegex(req.query.search)}`, $options: 'i' }
+    })
+      .select('fullName role department')
+      .sort('fullName')
+      .limit(10);
+
+    res.json({
+      status: 'success',
+      data: { users }
+    });
+  } catch (error) {
+    console.error('Error searching session heads:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error searching users. Please try again later.'
+    });
+  }
+});
+
+// Get the sessions a user heads (linked as sessionHead): scheduled ones and completed ones with attendance
+router.get('/user/:userId', protect, validate({
+  params: { userId: { type: 'objectId', required: true, label: 'User ID' } }
+}), async (req, res) => {
+  try {
+    const sessions = await Session.find({ sessionHead: req.params.userId })
+      .select('title date status participants')
+      .sort({ date: -1 })
+      .lean();
+
+    const summarize = session => ({
+      _id: session._id,
+      title: session.title,
+      date: session.date,
+      status: session.status,
+      attendees: (session.participants || []).length
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        requestedSessions: sessions.filter(session => session.status !== 'completed').map(summarize),
+        conductedSessions: sessions.filter(session => session.status === 'completed').map(summarize)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching user sessions:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching sessions. Please try again later.'
+    });
+  }
+});
+
 // Get session by ID
-router.get('/:id', protect, async (req, res) => {
+router.get('/:id', protect, validate({ params: idParamsSchema }), async (req, res) => {
   try {
     const session = await Session.findById(req.params.id)
-      .populate('sessionHead', 'fullName email profilePhoto')
-      .populate('participants', 'fullName email');
+      .populate('sessionHead', `fullName email profilePhoto ${PRIVACY_FIELDS}`)
+      .populate('participants', `fullName email ${PRIVACY_FIELDS}`);
     
     if (!session) {
       return res.status(404).json({
@@ -119,8 +281,8 @@ router.get('/:id', protect, async (req, res) => {
       time: session.time || '00:00',
       venue: session.venue || 'TBA',
       status: session.status || 'upcoming',
-      sessionHead: session.sessionHead || { fullName: 'TBA' },
-      participants: session.participants || [],
+      sessionHead: headFor(session, req.user),
+      participants: (session.participants || []).map(user => applyPrivacy(user, req.user)),
       meetingLink: session.meetingLink,
       feedbackFormLink: session.feedbackFormLink
     };
@@ -138,24 +300,35 @@ router.get('/:id', protect, async (req, res) => {
   }
 });
 
-// Create new session (admin only)
-router.post('/', protect, authorize('admin'), async (req, res) => {
+// Create new session (sessions.manage)
+router.post('/', protect, requireCapability('sessions.manage'), allowFields('session.create'), validate({ body: sessionCreateSchema }), audit('session.create', Session), async (req, res) => {
   try {
-    const sessionData = {
-      ...req.body,
-      sessionHead: req.body.sessionHead || req.user._id // Default to current user if not specified
-    };
+    normalizeDepartment(req.body);
+    if (!canAccessDepartment(req.permissionScope, req.body.department || null)) {
+      return departmentForbidden(res);
+    }
+
+    if (await invalidHead(req.body.sessionHead)) {
+      return invalidHeadResponse(res);
+    }
+
+    const sessionData = dropEmptyHead({ ...req.body });
+    if (sessionData.sessionHead) {
+      delete sessionData.sessionHeadName;
+    } else if (!sessionData.sessionHeadName) {
+      sessionData.sessionHead = req.user._id; // Default to current user if not specified
+    }
 
     const session = await Session.create(sessionData);
     
     const populatedSession = await Session.findById(session._id)
-      .populate('sessionHead', 'fullName email profilePhoto')
-      .populate('participants', 'fullName email');
+      .populate('sessionHead', `fullName email profilePhoto ${PRIVACY_FIELDS}`)
+      .populate('participants', `fullName email ${PRIVACY_FIELDS}`);
 
     res.status(201).json({
       status: 'success',
       message: 'Session created successfully',
-      data: { session: populatedSession }
+      data: { session: withPrivacy(populatedSession, req.user) }
     });
   } catch (error) {
     console.error('Error creating session:', error);
@@ -166,16 +339,45 @@ router.post('/', protect, authorize('admin'), async (req, res) => {
   }
 });
 
-// Update session (admin only)
-router.put('/:id', protect, authorize('admin'), async (req, res) => {
+// Update session (sessions.manage)
+router.put('/:id', protect, requireCapability('sessions.manage'), allowFields('session.update'), validate({ params: idParamsSchema, body: sessionUpdateSchema }), audit('session.update', Session), async (req, res) => {
   try {
+    const existing = await Session.findById(req.params.id).select('department');
+
+    if (!existing) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Session not found'
+      });
+    }
+
+    // Both the current department and any new one must be within scope
+    normalizeDepartment(req.body);
+    if (!canAccessDepartment(req.permissionScope, existing.department) ||
+        (req.body.department !== undefined && !canAccessDepartment(req.permissionScope, req.body.department))) {
+      return departmentForbidden(res);
+    }
+
+    if (await invalidHead(req.body.sessionHead)) {
+      return invalidHeadResponse(res);
+    }
+
+    // A session is headed by a user or a guest speaker, not both
+    const update = { $set: dropEmptyHead({ ...req.body }) };
+    if (update.$set.sessionHead) {
+      delete update.$set.sessionHeadName;
+      update.$unset = { sessionHeadName: 1 };
+    } else if (update.$set.sessionHeadName) {
+      update.$unset = { sessionHead: 1 };
+    }
+
     const session = await Session.findByIdAndUpdate(
       req.params.id,
-      { $set: req.body },
+      update,
       { new: true, runValidators: true }
-    ).populate('sessionHead', 'fullName email profilePhoto')
-     .populate('participants', 'fullName email');
-    
+    ).populate('sessionHead', `fullName email profilePhoto ${PRIVACY_FIELDS}`)
+     .populate('participants', `fullName email ${PRIVACY_FIELDS}`);
+
     if (!session) {
       return res.status(404).json({
         status: 'error',
@@ -186,7 +388,7 @@ router.put('/:id', protect, authorize('admin'), async (req, res) => {
     res.json({
       status: 'success',
       message: 'Session updated successfully',
-      data: { session }
+      data: { session: withPrivacy(session, req.user) }
     });
   } catch (error) {
     console.error('Error updating session:', error);
@@ -197,10 +399,10 @@ router.put('/:id', protect, authorize('admin'), async (req, res) => {
   }
 });
 
-// Delete session (admin only)
-router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+// Delete session (sessions.manage)
+router.delete('/:id', protect, requireCapability('sessions.manage'), validate({ params: idParamsSchema }), audit('session.delete', Session), async (req, res) => {
   try {
-    const session = await Session.findByIdAndDelete(req.params.id);
+    const session = await Session.findById(req.params.id);
     
     if (!session) {
       return res.status(404).json({
@@ -209,6 +411,12 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
       });
     }
 
+    if (!canAccessDepartment(req.permissionScope, session.department)) {
+      return departmentForbidden(res);
+    }
+
+    await session.deleteOne();
+
     res.json({
       status: 'success',
       message: 'Session deleted successfully'
@@ -0,0 +1,466 @@
+/**
+ * Skill Routes
+ *
+ * The curated skills list (names with aliases), the users who have a skill,
+ * and endorsements of student skills.
+ *
+ * Routes:
+ * - GET /api/skills: List skills, or autocomplete with ?search=
+ * - POST /api/skills: Add a skill (admin)
+ * - PUT /api/skills/:id: Rename a skill or change its aliases (admin)
+ * - DELETE /api/skills/:id: Remove a skill from the list and all profiles (admin)
+ * - GET /api/skills/:id/users: Users who have a skill, most endorsed first
+ * - GET /api/skills/endorsements/:userId: Endorsement counts for a user's skills
+ * - POST /api/skills/endorsements/:userId: Endorse a student's skill (alumni, faculty)
+ * - DELETE /api/skills/endorsements/:userId/:skill: Withdraw an endorsement
+ *
+ * Access Control:
+ * - Any signed-in user can search skills, find users by skill and see counts
+ * - Accounts awaiting registration approval or scheduled for deletion are
+ *   not listed by skill; alumni who limited their directory listing are
+ *   left out for those who cannot find them in the directory
+ * - Users who hid their skills from the caller (utils/privacy.js) are not
+ *   listed by skill, and their skills cannot be seen or endorsed
+ * - Only alumni and faculty endorse, and only students' skills
+ *
+ * @type {dynamic} - Skills taxonomy and endorsements
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { validate } = require('../middleware/validate');
+const Skill = require('../models/Skill');
+const SkillEndorsement = require('../models/SkillEndorsement');
+const User = require('../models/User');
+const { applyPrivacy, canView, effectivePrivacy, privacyQuery } = require('../utils/privacy');
+
+const ENDORSER_ROLES = ['alumni', 'faculty'];
+const LISTING_FIELDS = {
+  fullName: 1,
+  role: 1,
+  department: 1,
+  yearOfStudy: 1,
+  yearOfPassedOut: 1,
+  designation: 1,
+  currentCompany: 1,
+  profilePhoto: 1,
+  profilePhotoSizes: 1,
+  skills: 1,
+  privacy: 1
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const skillSchema = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 50, label: 'Name' },
+  aliases: {
+    type: 'array',
+    maxItems: 20,
+    items: { type: 'string', minLength: 1, maxLength: 50, label: 'Alias' },
+    label: 'Aliases'
+  },
+  category: { type: 'string', maxLength: 50, label: 'Category' }
+};
+
+const idParamsSchema = {
+  id: { type: 'objectId', required: true, label: 'Skill ID' }
+};
+
+const userParamsSchema = {
+  userId: { type: 'objectId', required: true, label: 'User ID' }
+};
+
+// A name or alias already used by another skill
+const duplicateError = (res) => res.status(409).json({
+  status: 'error',
+  message: 'Another skill already uses this name or alias',
+  errors: [{ field: 'name', location: 'body', code: 'DUPLICATE', message: 'Another skill already uses this name or alias' }]
+});
+
+// Alumni-only directory listings are shown to other alumni and admins
+const visibleAlumni = (role) => (
+  role === 'alumni' || role === 'admin' ? ['everyone', 'alumni', null] : ['everyone', null]
+);
+
+/**
+ * @route   GET /api/skills
+ * @desc    List skills by name, or those whose name or alias starts with the search
+ * @access  Private
+ * @param   {string} search - Optional prefix (autocomplete)
+ * @param   {number} limit - Maximum results (default 10 with a search, all without)
+ */
+router.get('/', protect, validate({
+  query: {
+    search: { type: 'string', maxLength: 50, label: 'Search' },
+    limit: { type: 'integer', min: 1, max: 50, label: 'Limit' }
+  }
+}), async (req, res) => {
+  try {
+    const search = req.query.search ? Skill.toKey(req.query.search) : '';
+    const query = search ? { keys: { $regex: `^${escapeRegex(search)}` } } : {};
+    const limit = req.query.limit || (search ? 10 : 0);
+
+    const skills = await Skill.find(query)
+      .select('name aliases category')
+      .collation({ locale: 'en', strength: 2 })
+      .sort({ name: 1 })
+      .limit(limit);
+
+    res.json({
+      status: 'success',
+      data: { skills }
+    });
+  } catch (error) {
+    console.error('Error fetching skills:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching skills'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/skills
+ * @desc    Add a skill to the list
+ * @access  Admin
+ * @param   {string} name - Skill name shown on profiles
+ * @param   {string[]} aliases - Other spellings that resolve to it
+ * @param   {string} category - Optional grouping
+ */
+router.post('/', protect, authorize('admin'), validate({ body: skillSchema }), audit('skill.create', Skill), async (req, res) => {
+  try {
+    const { name, aliases, category } = req.body;
+    const skill = await Skill.create({ name, aliases, category, createdBy: req.user._id });
+
+    res.status(201).json({
+      status: 'success',
+      message: `Added ${skill.name}`,
+      data: { skill }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return duplicateError(res);
+    }
+    console.error('Error creating skill:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error creating skill'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/skills/:id
+ * @desc    Update a skill; a new name is applied to every profile and endorsement
+ * @access  Admin
+ * @param   {string} id - Skill ID
+ */
+router.put('/:id', protect, authorize('admin'), validate({ params: idParamsSchema, body: skillSchema }), audit('skill.update', Skill), async (req, res) => {
+  try {
+    const skill = await Skill.findById(req.params.id);
+    if (!skill) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Skill not found'
+      });
+    }
+
+    const previousName = skill.name;
+    const { name, aliases, category } = req.body;
+    skill.set({ name, aliases: aliases || [], category });
+    await skill.save();
+
+    if (skill.name !== previousName) {
+      await Promise.all([
+        User.updateMany(
+          { skills: previousName },
+          { $set: { 'skills.$[old]': skill.name } },
+          { arrayFilters: [{ old: previousName }] }
+        ),
+        SkillEndorsement.updateMany({ skill: previousName }, { $set: { skill: skill.name } })
+      ]);
+    }
+
+    res.json({
+      status: 'success',
+      message: `Updated ${skill.name}`,
+      data: { skill }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return duplicateError(res);
+    }
+    console.error('Error updating skill:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error updating skill'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/skills/:id
+ * @desc    Remove a skill from the list, from every profile and its endorsements
+ * @access  Admin
+ * @param   {string} id - Skill ID
+ */
+router.delete('/:id', protect, authorize('admin'), validate({ params: idParamsSchema }), audit('skill.delete', Skill), async (req, res) => {
+  try {
+    const skill = await Skill.findByIdAndDelete(req.params.id);
+    if (!skill) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Skill not found'
+      });
+    }
+
+    await Promise.all([
+      User.updateMany({ skills: skill.name }, { $pull: { skills: skill.name } }),
+      SkillEndorsement.deleteMany({ skill: skill.name })
+    ]);
+
+    res.json({
+      status: 'success',
+      message: `Removed ${skill.name}`
+    });
+  } catch (error) {
+    console.error('Error deleting skill:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error deleting skill'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/skills/:id/users
+ * @desc    Users who have a skill, most endorsed first
+ * @access  Private
+ * @param   {string} id - Skill ID
+ * @param   {string} role - Optional role filter
+ * @param   {number} page - Page number (default 1)
+ * @param   {number} limit - Page size (default 20, max 50)
+ */
+router.get('/:id/users', protect, validate({
+  params: idParamsSchema,
+  query: {
+    role: { type: 'enum', values: ['student', 'alumni', 'faculty'], label: 'Role' },
+    page: { type: 'integer', min: 1, label: 'Page' },
+    limit: { type: 'integer', min: 1, max: 50, label: 'Limit' }
+  }
+}), async (req, res) => {
+  try {
+    const { role, page = 1, limit = 20 } = req.query;
+    const skill = await Skill.findById(req.params.id).select('name');
+    if (!skill) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Skill not found'
+      });
+    }
+
+    const query = {
+      skills: skill.name,
+      approvalStatus: { $ne: 'pending' },
+      deletionScheduledFor: null,
+      role: role || { $in: ['student', 'alumni', 'faculty'] },
+      $or: [
+        { role: { $ne: 'alumni' } },
+        { directoryVisibility: { $in: visibleAlumni(req.user.role) } }
+      ],
+      $and: [privacyQuery('skills', req.user)]
+    };
+
+    const [results] = await User.aggregate([
+      { $match: query },
+      {
+        $lookup: {
+          from: SkillEndorsement.collection.name,
+          let: { userId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $and: [{ $eq: ['$user', '$$userId'] }, { $eq: ['$skill', skill.name] }] } } },
+            { $project: { endorsedBy: 1 } }
+          ],
+          as: 'endorsements'
+        }
+      },
+      {
+        $facet: {
+          users: [
+            {
+              $addFields: {
+                endorsementCount: { $size: '$endorsements' },
+                endorsedByMe: { $in: [req.user._id, '$endorsements.endorsedBy'] }
+              }
+            },
+            { $sort: { endorsementCount: -1, fullName: 1 } },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            { $project: { ...LISTING_FIELDS, endorsementCount: 1, endorsedByMe: 1 } }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const total = results.total[0]?.count || 0;
+
+    res.json({
+      status: 'success',
+      data: {
+        skill,
+        users: results.users.map(user => applyPrivacy(user, req.user)),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching users by skill:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching users by skill'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/skills/endorsements/:userId
+ * @desc    Endorsement counts for each of a user's skills
+ * @access  Private
+ * @param   {string} userId - User ID
+ */
+router.get('/endorsements/:userId', protect, validate({ params: userParamsSchema }), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('role skills privacy department');
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+    const skills = canView(effectivePrivacy(user).skills, user, req.user) ? user.skills || [] : [];
+
+    const summary = await SkillEndorsement.summarize(user._id, req.user._id);
+
+    res.json({
+      status: 'success',
+      data: {
+        skills: skills.map(name => ({
+          name,
+          count: summary[name]?.count || 0,
+          endorsedByMe: summary[name]?.endorsedByMe || false
+        })),
+        canEndorse: user.role === 'student' && ENDORSER_ROLES.includes(req.user.role)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching endorsements:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching endorsements'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/skills/endorsements/:userId
+ * @desc    Endorse one of a student's skills
+ * @access  Private (alumni and faculty)
+ * @param   {string} userId - Student's user ID
+ * @param   {string} skill - Skill name from the student's profile
+ */
+router.post('/endorsements/:userId', protect, authorize(...ENDORSER_ROLES), validate({
+  params: userParamsSchema,
+  body: { skill: { type: 'string', required: true, maxLength: 50, label: 'Skill' } }
+}), async (req, res) => {
+  try {
+    const student = await User.findOne({
+      _id: req.params.userId,
+      role: 'student',
+      approvalStatus: { $ne: 'pending' },
+      deletionScheduledFor: null
+    }).select('skills privacy department');
+    if (!student) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Student not found'
+      });
+    }
+    const visibleSkills = canView(effectivePrivacy(student).skills, student, req.user) ? student.skills || [] : [];
+    if (!visibleSkills.includes(req.body.skill)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'The student does not list this skill',
+        errors: [{ field: 'skill', location: 'body', code: 'INVALID_CHOICE', message: 'The student does not list this skill' }]
+      });
+    }
+
+    await SkillEndorsement.create({ user: student._id, skill: req.body.skill, endorsedBy: req.user._id });
+    const count = await SkillEndorsement.countDocuments({ user: student._id, skill: req.body.skill });
+
+    res.status(201).json({
+      status: 'success',
+      message: `Endorsed ${req.body.skill}`,
+      data: { skill: req.body.skill, count }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'You have already endorsed this skill'
+      });
+    }
+    console.error('Error endorsing skill:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error endorsing skill'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/skills/endorsements/:userId/:skill
+ * @desc    Withdraw your endorsement of a skill
+ * @access  Private (alumni and faculty)
+ * @param   {string} userId - Student's user ID
+ * @param   {string} skill - Skill name
+ */
+router.delete('/endorsements/:userId/:skill', protect, authorize(...ENDORSER_ROLES), validate({
+  params: {
+    ...userParamsSchema,
+    skill: { type: 'string', required: true, maxLength: 50, label: 'Skill' }
+  }
+}), async (req, res) => {
+  try {
+    const { userId, skill } = req.params;
+    const endorsement = await SkillEndorsement.findOneAndDelete({ user: userId, skill, endorsedBy: req.user._id });
+    if (!endorsement) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Endorsement not found'
+      });
+    }
+
+    const count = await SkillEndorsement.countDocuments({ user: userId, skill });
+
+    res.json({
+      status: 'success',
+      message: `Withdrew your endorsement of ${skill}`,
+      data: { skill, count }
+    });
+  } catch (error) {
+    console.error('Error withdrawing endorsement:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error withdrawing endorsement'
+    });
+  }
+});
+
+module.exports = router;
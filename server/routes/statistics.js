@@ -5,11 +5,10 @@
  * about users, sessions, placements, and system performance.
  * 
  * Routes:
- * - GET /api/statistics/overview: Get general platform statistics
- * - GET /api/statistics/users: Get user-related statistics
- * - GET /api/statistics/sessions: Get session-related statistics
- * - GET /api/statistics/placements: Get placement/internship statistics
- * - GET /api/statistics/signups: Get signup success/failure statistics
+ * - GET /api/statistics: User, alumni employment, session, placement and
+ *   signup statistics
+ * - GET /api/statistics/students: Students, filtered by branch and year of study
+ * - GET /api/statistics/alumni: Alumni, filtered by branch and graduation year
  * 
  * Data Categories:
  * - User Statistics:
@@ -17,6 +16,10 @@
  *   - Active/inactive users
  *   - New registrations over time
  * 
+ * - Alumni Employment:
+ *   - Where alumni work now (current positions by company)
+ *   - Alumni in higher studies, by university
+ *
  * - Session Statistics:
  *   - Total sessions
  *   - Sessions by status
@@ -55,12 +58,32 @@
 const express = require('express');
 const router = express.Router();
 const { protect, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
 const User = require('../models/User');
 const Session = require('../models/Session');
 const Placement = require('../models/Placement');
 const RejectedSignup = require('../models/RejectedSignup');
 const FailedSignup = require('../models/FailedSignup');
 
+// Filters send ALL for "any"
+const BRANCHES = ['ALL', ...User.schema.path('department').enumValues];
+
+const studentQuerySchema = {
+  branch: { type: 'enum', values: BRANCHES, label: 'Branch' },
+  year: { type: 'enum', values: ['ALL', ...User.schema.path('yearOfStudy').enumValues], label: 'Year' }
+};
+
+const alumniQuerySchema = {
+  branch: { type: 'enum', values: BRANCHES, label: 'Branch' },
+  year: { type: 'string', pattern: /^(ALL|\d{4})$/, patternMessage: 'Year must be ALL or a graduation year', label: 'Year' }
+};
+
+const directoryFilter = (role, branch, yearField, year) => ({
+  role,
+  ...(branch && branch !== 'ALL' && { department: branch }),
+  ...(year && year !== 'ALL' && { [yearField]: year })
+});
+
 // Get all statistics - Protected route, only accessible by admins
 router.get('/', protect, authorize('admin'), async (req, res) => {
   try {
@@ -99,6 +122,43 @@ router.get('/', protect, authorize('admin'), async (req, res) => {
     ]);
     console.log('Alumni by branch:', alumniByBranch);
 
+    // Where alumni work now: current positions and ongoing higher studies
+    const [alumniEmployment] = await User.aggregate([
+      { $match: { role: 'alumni' } },
+      {
+        $facet: {
+          topCompanies: [
+            { $unwind: '$positions' },
+            { $match: { 'positions.current': true } },
+            { $group: { _id: '$positions.company', alumni: { $addToSet: '$_id' } } },
+            { $project: { _id: 0, company: '$_id', count: { $size: '$alumni' } } },
+            { $sort: { count: -1, company: 1 } },
+            { $limit: 10 }
+          ],
+          topUniversities: [
+            { $unwind: '$higherStudies' },
+            { $group: { _id: '$higherStudies.university', alumni: { $addToSet: '$_id' } } },
+            { $project: { _id: 0, university: '$_id', count: { $size: '$alumni' } } },
+            { $sort: { count: -1, university: 1 } },
+            { $limit: 10 }
+          ],
+          employed: [
+            { $match: { 'positions.current': true } },
+            { $count: 'count' }
+          ],
+          studying: [
+            { $match: { higherStudies: { $elemMatch: { $or: [{ endYear: null }, { endYear: { $gte: new Date().getFullYear() } }] } } } },
+            { $count: 'count' }
+          ],
+          withHistory: [
+            { $match: { $or: [{ 'positions.0': { $exists: true } }, { 'higherStudies.0': { $exists: true } }] } },
+            { $count: 'count' }
+          ]
+        }
+      }
+    ]);
+    console.log('Alumni employment:', alumniEmployment);
+
     // Session Statistics
     const totalSessions = await Session.countDocuments();
     console.log('Total sessions:', totalSessions);
@@ -150,7 +210,7 @@ router.get('/', protect, authorize('admin'), async (req, res) => {
     console.log('Rejected signups:', rejectedSignups);
       
     const failedSignups = await FailedSignup.find()
-      .select('name email error status createdAt')
+      .select('name email error category status createdAt')
       .sort({ createdAt: -1 })
       .lean();
     console.log('Failed signups:', failedSignups);
@@ -177,6 +237,13 @@ router.get('/', protect, authorize('admin'), async (req, res) => {
           alumniByBranch.map(b => [b._id || 'Unknown', b.count])
         )
       },
+      alumniEmployment: {
+        employed: alumniEmployment.employed[0]?.count || 0,
+        studying: alumniEmployment.studying[0]?.count || 0,
+        withHistory: alumniEmployment.withHistory[0]?.count || 0,
+        topCompanies: alumniEmployment.topCompanies,
+        topUniversities: alumniEmployment.topUniversities
+      },
       sessions: {
         total: totalSessions,
         upcoming: upcomingSessions,
@@ -210,6 +277,7 @@ router.get('/', protect, authorize('admin'), async (req, res) => {
         name: signup.name,
         email: signup.email,
         error: signup.error,
+        category: signup.category,
         status: signup.status,
         date: signup.createdAt
       }))
@@ -227,4 +295,64 @@ router.get('/', protect, authorize('admin'), async (req, res) => {
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+// Students for the statistics page table - admins only
+router.get('/students', protect, authorize('admin'), validate({ query: studentQuerySchema }), async (req, res) => {
+  try {
+    const students = await User.find(directoryFilter('student', req.query.branch, 'yearOfStudy', req.query.year))
+      .select('studentId fullName email department yearOfStudy phoneNumber')
+      .sort({ studentId: 1 })
+      .lean();
+
+    res.json({
+      status: 'success',
+      data: {
+        students: students.map(student => ({
+          studentId: student.studentId,
+          fullName: student.fullName,
+          email: student.email,
+          branch: student.department,
+          year: student.yearOfStudy,
+          phone: student.phoneNumber
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching students:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching student data'
+    });
+  }
+});
+
+// Alumni for the statistics page table - admins only
+router.get('/alumni', protect, authorize('admin'), validate({ query: alumniQuerySchema }), async (req, res) => {
+  try {
+    const year = req.query.year && req.query.year !== 'ALL' ? Number(req.query.year) : undefined;
+    const alumni = await User.find(directoryFilter('alumni', req.query.branch, 'yearOfPassedOut', year))
+      .select('collegeId fullName department yearOfPassedOut phoneNumber')
+      .sort({ yearOfPassedOut: -1, fullName: 1 })
+      .lean();
+
+    res.json({
+      status: 'success',
+      data: {
+        alumni: alumni.map(alumnus => ({
+          id: alumnus.collegeId || alumnus._id,
+          name: alumnus.fullName,
+          department: alumnus.department,
+          graduationYear: alumnus.yearOfPassedOut,
+          phone: alumnus.phoneNumber
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching alumni:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching alumni data'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,400 @@
+/**
+ * Two-Factor Authentication Routes
+ *
+ * TOTP enrolment for admin and faculty accounts and the second step of
+ * signing in. Codes come from any standard authenticator app; recovery
+ * codes can stand in for a code once each.
+ *
+ * Routes:
+ * - POST /api/auth/2fa/verify: Exchange a login challenge and code for a session
+ * - GET /api/auth/2fa/status: Two-factor state of the current user
+ * - POST /api/auth/2fa/setup: Start enrolment (returns secret and QR code)
+ * - POST /api/auth/2fa/enable: Confirm enrolment with a code (returns recovery codes)
+ * - POST /api/auth/2fa/recovery-codes: Replace the recovery codes
+ * - POST /api/auth/2fa/disable: Turn two-factor authentication off
+ *
+ * Access Control:
+ * - verify: Public (requires the challenge token from /api/auth/login)
+ * - Everything else: Signed-in admin and faculty users
+ *
+ * @type {dynamic} - Two-factor authentication
+ */
+
+const express = require('express');
+const router = express.Router();
+const QRCode = require('qrcode');
+const { protect } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const User = require('../models/User');
+const { createSession } = require('../utils/authSessionService');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures
+} = require('../utils/loginThrottleService');
+const {
+  TWO_FACTOR_ROLES,
+  isTwoFactorRequired,
+  readLoginChallenge,
+  generateSecret,
+  verifyCode,
+  buildOtpauthUrl,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} = require('../utils/totpService');
+
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep';
+
+const codeRule = {
+  type: 'string',
+  pattern: /^\d{6}$/,
+  patternMessage: 'Code must be the 6 digits shown in your authenticator app',
+  label: 'Code'
+};
+
+// authorize() would block admins who still have to enrol, so roles are checked here
+const requireTwoFactorRole = (req, res, next) => {
+  if (!TWO_FACTOR_ROLES.includes(req.user.role)) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Two-factor authentication is available to admin and faculty accounts'
+    });
+  }
+  next();
+};
+
+/**
+ * Accepts either a TOTP code or a recovery code. Codes are consumed
+ * atomically, so each TOTP step and recovery code works only once.
+ */
+const consumeSecondFactor = async (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(String(recoveryCode));
+    const result = await User.updateOne(
+      { _id: user._id, twoFactorRecoveryCodes: hash },
+      { $pull: { twoFactorRecoveryCodes: hash } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  if (!user.twoFactorSecret) return false;
+  const step = verifyCode(decryptSecret(user.twoFactorSecret), code);
+  if (step === null) return false;
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { twoFactorLastUsedStep: { $exists: false } },
+        { twoFactorLastUsedStep: { $lt: step } }
+      ]
+    },
+    { twoFactorLastUsedStep: step }
+  );
+  return result.modifiedCount === 1;
+};
+
+const toUserResponse = (user) => {
+  const userResponse = user.toObject();
+  delete userResponse.password;
+  delete userResponse.twoFactorSecret;
+  delete userResponse.twoFactorPendingSecret;
+  delete userResponse.twoFactorRecoveryCodes;
+  delete userResponse.twoFactorLastUsedStep;
+  return userResponse;
+};
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Second login step for two-factor accounts
+ * @access  Public
+ * @param   {string} twoFactorToken - Challenge token from /api/auth/login
+ * @param   {string} code - 6 digit authenticator code
+ * @param   {string} recoveryCode - Recovery code, instead of a code
+ */
+router.post('/verify', validate({
+  body: {
+    twoFactorToken: { type: 'string', maxLength: 2000, label: 'Sign-in token' },
+    code: codeRule,
+    recoveryCode: { type: 'string', maxLength: 50, label: 'Recovery code' }
+  }
+}), async (req, res) => {
+  try {
+    const { twoFactorToken, code, recoveryCode } = req.body;
+
+    const userId = twoFactorToken && readLoginChallenge(twoFactorToken);
+    const user = userId && await User.findById(userId).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        status: 'error',
+        code: 'TWO_FACTOR_CHALLENGE_EXPIRED',
+        message: 'Your sign-in attempt has expired. Please sign in again'
+      });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const block = await checkLoginAllowed(req.ip, user.email);
+    if (block) {
+      res.set('Retry-After', String(block.retryAfter));
+      return res.status(429).json({
+        status: 'error',
+        code: block.code,
+        message: block.message,
+        retryAfter: block.retryAfter
+      });
+    }
+
+    if (!(await consumeSecondFactor(user, { code, recoveryCode }))) {
+      await recordLoginFailure(req.ip, user.email, user);
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { token, refreshToken } = await createSession(user, req);
+    await clearLoginFailures(user.email);
+    const remaining = recoveryCode ? user.twoFactorRecoveryCodes.length - 1 : user.twoFactorRecoveryCodes.length;
+
+    res.json({
+      status: 'success',
+      message: 'Login successful',
+      token,
+      refreshToken,
+      data: {
+        user: toUserResponse(user),
+        recoveryCodesRemaining: remaining
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor verification error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error verifying authentication code'
+    });
+  }
+});
+
+router.use(protect, requireTwoFactorRole);
+
+/**
+ * @route   GET /api/auth/2fa/status
+ * @desc    Two-factor state of the current user
+ * @access  Admin, Faculty
+ */
+router.get('/status', async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorRecoveryCodes');
+
+    res.json({
+      status: 'success',
+      data: {
+        enabled: user.twoFactorEnabled,
+        enabledAt: user.twoFactorEnabledAt,
+        required: isTwoFactorRequired(user),
+        // Google and campus accounts confirm changes with the second factor only
+        hasPassword: Boolean(user.password),
+        recoveryCodesRemaining: user.twoFactorEnabled ? user.twoFactorRecoveryCodes.length : 0
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching two-factor status:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching two-factor status'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start enrolment; the secret is stored as pending until confirmed
+ * @access  Admin, Faculty
+ */
+router.post('/setup', async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    const otpauthUrl = buildOtpauthUrl(secret, req.user.email);
+    await User.updateOne(
+      { _id: req.user._id },
+      { twoFactorPendingSecret: encryptSecret(secret) }
+    );
+
+    res.json({
+      status: 'success',
+      data: {
+        secret,
+        otpauthUrl,
+        qrCode: await QRCode.toDataURL(otpauthUrl)
+      }
+    });
+  } catch (error) {
+    console.error('Error starting two-factor setup:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error starting two-factor setup'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrolment with a code from the authenticator app
+ * @access  Admin, Faculty
+ * @param   {string} code - 6 digit authenticator code
+ */
+router.post('/enable', validate({ body: { code: { ...codeRule, required: true } } }), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = verifyCode(decryptSecret(user.twoFactorPendingSecret), req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          twoFactorEnabled: true,
+          twoFactorEnabledAt: Date.now(),
+          twoFactorSecret: user.twoFactorPendingSecret,
+          twoFactorRecoveryCodes: hashes,
+          twoFactorLastUsedStep: step
+        },
+        $unset: { twoFactorPendingSecret: 1 }
+      }
+    );
+
+    res.json({
+      status: 'success',
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+      data: { recoveryCodes: codes }
+    });
+  } catch (error) {
+    console.error('Error enabling two-factor authentication:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error enabling two-factor authentication'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace all recovery codes
+ * @access  Admin, Faculty
+ * @param   {string} code - 6 digit authenticator code
+ */
+router.post('/recovery-codes', validate({ body: { code: { ...codeRule, required: true } } }), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactorEnabled || !(await consumeSecondFactor(user, { code: req.body.code }))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { twoFactorRecoveryCodes: hashes });
+
+    res.json({
+      status: 'success',
+      message: 'New recovery codes generated. The old codes no longer work.',
+      data: { recoveryCodes: codes }
+    });
+  } catch (error) {
+    console.error('Error regenerating recovery codes:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error regenerating recovery codes'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn two-factor authentication off
+ * @access  Admin, Faculty (not admins while 2FA is enforced)
+ * @param   {string} password - Current password (accounts that have one)
+ * @param   {string} code - Authenticator code or recovery code
+ */
+router.post('/disable', validate({
+  body: {
+    password: { type: 'string', trim: false, maxLength: 128, label: 'Password' },
+    // Authenticator code or recovery code
+    code: { type: 'string', required: true, maxLength: 50, label: 'Code' }
+  }
+}), async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (isTwoFactorRequired(req.user)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Two-factor authentication is mandatory for admin accounts'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    const secondFactor = /^\d{6}$/.test(String(code || '').trim()) ? { code } : { recoveryCode: code };
+
+    if (!user.twoFactorEnabled
+      || (user.password && !(await user.comparePassword(String(password || ''))))
+      || !(await consumeSecondFactor(user, secondFactor))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Password or authentication code is incorrect'
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { twoFactorEnabled: false },
+        $unset: {
+          twoFactorSecret: 1,
+          twoFactorPendingSecret: 1,
+          twoFactorRecoveryCodes: 1,
+          twoFactorLastUsedStep: 1,
+          twoFactorEnabledAt: 1
+        }
+      }
+    );
+
+    res.json({
+      status: 'success',
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Error disabling two-factor authentication:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error disabling two-factor authentication'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,57 +1,287 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requireCapability } = require('../middleware/auth');
+const { allowFields } = require('../middleware/fieldAllowList');
+const { validate } = require('../middleware/validate');
+const { canAccessDepartment, scopeQuery } = require('../utils/permissions');
 const User = require('../models/User');
+const Skill = require('../models/Skill');
+const SkillEndorsement = require('../models/SkillEndorsement');
+const { isSupportedImage, saveProfilePhoto, removeProfilePhoto } = require('../utils/profilePhotoService');
+const { applyPrivacy, effectivePrivacy, privacyQuery } = require('../utils/privacy');
+
+// Fields are optional so the profile can be updated one field at a time
+const profileSchema = {
+  fullName: { type: 'string', minLength: 1, maxLength: 100, label: 'Full name' },
+  phoneNumber: {
+    type: 'string',
+    pattern: /^\+?[0-9\s()-]{7,20}$/,
+    patternMessage: 'Phone number must contain 7 to 20 digits',
+    label: 'Phone number'
+  },
+  designation: { type: 'string', maxLength: 100, label: 'Designation' },
+  yearOfStudy: { type: 'enum', values: User.schema.path('yearOfStudy').enumValues, label: 'Year of study' },
+  yearOfPassedOut: { type: 'integer', min: 1900, max: 2100, label: 'Year of passing out' },
+  currentCompany: { type: 'string', maxLength: 200, label: 'Current company' },
+  location: { type: 'string', maxLength: 200, label: 'Location' },
+  skills: {
+    type: 'array',
+    maxItems: 30,
+    items: { type: 'string', minLength: 1, maxLength: 50, label: 'Skill' },
+    label: 'Skills'
+  },
+  directoryVisibility: {
+    type: 'enum',
+    values: User.schema.path('directoryVisibility').enumValues,
+    label: 'Directory visibility'
+  },
+  positions: {
+    type: 'array',
+    maxItems: 30,
+    items: {
+      type: 'object',
+      fields: {
+        company: { type: 'string', required: true, maxLength: 200, label: 'Company' },
+        title: { type: 'string', required: true, maxLength: 100, label: 'Title' },
+        location: { type: 'string', maxLength: 200, label: 'Location' },
+        startDate: { type: 'date', required: true, label: 'Start date' },
+        endDate: { type: 'date', label: 'End date' },
+        current: { type: 'boolean', label: 'Current position' }
+      }
+    },
+    label: 'Positions'
+  },
+  higherStudies: {
+    type: 'array',
+    maxItems: 10,
+    items: {
+      type: 'object',
+      fields: {
+        university: { type: 'string', required: true, maxLength: 200, label: 'University' },
+        degree: { type: 'string', required: true, maxLength: 100, label: 'Degree' },
+        fieldOfStudy: { type: 'string', maxLength: 100, label: 'Field of study' },
+        startYear: { type: 'integer', min: 1900, max: 2100, label: 'Start year' },
+        endYear: { type: 'integer', min: 1900, max: 2100, label: 'End year' }
+      }
+    },
+    label: 'Higher studies'
+  },
+  // Only the fields being changed need to be sent
+  privacy: {
+    type: 'object',
+    fields: Object.fromEntries(Object.keys(User.PRIVACY_DEFAULTS).map(field => [
+      field,
+      { type: 'enum', values: User.PRIVACY_LEVELS, label: 'Privacy level' }
+    ])),
+    label: 'Privacy'
+  }
+};
+
+// Date order checks the schema cannot express, as validation field errors
+const checkCareerHistory = ({ positions = [], higherStudies = [] }) => {
+  const errors = [];
+
+  positions.forEach((position, index) => {
+    if (position.current && position.endDate) {
+      errors.push({ field: `positions.${index}.endDate`, code: 'INVALID_FORMAT', message: 'A current position has no end date' });
+    } else if (!position.current && !position.endDate) {
+      errors.push({ field: `positions.${index}.endDate`, code: 'REQUIRED', message: 'End date is required unless this is a current position' });
+    } else if (position.endDate && new Date(position.endDate) < new Date(position.startDate)) {
+      errors.push({ field: `positions.${index}.endDate`, code: 'TOO_SMALL', message: 'End date must be after the start date' });
+    }
+  });
+
+  higherStudies.forEach((study, index) => {
+    if (study.startYear && study.endYear && study.endYear < study.startYear) {
+      errors.push({ field: `higherStudies.${index}.endYear`, code: 'TOO_SMALL', message: 'End year must not be before the start year' });
+    }
+  });
+
+  return errors.map(error => ({ ...error, location: 'body' }));
+};
+
+// The directory's company and the profile's designation follow the most recent current position
+const currentRole = (positions) => {
+  const current = positions
+    .filter(position => position.current)
+    .sort((a, b) => new Date(b.startDate) - new Date(a.startDate))[0];
+  return current ? { currentCompany: current.company, designation: current.title } : null;
+};
+
+// Typed skills must be in the skills list; they are stored under the list's names
+const resolveSkills = async (inputs) => {
+  const { skills, unknown } = await Skill.resolve(inputs);
+  const errors = inputs
+    .map((input, index) => unknown.includes(input) && {
+      field: `skills.${index}`,
+      location: 'body',
+      code: 'INVALID_CHOICE',
+      message: `"${input}" is not in the skills list`
+    })
+    .filter(Boolean);
+  return { skills, errors };
+};
+
+// Photos are processed in memory; only the resized copies are written to disk
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: function (req, file, cb) {
+    if (['image/jpeg', 'image/png', 'image/webp'].includes(file.mimetype)) {
+      return cb(null, true);
+    }
+    cb(new Error('Only JPEG, PNG and WebP images are allowed!'));
+  }
+});
+
+const uploadPhotoFile = (req, res, next) => {
+  photoUpload.single('photo')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        message: err.code === 'LIMIT_FILE_SIZE' ? 'The photo must be 5MB or smaller' : err.message
+      });
+    }
+    next();
+  });
+};
+
+// Documented as a multipart upload by utils/openapi.js
+uploadPhotoFile.fileField = 'photo';
+
+const idParamsSchema = {
+  id: { type: 'objectId', required: true, label: 'User ID' }
+};
 
 // Get user profile
 router.get('/profile', protect, async (req, res) => {
   try {
     const user = await User.findById(req.user._id).select('-password');
-    res.json({ data: { user } });
+    // privacy includes the defaults for fields the user never set
+    res.json({ data: { user, privacy: effectivePrivacy(user) } });
   } catch (error) {
     res.status(500).json({ message: 'Error fetching user profile' });
   }
 });
 
-// Update user profile
-router.put('/profile', protect, async (req, res) => {
+// Update user profile (only the fields in the user.profile policy)
+router.put('/profile', protect, allowFields('user.profile'), validate({ body: profileSchema }), async (req, res) => {
   try {
+    const errors = checkCareerHistory(req.body);
+    if (req.body.skills) {
+      const resolved = await resolveSkills(req.body.skills);
+      req.body.skills = resolved.skills;
+      errors.push(...resolved.errors);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ status: 'error', code: 'VALIDATION_ERROR', message: errors[0].message, errors });
+    }
+
+    const { privacy, ...fields } = req.body;
+    const update = { $set: { ...fields } };
+    // Set levels one by one so the fields not sent keep theirs
+    Object.keys(User.PRIVACY_DEFAULTS).forEach((field) => {
+      if (privacy?.[field]) {
+        update.$set[`privacy.${field}`] = privacy[field];
+      }
+    });
+    if (req.body.positions) {
+      const role = currentRole(req.body.positions);
+      if (role) {
+        Object.assign(update.$set, role);
+      } else {
+        delete update.$set.currentCompany;
+        update.$unset = { currentCompany: 1 };
+      }
+    }
+
     const user = await User.findByIdAndUpdate(
       req.user._id,
-      { $set: req.body },
+      update,
       { new: true, runValidators: true }
     ).select('-password');
 
-    res.json({ message: 'Profile updated successfully', data: { user } });
+    // Endorsements of dropped skills go with them
+    if (req.body.skills) {
+      await SkillEndorsement.deleteMany({ user: user._id, skill: { $nin: user.skills } });
+    }
+
+    res.json({ message: 'Profile updated successfully', data: { user, privacy: effectivePrivacy(user) } });
   } catch (error) {
     res.status(500).json({ message: 'Error updating profile' });
   }
 });
 
-// Get all users (admin only)
-router.get('/', protect, authorize('admin'), async (req, res) => {
+// Upload a profile photo; it is stored in several sizes and replaces the previous one
+router.put('/profile/photo', protect, uploadPhotoFile, async (req, res) => {
+  let sizes = null;
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Please choose a photo to upload' });
+    }
+    if (!(await isSupportedImage(req.file.buffer))) {
+      return res.status(400).json({ message: 'The file is not a JPEG, PNG or WebP image' });
+    }
+
+    const previous = await User.findById(req.user._id).select('profilePhotoSizes').lean();
+    sizes = await saveProfilePhoto(req.user._id, req.file.buffer);
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: { profilePhoto: sizes.medium, profilePhotoSizes: sizes } },
+      { new: true }
+    ).select('-password');
+
+    await removeProfilePhoto(previous?.profilePhotoSizes);
+    res.json({ message: 'Profile photo updated', data: { user } });
+  } catch (error) {
+    console.error('Error uploading profile photo:', error);
+    // Files written for a photo that was never saved
+    await removeProfilePhoto(sizes);
+    res.status(500).json({ message: 'Error uploading profile photo' });
+  }
+});
+
+// Remove the profile photo (the placeholder is shown instead)
+router.delete('/profile/photo', protect, async (req, res) => {
   try {
-    const users = await User.find().select('-password');
-    res.json({ data: { users } });
+    const previous = await User.findById(req.user._id).select('profilePhotoSizes').lean();
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $unset: { profilePhoto: 1, profilePhotoSizes: 1 } },
+      { new: true }
+    ).select('-password');
+
+    await removeProfilePhoto(previous?.profilePhotoSizes);
+    res.json({ message: 'Profile photo removed', data: { user } });
   } catch (error) {
-    res.status(500).json({ message: 'Error fetching users' });
+    console.error('Error removing profile photo:', error);
+    res.status(500).json({ message: 'Error removing profile photo' });
   }
 });
 
-// Get user by ID (admin only)
-router.get('/:id', protect, authorize('admin'), async (req, res) => {
+// Get all users in the caller's departments (users.view), optionally those with a skill
+router.get('/', protect, requireCapability('users.view'), validate({
+  query: { skill: { type: 'string', maxLength: 50, label: 'Skill' } }
+}), async (req, res) => {
   try {
-    const user = await User.findById(req.params.id).select('-password');
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+    const query = scopeQuery(req.permissionScope);
+    if (req.query.skill) {
+      // Aliases find the skill too; a skill not in the list matches nobody
+      const { skills } = await Skill.resolve([req.query.skill]);
+      query.skills = skills[0] || req.query.skill;
+      query.$and = [privacyQuery('skills', req.user)];
     }
-    res.json({ data: { user } });
+
+    const users = await User.find(query).select('-password');
+    res.json({ data: { users: users.map(user => applyPrivacy(user, req.user)) } });
   } catch (error) {
-    res.status(500).json({ message: 'Error fetching user' });
+    res.status(500).json({ message: 'Error fetching users' });
   }
 });
 
-// Get all faculty members
+// Get all faculty members (registered before /:id, which would match "faculty")
 router.get('/faculty', protect, async (req, res) => {
   try {
     const faculty = await User.find({ role: 'faculty' })
@@ -72,4 +302,20 @@ router.get('/faculty', protect, async (req, res) => {
   }
 });
 
+// Get user by ID (users.view, within the caller's departments)
+router.get('/:id', protect, requireCapability('users.view'), validate({ params: idParamsSchema }), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!canAccessDepartment(req.permissionScope, user.department || null)) {
+      return res.status(403).json({ message: 'You can only view users in your own department' });
+    }
+    res.json({ data: { user: applyPrivacy(user, req.user) } });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching user' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
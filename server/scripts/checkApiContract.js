@@ -0,0 +1,77 @@
+/**
+ * API Contract Check
+ *
+ * Confirms that every API call in the frontend targets a documented route:
+ * - Builds the OpenAPI document from the routers (utils/openapi.js)
+ * - Scans src/ for api.get('/api/...'), axios.post(`${API_BASE_URL}/api/...`)
+ *   and similar calls with a literal URL
+ * - Fails for each call whose method and path are not in the document;
+ *   ${...} parts of a template URL match any path parameter
+ *
+ * Calls whose URL is held in a variable are not checked.
+ *
+ * Needs no database. Exits with code 1 if any call is undocumented.
+ *
+ * Usage:
+ * - npm run check:api
+ *
+ * @type {script} Diagnostic
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { API_ROUTES } = require('../routes/index');
+const { buildOpenApiDocument } = require('../utils/openapi');
+
+const SRC_DIR = path.join(__dirname, '..', '..', 'src');
+const CALL_PATTERN = /\b(?:api|axios)\.(get|post|put|patch|delete)\(\s*(['`])(.*?)\2/g;
+
+const listSourceFiles = (dir) => fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+  const fullPath = path.join(dir, entry.name);
+  if (entry.isDirectory()) {
+    return listSourceFiles(fullPath);
+  }
+  return /\.(js|jsx)$/.test(entry.name) ? [fullPath] : [];
+});
+
+// `${API_BASE_URL}/api/users/${id}?full=1` -> /api/users/{*}
+const normalizeUrl = (url) => url
+  .replace(/^\$\{API_BASE_URL\}/, '')
+  .split('?')[0]
+  .replace(/\$\{[^}]+\}/g, '{*}')
+  .replace(/\/$/, '');
+
+// /api/users/{id} -> /^\/api\/users\/[^/]+$/
+const toMatcher = (documentedPath) => new RegExp(
+  `^${documentedPath.split(/\{\w+\}/).map(part => part.replace(/[.*+?^$()|[\]\\]/g, '\\$&')).join('[^/]+')}$`
+);
+
+const document = buildOpenApiDocument(API_ROUTES);
+const operations = Object.entries(document.paths).flatMap(([documentedPath, methods]) => (
+  Object.keys(methods).map(method => ({ method, matcher: toMatcher(documentedPath) }))
+));
+
+const calls = listSourceFiles(SRC_DIR).flatMap((file) => {
+  const source = fs.readFileSync(file, 'utf8');
+  return [...source.matchAll(CALL_PATTERN)].map(match => ({
+    file: path.relative(path.join(SRC_DIR, '..'), file),
+    line: source.slice(0, match.index).split('\n').length,
+    method: match[1],
+    url: normalizeUrl(match[3])
+  }));
+});
+
+const undocumented = calls.filter(({ method, url }) => (
+  !operations.some(operation => operation.method === method && operation.matcher.test(url))
+));
+
+undocumented.forEach(({ file, line, method, url }) => {
+  console.error(`FAIL  ${file}:${line} ${method.toUpperCase()} ${url} is not a documented route`);
+});
+
+if (undocumented.length > 0) {
+  console.error(`${undocumented.length} frontend API call(s) target undocumented routes (see /api/docs)`);
+  process.exitCode = 1;
+} else {
+  console.log(`API contract OK (${calls.length} frontend calls, ${operations.length} documented operations)`);
+}
@@ -0,0 +1,206 @@
+/**
+ * Field Policy Check
+ *
+ * Confirms that request bodies cannot be used for privilege escalation:
+ * - No policy in utils/fieldPolicies.js allows a protected field
+ * - Each create/update route is guarded by the expected policy
+ * - Escalation payloads (role, email verification, tokens, googleId,
+ *   MongoDB operators) are rejected by every policy, and allowed fields
+ *   pass through with everything else dropped
+ * - Each guarded route's own middleware chain (authentication skipped)
+ *   lets a valid body through to the handler and refuses every escalation
+ *   payload with 400 before the handler runs
+ *
+ * Needs no database. Exits with code 1 if any check fails.
+ *
+ * Usage:
+ * - npm run check:fields
+ *
+ * @type {script} Diagnostic
+ */
+
+const { FIELD_POLICIES, isProtectedField } = require('../utils/fieldPolicies');
+const { allowFields } = require('../middleware/fieldAllowList');
+const { protect } = require('../middleware/auth');
+
+const RECORD_ID = '000000000000000000000001';
+
+// Routes that write request bodies to the database, their policies and a
+// body each route accepts
+const GUARDED_ROUTES = [
+  {
+    file: 'users', method: 'put', path: '/profile', policy: 'user.profile',
+    body: { fullName: 'Field Check' }
+  },
+  {
+    file: 'sessions', method: 'post', path: '/', policy: 'session.create',
+    body: { title: 'Field Check', description: 'Field check', date: '2030-01-01', time: '10:00', venue: 'Hall', sessionHeadName: 'Field Check' }
+  },
+  {
+    file: 'sessions', method: 'put', path: '/:id', policy: 'session.update',
+    params: { id: RECORD_ID }, body: { title: 'Field Check' }
+  },
+  {
+    file: 'placements', method: 'post', path: '/', policy: 'placement.submit',
+    body: { studentName: 'Field Check', year: '2030', company: 'Field Check', type: 'internship' }
+  },
+  {
+    file: 'placements', method: 'put', path: '/:id', policy: 'placement.review',
+    params: { id: RECORD_ID }, body: { company: 'Field Check' }
+  }
+];
+
+// Signed-in user the route chains run as
+const CHECK_USER = { _id: RECORD_ID, role: 'admin', email: 'field-check@example.com' };
+
+const ESCALATION_PAYLOADS = [
+  { role: 'admin' },
+  { isEmailVerified: true },
+  { approvalStatus: 'approved' },
+  { emailVerificationToken: 'x' },
+  { passwordResetToken: 'x' },
+  { password: 'new-password' },
+  { googleId: '1234567890' },
+  { ldapUid: 'someone' },
+  { twoFactorEnabled: false },
+  { deletionScheduledFor: null },
+  { submittedBy: '000000000000000000000000' },
+  { 'role.0': 'admin' },
+  { $set: { role: 'admin' } },
+  { fullName: { $ne: null } }
+];
+
+let failures = 0;
+
+const check = (passed, description) => {
+  if (!passed) {
+    failures += 1;
+    console.error(`FAIL  ${description}`);
+  }
+};
+
+// Runs a middleware against a fake request; resolves with the outcome
+const run = (middleware, body) => {
+  const req = { body: { ...body } };
+  let result = { next: false, status: 200, json: null, body: null };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(payload) {
+      result.json = payload;
+      return this;
+    }
+  };
+  middleware(req, res, () => {
+    result = { ...result, next: true };
+  });
+  return { ...result, body: req.body };
+};
+
+// Authentication needs the database, so the check runs as CHECK_USER instead
+const isAuthLayer = (handle) => handle === protect || Boolean(handle.roles || handle.capability);
+
+/**
+ * Runs a route's middleware up to its last body guard (allowFields or
+ * validate), as the route would for a request. Resolves with the outcome;
+ * `handler` is true when the request got through to the route's handler.
+ */
+const runRoute = async (layer, { params = {}, body }) => {
+  const handlers = layer.route.stack.map(item => item.handle).filter(handle => !isAuthLayer(handle));
+  const lastGuard = handlers.reduce((last, handle, index) => (handle.fieldPolicy || handle.schemas ? index : last), -1);
+
+  const req = { method: layer.route.stack[0].method.toUpperCase(), params: { ...params }, query: {}, body: { ...body }, user: CHECK_USER };
+  const result = { handler: false, status: 200, json: null };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(payload) {
+      result.json = payload;
+      return this;
+    }
+  };
+
+  for (const handle of handlers.slice(0, lastGuard + 1)) {
+    let passed = false;
+    await handle(req, res, () => {
+      passed = true;
+    });
+    if (!passed) return result;
+  }
+  return { ...result, handler: true };
+};
+
+// 1. Policies never list protected fields
+Object.entries(FIELD_POLICIES).forEach(([policy, fields]) => {
+  fields.forEach((field) => {
+    check(!isProtectedField(field), `${policy} allows protected field "${field}"`);
+  });
+});
+
+const findLayer = ({ file, method, path }) => require(`../routes/${file}`).stack
+  .find(item => item.route?.path === path && item.route.methods[method]);
+
+// 2. Routes carry their policy
+GUARDED_ROUTES.forEach((route) => {
+  const { file, method, path, policy } = route;
+  const layer = findLayer(route);
+  const policies = layer ? layer.route.stack.map(item => item.handle.fieldPolicy).filter(Boolean) : [];
+  check(policies.includes(policy), `${method.toUpperCase()} /api/${file}${path} is not guarded by ${policy}`);
+});
+
+// 3. Escalation payloads are rejected; allowed fields pass, others are dropped
+Object.entries(FIELD_POLICIES).forEach(([policy, fields]) => {
+  const middleware = allowFields(policy);
+
+  ESCALATION_PAYLOADS.forEach((payload) => {
+    const body = { [fields[0]]: 'value', ...payload };
+    const result = run(middleware, body);
+    check(
+      !result.next && result.status === 400 && result.json?.errors?.length > 0,
+      `${policy} accepted ${JSON.stringify(payload)}`
+    );
+  });
+
+  const allowedBody = Object.fromEntries(fields.map(field => [field, 'value']));
+  const result = run(middleware, { ...allowedBody, unknownField: 'value' });
+  check(result.next, `${policy} rejected its own allowed fields`);
+  check(JSON.stringify(result.body) === JSON.stringify(allowedBody), `${policy} did not drop an unknown field`);
+});
+
+// 4. The routes themselves refuse escalation payloads before their handlers
+const checkRoutes = async () => {
+  for (const route of GUARDED_ROUTES) {
+    const layer = findLayer(route);
+    if (!layer) continue;
+    const name = `${route.method.toUpperCase()} /api/${route.file}${route.path}`;
+
+    const accepted = await runRoute(layer, route);
+    check(accepted.handler, `${name} refused a valid body (${JSON.stringify(accepted.json)})`);
+
+    for (const payload of ESCALATION_PAYLOADS) {
+      const result = await runRoute(layer, { ...route, body: { ...route.body, ...payload } });
+      check(
+        !result.handler && result.status === 400 && result.json?.code === 'FIELD_NOT_ALLOWED',
+        `${name} did not refuse ${JSON.stringify(payload)}`
+      );
+    }
+  }
+};
+
+checkRoutes()
+  .then(() => {
+    if (failures > 0) {
+      console.error(`${failures} field policy check(s) failed`);
+      process.exitCode = 1;
+    } else {
+      console.log(`Field policies OK (${Object.keys(FIELD_POLICIES).length} policies, ${GUARDED_ROUTES.length} routes)`);
+    }
+  })
+  .catch((error) => {
+    console.error('Field policy check failed to run:', error);
+    process.exitCode = 1;
+  });
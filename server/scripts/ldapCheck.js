@@ -0,0 +1,54 @@
+/**
+ * LDAP Check
+ *
+ * Signs in to the campus directory with the given username and password
+ * and prints the User fields the LDAP provider would set. Nothing is
+ * written to the database, so it can be run against any directory
+ * (e.g. the OpenLDAP container in scripts/ldap) before enabling it.
+ *
+ * Usage:
+ * - npm run ldap:check -- <username> <password>
+ *
+ * @type {script} Diagnostic
+ */
+
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { lookupDirectoryUser } = require('../utils/authProviders/ldapProvider');
+
+const run = async () => {
+  const [username, password] = process.argv.slice(2);
+
+  if (!username || !password) {
+    console.error('Usage: npm run ldap:check -- <username> <password>');
+    process.exitCode = 1;
+    return;
+  }
+
+  if (!process.env.LDAP_URL || !process.env.LDAP_BASE_DN) {
+    console.error('Set LDAP_URL and LDAP_BASE_DN first');
+    process.exitCode = 1;
+    return;
+  }
+
+  const profile = await lookupDirectoryUser(username, password);
+  if (!profile) {
+    console.error('Invalid credentials (user not found, ambiguous, or wrong password)');
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(JSON.stringify(profile, null, 2));
+  if (!profile.role) {
+    console.warn('No role mapped: this user could not create an account (see LDAP_ROLE_MAP)');
+  } else if (!['student', 'alumni'].includes(profile.role)) {
+    console.warn(`Role ${profile.role}: needs an invite before signing in with this account`);
+  }
+};
+
+run().catch((err) => {
+  console.error('LDAP check failed:', err);
+  process.exitCode = 1;
+});
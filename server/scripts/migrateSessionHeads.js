@@ -0,0 +1,70 @@
+/**
+ * Migrate Session Heads
+ *
+ * One-off migration for linking sessions to the users who head them.
+ * sessionHead used to be the name typed into the session form (or, for
+ * sessions created without one, the creator's ID as text); it is now a
+ * reference to the user.
+ *
+ * Each session whose sessionHead is still text is updated:
+ * - A user ID, or a name matching exactly one alumnus or faculty member
+ *   (ignoring case), becomes a reference to that user
+ * - Anything else is kept as sessionHeadName (a guest speaker)
+ *
+ * Usage:
+ * - npm run migrate:session-heads
+ *
+ * @type {script} Database migration
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+const Session = require('../models/Session');
+
+dotenv.config();
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const findHead = async (text) => {
+  if (mongoose.isObjectIdOrHexString(text)) {
+    const user = await User.findById(text).select('_id');
+    if (user) return user._id;
+  }
+
+  const users = await User.find({
+    role: { $in: ['alumni', 'faculty'] },
+    fullName: { $regex: `^${escapeRegex(text)}$`, $options: 'i' }
+  }).select('_id').limit(2);
+  return users.length === 1 ? users[0]._id : null;
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // The schema would cast the text, so the stored values are read and written directly
+  const sessions = await Session.collection
+    .find({ sessionHead: { $type: 'string' } })
+    .project({ sessionHead: 1 })
+    .toArray();
+
+  let linked = 0;
+  for (const session of sessions) {
+    const text = session.sessionHead.trim();
+    const head = text && await findHead(text);
+    const update = head
+      ? { $set: { sessionHead: head } }
+      : { $set: { sessionHeadName: text || 'TBA' }, $unset: { sessionHead: 1 } };
+    await Session.collection.updateOne({ _id: session._id }, update);
+    if (head) linked += 1;
+  }
+
+  console.log(`Linked ${linked} of ${sessions.length} sessions to users; the rest keep the head's name`);
+};
+
+run()
+  .catch((err) => {
+    console.error('Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
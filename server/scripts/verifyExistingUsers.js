@@ -0,0 +1,40 @@
+/**
+ * Verify Existing Users
+ *
+ * One-off migration for enabling email verification. Accounts created
+ * before verification was enforced never received a link, so they are
+ * marked as verified instead of being locked out at their next login.
+ * Accounts that already have a pending verification token are left alone.
+ *
+ * Usage:
+ * - npm run migrate:verify-existing
+ *
+ * @type {script} Database migration
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const result = await User.updateMany(
+    {
+      isEmailVerified: { $ne: true },
+      emailVerificationToken: { $exists: false }
+    },
+    { $set: { isEmailVerified: true } }
+  );
+
+  console.log(`Marked ${result.modifiedCount} existing users as verified`);
+};
+
+run()
+  .catch((err) => {
+    console.error('Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -15,16 +15,40 @@
  * Environment Variables Required:
  * - MONGODB_URI: MongoDB connection string
  * - PORT: Server port (defaults to 5000)
+ * - ENFORCE_ADMIN_2FA: Set to "true" to require two-factor authentication for admins
+ * - TWO_FACTOR_ENCRYPTION_KEY: Key for stored 2FA secrets (defaults to JWT_SECRET)
+ * - GOOGLE_CLIENT_ID / GOOGLE_CLIENT_SECRET: Enable Google sign-in
+ * - LDAP_URL / LDAP_BASE_DN: Enable campus (LDAP) sign-in; see utils/authProviders/ldapProvider.js
  * 
  * API Routes:
  * - /api/auth: Authentication routes
+ * - /api/auth/2fa: Two-factor authentication
  * - /api/users: User management
+ * - /api/alumni: Alumni directory
+ * - /api/skills: Skills list and endorsements
  * - /api/sessions: Session management
  * - /api/statistics: Statistics and analytics
  * - /api/notifications: Notification system
+ * - /api/roster: Signup roster management (admin)
+ * - /api/registrations: Registration approval queue (admin)
+ * - /api/failed-signups: Failed signup triage (admin)
+ * - /api/login-locks: Login lockouts (admin)
+ * - /api/permissions: Department-scoped permission grants
+ * - /api/invites: Faculty and admin invitations
+ * - /api/audit-logs: Audit trail of administrative changes (admin)
+ * - /api/impersonation: Read-only "view as user" for admins
+ * - /api/account: Own data export and account deletion
+ * - /api/docs: OpenAPI document and Swagger UI, generated from the routes
+ *
+ * The route table lives in routes/index.js.
+ * 
+ * Background Jobs:
+ * - Account deletion: removes accounts whose deletion grace period has ended
  * 
  * Middleware:
  * - CORS: Cross-Origin Resource Sharing
+ * - errorEnvelope: Uniform error responses for /api
+ *   ({ status: 'error', code, message, errors? }); see middleware/errorEnvelope.js
  * - express.json(): JSON body parsing
  * - express.urlencoded(): URL-encoded body parsing
  * - Error handling middleware
@@ -37,6 +61,8 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const path = require('path');
+const { startAccountDeletionJob } = require('./jobs/accountDeletionJobs');
+const { errorEnvelope, notFound, errorHandler } = require('./middleware/errorEnvelope');
 
 // Load environment variables
 dotenv.config();
@@ -46,11 +72,18 @@ const app = express();
 
 // Middleware
 app.use(cors());
+app.use('/api', errorEnvelope);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Serve static files from the uploads directory
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Serve static files from the uploads directory. Uploads get a new name when
+// replaced, so browsers may keep them for a long time without revalidating
+app.use('/uploads', express.static(path.join(__dirname, 'uploads'), {
+  index: false,
+  maxAge: '30d',
+  immutable: true,
+  setHeaders: (res) => res.set('X-Content-Type-Options', 'nosniff')
+}));
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI, {
@@ -60,7 +93,10 @@ mongoose.connect(process.env.MONGODB_URI, {
   socketTimeoutMS: 45000,
   family: 4
 })
-.then(() => console.log('Connected to MongoDB Atlas'))
+.then(() => {
+  console.log('Connected to MongoDB Atlas');
+  startAccountDeletionJob();
+})
 .catch((err) => {
   console.error('MongoDB connection error:', err);
   process.exit(1);
@@ -79,19 +115,14 @@ mongoose.connection.on('reconnected', () => {
   console.log('MongoDB reconnected');
 });
 
-// Routes
-app.use('/api/auth', require('./routes/auth'));
-app.use('/api/users', require('./routes/users'));
-app.use('/api/sessions', require('./routes/sessions'));
-app.use('/api/statistics', require('./routes/statistics'));
-app.use('/api/notifications', require('./routes/notifications'));
-app.use('/api/placements', require('./routes/placements'));
+// Routes (see routes/index.js); loaded after dotenv so modules can read the environment
+const { API_ROUTES } = require('./routes/index');
+API_ROUTES.forEach(({ path: mountPath, router }) => app.use(mountPath, router));
+app.use('/api/docs', require('./routes/docs'));
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ message: 'Something went wrong!' });
-});
+// Unknown API routes and error handling middleware
+app.use('/api', notFound);
+app.use(errorHandler);
 
 // Start server
 const PORT = process.env.PORT || 5000;
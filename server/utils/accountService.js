@@ -0,0 +1,173 @@
+/**
+ * Account Service
+ *
+ * Self-service data export and account deletion.
+ *
+ * Export:
+ * - One JSON document with the user's profile, notifications, the sessions
+ *   they took part in or headed, their placement submissions, signed-in devices,
+ *   permission grants and skill endorsements (received and given). Secrets (password hash, tokens, 2FA data) are left out
+ *
+ * Deletion:
+ * - A request schedules deletion after a 14-day grace period, during which
+ *   the user can sign in and cancel it
+ * - When the period ends, placement submissions are anonymised (name and
+ *   submitter removed; company, year, type, status and department kept) so
+ *   placement statistics do not change, the user is removed from session
+ *   participant lists, sessions they headed show "Deleted user" as the
+ *   head, and their notifications, devices, permission grants,
+ *   skill endorsements (received and given), profile photo files and the
+ *   account itself are deleted
+ * - Audit log entries are kept as the record of administrative changes,
+ *   without the user's email address or the profile values in their diffs
+ *
+ * @type {module} Account data export and deletion
+ */
+
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const Session = require('../models/Session');
+const Placement = require('../models/Placement');
+const AuthSession = require('../models/AuthSession');
+const PermissionGrant = require('../models/PermissionGrant');
+const AuditLog = require('../models/AuditLog');
+const SkillEndorsement = require('../models/SkillEndorsement');
+const { removeProfilePhoto } = require('./profilePhotoService');
+
+const DELETION_GRACE_PERIOD = 14 * 24 * 60 * 60 * 1000; // 14 days
+const ANONYMISED_NAME = 'Deleted user';
+
+// Never part of an export, even though some are stored on the user
+const PRIVATE_USER_FIELDS = [
+  'password',
+  'emailVerificationToken',
+  'emailVerificationExpires',
+  'passwordResetToken',
+  'passwordResetExpires',
+  'twoFactorSecret',
+  'twoFactorPendingSecret',
+  'twoFactorRecoveryCodes',
+  'twoFactorLastUsedStep',
+  '__v'
+];
+
+exports.DELETION_GRACE_PERIOD = DELETION_GRACE_PERIOD;
+
+/**
+ * Everything stored about a user, for download.
+ * @param {Object} user - User document
+ * @returns {Object} Export document
+ */
+exports.buildAccountExport = async (user) => {
+  const [profile, notifications, sessions, placements, devices, permissions, endorsements] = await Promise.all([
+    User.findById(user._id).lean(),
+    Notification.find({ recipient: user._id }).sort({ createdAt: -1 }).lean(),
+    Session.find({ $or: [{ participants: user._id }, { sessionHead: user._id }] })
+      .select('title description date time venue sessionHead sessionHeadName department status meetingLink')
+      .sort({ date: -1 })
+      .lean(),
+    Placement.find({ submittedBy: user._id }).sort({ createdAt: -1 }).lean(),
+    AuthSession.find({ user: user._id, impersonator: null })
+      .select('device ip createdAt lastUsedAt revokedAt')
+      .sort({ createdAt: -1 })
+      .lean(),
+    PermissionGrant.find({ user: user._id }).select('capability department note expiresAt createdAt').lean(),
+    SkillEndorsement.find({ $or: [{ user: user._id }, { endorsedBy: user._id }] })
+      .select('user skill endorsedBy createdAt')
+      .sort({ createdAt: -1 })
+      .lean()
+  ]);
+
+  PRIVATE_USER_FIELDS.forEach(field => delete profile[field]);
+
+  return {
+    exportedAt: new Date(),
+    profile,
+    notifications,
+    sessions,
+    placements,
+    devices,
+    permissions,
+    endorsements
+  };
+};
+
+exports.requestDeletion = async (user) => {
+  user.deletionRequestedAt = Date.now();
+  user.deletionScheduledFor = Date.now() + DELETION_GRACE_PERIOD;
+  await user.save();
+  return user.deletionScheduledFor;
+};
+
+exports.cancelDeletion = async (user) => {
+  user.deletionRequestedAt = undefined;
+  user.deletionScheduledFor = undefined;
+  await user.save();
+};
+
+/**
+ * Anonymises and deletes one account. Records the deletion in the audit log.
+ * @param {Object} user - User document
+ * @returns {Object} Counts of affected records
+ */
+exports.deleteAccount = async (user) => {
+  const [placements, sessions, headedSessions, notifications] = await Promise.all([
+    Placement.updateMany(
+      { submittedBy: user._id },
+      { $set: { studentName: ANONYMISED_NAME, submittedBy: null } }
+    ),
+    Session.updateMany({ participants: user._id }, { $pull: { participants: user._id } }),
+    // Sessions the user headed keep an anonymous head
+    Session.updateMany(
+      { sessionHead: user._id },
+      { $set: { sessionHeadName: ANONYMISED_NAME }, $unset: { sessionHead: 1 } }
+    ),
+    Notification.deleteMany({ recipient: user._id }),
+    AuthSession.deleteMany({ user: user._id }),
+    PermissionGrant.deleteMany({ user: user._id }),
+    SkillEndorsement.deleteMany({ $or: [{ user: user._id }, { endorsedBy: user._id }] }),
+    AuditLog.updateMany({ actor: user._id }, { $set: { actorEmail: ANONYMISED_NAME } }),
+    AuditLog.updateMany({ targetModel: 'User', targetId: String(user._id) }, { $set: { changes: [] } })
+  ]);
+
+  await User.deleteOne({ _id: user._id });
+  await removeProfilePhoto(user.toObject().profilePhotoSizes);
+
+  const summary = {
+    placementsAnonymised: placements.modifiedCount,
+    sessionsLeft: sessions.modifiedCount,
+    headedSessionsAnonymised: headedSessions.modifiedCount,
+    notificationsDeleted: notifications.deletedCount
+  };
+
+  await AuditLog.create({
+    actorRole: 'system',
+    action: 'account.delete',
+    targetModel: 'User',
+    targetId: String(user._id),
+    meta: {
+      role: user.role,
+      requestedAt: user.deletionRequestedAt,
+      ...summary
+    }
+  });
+
+  return summary;
+};
+
+// Deletes every account whose grace period has ended; returns how many were deleted
+exports.processDueDeletions = async () => {
+  const users = await User.find({ deletionScheduledFor: { $lte: Date.now() } });
+  let deleted = 0;
+
+  for (const user of users) {
+    try {
+      await exports.deleteAccount(user);
+      deleted += 1;
+    } catch (error) {
+      console.error(`Error deleting account ${user._id}:`, error);
+    }
+  }
+
+  return deleted;
+};
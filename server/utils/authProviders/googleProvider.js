@@ -0,0 +1,120 @@
+/**
+ * Google Auth Provider
+ *
+ * Configures the passport Google strategy and decides what a Google login
+ * means for our accounts. Google only proves who the person is; roles are
+ * never guessed from a Google profile.
+ *
+ * Flow:
+ * - Known Google ID: signs in to that account
+ * - Known email: links the Google ID to the existing account, then signs in
+ * - Unknown email: the user picks a role (RoleSelection) and passes roster
+ *   verification before an account is created
+ *
+ * Exchange Tokens:
+ * - The OAuth callback redirects to the frontend with a short-lived token,
+ *   either "google-login" (userId, 5 minutes) or "google-signup" (Google
+ *   profile, 30 minutes to pick a role and fill in the signup form)
+ * - The frontend exchanges it for a session or uses it to finish signup
+ *
+ * Environment Variables:
+ * - GOOGLE_CLIENT_ID / GOOGLE_CLIENT_SECRET: Google is disabled without them
+ * - GOOGLE_CALLBACK_URL: Defaults to /api/auth/google/callback
+ *
+ * @type {module} Google auth provider (redirect)
+ */
+
+const jwt = require('jsonwebtoken');
+const passport = require('passport');
+const GoogleStrategy = require('passport-google-oauth20').Strategy;
+const User = require('../../models/User');
+
+const LOGIN_PURPOSE = 'google-login';
+const SIGNUP_PURPOSE = 'google-signup';
+
+const isEnabled = () => Boolean(
+  process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET
+);
+
+// Only the fields we use from the Google profile
+const toGoogleAccount = (profile) => {
+  const email = profile.emails?.[0];
+  return {
+    googleId: profile.id,
+    email: email?.value?.toLowerCase(),
+    emailVerified: email?.verified === true || email?.verified === 'true' || profile._json?.email_verified === true,
+    fullName: profile.displayName,
+    profilePhoto: profile.photos?.[0]?.value
+  };
+};
+
+if (isEnabled()) {
+  passport.use(new GoogleStrategy({
+    clientID: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    callbackURL: process.env.GOOGLE_CALLBACK_URL || '/api/auth/google/callback'
+  }, (accessToken, refreshToken, profile, done) => {
+    done(null, toGoogleAccount(profile));
+  }));
+}
+
+exports.name = 'google';
+exports.label = 'Google';
+exports.type = 'redirect';
+exports.isEnabled = isEnabled;
+
+/**
+ * Maps a Google account (from the passport callback) onto a user, linking
+ * it by email when the account was created another way.
+ * @returns {Promise<Object>} AuthResult: { user }, { account } or { error }
+ */
+exports.authenticate = async (account) => {
+  if (!account?.email || !account.emailVerified) {
+    return { error: 'Your Google account has no verified email address', status: 403 };
+  }
+
+  const linked = await User.findOne({ googleId: account.googleId });
+  if (linked) return { user: linked };
+
+  const user = await User.findOne({ email: account.email });
+  if (!user) return { account };
+
+  user.googleId = account.googleId;
+  // Google has confirmed the address, which is all email verification checks
+  user.isEmailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpires = undefined;
+  await user.save();
+  return { user };
+};
+
+exports.createLoginToken = (user) => jwt.sign(
+  { userId: user._id, purpose: LOGIN_PURPOSE },
+  process.env.JWT_SECRET,
+  { expiresIn: '5m' }
+);
+
+exports.createSignupToken = (account) => jwt.sign(
+  {
+    purpose: SIGNUP_PURPOSE,
+    googleId: account.googleId,
+    email: account.email,
+    fullName: account.fullName,
+    profilePhoto: account.profilePhoto
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: '30m' }
+);
+
+// Returns the decoded payload of a valid exchange token, otherwise null
+exports.readGoogleToken = (token) => {
+  try {
+    const decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+    return [LOGIN_PURPOSE, SIGNUP_PURPOSE].includes(decoded.purpose) ? decoded : null;
+  } catch {
+    return null;
+  }
+};
+
+exports.LOGIN_PURPOSE = LOGIN_PURPOSE;
+exports.SIGNUP_PURPOSE = SIGNUP_PURPOSE;
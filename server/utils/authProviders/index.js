@@ -0,0 +1,48 @@
+/**
+ * Auth Provider Registry
+ *
+ * Every way of proving who a user is (password, campus LDAP, Google) is a
+ * provider with the same shape, so the auth routes handle sessions, 2FA,
+ * throttling and account checks once for all of them.
+ *
+ * Provider Interface:
+ * - name: Identifier sent by the client (`provider` on POST /api/auth/login)
+ * - label: Shown on the sign-in page
+ * - type: "credentials" (username/email and password, POST /api/auth/login)
+ *   or "redirect" (browser leaves the site, e.g. OAuth)
+ * - identifierField: Request field holding the username or email
+ *   (credentials providers only; also the login throttle key)
+ * - isEnabled(): Whether the provider is configured
+ * - authenticate(input): Resolves to an AuthResult
+ *
+ * AuthResult:
+ * - { user }: Identity verified and mapped to a local account
+ * - { account }: Identity verified but no account yet (signup required)
+ * - { error, status?, targetUser? }: Rejected; status defaults to 401, and
+ *   only 401s count towards lockout. targetUser is the account the attempt
+ *   was aimed at, if any (it receives the lockout email)
+ *
+ * Adding a provider: implement the interface and list it below.
+ *
+ * @type {module} Auth provider registry
+ */
+
+const passwordProvider = require('./passwordProvider');
+const ldapProvider = require('./ldapProvider');
+const googleProvider = require('./googleProvider');
+
+const PROVIDERS = [passwordProvider, ldapProvider, googleProvider];
+
+// Returns an enabled provider by name, otherwise null
+exports.getProvider = (name) => (
+  PROVIDERS.find(provider => provider.name === name && provider.isEnabled()) || null
+);
+
+// Public description of the enabled providers, for the sign-in page
+exports.listProviders = () => PROVIDERS
+  .filter(provider => provider.isEnabled())
+  .map(({ name, label, type, identifierField }) => ({ name, label, type, identifierField }));
+
+exports.passwordProvider = passwordProvider;
+exports.ldapProvider = ldapProvider;
+exports.googleProvider = googleProvider;
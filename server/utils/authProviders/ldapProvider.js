@@ -0,0 +1,231 @@
+/**
+ * LDAP Auth Provider (Campus SSO)
+ *
+ * Signs users in with their campus directory username and password. The
+ * directory entry is found with a search, then the password is checked by
+ * binding as that entry. Directory attributes are copied onto the User on
+ * every login; students and alumni get an account on their first login.
+ *
+ * Attribute Mapping (override with LDAP_ATTR_*):
+ * - uid (LDAP_ATTR_UID): Stable directory ID, stored as User.ldapUid
+ * - mail (LDAP_ATTR_EMAIL): Email; links an existing account on first login
+ * - cn (LDAP_ATTR_NAME): Full name
+ * - departmentNumber (LDAP_ATTR_DEPARTMENT): Department (must be a known code)
+ * - employeeNumber (LDAP_ATTR_ID): Student, college or faculty ID, by role
+ * - employeeType (LDAP_ATTR_ROLE): Role, translated with LDAP_ROLE_MAP
+ *
+ * Roles:
+ * - LDAP_ROLE_MAP lists directory:site pairs, default
+ *   "student:student,alumni:alumni,faculty:faculty"
+ * - Only student and alumni accounts are created from the directory;
+ *   faculty and admins register with an invite (routes/invites.js) and
+ *   link their campus account by email when they first sign in with it
+ * - The role of an existing account is never changed by the directory
+ * - Entries without a mapped role cannot create an account
+ *
+ * Environment Variables:
+ * - LDAP_URL: e.g. ldap://localhost:389 (the provider is off without it)
+ * - LDAP_BASE_DN: Search base, e.g. ou=people,dc=campus,dc=local
+ * - LDAP_BIND_DN / LDAP_BIND_PASSWORD: Service account for the search
+ *   (anonymous search when unset)
+ * - LDAP_LOGIN_ATTRIBUTES: Attributes matched against the username,
+ *   default "uid,mail"
+ *
+ * Local testing: scripts/ldap/docker-compose.yml starts an OpenLDAP server
+ * with sample users; `npm run ldap:check -- <username> <password>` shows
+ * what the provider reads for a user without touching the database.
+ *
+ * @type {module} LDAP auth provider (credentials)
+ */
+
+const { Client, EqualityFilter, OrFilter, InvalidCredentialsError } = require('ldapts');
+const User = require('../../models/User');
+const { ROLE_ID_FIELDS } = require('../rosterService');
+
+const DEFAULT_ROLE_MAP = 'student:student,alumni:alumni,faculty:faculty';
+// Roles the directory may create accounts for; the others need an invite
+const DIRECTORY_SIGNUP_ROLES = ['student', 'alumni'];
+const TIMEOUT = 5000; // ms
+
+const DEPARTMENTS = User.schema.path('department').enumValues;
+const ROLES = User.schema.path('role').enumValues;
+
+const attributeNames = () => ({
+  uid: process.env.LDAP_ATTR_UID || 'uid',
+  email: process.env.LDAP_ATTR_EMAIL || 'mail',
+  fullName: process.env.LDAP_ATTR_NAME || 'cn',
+  department: process.env.LDAP_ATTR_DEPARTMENT || 'departmentNumber',
+  id: process.env.LDAP_ATTR_ID || 'employeeNumber',
+  role: process.env.LDAP_ATTR_ROLE || 'employeeType'
+});
+
+const roleMap = () => new Map(
+  (process.env.LDAP_ROLE_MAP || DEFAULT_ROLE_MAP)
+    .split(',')
+    .map(pair => pair.split(':').map(part => part.trim().toLowerCase()))
+    .filter(([directoryRole, role]) => directoryRole && ROLES.includes(role))
+);
+
+// Attributes can come back as a string, an array or a Buffer
+const firstValue = (value) => {
+  const first = Array.isArray(value) ? value[0] : value;
+  if (first === undefined || first === null) return '';
+  return String(first).trim();
+};
+
+// Attribute names are case-insensitive in LDAP, and servers differ in the case they return
+const attribute = (entry, name) => Object.keys(entry)
+  .filter(key => key.toLowerCase() === name.toLowerCase())
+  .map(key => entry[key])
+  .find(value => [].concat(value).length > 0);
+
+// Translates a directory entry into User fields
+const mapEntry = (entry) => {
+  const names = attributeNames();
+  const department = firstValue(attribute(entry, names.department)).toUpperCase();
+  const directoryRoles = [].concat(attribute(entry, names.role) || []).map(role => String(role).trim().toLowerCase());
+  const roles = roleMap();
+
+  return {
+    dn: entry.dn,
+    uid: firstValue(attribute(entry, names.uid)) || entry.dn,
+    email: firstValue(attribute(entry, names.email)).toLowerCase(),
+    fullName: firstValue(attribute(entry, names.fullName)),
+    department: DEPARTMENTS.includes(department) ? department : undefined,
+    id: firstValue(attribute(entry, names.id)) || undefined,
+    role: directoryRoles.map(role => roles.get(role)).find(Boolean) || null
+  };
+};
+
+const isEnabled = () => Boolean(process.env.LDAP_URL && process.env.LDAP_BASE_DN);
+
+/**
+ * Finds the directory entry for a username and checks the password by
+ * binding as it.
+ * @returns {Promise<Object|null>} Mapped entry, or null for bad credentials
+ * @throws When the directory cannot be reached
+ */
+const lookupDirectoryUser = async (username, password) => {
+  // An empty password would be an unauthenticated bind, which always succeeds
+  if (!username || !password) return null;
+
+  const names = attributeNames();
+  const loginAttributes = (process.env.LDAP_LOGIN_ATTRIBUTES || 'uid,mail')
+    .split(',')
+    .map(attribute => attribute.trim())
+    .filter(Boolean);
+
+  const client = new Client({
+    url: process.env.LDAP_URL,
+    timeout: TIMEOUT,
+    connectTimeout: TIMEOUT
+  });
+
+  try {
+    if (process.env.LDAP_BIND_DN) {
+      await client.bind(process.env.LDAP_BIND_DN, process.env.LDAP_BIND_PASSWORD || '');
+    }
+
+    // Filter objects escape the username, so it cannot alter the query
+    const { searchEntries } = await client.search(process.env.LDAP_BASE_DN, {
+      scope: 'sub',
+      filter: new OrFilter({
+        filters: loginAttributes.map(attribute => new EqualityFilter({ attribute, value: username }))
+      }),
+      attributes: Object.values(names),
+      sizeLimit: 2
+    });
+
+    // Unknown or ambiguous usernames are treated like a wrong password
+    if (searchEntries.length !== 1) return null;
+
+    try {
+      await client.bind(searchEntries[0].dn, password);
+    } catch (error) {
+      if (error instanceof InvalidCredentialsError) return null;
+      throw error;
+    }
+
+    return mapEntry(searchEntries[0]);
+  } finally {
+    await client.unbind().catch(() => {});
+  }
+};
+
+// Creates or updates the local account from a directory entry
+const syncDirectoryUser = async (profile) => {
+  let user = await User.findOne({ ldapUid: profile.uid });
+
+  if (!user && profile.email) {
+    // First campus login for an account that was created another way
+    user = await User.findOne({ email: profile.email });
+  }
+
+  if (!user) {
+    if (!profile.role) {
+      return { error: 'Your campus account does not have access to this site', status: 403 };
+    }
+    if (!profile.email) {
+      return { error: 'Your campus account has no email address', status: 403 };
+    }
+    if (!DIRECTORY_SIGNUP_ROLES.includes(profile.role)) {
+      return {
+        error: 'Faculty and admin accounts are created by invitation. Register with your invite, then sign in with your campus account',
+        status: 403
+      };
+    }
+
+    // The directory is the institute's own record, so no roster check or approval
+    user = new User({
+      email: profile.email,
+      fullName: profile.fullName || profile.email,
+      role: profile.role,
+      isEmailVerified: true,
+      approvalStatus: 'approved'
+    });
+  }
+
+  user.ldapUid = profile.uid;
+  user.isEmailVerified = true;
+
+  // The directory is the source of truth for these fields
+  if (profile.fullName) user.fullName = profile.fullName;
+  if (profile.department) user.department = profile.department;
+
+  // The directory ID is only the right kind of ID when the roles agree
+  const idField = profile.role === user.role && ROLE_ID_FIELDS[user.role];
+  if (idField && profile.id) user[idField] = profile.id;
+
+  await user.save();
+  return { user };
+};
+
+exports.name = 'ldap';
+exports.label = 'Campus account';
+exports.type = 'credentials';
+exports.identifierField = 'username';
+exports.isEnabled = isEnabled;
+
+/**
+ * @param {Object} credentials - { username, password }
+ * @returns {Promise<Object>} AuthResult: { user } or { error, status, targetUser }
+ */
+exports.authenticate = async ({ username, password }) => {
+  let profile;
+  try {
+    profile = await lookupDirectoryUser(String(username), String(password));
+  } catch (error) {
+    console.error('LDAP directory error:', error);
+    return { error: 'Campus sign-in is unavailable right now. Please try again later', status: 503 };
+  }
+
+  if (!profile) {
+    const targetUser = await User.findOne({ ldapUid: String(username) });
+    return { error: 'Invalid credentials', targetUser };
+  }
+
+  return syncDirectoryUser(profile);
+};
+
+exports.lookupDirectoryUser = lookupDirectoryUser;
+exports.mapEntry = mapEntry;
@@ -0,0 +1,32 @@
+/**
+ * Password Auth Provider
+ *
+ * Email and password checked against the bcrypt hash on the User document.
+ * Accounts created through Google or the campus directory have no password
+ * and are always rejected here.
+ *
+ * @type {module} Password auth provider (credentials)
+ */
+
+const User = require('../../models/User');
+
+exports.name = 'password';
+exports.label = 'Email & password';
+exports.type = 'credentials';
+exports.identifierField = 'email';
+exports.isEnabled = () => true;
+
+/**
+ * @param {Object} credentials - { email, password }
+ * @returns {Promise<Object>} AuthResult: { user } or { error, targetUser }
+ */
+exports.authenticate = async ({ email, password }) => {
+  // Find user and include password field for comparison
+  const user = await User.findOne({ email }).select('+password');
+
+  if (!user || !(await user.comparePassword(password))) {
+    return { error: 'Invalid credentials', targetUser: user };
+  }
+
+  return { user };
+};
@@ -0,0 +1,185 @@
+/**
+ * Auth Session Service
+ *
+ * Issues short-lived access tokens backed by rotating refresh tokens. Each
+ * sign-in creates an AuthSession; exchanging its refresh token replaces it
+ * with a new one, so a stolen token stops working after the next refresh.
+ *
+ * Tokens:
+ * - Access token: JWT { userId, role, sid }, expires after 15 minutes
+ * - Refresh token: Random string, only its hash is stored, expires after
+ *   30 days without use
+ *
+ * Impersonation:
+ * - An admin can open a read-only session as another user. Its access token
+ *   carries the admin's ID (imp) and lasts 30 minutes; there is no refresh
+ *   token, so the session cannot be extended
+ *
+ * Reuse Detection:
+ * - Presenting a refresh token that was already exchanged revokes the
+ *   session, unless it happens within a few seconds of the exchange
+ *   (two tabs refreshing at the same time)
+ *
+ * @type {module} Refresh-token session management
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const AuthSession = require('../models/AuthSession');
+const User = require('../models/User');
+
+const ACCESS_TOKEN_EXPIRES_IN = '15m';
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+const REUSE_GRACE_PERIOD = 10 * 1000; // 10 seconds
+const IMPERSONATION_TTL = 30 * 60 * 1000; // 30 minutes
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const generateRefreshToken = () => crypto.randomBytes(40).toString('hex');
+
+// Short label such as "Chrome on Windows" for the devices list
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    [/Edg\//, 'Edge'],
+    [/OPR\//, 'Opera'],
+    [/Chrome\//, 'Chrome'],
+    [/Firefox\//, 'Firefox'],
+    [/Safari\//, 'Safari']
+  ];
+  const systems = [
+    [/Windows/, 'Windows'],
+    [/Android/, 'Android'],
+    [/iPhone|iPad/, 'iOS'],
+    [/Mac OS X/, 'macOS'],
+    [/Linux/, 'Linux']
+  ];
+  const browser = browsers.find(([pattern]) => pattern.test(userAgent));
+  const system = systems.find(([pattern]) => pattern.test(userAgent));
+
+  return `${browser ? browser[1] : 'Unknown browser'} on ${system ? system[1] : 'unknown device'}`;
+};
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { userId: user._id, role: user.role, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+);
+
+exports.createSession = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+  const userAgent = req.get('user-agent') || '';
+
+  const session = await AuthSession.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    device: describeDevice(userAgent),
+    userAgent,
+    ip: req.ip,
+    expiresAt: Date.now() + REFRESH_TOKEN_TTL
+  });
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken,
+    session
+  };
+};
+
+// Read-only session for an admin viewing the app as `user`
+exports.createImpersonationSession = async (admin, user, req) => {
+  const userAgent = req.get('user-agent') || '';
+  const expiresAt = new Date(Date.now() + IMPERSONATION_TTL);
+
+  const session = await AuthSession.create({
+    user: user._id,
+    impersonator: admin._id,
+    // Never handed out; the session cannot be refreshed
+    refreshTokenHash: hashToken(generateRefreshToken()),
+    device: `Viewed by ${admin.fullName}`,
+    userAgent,
+    ip: req.ip,
+    expiresAt
+  });
+
+  const token = jwt.sign(
+    { userId: user._id, role: user.role, sid: session._id, imp: admin._id },
+    process.env.JWT_SECRET,
+    { expiresIn: IMPERSONATION_TTL / 1000 }
+  );
+
+  return { token, session, expiresAt };
+};
+
+// Exchanges a refresh token for a new token pair; returns null when the token is not usable
+exports.rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const session = await AuthSession.findOne({ refreshTokenHash: tokenHash });
+
+  if (!session) {
+    const replaced = await AuthSession.findOne({ previousTokenHash: tokenHash, revokedAt: null });
+    if (replaced && Date.now() - replaced.lastUsedAt.getTime() > REUSE_GRACE_PERIOD) {
+      replaced.revokedAt = Date.now();
+      await replaced.save();
+      console.warn(`Refresh token reuse detected; revoked session ${replaced._id}`);
+    }
+    return null;
+  }
+
+  if (session.revokedAt || session.expiresAt <= Date.now()) {
+    return null;
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || !user.isEmailVerified || user.approvalStatus === 'pending') {
+    session.revokedAt = Date.now();
+    await session.save();
+    return null;
+  }
+
+  const nextRefreshToken = generateRefreshToken();
+  session.previousTokenHash = tokenHash;
+  session.refreshTokenHash = hashToken(nextRefreshToken);
+  session.lastUsedAt = Date.now();
+  session.ip = req.ip;
+  session.expiresAt = Date.now() + REFRESH_TOKEN_TTL;
+  await session.save();
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken: nextRefreshToken,
+    user
+  };
+};
+
+exports.isSessionActive = (sessionId) => AuthSession.exists({
+  _id: sessionId,
+  revokedAt: null,
+  expiresAt: { $gt: Date.now() }
+});
+
+exports.listActiveSessions = (userId) => AuthSession.find({
+  user: userId,
+  impersonator: null,
+  revokedAt: null,
+  expiresAt: { $gt: Date.now() }
+})
+  .select('device userAgent ip createdAt lastUsedAt')
+  .sort({ lastUsedAt: -1 });
+
+exports.revokeSession = (sessionId, userId) => AuthSession.findOneAndUpdate(
+  { _id: sessionId, user: userId, revokedAt: null },
+  { revokedAt: Date.now() }
+);
+
+exports.revokeByRefreshToken = (refreshToken) => AuthSession.findOneAndUpdate(
+  { refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+  { revokedAt: Date.now() }
+);
+
+// Signs the user out everywhere, optionally keeping one session
+exports.revokeAllSessions = (userId, exceptSessionId) => {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+  return AuthSession.updateMany(query, { revokedAt: Date.now() });
+};
@@ -8,6 +8,8 @@
  * - Welcome emails
  * - Verification emails
  * - Password reset
+ * - Faculty and admin invitations
+ * - Account deletion scheduled
  * - Session notifications
  * - System alerts
  * - Newsletter
@@ -52,6 +54,13 @@ const transporter = nodemailer.createTransport({
   }
 });
 
+// User-supplied values are escaped before being placed in HTML bodies
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
 exports.sendVerificationEmail = async (email, verificationToken) => {
   const verificationUrl = `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`;
   
@@ -87,4 +96,99 @@ exports.sendPasswordResetEmail = async (email, resetToken) => {
   };
 
   await transporter.sendMail(mailOptions);
-}; 
\ No newline at end of file
+};
+
+exports.sendRegistrationApprovedEmail = async (email, fullName) => {
+  const signInUrl = `${process.env.FRONTEND_URL}/signin`;
+
+  const mailOptions = {
+    from: process.env.SMTP_USER,
+    to: email,
+    subject: 'Your Registration Has Been Approved',
+    html: `
+      <h1>Registration Approved</h1>
+      <p>Hi ${escapeHtml(fullName)},</p>
+      <p>Your account has been approved by an administrator. You can now sign in:</p>
+      <a href="${signInUrl}">${signInUrl}</a>
+    `
+  };
+
+  await transporter.sendMail(mailOptions);
+};
+
+exports.sendRegistrationRejectedEmail = async (email, fullName, reason) => {
+  const mailOptions = {
+    from: process.env.SMTP_USER,
+    to: email,
+    subject: 'Your Registration Was Not Approved',
+    html: `
+      <h1>Registration Not Approved</h1>
+      <p>Hi ${escapeHtml(fullName)},</p>
+      <p>Your registration request was reviewed and could not be approved.</p>
+      <p><strong>Reason:</strong> ${escapeHtml(reason)}</p>
+      <p>If you believe this is a mistake, please contact the administration office.</p>
+    `
+  };
+
+  await transporter.sendMail(mailOptions);
+};
+
+exports.sendAccountLockedEmail = async (email, fullName, unlockToken, lockedUntil) => {
+  const unlockUrl = `${process.env.FRONTEND_URL}/unlock-account?token=${unlockToken}`;
+
+  const mailOptions = {
+    from: process.env.SMTP_USER,
+    to: email,
+    subject: 'Your Account Has Been Temporarily Locked',
+    html: `
+      <h1>Account Locked</h1>
+      <p>Hi ${escapeHtml(fullName)},</p>
+      <p>We locked your account after several failed sign-in attempts. It unlocks automatically at ${lockedUntil.toUTCString()}.</p>
+      <p>If these attempts were yours, you can unlock it now:</p>
+      <a href="${unlockUrl}">${unlockUrl}</a>
+      <p>If they were not, consider resetting your password once you are signed in again.</p>
+    `
+  };
+
+  await transporter.sendMail(mailOptions);
+};
+
+exports.sendInviteEmail = async (email, role, inviteToken, { invitedBy, note, expiresAt }) => {
+  const signUpUrl = `${process.env.FRONTEND_URL}/${role}signup?invite=${inviteToken}`;
+
+  const mailOptions = {
+    from: process.env.SMTP_USER,
+    to: email,
+    subject: `You're Invited to Join as ${role === 'admin' ? 'an Admin' : 'Faculty'}`,
+    html: `
+      <h1>Invitation</h1>
+      <p>${escapeHtml(invitedBy)} has invited you to create a ${role} account.</p>
+      ${note ? `<p><strong>Message:</strong> ${escapeHtml(note)}</p>` : ''}
+      <p>Use the link below to create your account. It can be used once, by ${escapeHtml(email)} only:</p>
+      <a href="${signUpUrl}">${signUpUrl}</a>
+      <p>This link will expire on ${expiresAt.toUTCString()}.</p>
+    `
+  };
+
+  await transporter.sendMail(mailOptions);
+};
+
+exports.sendAccountDeletionScheduledEmail = async (email, fullName, scheduledFor) => {
+  const signInUrl = `${process.env.FRONTEND_URL}/signin`;
+
+  const mailOptions = {
+    from: process.env.SMTP_USER,
+    to: email,
+    subject: 'Your Account Is Scheduled for Deletion',
+    html: `
+      <h1>Account Deletion Requested</h1>
+      <p>Hi ${escapeHtml(fullName)},</p>
+      <p>We received a request to delete your account. It will be deleted on ${scheduledFor.toUTCString()}.</p>
+      <p>Your placement records will be kept without your name so that placement statistics stay correct.</p>
+      <p>If you did not ask for this, or have changed your mind, sign in and cancel the deletion from your profile before then:</p>
+      <a href="${signInUrl}">${signInUrl}</a>
+    `
+  };
+
+  await transporter.sendMail(mailOptions);
+};
@@ -10,6 +10,7 @@
  * - exportUsers: Export user data to Excel
  * - exportSessions: Export session data to Excel
  * - exportStatistics: Export analytics to Excel
+ * - exportAuditLogs: Export audit log entries to Excel or CSV
  * 
  * Features:
  * - Multiple sheet support
@@ -114,4 +115,48 @@ exports.exportSessionData = async () => {
   } catch (error) {
     throw new Error('Error exporting session data: ' + error.message);
   }
-}; 
\ No newline at end of file
+};
+
+exports.exportAuditLogs = (logs, bookType = 'xlsx') => {
+  try {
+    // One row per entry; the diff is flattened to "field: before -> after" lines
+    const rows = logs.map(log => ({
+      'Time': new Date(log.createdAt).toISOString(),
+      'Actor': log.actorEmail || '',
+      'Actor Role': log.actorRole || '',
+      'Action': log.action,
+      'Target': log.targetModel || '',
+      'Target ID': log.targetId || '',
+      'Changes': (log.changes || [])
+        .map(change => `${change.field}: ${JSON.stringify(change.before) ?? '—'} -> ${JSON.stringify(change.after) ?? '—'}`)
+        .join('\n'),
+      'Details': log.meta ? JSON.stringify(log.meta) : '',
+      'Request': `${log.method || ''} ${log.path || ''}`.trim(),
+      'IP': log.ip || ''
+    }));
+
+    const workbook = XLSX.utils.book_new();
+    const worksheet = XLSX.utils.json_to_sheet(rows);
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Audit Log');
+
+    return XLSX.write(workbook, { bookType, type: 'buffer' });
+  } catch (error) {
+    throw new Error('Error exporting audit log: ' + error.message);
+  }
+};
+
+exports.parseExcel = (buffer) => {
+  try {
+    // XLSX reads .xlsx, .xls and .csv buffers alike; only the first sheet is used
+    const workbook = XLSX.read(buffer, { type: 'buffer' });
+    const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+
+    if (!worksheet) {
+      return [];
+    }
+
+    return XLSX.utils.sheet_to_json(worksheet, { defval: '', raw: false });
+  } catch (error) {
+    throw new Error('Error reading spreadsheet: ' + error.message);
+  }
+};
@@ -0,0 +1,44 @@
+/**
+ * Failed Signup Service
+ *
+ * Records rejected signup attempts in the FailedSignup collection so that
+ * support staff can see why an applicant could not register.
+ *
+ * Categories:
+ * - duplicate_email: Email already belongs to an account
+ * - roster_mismatch: Details do not match the institute roster
+ * - validation_error: Missing or malformed fields
+ * - blocked: Email was blocked by an admin
+ * - server_error: Unexpected failure while creating the account
+ *
+ * Recording never throws; a logging failure must not change the response
+ * the applicant receives.
+ *
+ * @type {module} Failed signup tracking service
+ */
+
+const FailedSignup = require('../models/FailedSignup');
+
+// applicant overrides request body fields (e.g. name and email from Google)
+exports.recordFailedSignup = async (req, category, message, applicant = {}) => {
+  try {
+    const { fullName, email, role, studentId, collegeId, facultyId } = { ...req.body, ...applicant };
+
+    await FailedSignup.create({
+      name: (typeof fullName === 'string' && fullName.trim()) || 'Unknown',
+      email: (typeof email === 'string' && email.trim().toLowerCase()) || 'unknown',
+      error: message,
+      category,
+      role: typeof role === 'string' ? role : undefined,
+      metadata: {
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+        studentId,
+        collegeId,
+        facultyId
+      }
+    });
+  } catch (error) {
+    console.error('Error recording failed signup:', error);
+  }
+};
@@ -0,0 +1,110 @@
+/**
+ * Field Policies
+ *
+ * Which request body fields each create/update route may write. Routes
+ * apply a policy with allowFields (middleware/fieldAllowList.js); the
+ * request body is reduced to the listed fields before the handler sees it.
+ *
+ * Protected Fields:
+ * - Account state and credentials (role, email verification, approval,
+ *   password and reset tokens, 2FA, linked sign-in accounts, deletion) and
+ *   record ownership can never be written from a request body. Sending one
+ *   is rejected rather than ignored, so escalation attempts are visible
+ * - Protected fields must not appear in any policy; run
+ *   `npm run check:fields` after changing this file
+ *
+ * @type {module} Declarative body allow-lists
+ */
+
+const PROTECTED_FIELDS = [
+  '_id',
+  '__v',
+  'role',
+  'email',
+  'password',
+  'isEmailVerified',
+  'emailVerificationToken',
+  'emailVerificationExpires',
+  'emailVerificationSentAt',
+  'passwordResetToken',
+  'passwordResetExpires',
+  'passwordChangedAt',
+  'approvalStatus',
+  'approvedBy',
+  'approvedAt',
+  'googleId',
+  'ldapUid',
+  'submittedBy',
+  'createdAt',
+  'updatedAt'
+];
+
+// Every field starting with one of these is protected too
+const PROTECTED_PREFIXES = ['twoFactor', 'deletion'];
+
+const isProtectedField = (field) => (
+  PROTECTED_FIELDS.includes(field) || PROTECTED_PREFIXES.some(prefix => field.startsWith(prefix))
+);
+
+const SESSION_FIELDS = [
+  'title',
+  'description',
+  'date',
+  'time',
+  'venue',
+  'sessionHead',
+  'sessionHeadName',
+  'department',
+  'feedbackFormLink',
+  'status',
+  'meetingLink'
+];
+
+const FIELD_POLICIES = {
+  // PUT /api/users/profile: identity fields (IDs, department) come from the roster;
+  // the photo is set by PUT /api/users/profile/photo
+  'user.profile': [
+    'fullName',
+    'phoneNumber',
+    'designation',
+    'yearOfStudy',
+    'yearOfPassedOut',
+    'currentCompany',
+    'location',
+    'skills',
+    'directoryVisibility',
+    'positions',
+    'higherStudies',
+    'privacy'
+  ],
+  // POST /api/sessions, PUT /api/sessions/:id
+  'session.create': SESSION_FIELDS,
+  'session.update': SESSION_FIELDS,
+  // POST /api/placements: status, submitter and department are set by the server
+  'placement.submit': [
+    'studentName',
+    'year',
+    'company',
+    'type',
+    'position',
+    'package',
+    'location',
+    'joiningDate',
+    'additionalInfo'
+  ],
+  // PUT /api/placements/:id: review and corrections by placement coordinators
+  'placement.review': [
+    'status',
+    'company',
+    'year',
+    'type',
+    'department'
+  ]
+};
+
+module.exports = {
+  PROTECTED_FIELDS,
+  PROTECTED_PREFIXES,
+  FIELD_POLICIES,
+  isProtectedField
+};
@@ -0,0 +1,171 @@
+/**
+ * Login Throttle Service
+ *
+ * Tracks failed sign-ins per client IP and per account email in MongoDB,
+ * so limits hold across every server process.
+ *
+ * Policy (per scope):
+ * - Failures are counted within a 15 minute window
+ * - After `backoffAfter` failures each further attempt must wait
+ *   exponentially longer (1s, 2s, 4s ... capped at 60s)
+ * - After `lockAfter` failures sign-in is refused for 15 minutes, doubling
+ *   with every lockout up to 24 hours
+ * - A locked account is emailed a link that unlocks it early
+ *
+ * Unknown emails are tracked exactly like real accounts so the responses
+ * do not reveal which emails are registered.
+ *
+ * @type {module} Login throttling and lockout
+ */
+
+const crypto = require('crypto');
+const LoginThrottle = require('../models/LoginThrottle');
+const { sendAccountLockedEmail } = require('./emailService');
+
+const POLICIES = {
+  account: { backoffAfter: 3, lockAfter: 5 },
+  ip: { backoffAfter: 10, lockAfter: 30 }
+};
+
+const ATTEMPT_WINDOW = 15 * 60 * 1000; // 15 minutes
+const MAX_BACKOFF = 60 * 1000; // 60 seconds
+const LOCKOUT_DURATION = 15 * 60 * 1000; // 15 minutes
+const MAX_LOCKOUT = 24 * 60 * 60 * 1000; // 24 hours
+const RECORD_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const formatWait = (seconds) => (
+  seconds >= 60 ? `${Math.ceil(seconds / 60)} minutes` : `${seconds} seconds`
+);
+
+// Returns the time until which a record refuses sign-in, or null
+const blockedUntil = (record, scope) => {
+  if (!record) return null;
+  const now = Date.now();
+
+  if (record.lockedUntil && record.lockedUntil.getTime() > now) {
+    return { locked: true, until: record.lockedUntil.getTime() };
+  }
+
+  const { backoffAfter } = POLICIES[scope];
+  const lastFailure = record.lastFailureAt ? record.lastFailureAt.getTime() : 0;
+  if (record.failures >= backoffAfter && lastFailure > now - ATTEMPT_WINDOW) {
+    const delay = Math.min(1000 * 2 ** (record.failures - backoffAfter), MAX_BACKOFF);
+    if (lastFailure + delay > now) {
+      return { locked: false, until: lastFailure + delay };
+    }
+  }
+
+  return null;
+};
+
+// Counts one failure; applies a lockout when the threshold is crossed
+const recordFailure = async (scope, value) => {
+  const now = new Date();
+  const record = await LoginThrottle.findOneAndUpdate(
+    { key: `${scope}:${value}` },
+    [{
+      $set: {
+        scope,
+        email: scope === 'account' ? { $literal: value } : '$$REMOVE',
+        failures: {
+          $cond: [
+            { $gt: ['$lastFailureAt', new Date(now.getTime() - ATTEMPT_WINDOW)] },
+            { $add: [{ $ifNull: ['$failures', 0] }, 1] },
+            1
+          ]
+        },
+        lockouts: { $ifNull: ['$lockouts', 0] },
+        lastFailureAt: now,
+        expiresAt: new Date(now.getTime() + RECORD_TTL)
+      }
+    }],
+    { upsert: true, new: true }
+  );
+
+  if (record.failures < POLICIES[scope].lockAfter) {
+    return { record };
+  }
+
+  const lockedUntil = new Date(now.getTime() + Math.min(LOCKOUT_DURATION * 2 ** record.lockouts, MAX_LOCKOUT));
+  const unlockToken = scope === 'account' ? crypto.randomBytes(32).toString('hex') : undefined;
+
+  // The failures condition makes sure only one concurrent request applies the lockout
+  const locked = await LoginThrottle.findOneAndUpdate(
+    { _id: record._id, failures: { $gte: POLICIES[scope].lockAfter } },
+    {
+      $set: {
+        failures: 0,
+        lockedUntil,
+        ...(unlockToken ? { unlockTokenHash: hashToken(unlockToken) } : {})
+      },
+      $inc: { lockouts: 1 }
+    },
+    { new: true }
+  );
+
+  return { record: locked || record, unlockToken: locked ? unlockToken : undefined };
+};
+
+/**
+ * Checks whether a sign-in attempt may proceed.
+ * @returns {Promise<Object|null>} null when allowed, otherwise { code, message, retryAfter }
+ */
+exports.checkLoginAllowed = async (ip, email) => {
+  const [ipRecord, accountRecord] = await Promise.all([
+    LoginThrottle.findOne({ key: `ip:${ip}` }),
+    email ? LoginThrottle.findOne({ key: `account:${normalizeEmail(email)}` }) : null
+  ]);
+
+  const accountBlock = blockedUntil(accountRecord, 'account');
+  const ipBlock = blockedUntil(ipRecord, 'ip');
+  const block = accountBlock || ipBlock;
+  if (!block) return null;
+
+  const retryAfter = Math.max(Math.ceil((block.until - Date.now()) / 1000), 1);
+
+  if (accountBlock && accountBlock.locked) {
+    return {
+      code: 'ACCOUNT_LOCKED',
+      retryAfter,
+      message: `This account is temporarily locked after too many failed sign-in attempts. Try again in ${formatWait(retryAfter)} or use the unlock link sent to the account email.`
+    };
+  }
+
+  return {
+    code: 'TOO_MANY_ATTEMPTS',
+    retryAfter,
+    message: `Too many failed sign-in attempts. Please wait ${formatWait(retryAfter)} and try again.`
+  };
+};
+
+/**
+ * Records a failed sign-in for the IP and the email. Sends the unlock
+ * email when this failure locks an existing account.
+ * @param {Object} user - The matching user, or null for unknown emails
+ */
+exports.recordLoginFailure = async (ip, email, user) => {
+  const [, account] = await Promise.all([
+    recordFailure('ip', ip),
+    recordFailure('account', normalizeEmail(email))
+  ]);
+
+  if (account.unlockToken && user) {
+    try {
+      await sendAccountLockedEmail(user.email, user.fullName, account.unlockToken, account.record.lockedUntil);
+    } catch (error) {
+      console.error('Error sending account locked email:', error);
+    }
+  }
+};
+
+// A successful sign-in or password reset clears the account counters
+exports.clearLoginFailures = (email) => LoginThrottle.deleteOne({
+  key: `account:${normalizeEmail(email)}`
+});
+
+exports.unlockWithToken = (unlockToken) => LoginThrottle.findOneAndDelete({
+  unlockTokenHash: hashToken(unlockToken)
+});
@@ -0,0 +1,313 @@
+/**
+ * OpenAPI Document
+ *
+ * Builds an OpenAPI 3 description of the API from the routers themselves,
+ * so the docs cannot drift from the code:
+ * - Paths and methods come from the mounted routers (routes/index.js)
+ * - Parameters and request bodies come from the validate() schemas
+ *   (middleware/validate.js, utils/validation.js)
+ * - Sign-in, role and capability requirements come from protect,
+ *   authorize() and requireCapability() (middleware/auth.js)
+ * - Summaries come from the comment above each route in its source file
+ *   (@desc / @access blocks or a plain // line)
+ *
+ * Served at /api/docs (routes/docs.js) and checked against the frontend by
+ * scripts/checkApiContract.js.
+ *
+ * @type {module} OpenAPI generation
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { protect } = require('../middleware/auth');
+const { version } = require('../package.json');
+
+const ROUTES_DIR = path.join(__dirname, '..', 'routes');
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const ERROR_RESPONSES = {
+  400: 'Invalid request (code VALIDATION_ERROR lists the fields in errors)',
+  401: 'Not signed in, or the access token has expired',
+  403: 'Signed in without the required role or capability'
+};
+
+// Express paths (/:id) to OpenAPI templates (/{id})
+const toOpenApiPath = (expressPath) => expressPath.replace(/:(\w+)/g, '{$1}');
+
+const joinPath = (mountPath, routePath) => (
+  routePath === '/' ? mountPath : `${mountPath}${routePath}`
+);
+
+/**
+ * Converts a validation rule (utils/validation.js) to a JSON schema.
+ * @param {Object} rule - Validation rule
+ * @returns {Object} OpenAPI schema object
+ */
+const ruleToSchema = (rule) => {
+  let schema;
+
+  switch (rule.type) {
+    case 'email':
+      schema = { type: 'string', format: 'email' };
+      break;
+    case 'url':
+      schema = { type: 'string', format: 'uri' };
+      break;
+    case 'enum':
+      schema = { type: 'string', enum: rule.values };
+      break;
+    case 'date':
+      schema = { type: 'string', format: 'date-time' };
+      break;
+    case 'objectId':
+      schema = { type: 'string', pattern: '^[0-9a-fA-F]{24}$' };
+      break;
+    case 'array':
+      schema = { type: 'array', items: rule.items ? ruleToSchema(rule.items) : {} };
+      break;
+    case 'object':
+      schema = rule.fields ? schemaToObject(rule.fields) : { type: 'object' };
+      break;
+    default:
+      schema = { type: rule.type };
+  }
+
+  const extras = {
+    minLength: rule.minLength,
+    maxLength: rule.maxLength,
+    pattern: rule.pattern?.source,
+    minimum: rule.min,
+    maximum: rule.max,
+    minItems: rule.minItems,
+    maxItems: rule.maxItems,
+    nullable: rule.nullable,
+    description: [rule.label, rule.patternMessage, rule.future && 'Must be in the future'].filter(Boolean).join('. ') || undefined
+  };
+  Object.entries(extras).forEach(([key, value]) => {
+    if (value !== undefined) {
+      schema[key] = value;
+    }
+  });
+
+  return schema;
+};
+
+/**
+ * Converts a validation schema to an object schema.
+ * @param {Object} fields - { field: rule }
+ * @returns {Object} OpenAPI schema object
+ */
+const schemaToObject = (fields) => {
+  const required = Object.keys(fields).filter(field => fields[field].required);
+  return {
+    type: 'object',
+    properties: Object.fromEntries(Object.entries(fields).map(([field, rule]) => [field, ruleToSchema(rule)])),
+    ...(required.length > 0 && { required })
+  };
+};
+
+/**
+ * Reads the comment above each route definition in a router's source.
+ * @param {string} file - Router module name
+ * @returns {Object} "method path" -> { summary, description }
+ */
+const readRouteComments = (file) => {
+  const lines = fs.readFileSync(path.join(ROUTES_DIR, `${file}.js`), 'utf8').split('\n');
+  const comments = {};
+
+  lines.forEach((line, index) => {
+    const match = line.match(/^router\.(get|post|put|patch|delete)\(\s*['`]([^'`]+)['`]/);
+    if (!match) {
+      return;
+    }
+
+    const comment = [];
+    let cursor = index - 1;
+    if (lines[cursor]?.trim() === '*/') {
+      while (cursor >= 0 && !lines[cursor].trim().startsWith('/**')) {
+        comment.unshift(lines[cursor].trim().replace(/^\*\/?\s?/, ''));
+        cursor -= 1;
+      }
+    } else {
+      while (cursor >= 0 && lines[cursor].trim().startsWith('//')) {
+        comment.unshift(lines[cursor].trim().replace(/^\/\/\s?/, ''));
+        cursor -= 1;
+      }
+    }
+
+    const tag = (name) => comment.find(text => text.startsWith(`@${name}`))?.replace(`@${name}`, '').trim();
+    const text = comment.filter(item => item && !item.startsWith('@'));
+    const summary = tag('desc') || text[0];
+    const description = [...(tag('desc') ? text : text.slice(1)), tag('access') && `Access: ${tag('access')}`]
+      .filter(Boolean)
+      .join('\n');
+
+    comments[`${match[1]} ${match[2]}`] = { summary, description: description || undefined };
+  });
+
+  return comments;
+};
+
+/**
+ * Describes one route.
+ * @param {Object} route - Express route
+ * @param {string} method - HTTP method
+ * @param {Array} guards - Router-level middleware that runs before it
+ * @param {Object} context - { tag, comment }
+ * @returns {Object} OpenAPI operation object
+ */
+const describeOperation = (route, method, guards, { tag, comment = {} }) => {
+  const handlers = [...guards, ...route.stack.map(layer => layer.handle)];
+  const schemas = handlers.map(handle => handle.schemas).filter(Boolean).reduce((all, item) => ({ ...all, ...item }), {});
+  const fileField = handlers.map(handle => handle.fileField).find(Boolean);
+  const roles = handlers.flatMap(handle => handle.roles || []);
+  const capability = handlers.map(handle => handle.capability).find(Boolean);
+  const isProtected = handlers.includes(protect);
+
+  const pathParams = [...route.path.matchAll(/:(\w+)/g)].map(([, name]) => name);
+  const parameters = [
+    ...pathParams.map(name => ({
+      name,
+      in: 'path',
+      required: true,
+      schema: schemas.params?.[name] ? ruleToSchema(schemas.params[name]) : { type: 'string' }
+    })),
+    ...Object.entries(schemas.query || {}).map(([name, rule]) => ({
+      name,
+      in: 'query',
+      required: Boolean(rule.required),
+      schema: ruleToSchema(rule)
+    }))
+  ];
+
+  const access = [
+    roles.length > 0 && `Roles: ${roles.join(', ')}`,
+    capability && `Capability: ${capability}`
+  ].filter(Boolean).join('. ');
+
+  const operation = {
+    tags: [tag],
+    summary: comment.summary || `${method.toUpperCase()} ${route.path}`,
+    ...((comment.description || access) && {
+      description: [comment.description, access].filter(Boolean).join('\n\n')
+    }),
+    ...(parameters.length > 0 && { parameters }),
+    responses: { 200: { description: 'Success' } }
+  };
+
+  if (fileField) {
+    const form = schemaToObject(schemas.body || {});
+    form.properties[fileField] = { type: 'string', format: 'binary' };
+    form.required = [...(form.required || []), fileField];
+    operation.requestBody = { required: true, content: { 'multipart/form-data': { schema: form } } };
+  } else if (schemas.body) {
+    operation.requestBody = { content: { 'application/json': { schema: schemaToObject(schemas.body) } } };
+  }
+
+  const errors = [
+    (schemas.params || schemas.query || schemas.body) && 400,
+    isProtected && 401,
+    (roles.length > 0 || capability) && 403
+  ].filter(Boolean);
+  errors.forEach((status) => {
+    operation.responses[status] = { $ref: `#/components/responses/Error${status}` };
+  });
+
+  if (isProtected) {
+    operation.security = [{ bearerAuth: [] }];
+  }
+
+  return operation;
+};
+
+/**
+ * Builds the OpenAPI document.
+ * @param {Array} routes - Route table (routes/index.js)
+ * @returns {Object} OpenAPI 3 document
+ */
+const buildOpenApiDocument = (routes) => {
+  const paths = {};
+  const tags = [];
+
+  routes.forEach(({ path: mountPath, file, description, router }) => {
+    const comments = readRouteComments(file);
+    const tag = mountPath.replace(/^\/api\//, '');
+    const guards = [];
+
+    router.stack.forEach((layer) => {
+      // router.use(protect, authorize('admin')) applies to the routes after it
+      if (!layer.route) {
+        guards.push(layer.handle);
+        return;
+      }
+      if (typeof layer.route.path !== 'string') {
+        return;
+      }
+
+      const fullPath = toOpenApiPath(joinPath(mountPath, layer.route.path));
+      METHODS.filter(method => layer.route.methods[method]).forEach((method) => {
+        paths[fullPath] = paths[fullPath] || {};
+        // Express uses the first matching route, so later duplicates are unreachable
+        if (!paths[fullPath][method]) {
+          paths[fullPath][method] = describeOperation(layer.route, method, guards, {
+            tag,
+            comment: comments[`${method} ${layer.route.path}`]
+          });
+        }
+      });
+    });
+
+    tags.push({ name: tag, description });
+  });
+
+  const errorResponse = (description) => ({
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Alumni Interactive API',
+      version,
+      description: 'Generated from the Express routes and their validation schemas. ' +
+        'Errors use { status: "error", code, message, errors? } (middleware/errorEnvelope.js).'
+    },
+    tags,
+    paths: Object.fromEntries(Object.entries(paths).sort(([a], [b]) => a.localeCompare(b))),
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['status', 'code', 'message'],
+          properties: {
+            status: { type: 'string', enum: ['error'] },
+            code: { type: 'string', example: 'VALIDATION_ERROR' },
+            message: { type: 'string' },
+            errors: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  field: { type: 'string', nullable: true },
+                  location: { type: 'string', enum: ['params', 'query', 'body'] },
+                  code: { type: 'string' },
+                  message: { type: 'string' }
+                }
+              }
+            }
+          }
+        }
+      },
+      responses: Object.fromEntries(Object.entries(ERROR_RESPONSES).map(([status, description]) => [
+        `Error${status}`,
+        errorResponse(description)
+      ]))
+    }
+  };
+};
+
+module.exports = { buildOpenApiDocument, ruleToSchema, toOpenApiPath };
@@ -0,0 +1,47 @@
+/**
+ * Password Policy
+ *
+ * Rules applied whenever a user chooses a new password (password change
+ * and password reset).
+ *
+ * Rules:
+ * - At least 8 characters
+ * - At least one uppercase letter, one lowercase letter and one number
+ * - Must not contain the user's email name or full name
+ *
+ * @type {module} Password policy validation
+ */
+
+const MIN_LENGTH = 8;
+
+const RULES = [
+  { test: (password) => password.length >= MIN_LENGTH, message: `Password must be at least ${MIN_LENGTH} characters long` },
+  { test: (password) => /[A-Z]/.test(password), message: 'Password must contain an uppercase letter' },
+  { test: (password) => /[a-z]/.test(password), message: 'Password must contain a lowercase letter' },
+  { test: (password) => /[0-9]/.test(password), message: 'Password must contain a number' }
+];
+
+// Returns the list of broken rules; an empty list means the password is acceptable
+exports.validatePassword = (password, user = {}) => {
+  if (typeof password !== 'string' || !password) {
+    return ['Please provide a password'];
+  }
+
+  const errors = RULES
+    .filter(rule => !rule.test(password))
+    .map(rule => rule.message);
+
+  const lowered = password.toLowerCase();
+  const personal = [
+    user.email && user.email.split('@')[0],
+    ...(user.fullName ? user.fullName.split(/\s+/) : [])
+  ].filter(part => part && part.length >= 3);
+
+  if (personal.some(part => lowered.includes(part.toLowerCase()))) {
+    errors.push('Password must not contain your name or email');
+  }
+
+  return errors;
+};
+
+exports.MIN_LENGTH = MIN_LENGTH;
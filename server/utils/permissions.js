@@ -0,0 +1,79 @@
+/**
+ * Permission Service
+ *
+ * Works out what a user may do from their role and their PermissionGrants.
+ * Admins hold every capability in every department; anyone else needs a
+ * grant, which may be limited to one department.
+ *
+ * Scopes:
+ * - { all: true }: Every department (admins and unscoped grants)
+ * - { all: false, departments: [...] }: Only the listed departments
+ * - null: The capability is not held at all
+ *
+ * Usage:
+ * - Routes: router.put('/:id', protect, requireCapability('placements.approve'), ...)
+ *   then check records with canAccessDepartment(req.permissionScope, department)
+ * - Lists: Model.find({ ...scopeQuery(req.permissionScope) })
+ *
+ * @type {module} Capability checks for department-scoped access
+ */
+
+const PermissionGrant = require('../models/PermissionGrant');
+
+const { CAPABILITIES } = PermissionGrant;
+
+const activeGrantQuery = (userId) => ({
+  user: userId,
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+});
+
+// Folds a user's grants for one capability into a scope
+const toScope = (grants) => {
+  if (grants.length === 0) return null;
+  if (grants.some(grant => !grant.department)) return { all: true };
+  return { all: false, departments: [...new Set(grants.map(grant => grant.department))] };
+};
+
+/**
+ * @param {Object} user - User document
+ * @param {string} capability - Capability name
+ * @returns {Promise<Object|null>} Scope, or null when the capability is not held
+ */
+exports.getCapabilityScope = async (user, capability) => {
+  if (user.role === 'admin') return { all: true };
+
+  const grants = await PermissionGrant.find({ ...activeGrantQuery(user._id), capability })
+    .select('department');
+  return toScope(grants);
+};
+
+/**
+ * Every capability the user holds, for the frontend to decide what to show.
+ * @returns {Promise<Object>} Map of capability name to scope
+ */
+exports.getUserCapabilities = async (user) => {
+  if (user.role === 'admin') {
+    return Object.fromEntries(Object.keys(CAPABILITIES).map(capability => [capability, { all: true }]));
+  }
+
+  const grants = await PermissionGrant.find(activeGrantQuery(user._id)).select('capability department');
+  const capabilities = {};
+  Object.keys(CAPABILITIES).forEach(capability => {
+    const scope = toScope(grants.filter(grant => grant.capability === capability));
+    if (scope) capabilities[capability] = scope;
+  });
+  return capabilities;
+};
+
+// Whether a record in this department is inside the scope; department-less
+// (institute-wide) records need an unscoped grant
+exports.canAccessDepartment = (scope, department) => (
+  Boolean(scope) && (scope.all || scope.departments.includes(department))
+);
+
+// Query condition limiting a list to the scope's departments
+exports.scopeQuery = (scope, field = 'department') => (
+  scope.all ? {} : { [field]: { $in: scope.departments } }
+);
+
+exports.CAPABILITIES = CAPABILITIES;
@@ -0,0 +1,142 @@
+/**
+ * Profile Privacy Service
+ *
+ * Applies each user's privacy settings (User.privacy) to the user records
+ * other people receive. Fields the viewer may not see are left out of the
+ * record, and filters on them skip users who hid them, so a hidden company
+ * or skill cannot be found by searching for it either.
+ *
+ * Levels:
+ * - public: Anyone, signed in or not
+ * - signed_in: Any signed-in user
+ * - department: Users of the owner's department
+ * - admins: Admins only
+ *
+ * Fields without a setting use User.PRIVACY_DEFAULTS. The owner and admins
+ * always see every field.
+ *
+ * Usage:
+ * - Records: applyPrivacy(user, req.user); populated users need the
+ *   PRIVACY_FIELDS selected too
+ * - Queries and aggregations: { $and: [privacyQuery('skills', req.user), ...] }
+ *
+ * @type {module} Per-field visibility of user profiles
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const { PRIVACY_DEFAULTS } = User;
+
+// What a user record needs for its settings to be applied
+const PRIVACY_FIELDS = 'privacy department';
+
+// Populated users are documents (or plain objects once lean or converted);
+// anything else is an unpopulated ID, a missing user or a non-user value
+const isUserRecord = (value) => (
+  value instanceof mongoose.Document ||
+  (Boolean(value) && Object.getPrototypeOf(value) === Object.prototype)
+);
+
+const isOwnerOrAdmin = (owner, viewer) => (
+  Boolean(viewer) && (viewer.role === 'admin' || String(viewer._id) === String(owner._id))
+);
+
+/**
+ * Each field's level, with the defaults filled in.
+ * @param {Object} user - User document or plain record
+ * @returns {Object} { field: level }
+ */
+const effectivePrivacy = (user) => {
+  const privacy = user.privacy?.toObject ? user.privacy.toObject() : (user.privacy || {});
+  return Object.fromEntries(Object.entries(PRIVACY_DEFAULTS).map(([field, level]) => [field, privacy[field] || level]));
+};
+
+/**
+ * Whether the viewer may see a field set to this level.
+ * @param {string} level - Privacy level
+ * @param {Object} owner - User the field belongs to (_id, department)
+ * @param {Object|null} viewer - Signed-in user, or null
+ * @returns {boolean}
+ */
+const canView = (level, owner, viewer) => {
+  if (isOwnerOrAdmin(owner, viewer)) return true;
+
+  switch (level) {
+    case 'public':
+      return true;
+    case 'signed_in':
+      return Boolean(viewer);
+    case 'department':
+      return Boolean(viewer && owner.department && viewer.department === owner.department);
+    default:
+      return false;
+  }
+};
+
+/**
+ * The user record as the viewer may see it. Anything that is not a user
+ * document or plain record (unpopulated IDs, null, strings) is returned
+ * as it is.
+ * @param {Object} user - User document or plain record
+ * @param {Object|null} viewer - Signed-in user, or null
+ * @returns {Object} Plain record without the hidden fields
+ */
+const applyPrivacy = (user, viewer) => {
+  if (!isUserRecord(user)) {
+    return user;
+  }
+
+  const record = user instanceof mongoose.Document ? user.toObject() : { ...user };
+  const privacy = effectivePrivacy(record);
+  Object.entries(privacy).forEach(([field, level]) => {
+    if (!canView(level, record, viewer)) {
+      delete record[field];
+      if (field === 'profilePhoto') {
+        delete record.profilePhotoSizes;
+      }
+    }
+  });
+
+  // The settings themselves are only shown to the owner and admins
+  if (!isOwnerOrAdmin(record, viewer)) {
+    delete record.privacy;
+  }
+  return record;
+};
+
+/**
+ * Query condition matching users whose field the viewer may see, for
+ * filtering and counting on that field.
+ * @param {string} field - A field in User.PRIVACY_DEFAULTS
+ * @param {Object} viewer - Signed-in user
+ * @returns {Object} Condition (empty for admins)
+ */
+const privacyQuery = (field, viewer) => {
+  if (viewer.role === 'admin') {
+    return {};
+  }
+
+  const path = `privacy.${field}`;
+  // Users who never chose a level for the field have the default
+  const levels = (...values) => ({
+    $in: values.includes(PRIVACY_DEFAULTS[field]) ? [...values, null] : values
+  });
+
+  const conditions = [
+    { [path]: levels('public', 'signed_in') },
+    { _id: viewer._id }
+  ];
+  if (viewer.department) {
+    conditions.push({ [path]: levels('department'), department: viewer.department });
+  }
+  return { $or: conditions };
+};
+
+module.exports = {
+  PRIVACY_FIELDS,
+  effectivePrivacy,
+  canView,
+  applyPrivacy,
+  privacyQuery
+};
@@ -0,0 +1,98 @@
+/**
+ * Profile Photo Service
+ *
+ * Turns an uploaded image into the profile photo files served from
+ * /uploads/profile-photos.
+ *
+ * Processing:
+ * - The file content must decode as a JPEG, PNG or WebP image (the declared
+ *   type and extension are not trusted); images over 40 megapixels are
+ *   refused
+ * - The photo is turned upright using its EXIF orientation, then written
+ *   without any metadata (EXIF, GPS, ICC) as square WebP files in the
+ *   sizes below
+ *
+ * Files:
+ * - Named <userId>-<random>-<size>.webp; every upload gets new names, so
+ *   the files can be cached for a long time
+ * - The previous photo's files are deleted once a new photo is saved or
+ *   the photo is removed
+ *
+ * @type {module} Profile photo processing and storage
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const PHOTO_DIR = path.join(__dirname, '..', 'uploads', 'profile-photos');
+const PHOTO_URL = '/uploads/profile-photos';
+const ACCEPTED_FORMATS = ['jpeg', 'png', 'webp'];
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+// Square edge in pixels; profilePhoto points at the medium size
+const PHOTO_SIZES = {
+  thumb: 64,
+  medium: 256,
+  large: 512
+};
+
+const readImage = (buffer) => sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS });
+
+/**
+ * Whether the buffer holds an image that can be used as a profile photo.
+ * @param {Buffer} buffer - Uploaded file content
+ * @returns {Promise<boolean>}
+ */
+exports.isSupportedImage = async (buffer) => {
+  try {
+    const { format } = await readImage(buffer).metadata();
+    return ACCEPTED_FORMATS.includes(format);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Writes the photo in every size.
+ * @param {ObjectId} userId - Owner, used in the file names
+ * @param {Buffer} buffer - Uploaded file content (checked with isSupportedImage)
+ * @returns {Promise<Object>} { thumb, medium, large } URLs
+ */
+exports.saveProfilePhoto = async (userId, buffer) => {
+  await fs.promises.mkdir(PHOTO_DIR, { recursive: true });
+  const stem = `${userId}-${crypto.randomBytes(8).toString('hex')}`;
+
+  const entries = await Promise.all(Object.entries(PHOTO_SIZES).map(async ([size, edge]) => {
+    const fileName = `${stem}-${size}.webp`;
+    await readImage(buffer)
+      .rotate()
+      .resize(edge, edge, { fit: 'cover' })
+      .webp({ quality: 82 })
+      .toFile(path.join(PHOTO_DIR, fileName));
+    return [size, `${PHOTO_URL}/${fileName}`];
+  }));
+
+  return Object.fromEntries(entries);
+};
+
+/**
+ * Deletes the files of a photo saved by saveProfilePhoto. URLs pointing
+ * elsewhere (e.g. a Google account photo) are left alone.
+ * @param {Object} sizes - { size: URL } as stored in profilePhotoSizes
+ */
+exports.removeProfilePhoto = async (sizes) => {
+  const files = Object.values(sizes || {})
+    .filter(url => typeof url === 'string' && url.startsWith(`${PHOTO_URL}/`))
+    .map(url => path.join(PHOTO_DIR, path.basename(url)));
+
+  await Promise.all(files.map(file => fs.promises.unlink(file).catch((error) => {
+    if (error.code !== 'ENOENT') {
+      console.error(`Error deleting profile photo ${file}:`, error);
+    }
+  })));
+};
+
+exports.PHOTO_SIZES = PHOTO_SIZES;
+exports.ACCEPTED_FORMATS = ACCEPTED_FORMATS;
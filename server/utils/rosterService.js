@@ -0,0 +1,275 @@
+/**
+ * Roster Service
+ *
+ * Verifies signup details against the institute roster before an account
+ * is created. Replaces the old browser-side check against dummy data, which
+ * could be bypassed by calling the signup API directly.
+ *
+ * Verification Rules:
+ * - student: email and student ID must belong to the same roster entry
+ * - alumni: email and college ID must belong to the same roster entry
+ * - faculty: email must be on the roster; faculty ID must match if recorded
+ * - admin: email must be on the roster
+ *
+ * Bulk Import:
+ * - buildImportPlan: Validates spreadsheet rows and diffs them against the
+ *   roster (creates, updates, unchanged, errors) without writing anything
+ * - applyImportPlan: Writes a previously built plan in one bulk operation
+ *
+ * Dependencies:
+ * - Roster model
+ * - User model (department/year enums)
+ *
+ * @type {module} Roster verification service
+ */
+
+const validator = require('validator');
+const Roster = require('../models/Roster');
+const User = require('../models/User');
+
+// Identifier field each role has to present at signup
+const ROLE_ID_FIELDS = {
+  student: 'studentId',
+  alumni: 'collegeId',
+  faculty: 'facultyId',
+  admin: null
+};
+
+const ID_LABELS = {
+  studentId: 'student ID',
+  collegeId: 'college ID',
+  facultyId: 'faculty ID'
+};
+
+const normalizeId = (value) => (value ? String(value).trim().toUpperCase() : '');
+
+exports.ROLE_ID_FIELDS = ROLE_ID_FIELDS;
+
+exports.verifySignup = async ({ role, email, ...details }) => {
+  if (!Object.prototype.hasOwnProperty.call(ROLE_ID_FIELDS, role)) {
+    return { isValid: false, reason: 'Invalid role selected.' };
+  }
+
+  const entry = await Roster.findOne({
+    role,
+    email: String(email).trim().toLowerCase()
+  });
+
+  if (!entry) {
+    return {
+      isValid: false,
+      reason: `This email is not on the ${role} roster. Please use your registered ${role} email.`
+    };
+  }
+
+  const idField = ROLE_ID_FIELDS[role];
+  if (idField) {
+    const submittedId = normalizeId(details[idField]);
+    const rosterId = normalizeId(entry[idField]);
+    const label = ID_LABELS[idField];
+
+    // Faculty entries may be recorded without an ID; students and alumni may not
+    if (!submittedId && (role !== 'faculty' || rosterId)) {
+      return { isValid: false, reason: `Please provide your ${label}.` };
+    }
+
+    if (rosterId && submittedId !== rosterId) {
+      return {
+        isValid: false,
+        reason: `The ${label} does not match our records for this email.`
+      };
+    }
+  }
+
+  return { isValid: true, entry };
+};
+
+// Spreadsheet headers are matched case- and punctuation-insensitively
+const IMPORT_COLUMNS = {
+  student: {
+    studentId: ['id', 'studentid'],
+    fullName: ['name', 'fullname', 'studentname'],
+    email: ['email', 'emailid', 'emailaddress'],
+    department: ['department', 'branch', 'dept'],
+    yearOfStudy: ['yearofstudy', 'year']
+  },
+  alumni: {
+    collegeId: ['collegeid', 'id'],
+    fullName: ['name', 'fullname'],
+    email: ['email', 'emailid', 'emailaddress'],
+    department: ['department', 'branch', 'dept'],
+    graduationYear: ['graduationyear', 'yearofgraduation', 'yearofpassedout', 'passedoutyear', 'batch']
+  }
+};
+
+const COMPARED_FIELDS = ['fullName', 'studentId', 'collegeId', 'department', 'yearOfStudy', 'graduationYear'];
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const mapRow = (row, columns) => {
+  const normalized = Object.fromEntries(
+    Object.entries(row).map(([header, value]) => [normalizeHeader(header), String(value).trim()])
+  );
+
+  return Object.fromEntries(
+    Object.entries(columns).map(([field, aliases]) => {
+      const alias = aliases.find(name => normalized[name] !== undefined && normalized[name] !== '');
+      return [field, alias ? normalized[alias] : ''];
+    })
+  );
+};
+
+const validateImportRow = (data, role) => {
+  const errors = [];
+  const departments = User.schema.path('department').enumValues;
+  const years = User.schema.path('yearOfStudy').enumValues;
+  const idField = ROLE_ID_FIELDS[role];
+
+  if (!data.email || !validator.isEmail(data.email)) {
+    errors.push('A valid email is required');
+  }
+  if (!data[idField]) {
+    errors.push(`Missing ${ID_LABELS[idField]}`);
+  }
+
+  if (data.department) {
+    data.department = data.department.toUpperCase();
+    if (!departments.includes(data.department)) {
+      errors.push(`Department must be one of ${departments.join(', ')}`);
+    }
+  } else if (role === 'student') {
+    errors.push('Department is required');
+  }
+
+  if (role === 'student') {
+    data.yearOfStudy = data.yearOfStudy.toUpperCase().replace(/^E(\d)$/, 'E-$1');
+    if (!years.includes(data.yearOfStudy)) {
+      errors.push(`Year of study must be one of ${years.join(', ')}`);
+    }
+  }
+
+  if (role === 'alumni') {
+    const year = Number(data.graduationYear);
+    if (!Number.isInteger(year) || year < 2008 || year > new Date().getFullYear()) {
+      errors.push('Graduation year must be a valid year');
+    } else {
+      data.graduationYear = year;
+    }
+  }
+
+  return errors;
+};
+
+const toRosterEntry = (data, role) => {
+  const entry = { role, email: data.email.toLowerCase() };
+  COMPARED_FIELDS.forEach(field => {
+    if (data[field] !== '' && data[field] !== undefined) {
+      entry[field] = ROLE_ID_FIELDS[role] === field ? normalizeId(data[field]) : data[field];
+    }
+  });
+  return entry;
+};
+
+exports.IMPORT_ROLES = Object.keys(IMPORT_COLUMNS);
+
+exports.buildImportPlan = async (rows, role) => {
+  const columns = IMPORT_COLUMNS[role];
+  const idField = ROLE_ID_FIELDS[role];
+  const plan = { role, creates: [], updates: [], unchanged: 0, errors: [] };
+  const candidates = [];
+  const seenEmails = new Map();
+  const seenIds = new Map();
+
+  rows.forEach((row, index) => {
+    // Row 1 is the header, so data starts on spreadsheet row 2
+    const rowNumber = index + 2;
+    const data = mapRow(row, columns);
+
+    if (Object.values(data).every(value => value === '')) {
+      return;
+    }
+
+    const errors = validateImportRow(data, role);
+    const entry = errors.length ? null : toRosterEntry(data, role);
+
+    if (entry) {
+      if (seenEmails.has(entry.email)) {
+        errors.push(`Duplicate email (also on row ${seenEmails.get(entry.email)})`);
+      }
+      if (seenIds.has(entry[idField])) {
+        errors.push(`Duplicate ${ID_LABELS[idField]} (also on row ${seenIds.get(entry[idField])})`);
+      }
+      seenEmails.set(entry.email, rowNumber);
+      seenIds.set(entry[idField], rowNumber);
+    }
+
+    if (errors.length) {
+      plan.errors.push({ row: rowNumber, email: data.email, errors });
+    } else {
+      candidates.push({ row: rowNumber, entry });
+    }
+  });
+
+  const existingByEmail = new Map(
+    (await Roster.find({ role, email: { $in: candidates.map(c => c.entry.email) } }).lean())
+      .map(existing => [existing.email, existing])
+  );
+  const existingById = new Map(
+    (await Roster.find({ [idField]: { $in: candidates.map(c => c.entry[idField]) } }).lean())
+      .map(existing => [existing[idField], existing])
+  );
+
+  candidates.forEach(({ row, entry }) => {
+    const existing = existingByEmail.get(entry.email);
+    const idOwner = existingById.get(entry[idField]);
+
+    if (idOwner && (!existing || String(idOwner._id) !== String(existing._id))) {
+      plan.errors.push({
+        row,
+        email: entry.email,
+        errors: [`The ${ID_LABELS[idField]} ${entry[idField]} already belongs to ${idOwner.email}`]
+      });
+      return;
+    }
+
+    if (!existing) {
+      plan.creates.push({ row, entry });
+      return;
+    }
+
+    const changes = COMPARED_FIELDS
+      .filter(field => entry[field] !== undefined && entry[field] !== existing[field])
+      .map(field => ({ field, from: existing[field], to: entry[field] }));
+
+    if (changes.length) {
+      plan.updates.push({ row, id: existing._id, entry, changes });
+    } else {
+      plan.unchanged += 1;
+    }
+  });
+
+  plan.errors.sort((a, b) => a.row - b.row);
+  return plan;
+};
+
+exports.applyImportPlan = async (plan, adminId) => {
+  const operations = [
+    ...plan.creates.map(({ entry }) => ({
+      insertOne: { document: { ...entry, addedBy: adminId } }
+    })),
+    ...plan.updates.map(({ id, entry }) => ({
+      updateOne: { filter: { _id: id }, update: { $set: entry } }
+    }))
+  ];
+
+  if (operations.length) {
+    await Roster.bulkWrite(operations, { ordered: false });
+  }
+
+  return {
+    created: plan.creates.length,
+    updated: plan.updates.length,
+    unchanged: plan.unchanged,
+    failed: plan.errors.length
+  };
+};
@@ -0,0 +1,171 @@
+/**
+ * TOTP Service
+ *
+ * Time-based one-time passwords (RFC 6238: HMAC-SHA1, 6 digits, 30 second
+ * steps), compatible with Google Authenticator, Authy, oathtool and other
+ * standard generators. Also handles recovery codes and encryption of the
+ * stored secrets.
+ *
+ * Secrets:
+ * - Generated as 20 random bytes, shown to the user in base32
+ * - Stored encrypted with AES-256-GCM; the key comes from
+ *   TWO_FACTOR_ENCRYPTION_KEY (falls back to JWT_SECRET)
+ *
+ * Recovery Codes:
+ * - 10 single-use codes in the form xxxx-xxxx; only their hashes are stored
+ *
+ * Policy:
+ * - Available to admin and faculty accounts
+ * - Mandatory for admins when ENFORCE_ADMIN_2FA=true
+ *
+ * Login Challenge:
+ * - After a correct password, 2FA users get a 5 minute challenge token
+ *   that can only be exchanged for a session together with a valid code
+ *
+ * @type {module} Two-factor authentication helpers
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const ISSUER = 'Alumni Interactive';
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_PURPOSE = 'two-factor-login';
+
+const TWO_FACTOR_ROLES = ['admin', 'faculty'];
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=-]/g, '');
+  let bits = '';
+  for (const char of cleaned) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    bits += value.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// HOTP value for one counter (RFC 4226)
+const hotp = (key, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, '0');
+};
+
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+const encryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+  .digest();
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(code.toLowerCase().replace(/[^a-f0-9]/g, ''))
+  .digest('hex');
+
+exports.generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+exports.generateCode = (secret, time = Date.now()) => hotp(base32Decode(secret), currentStep(time));
+
+/**
+ * Checks a code against the previous, current and next time step.
+ * @returns {number|null} The matching time step, used to refuse replays
+ */
+exports.verifyCode = (secret, code, time = Date.now()) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(candidate)) return null;
+
+  const key = base32Decode(secret);
+  const step = currentStep(time);
+  for (const offset of [0, -1, 1]) {
+    const expected = hotp(key, step + offset);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step + offset;
+    }
+  }
+  return null;
+};
+
+exports.buildOtpauthUrl = (secret, email) => {
+  const label = encodeURIComponent(`${ISSUER}:${email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+exports.encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+exports.decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Returns the plain codes for the user and the hashes for the database
+exports.generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+exports.hashRecoveryCode = hashRecoveryCode;
+
+exports.TWO_FACTOR_ROLES = TWO_FACTOR_ROLES;
+
+exports.isTwoFactorRequired = (user) => (
+  user.role === 'admin' && process.env.ENFORCE_ADMIN_2FA === 'true'
+);
+
+exports.createLoginChallenge = (user) => jwt.sign(
+  { userId: user._id, purpose: CHALLENGE_PURPOSE },
+  process.env.JWT_SECRET,
+  { expiresIn: '5m' }
+);
+
+// Returns the user ID of a valid challenge token, otherwise null
+exports.readLoginChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+    return decoded.purpose === CHALLENGE_PURPOSE ? decoded.userId : null;
+  } catch {
+    return null;
+  }
+};
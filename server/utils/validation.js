@@ -0,0 +1,200 @@
+/**
+ * Request Validation
+ *
+ * A small schema language for request bodies, query strings and route
+ * parameters, used through the validate middleware (middleware/validate.js).
+ * A schema maps field names to rules:
+ *
+ *   { email: { type: 'email', required: true },
+ *     role: { type: 'enum', values: ['student', 'alumni'] },
+ *     page: { type: 'integer', min: 1 } }
+ *
+ * Rule Options:
+ * - type: string | email | url | enum | integer | number | boolean | date |
+ *   objectId | array | object
+ * - required: Must be present and not empty
+ * - nullable: null is accepted as a value
+ * - minLength / maxLength / pattern: Strings
+ * - trim: Strings are trimmed unless this is false (passwords)
+ * - min / max: Numbers and integers
+ * - future: Dates must be in the future
+ * - values: Allowed values for enum
+ * - items / minItems / maxItems: Arrays (items is the rule for each element)
+ * - fields: Schema for the properties of an object
+ * - label: Name used in messages (defaults to the field name)
+ *
+ * Error Codes:
+ * - REQUIRED, INVALID_TYPE, INVALID_FORMAT, INVALID_CHOICE,
+ *   TOO_SHORT, TOO_LONG, TOO_SMALL, TOO_LARGE
+ *
+ * Fields not in the schema are left untouched; empty optional values
+ * (undefined, null, '') are not checked. Numeric strings are converted
+ * to numbers.
+ *
+ * @type {module} Schema validation for requests
+ */
+
+const mongoose = require('mongoose');
+const validator = require('validator');
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+const fail = (field, code, message) => ({ errors: [{ field, code, message }] });
+
+const checkLength = (rule, field, label, value) => {
+  if (rule.minLength !== undefined && value.length < rule.minLength) {
+    return fail(field, 'TOO_SHORT', `${label} must be at least ${rule.minLength} characters`);
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return fail(field, 'TOO_LONG', `${label} must be at most ${rule.maxLength} characters`);
+  }
+  return null;
+};
+
+const checkRange = (rule, field, label, value) => {
+  if (rule.min !== undefined && value < rule.min) {
+    return fail(field, 'TOO_SMALL', `${label} must be at least ${rule.min}`);
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    return fail(field, 'TOO_LARGE', `${label} must be at most ${rule.max}`);
+  }
+  return null;
+};
+
+/**
+ * Checks one value against a rule.
+ * @param {Object} rule - Rule (see above)
+ * @param {*} value - Value from the request
+ * @param {string} field - Path of the value, for error messages
+ * @param {Object} options - { coerce } converts "true"/"false" to booleans (query strings)
+ * @returns {Object} { value } with the cleaned value, or { errors }
+ */
+const validateValue = (rule, value, field, options = {}) => {
+  const label = rule.label || field;
+
+  if (value === null && rule.nullable) {
+    return { value };
+  }
+  if (isEmpty(value)) {
+    return rule.required ? fail(field, 'REQUIRED', `${label} is required`) : { value };
+  }
+
+  switch (rule.type) {
+    case 'string':
+    case 'email':
+    case 'url':
+    case 'enum': {
+      if (typeof value !== 'string') {
+        return fail(field, 'INVALID_TYPE', `${label} must be text`);
+      }
+      const text = rule.trim === false ? value : value.trim();
+      if (rule.required && !text) {
+        return fail(field, 'REQUIRED', `${label} is required`);
+      }
+      if (rule.type === 'email' && !validator.isEmail(text)) {
+        return fail(field, 'INVALID_FORMAT', `${label} must be a valid email address`);
+      }
+      if (rule.type === 'url' && !validator.isURL(text, { require_protocol: true })) {
+        return fail(field, 'INVALID_FORMAT', `${label} must be a valid URL (including http:// or https://)`);
+      }
+      if (rule.type === 'enum' && !rule.values.includes(text)) {
+        return fail(field, 'INVALID_CHOICE', `${label} must be one of: ${rule.values.join(', ')}`);
+      }
+      if (rule.pattern && !rule.pattern.test(text)) {
+        return fail(field, 'INVALID_FORMAT', rule.patternMessage || `${label} has an invalid format`);
+      }
+      return checkLength(rule, field, label, text) || { value: rule.type === 'email' ? text.toLowerCase() : text };
+    }
+
+    case 'integer':
+    case 'number': {
+      // Form fields send numbers as text, so numeric strings are accepted everywhere
+      const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+      if (typeof number !== 'number' || Number.isNaN(number) || (rule.type === 'integer' && !Number.isInteger(number))) {
+        return fail(field, 'INVALID_TYPE', `${label} must be ${rule.type === 'integer' ? 'a whole number' : 'a number'}`);
+      }
+      return checkRange(rule, field, label, number) || { value: number };
+    }
+
+    case 'boolean': {
+      const flags = { true: true, false: false };
+      const flag = options.coerce && typeof value === 'string' ? flags[value] : value;
+      if (typeof flag !== 'boolean') {
+        return fail(field, 'INVALID_TYPE', `${label} must be true or false`);
+      }
+      return { value: flag };
+    }
+
+    case 'date': {
+      const date = new Date(value);
+      if ((typeof value !== 'string' && typeof value !== 'number') || Number.isNaN(date.getTime())) {
+        return fail(field, 'INVALID_FORMAT', `${label} must be a valid date`);
+      }
+      if (rule.future && date <= new Date()) {
+        return fail(field, 'TOO_SMALL', `${label} must be in the future`);
+      }
+      return { value };
+    }
+
+    case 'objectId':
+      if (typeof value !== 'string' || !mongoose.isValidObjectId(value)) {
+        return fail(field, 'INVALID_FORMAT', `${label} must be a valid ID`);
+      }
+      return { value };
+
+    case 'array': {
+      if (!Array.isArray(value)) {
+        return fail(field, 'INVALID_TYPE', `${label} must be a list`);
+      }
+      if (rule.minItems !== undefined && value.length < rule.minItems) {
+        return fail(field, 'TOO_SHORT', `${label} must have at least ${rule.minItems} item(s)`);
+      }
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        return fail(field, 'TOO_LONG', `${label} must have at most ${rule.maxItems} items`);
+      }
+      if (!rule.items) {
+        return { value };
+      }
+      const results = value.map((item, index) => validateValue(rule.items, item, `${field}.${index}`, options));
+      const errors = results.flatMap(result => result.errors || []);
+      return errors.length > 0 ? { errors } : { value: results.map(result => result.value) };
+    }
+
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return fail(field, 'INVALID_TYPE', `${label} must be an object`);
+      }
+      return rule.fields ? validateSchema(rule.fields, value, { ...options, prefix: `${field}.` }) : { value };
+    }
+
+    default:
+      throw new Error(`Unknown validation type "${rule.type}" for ${field}`);
+  }
+};
+
+/**
+ * Checks the fields of an object against a schema.
+ * @param {Object} schema - { field: rule }
+ * @param {Object} input - Request body, query or params
+ * @param {Object} options - { coerce, prefix }
+ * @returns {Object} { value } (input with cleaned values), or { errors }
+ */
+const validateSchema = (schema, input, options = {}) => {
+  const { prefix = '' } = options;
+  const source = input && typeof input === 'object' ? input : {};
+  const value = { ...source };
+  const errors = [];
+
+  Object.entries(schema).forEach(([name, rule]) => {
+    const result = validateValue(rule, source[name], `${prefix}${name}`, options);
+    if (result.errors) {
+      errors.push(...result.errors);
+    } else if (result.value !== undefined) {
+      value[name] = result.value;
+    }
+  });
+
+  return errors.length > 0 ? { errors } : { value };
+};
+
+module.exports = { validateSchema, validateValue };
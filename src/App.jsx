@@ -23,6 +23,17 @@ import AlumniProfile from './pages/AlumniProfile';
 import Statistics from './pages/Statistics';
 import SessionUpload from './components/SessionUpload';
 import Notifications from './pages/Notifications';
+import RosterImport from './pages/RosterImport';
+import RegistrationApprovals from './pages/RegistrationApprovals';
+import FailedSignups from './pages/FailedSignups';
+import LockedAccounts from './pages/LockedAccounts';
+import Permissions from './pages/Permissions';
+import Invites from './pages/Invites';
+import AuditLog from './pages/AuditLog';
+import ViewAsUser from './pages/ViewAsUser';
+import AlumniDirectory from './pages/AlumniDirectory';
+import SkillSearch from './pages/SkillSearch';
+import SkillTaxonomy from './pages/SkillTaxonomy';
 
 // Components
 import StudentSignUp from './components/StudentSignUp';
@@ -31,7 +42,11 @@ import FacultySignUp from './components/FacultySignUp';
 import AdminSignUp from './components/AdminSignUp';
 import SignIn from './components/SignIn';
 import RoleSelection from './components/RoleSelection';
+import GoogleSignUp from './components/GoogleSignUp';
 import ForgotPassword from './components/ForgotPassword';
+import VerifyEmail from './components/VerifyEmail';
+import ResetPassword from './components/ResetPassword';
+import UnlockAccount from './components/UnlockAccount';
 import ChangePassword from './components/ChangePassword';
 import SessionForm from './components/SessionForm';
 import AdminNotifications from './components/AdminNotifications';
@@ -52,7 +67,11 @@ function App() {
                 <Route path="/alumnisignup" element={<AlumniSignUp />} />
                 <Route path="/facultysignup" element={<FacultySignUp />} />
                 <Route path="/adminsignup" element={<AdminSignUp />} />
+                <Route path="/google-signup" element={<GoogleSignUp />} />
                 <Route path="/forgotpassword" element={<ForgotPassword />} />
+                <Route path="/verify-email" element={<VerifyEmail />} />
+                <Route path="/reset-password" element={<ResetPassword />} />
+                <Route path="/unlock-account" element={<UnlockAccount />} />
                 <Route path="/aboutus" element={<AboutUs />} />
                 <Route path="/departments" element={<Departments />} />
                 <Route path="/placements" element={<PlacementsPage />} />
@@ -74,6 +93,16 @@ function App() {
                     <AlumniPage />
                   </ProtectedRoute>
                 } />
+                <Route path="/alumnidirectory" element={
+                  <ProtectedRoute allowedRoles={['student', 'alumni', 'faculty', 'admin']}>
+                    <AlumniDirectory />
+                  </ProtectedRoute>
+                } />
+                <Route path="/skills" element={
+                  <ProtectedRoute allowedRoles={['student', 'alumni', 'faculty', 'admin']}>
+                    <SkillSearch />
+                  </ProtectedRoute>
+                } />
                 <Route path="/faculty" element={
                   <ProtectedRoute allowedRoles={['faculty']}>
                     <FacultyPage />
@@ -94,6 +123,51 @@ function App() {
                     <SessionUpload />
                   </ProtectedRoute>
                 } />
+                <Route path="/rosterimport" element={
+                  <ProtectedRoute allowedRoles={['admin']}>
+                    <RosterImport />
+                  </ProtectedRoute>
+                } />
+                <Route path="/registrationapprovals" element={
+                  <ProtectedRoute allowedRoles={['admin']}>
+                    <RegistrationApprovals />
+                  </ProtectedRoute>
+                } />
+                <Route path="/failedsignups" element={
+                  <ProtectedRoute allowedRoles={['admin']}>
+                    <FailedSignups />
+                  </ProtectedRoute>
+                } />
+                <Route path="/lockedaccounts" element={
+                  <ProtectedRoute allowedRoles={['admin']}>
+                    <LockedAccounts />
+                  </ProtectedRoute>
+                } />
+                <Route path="/permissions" element={
+                  <ProtectedRoute allowedRoles={['admin']}>
+                    <Permissions />
+                  </ProtectedRoute>
+                } />
+                <Route path="/invites" element={
+                  <ProtectedRoute allowedRoles={['admin']}>
+                    <Invites />
+                  </ProtectedRoute>
+                } />
+                <Route path="/auditlog" element={
+                  <ProtectedRoute allowedRoles={['admin']}>
+                    <AuditLog />
+                  </ProtectedRoute>
+                } />
+                <Route path="/viewasuser" element={
+                  <ProtectedRoute allowedRoles={['admin']}>
+                    <ViewAsUser />
+                  </ProtectedRoute>
+                } />
+                <Route path="/skilltaxonomy" element={
+                  <ProtectedRoute allowedRoles={['admin']}>
+                    <SkillTaxonomy />
+                  </ProtectedRoute>
+                } />
                 <Route path="/adminnotifications" element={
                   <ProtectedRoute allowedRoles={['admin']}>
                     <AdminNotifications />
@@ -0,0 +1,207 @@
+import React, { useState, useEffect } from 'react';
+import { accountService, getFieldErrors } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import FieldError from './FieldError';
+
+/**
+ * Account Data Component
+ *
+ * Lets users download everything stored about their account and request
+ * deletion of the account. Deletion happens after a grace period, during
+ * which it can be cancelled here; placement records are kept without the
+ * user's name so that placement statistics stay correct.
+ *
+ * @component AccountData
+ */
+const AccountData = () => {
+  const [deletion, setDeletion] = useState(null);
+  const [showDeleteForm, setShowDeleteForm] = useState(false);
+  const [confirmation, setConfirmation] = useState('');
+  const [password, setPassword] = useState('');
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [message, setMessage] = useState('');
+  const { user } = useAuth();
+
+  useEffect(() => {
+    accountService.getDeletion()
+      .then(response => setDeletion(response.data.deletion))
+      .catch(err => setError(err.response?.data?.message || 'Failed to load account settings'));
+  }, []);
+
+  const handleExport = async () => {
+    try {
+      setWorking(true);
+      setError('');
+      const blob = await accountService.exportData();
+
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `my-data-${new Date().toISOString().slice(0, 10)}.json`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch {
+      setError('Failed to download your data');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleRequestDeletion = async (e) => {
+    e.preventDefault();
+    try {
+      setWorking(true);
+      setError('');
+      setFieldErrors({});
+      const response = await accountService.requestDeletion(confirmation, password);
+      setDeletion(response.data.deletion);
+      setMessage(response.message);
+      setShowDeleteForm(false);
+      setConfirmation('');
+      setPassword('');
+    } catch (err) {
+      const fields = getFieldErrors(err);
+      setFieldErrors(fields);
+      setError(Object.keys(fields).length ? '' : err.message || 'Failed to request account deletion');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleCancelDeletion = async () => {
+    try {
+      setWorking(true);
+      setError('');
+      const response = await accountService.cancelDeletion();
+      setDeletion(response.data.deletion);
+      setMessage(response.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to cancel account deletion');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div className="mt-8 bg-white rounded-lg shadow-md p-6">
+      <h3 className="text-xl font-semibold text-gray-800 mb-6">Your Data</h3>
+
+      {error && (
+        <div className="mb-4 text-red-600 bg-red-50 px-4 py-2 rounded-md">{error}</div>
+      )}
+      {message && (
+        <div className="mb-4 text-green-700 bg-green-50 px-4 py-2 rounded-md">{message}</div>
+      )}
+
+      <div className="p-3 bg-gray-50 rounded flex flex-wrap justify-between items-center gap-2 mb-4">
+        <div>
+          <p className="font-semibold text-gray-700">Download your data</p>
+          <p className="text-sm text-gray-500">
+            Your profile, notifications, sessions, placement submissions and signed-in devices as a JSON file.
+          </p>
+        </div>
+        <button
+          onClick={handleExport}
+          disabled={working}
+          className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition disabled:opacity-50"
+        >
+          Download
+        </button>
+      </div>
+
+      {user?.role !== 'admin' && (
+        <div className="p-3 bg-gray-50 rounded">
+          {deletion?.scheduledFor ? (
+            <div className="flex flex-wrap justify-between items-center gap-2">
+              <div>
+                <p className="font-semibold text-red-700">Account scheduled for deletion</p>
+                <p className="text-sm text-gray-500">
+                  Your account will be deleted on {new Date(deletion.scheduledFor).toLocaleDateString()}.
+                  You can cancel until then.
+                </p>
+              </div>
+              <button
+                onClick={handleCancelDeletion}
+                disabled={working}
+                className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition disabled:opacity-50"
+              >
+                Cancel Deletion
+              </button>
+            </div>
+          ) : (
+            <>
+              <div className="flex flex-wrap justify-between items-center gap-2">
+                <div>
+                  <p className="font-semibold text-gray-700">Delete account</p>
+                  <p className="text-sm text-gray-500">
+                    Your account is deleted {deletion?.gracePeriodDays || 14} days after you ask, unless you cancel.
+                    Placement records are kept without your name.
+                  </p>
+                </div>
+                {!showDeleteForm && (
+                  <button
+                    onClick={() => setShowDeleteForm(true)}
+                    className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition"
+                  >
+                    Delete Account
+                  </button>
+                )}
+              </div>
+
+              {showDeleteForm && (
+                <form onSubmit={handleRequestDeletion} className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Type DELETE to confirm</label>
+                    <input
+                      type="text"
+                      value={confirmation}
+                      onChange={(e) => setConfirmation(e.target.value)}
+                      className="w-full p-2 border border-gray-300 rounded-md focus:ring-red-500 focus:border-red-500"
+                      required
+                    />
+                    <FieldError message={fieldErrors.confirmation} />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Password (leave blank if you sign in with Google or your campus account)
+                    </label>
+                    <input
+                      type="password"
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      className="w-full p-2 border border-gray-300 rounded-md focus:ring-red-500 focus:border-red-500"
+                      autoComplete="current-password"
+                    />
+                    <FieldError message={fieldErrors.password} />
+                  </div>
+                  <div className="md:col-span-2 flex gap-2">
+                    <button
+                      type="submit"
+                      disabled={working || confirmation !== 'DELETE'}
+                      className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition disabled:opacity-50"
+                    >
+                      Schedule Deletion
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setShowDeleteForm(false)}
+                      className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </form>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AccountData;
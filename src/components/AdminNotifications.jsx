@@ -25,20 +25,18 @@
  * - Registration Approvals
  * 
  * API Integration:
- * - GET /api/notifications/admin
- * - PUT /api/notifications/bulk-update
- * - DELETE /api/notifications
+ * - GET /api/placements: pending submissions are listed
+ * - PUT /api/placements/:id: accept or reject a submission
  * 
  * @type {dynamic} - Real-time updates and filtering
  */
 
 import React, { useState, useEffect } from 'react';
-import axios from 'axios';
+import { placementService } from '../services/api';
 
 const AdminNotifications = () => {
   const [notifications, setNotifications] = useState([]);
   const [loading, setLoading] = useState(true);
-  const API_BASE_URL = import.meta.env.VITE_API_URL || '';
 
   useEffect(() => {
     fetchNotifications();
@@ -46,11 +44,8 @@ const AdminNotifications = () => {
 
   const fetchNotifications = async () => {
     try {
-      const token = localStorage.getItem('token');
-      const response = await axios.get(`${API_BASE_URL}/api/admin/notifications`, {
-        headers: { Authorization: `Bearer ${token}` }
-      });
-      setNotifications(response.data.notifications);
+      const response = await placementService.getAllPlacements();
+      setNotifications(response.data.placements.filter(placement => placement.status === 'pending'));
     } catch (error) {
       console.error('Error fetching notifications:', error);
     } finally {
@@ -60,10 +55,7 @@ const AdminNotifications = () => {
 
   const handleAction = async (notificationId, action) => {
     try {
-      const token = localStorage.getItem('token');
-      await axios.post(`${API_BASE_URL}/api/admin/notifications/${notificationId}/${action}`, {}, {
-        headers: { Authorization: `Bearer ${token}` }
-      });
+      await placementService.reviewPlacement(notificationId, action === 'accept' ? 'accepted' : 'rejected');
       
       // Refresh notifications
       fetchNotifications();
@@ -91,13 +83,13 @@ const AdminNotifications = () => {
         {notifications.length > 0 ? (
           notifications.map((notification) => (
             <div
-              key={notification.id}
+              key={notification._id}
               className="bg-white rounded-lg shadow-md p-6 transition-all hover:shadow-lg"
             >
               <div className="flex justify-between items-start">
                 <div>
                   <h3 className="text-lg font-semibold text-gray-800">
-                    {notification.studentName} - {notification.branch} ({notification.year})
+                    {notification.studentName} - {notification.department || 'All departments'} ({notification.year})
                   </h3>
                   <p className="text-gray-600 mt-1">
                     Company: <span className="font-medium">{notification.company}</span>
@@ -122,19 +114,19 @@ const AdminNotifications = () => {
                     </p>
                   )}
                   <p className="text-sm text-gray-500 mt-2">
-                    Submitted on: {new Date(notification.submittedAt).toLocaleString()}
+                    Submitted on: {new Date(notification.createdAt).toLocaleString()}
                   </p>
                 </div>
 
                 <div className="flex space-x-2">
                   <button
-                    onClick={() => handleAction(notification.id, 'accept')}
+                    onClick={() => handleAction(notification._id, 'accept')}
                     className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors"
                   >
                     Accept
                   </button>
                   <button
-                    onClick={() => handleAction(notification.id, 'reject')}
+                    onClick={() => handleAction(notification._id, 'reject')}
                     className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
                   >
                     Reject
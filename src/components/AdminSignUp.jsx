@@ -1,9 +1,8 @@
-import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import ModernSuccessAlert from './ModernSuccessAlert'; // Adjust the import path as necessary
-import { authService } from '../services/api';
-import { useAuth } from '../context/AuthContext';
-import { validateAdminData } from '../services/validationService';
+import FieldError from './FieldError';
+import { authService, getFieldErrors } from '../services/api';
 
 const AdminSignUp = () => {
   // State to manage password visibility
@@ -15,17 +14,34 @@ const AdminSignUp = () => {
 
   // State to manage form errors
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
 
   const [isLoading, setIsLoading] = useState(false);
+  const [successMessage, setSuccessMessage] = useState('Your account has been successfully created!');
 
   const navigate = useNavigate();
-  const { login } = useAuth();
+
+  // Admin accounts are created from an admin's invitation link (?invite=<token>)
+  const [searchParams] = useSearchParams();
+  const inviteToken = searchParams.get('invite');
+  const [invite, setInvite] = useState(null);
+  const [inviteError, setInviteError] = useState('');
+  const [checkingInvite, setCheckingInvite] = useState(Boolean(inviteToken));
+
+  useEffect(() => {
+    if (!inviteToken) return;
+    authService.lookupInvite(inviteToken)
+      .then((response) => setInvite(response.data.invite))
+      .catch((err) => setInviteError(err.message))
+      .finally(() => setCheckingInvite(false));
+  }, [inviteToken]);
 
   // Handle form submission
   const handleSubmit = async (e) => {
     e.preventDefault();
     setIsLoading(true);
     setError('');
+    setFieldErrors({});
 
     try {
       // Get form values
@@ -50,43 +66,31 @@ const AdminSignUp = () => {
         return;
       }
 
-      // Validate admin email against dummy data
-      const validation = await validateAdminData(email);
-      if (!validation.isValid) {
-        setError(validation.error);
-        setIsLoading(false);
-        return;
-      }
-
       // Prepare user data
       const userData = {
         fullName,
         email,
         password,
         role: 'admin',
+        inviteToken,
         designation,
         phone
       };
 
-      // Call API to store user data
+      // Call API to store user data (the server redeems the invite)
       const response = await authService.signup(userData);
-      
-      // Store token and user data
-      localStorage.setItem('token', response.token);
-      localStorage.setItem('user', JSON.stringify(response.data.user));
 
-      // Update auth context
-      login(response.data.user);
-
-      // Show success message
+      // Invited accounts are active straight away; the user signs in next
+      setSuccessMessage(response.message);
       setShowSuccessAlert(true);
 
-      // Navigate directly to admin dashboard after a delay
       setTimeout(() => {
-        navigate('/admin');
-      }, 1500);
+        navigate('/signin');
+      }, 3000);
     } catch (err) {
-      setError(err.message || 'An error occurred during signup');
+      const fields = getFieldErrors(err);
+      setFieldErrors(fields);
+      setError(Object.keys(fields).length ? '' : err.message || 'An error occurred during signup');
     } finally {
       setIsLoading(false);
     }
@@ -97,6 +101,24 @@ const AdminSignUp = () => {
     setShowSuccessAlert(false);
   };
 
+  if (!invite) {
+    return (
+      <section className="bg-gradient-to-r from-purple-500 to-indigo-500 min-h-screen flex items-center justify-center">
+        <div className="w-full max-w-md px-6 py-8 bg-white rounded-lg shadow-lg text-center">
+          <h1 className="text-3xl font-bold text-gray-800">Admin Sign Up</h1>
+          <p className="mt-4 text-sm text-gray-600">
+            {checkingInvite
+              ? 'Checking your invitation...'
+              : inviteError || 'Admin accounts are by invitation only. Please use the link in your invitation email, or ask an administrator to invite you.'}
+          </p>
+          <Link to="/signin" className="inline-block mt-6 text-purple-700 hover:text-purple-900">
+            Go to Sign In
+          </Link>
+        </div>
+      </section>
+    );
+  }
+
   return (
     <section className="bg-gradient-to-r from-purple-500 to-indigo-500 min-h-screen flex items-center justify-center py-10">
       <div className="w-full max-w-md px-6 py-8 bg-white rounded-lg shadow-lg">
@@ -118,6 +140,7 @@ const AdminSignUp = () => {
               placeholder="Enter your full name"
               required
             />
+            <FieldError message={fieldErrors.fullName} />
           </label>
 
           {/* Designation Input */}
@@ -130,6 +153,7 @@ const AdminSignUp = () => {
               placeholder="Enter your designation"
               required
             />
+            <FieldError message={fieldErrors.designation} />
           </label>
 
           {/* Email Input */}
@@ -137,11 +161,12 @@ const AdminSignUp = () => {
             <span className="block mb-1 text-sm font-medium text-gray-700">Email Address</span>
             <input
               name="email" // Added name attribute
-              className="w-full px-4 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg shadow-sm bg-gray-100 focus:outline-none"
               type="email"
-              placeholder="Enter your email"
-              required
+              value={invite.email}
+              readOnly
             />
+            <FieldError message={fieldErrors.email} />
           </label>
 
           
@@ -201,6 +226,7 @@ const AdminSignUp = () => {
                 )}
               </button>
             </div>
+            <FieldError message={fieldErrors.password} />
           </label>
 
           {/* Confirm Password Input */}
@@ -296,7 +322,7 @@ const AdminSignUp = () => {
       {/* Success Alert */}
       {showSuccessAlert && (
         <ModernSuccessAlert
-          message="Your account has been successfully created!"
+          message={successMessage}
           onClose={closeSuccessAlert}
         />
       )}
@@ -66,17 +66,18 @@
 import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import ModernSuccessAlert from './ModernSuccessAlert'; 
-import { authService } from '../services/api';
-import { useAuth } from '../context/AuthContext';
+import FieldError from './FieldError';
+import { authService, getFieldErrors } from '../services/api';
 
 const AlumniSignUp = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
   const [showAlert, setShowAlert] = useState(false);
   const [error, setError] = useState(''); // State to manage error messages
+  const [fieldErrors, setFieldErrors] = useState({});
   const [isLoading, setIsLoading] = useState(false);
+  const [successMessage, setSuccessMessage] = useState('Your account has been successfully created!');
   const navigate = useNavigate();
-  const { login } = useAuth();
   const [graduationYear, setGraduationYear] = useState('');
 
   const currentYear = new Date().getFullYear();
@@ -86,6 +87,7 @@ const AlumniSignUp = () => {
     e.preventDefault();
     setIsLoading(true);
     setError('');
+    setFieldErrors({});
 
     try {
       // Get form values
@@ -119,25 +121,20 @@ const AlumniSignUp = () => {
         graduationYear
       };
 
-      // Call API to store user data
+      // Call API to store user data (the server verifies it against the roster)
       const response = await authService.signup(userData);
-      
-      // Store token and user data
-      localStorage.setItem('token', response.token);
-      localStorage.setItem('user', JSON.stringify(response.data.user));
 
-      // Update auth context
-      login(response.data.user);
-
-      // Show success message
+      // The account stays inactive until the email is verified (and an admin approves it)
+      setSuccessMessage(response.message);
       setShowAlert(true);
 
-      // Navigate directly to alumni dashboard after a delay
       setTimeout(() => {
-        navigate('/alumni');
-      }, 1500);
+        navigate('/signin');
+      }, 3000);
     } catch (err) {
-      setError(err.message || 'An error occurred during signup');
+      const fields = getFieldErrors(err);
+      setFieldErrors(fields);
+      setError(Object.keys(fields).length ? '' : err.message || 'An error occurred during signup');
     } finally {
       setIsLoading(false);
     }
@@ -168,6 +165,7 @@ const AlumniSignUp = () => {
               placeholder="Enter your full name"
               required
             />
+            <FieldError message={fieldErrors.fullName} />
           </label>
 
           {/* College ID Input */}
@@ -180,6 +178,7 @@ const AlumniSignUp = () => {
               placeholder="Enter your college ID"
               required
             />
+            <FieldError message={fieldErrors.collegeId} />
           </label>
 
           {/* Year of Graduation Input */}
@@ -212,6 +211,7 @@ const AlumniSignUp = () => {
               placeholder="Enter your email"
               required
             />
+            <FieldError message={fieldErrors.email} />
           </label>
 
           {/* Password Input */}
@@ -269,6 +269,7 @@ const AlumniSignUp = () => {
                 )}
               </button>
             </div>
+            <FieldError message={fieldErrors.password} />
           </label>
 
           {/* Confirm Password Input */}
@@ -341,6 +342,7 @@ const AlumniSignUp = () => {
               placeholder="Enter your phone number"
               required
             />
+            <FieldError message={fieldErrors.phoneNumber} />
           </label>
 
           {/* Sign Up Button */}
@@ -376,7 +378,7 @@ const AlumniSignUp = () => {
         {/* Success Alert */}
         {showAlert && (
           <ModernSuccessAlert
-            message="Your account has been successfully created!"
+            message={successMessage}
             onClose={closeAlert}
           />
         )}
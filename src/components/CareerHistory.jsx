@@ -0,0 +1,370 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { getFieldErrors } from '../services/api';
+import FieldError from './FieldError';
+
+/**
+ * Career History Component
+ *
+ * Shows an alumnus's positions and higher studies as a timeline, in the
+ * order they arranged them, and lets them add, remove and reorder entries.
+ * The current company and role on the profile follow the most recent
+ * current position, so they are edited here rather than in the overview.
+ *
+ * Props:
+ * @param {Array} positions - Saved positions (company, title, location, startDate, endDate, current)
+ * @param {Array} higherStudies - Saved entries (university, degree, fieldOfStudy, startYear, endYear)
+ * @param {Function} onSave - Called with { positions, higherStudies }; rejects with the API error
+ *
+ * @component CareerHistory
+ */
+
+const EMPTY_POSITION = { company: '', title: '', location: '', startDate: '', endDate: '', current: false };
+const EMPTY_STUDY = { university: '', degree: '', fieldOfStudy: '', startYear: '', endYear: '' };
+// Shared default, so a missing list does not re-run the form effect on every render
+const NO_ENTRIES = [];
+
+// Dates are edited as months ("2021-06") and saved as the first of the month
+const toMonth = (date) => (date ? new Date(date).toISOString().slice(0, 7) : '');
+const fromMonth = (month) => (month ? `${month}-01` : undefined);
+
+const formatMonth = (date) => (
+  date ? new Date(date).toLocaleDateString(undefined, { month: 'short', year: 'numeric', timeZone: 'UTC' }) : ''
+);
+
+const toPositionForm = (position) => ({
+  ...EMPTY_POSITION,
+  ...position,
+  startDate: toMonth(position.startDate),
+  endDate: toMonth(position.endDate)
+});
+
+const toStudyForm = (study) => ({ ...EMPTY_STUDY, ...study });
+
+// Drop empty optional values so the API only validates what was filled in
+const compact = (entry) => Object.fromEntries(
+  Object.entries(entry).filter(([, value]) => value !== '' && value !== undefined && value !== null)
+);
+
+const toPositionPayload = ({ company, title, location, startDate, endDate, current }) => compact({
+  company: company.trim(),
+  title: title.trim(),
+  location: location?.trim(),
+  startDate: fromMonth(startDate),
+  endDate: current ? undefined : fromMonth(endDate),
+  current
+});
+
+const toStudyPayload = ({ university, degree, fieldOfStudy, startYear, endYear }) => compact({
+  university: university.trim(),
+  degree: degree.trim(),
+  fieldOfStudy: fieldOfStudy?.trim(),
+  startYear: startYear === '' ? undefined : Number(startYear),
+  endYear: endYear === '' ? undefined : Number(endYear)
+});
+
+const move = (list, index, offset) => {
+  const target = index + offset;
+  if (target < 0 || target >= list.length) {
+    return list;
+  }
+  const next = [...list];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+};
+
+const EntryControls = ({ index, count, onMove, onRemove }) => (
+  <div className="flex gap-2 text-sm">
+    <button type="button" onClick={() => onMove(index, -1)} disabled={index === 0} className="text-gray-600 hover:text-gray-900 disabled:opacity-40">
+      Up
+    </button>
+    <button type="button" onClick={() => onMove(index, 1)} disabled={index === count - 1} className="text-gray-600 hover:text-gray-900 disabled:opacity-40">
+      Down
+    </button>
+    <button type="button" onClick={() => onRemove(index)} className="text-red-600 hover:text-red-800">
+      Remove
+    </button>
+  </div>
+);
+
+EntryControls.propTypes = {
+  index: PropTypes.number.isRequired,
+  count: PropTypes.number.isRequired,
+  onMove: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired
+};
+
+const CareerHistory = ({ positions = NO_ENTRIES, higherStudies = NO_ENTRIES, onSave }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [positionForms, setPositionForms] = useState([]);
+  const [studyForms, setStudyForms] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  useEffect(() => {
+    setPositionForms(positions.map(toPositionForm));
+    setStudyForms(higherStudies.map(toStudyForm));
+  }, [positions, higherStudies, isEditing]);
+
+  const updatePosition = (index, name, value) => {
+    setPositionForms(prev => prev.map((position, i) => (
+      i === index ? { ...position, [name]: value, ...(name === 'current' && value && { endDate: '' }) } : position
+    )));
+  };
+
+  const updateStudy = (index, name, value) => {
+    setStudyForms(prev => prev.map((study, i) => (i === index ? { ...study, [name]: value } : study)));
+  };
+
+  const handleCancel = () => {
+    setIsEditing(false);
+    setError('');
+    setFieldErrors({});
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError('');
+      setFieldErrors({});
+      await onSave({
+        positions: positionForms.map(toPositionPayload),
+        higherStudies: studyForms.map(toStudyPayload)
+      });
+      setIsEditing(false);
+    } catch (err) {
+      setFieldErrors(getFieldErrors(err));
+      setError(err.response?.data?.message || 'Failed to save your career history');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full p-2 border rounded-lg';
+
+  return (
+    <div className="mt-8 bg-white rounded-lg shadow-md p-6">
+      <div className="flex justify-between items-center mb-6">
+        <h3 className="text-xl font-semibold text-gray-800">Career History</h3>
+        <button
+          onClick={isEditing ? handleCancel : () => setIsEditing(true)}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+        >
+          {isEditing ? 'Cancel' : 'Edit Career History'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-4 px-4 py-2 rounded-md text-red-600 bg-red-50">{error}</div>
+      )}
+
+      {isEditing ? (
+        <div className="space-y-8">
+          {/* Positions */}
+          <div>
+            <div className="flex justify-between items-center mb-4">
+              <h4 className="text-lg font-semibold text-gray-700">Positions</h4>
+              <button
+                type="button"
+                onClick={() => setPositionForms(prev => [{ ...EMPTY_POSITION }, ...prev])}
+                className="text-blue-600 hover:text-blue-800"
+              >
+                Add position
+              </button>
+            </div>
+            <div className="space-y-4">
+              {positionForms.map((position, index) => (
+                <div key={index} className="p-4 border rounded-lg">
+                  <div className="flex justify-end mb-2">
+                    <EntryControls
+                      index={index}
+                      count={positionForms.length}
+                      onMove={(i, offset) => setPositionForms(prev => move(prev, i, offset))}
+                      onRemove={(i) => setPositionForms(prev => prev.filter((_, j) => j !== i))}
+                    />
+                  </div>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-semibold text-gray-800">Company</label>
+                      <input type="text" value={position.company} onChange={(e) => updatePosition(index, 'company', e.target.value)} className={inputClass} />
+                      <FieldError message={fieldErrors[`positions.${index}.company`]} />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-semibold text-gray-800">Title</label>
+                      <input type="text" value={position.title} onChange={(e) => updatePosition(index, 'title', e.target.value)} className={inputClass} />
+                      <FieldError message={fieldErrors[`positions.${index}.title`]} />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-semibold text-gray-800">Location</label>
+                      <input type="text" value={position.location} onChange={(e) => updatePosition(index, 'location', e.target.value)} className={inputClass} />
+                      <FieldError message={fieldErrors[`positions.${index}.location`]} />
+                    </div>
+                    <div className="flex items-end">
+                      <label className="inline-flex items-center gap-2 text-sm text-gray-800">
+                        <input type="checkbox" checked={position.current} onChange={(e) => updatePosition(index, 'current', e.target.checked)} />
+                        I currently work here
+                      </label>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-semibold text-gray-800">Start</label>
+                      <input type="month" value={position.startDate} onChange={(e) => updatePosition(index, 'startDate', e.target.value)} className={inputClass} />
+                      <FieldError message={fieldErrors[`positions.${index}.startDate`]} />
+                    </div>
+                    {!position.current && (
+                      <div>
+                        <label className="block text-sm font-semibold text-gray-800">End</label>
+                        <input type="month" value={position.endDate} onChange={(e) => updatePosition(index, 'endDate', e.target.value)} className={inputClass} />
+                        <FieldError message={fieldErrors[`positions.${index}.endDate`]} />
+                      </div>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Higher Studies */}
+          <div>
+            <div className="flex justify-between items-center mb-4">
+              <h4 className="text-lg font-semibold text-gray-700">Higher Studies</h4>
+              <button
+                type="button"
+                onClick={() => setStudyForms(prev => [{ ...EMPTY_STUDY }, ...prev])}
+                className="text-blue-600 hover:text-blue-800"
+              >
+                Add higher studies
+              </button>
+            </div>
+            <div className="space-y-4">
+              {studyForms.map((study, index) => (
+                <div key={index} className="p-4 border rounded-lg">
+                  <div className="flex justify-end mb-2">
+                    <EntryControls
+                      index={index}
+                      count={studyForms.length}
+                      onMove={(i, offset) => setStudyForms(prev => move(prev, i, offset))}
+                      onRemove={(i) => setStudyForms(prev => prev.filter((_, j) => j !== i))}
+                    />
+                  </div>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-semibold text-gray-800">University</label>
+                      <input type="text" value={study.university} onChange={(e) => updateStudy(index, 'university', e.target.value)} className={inputClass} />
+                      <FieldError message={fieldErrors[`higherStudies.${index}.university`]} />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-semibold text-gray-800">Degree</label>
+                      <input type="text" value={study.degree} onChange={(e) => updateStudy(index, 'degree', e.target.value)} className={inputClass} />
+                      <FieldError message={fieldErrors[`higherStudies.${index}.degree`]} />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-semibold text-gray-800">Field of Study</label>
+                      <input type="text" value={study.fieldOfStudy} onChange={(e) => updateStudy(index, 'fieldOfStudy', e.target.value)} className={inputClass} />
+                      <FieldError message={fieldErrors[`higherStudies.${index}.fieldOfStudy`]} />
+                    </div>
+                    <div className="grid grid-cols-2 gap-4">
+                      <div>
+                        <label className="block text-sm font-semibold text-gray-800">Start Year</label>
+                        <input type="number" value={study.startYear} onChange={(e) => updateStudy(index, 'startYear', e.target.value)} className={inputClass} />
+                        <FieldError message={fieldErrors[`higherStudies.${index}.startYear`]} />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-semibold text-gray-800">End Year</label>
+                        <input type="number" value={study.endYear} onChange={(e) => updateStudy(index, 'endYear', e.target.value)} className={inputClass} />
+                        <FieldError message={fieldErrors[`higherStudies.${index}.endYear`]} />
+                      </div>
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex justify-end">
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="px-6 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Career History'}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+          {/* Positions Timeline */}
+          <div>
+            <h4 className="text-lg font-semibold text-gray-700 mb-4">Positions</h4>
+            {positions.length > 0 ? (
+              <ol className="relative border-l border-gray-200 ml-2">
+                {positions.map((position, index) => (
+                  <li key={position._id || index} className="mb-6 ml-4">
+                    <div className={`absolute w-3 h-3 rounded-full -left-1.5 mt-1.5 border border-white ${position.current ? 'bg-green-500' : 'bg-gray-300'}`}></div>
+                    <p className="text-sm text-gray-500">
+                      {formatMonth(position.startDate)} – {position.current ? 'Present' : formatMonth(position.endDate)}
+                    </p>
+                    <h5 className="font-semibold text-gray-800">{position.title}</h5>
+                    <p className="text-gray-600">
+                      {[position.company, position.location].filter(Boolean).join(' · ')}
+                    </p>
+                  </li>
+                ))}
+              </ol>
+            ) : (
+              <p className="text-gray-500">No positions added</p>
+            )}
+          </div>
+
+          {/* Higher Studies Timeline */}
+          <div>
+            <h4 className="text-lg font-semibold text-gray-700 mb-4">Higher Studies</h4>
+            {higherStudies.length > 0 ? (
+              <ol className="relative border-l border-gray-200 ml-2">
+                {higherStudies.map((study, index) => (
+                  <li key={study._id || index} className="mb-6 ml-4">
+                    <div className="absolute w-3 h-3 rounded-full -left-1.5 mt-1.5 border border-white bg-blue-400"></div>
+                    {(study.startYear || study.endYear) && (
+                      <p className="text-sm text-gray-500">
+                        {[study.startYear, study.endYear].filter(Boolean).join(' – ')}
+                      </p>
+                    )}
+                    <h5 className="font-semibold text-gray-800">
+                      {[study.degree, study.fieldOfStudy].filter(Boolean).join(', ')}
+                    </h5>
+                    <p className="text-gray-600">{study.university}</p>
+                  </li>
+                ))}
+              </ol>
+            ) : (
+              <p className="text-gray-500">No higher studies added</p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+CareerHistory.propTypes = {
+  positions: PropTypes.arrayOf(PropTypes.shape({
+    _id: PropTypes.string,
+    company: PropTypes.string,
+    title: PropTypes.string,
+    location: PropTypes.string,
+    startDate: PropTypes.string,
+    endDate: PropTypes.string,
+    current: PropTypes.bool
+  })),
+  higherStudies: PropTypes.arrayOf(PropTypes.shape({
+    _id: PropTypes.string,
+    university: PropTypes.string,
+    degree: PropTypes.string,
+    fieldOfStudy: PropTypes.string,
+    startYear: PropTypes.number,
+    endYear: PropTypes.number
+  })),
+  onSave: PropTypes.func.isRequired
+};
+
+export default CareerHistory;
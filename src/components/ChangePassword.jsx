@@ -1,7 +1,8 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import ModernSuccessAlert from './ModernSuccessAlert';
-import { authService } from '../services/api';
+import FieldError from './FieldError';
+import { authService, getFieldErrors } from '../services/api';
 import { useAuth } from '../context/AuthContext';
 
 const ChangePassword = () => {
@@ -12,6 +13,7 @@ const ChangePassword = () => {
   const [newPassword, setNewPassword] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
   const [isLoading, setIsLoading] = useState(false);
 
   const [showCurrentPassword, setShowCurrentPassword] = useState(false);
@@ -21,31 +23,29 @@ const ChangePassword = () => {
   const [showAlert, setShowAlert] = useState(false);
   const [showBlur, setShowBlur] = useState(false);
 
-  const handleCurrentPasswordSubmit = async (e) => {
+  // Mirrors the server password policy so users see what is missing as they type
+  const policyChecks = [
+    { label: 'At least 8 characters', met: newPassword.length >= 8 },
+    { label: 'An uppercase letter', met: /[A-Z]/.test(newPassword) },
+    { label: 'A lowercase letter', met: /[a-z]/.test(newPassword) },
+    { label: 'A number', met: /[0-9]/.test(newPassword) }
+  ];
+
+  // The current password is checked by the server together with the new one
+  const handleCurrentPasswordSubmit = (e) => {
     e.preventDefault();
     setError('');
-    setIsLoading(true);
-
-    try {
-      // Verify current password with API
-      const response = await authService.changePassword(currentPassword, currentPassword);
-      if (response.status === 'success') {
-        setStep(2);
-        setError('');
-      }
-    } catch (err) {
-      setError('Current password is incorrect. Please try again.');
-    } finally {
-      setIsLoading(false);
-    }
+    setFieldErrors({});
+    setStep(2);
   };
 
   const handleNewPasswordSubmit = async (e) => {
     e.preventDefault();
     setError('');
-    
-    if (newPassword.length < 6) {
-      setError('New password must be at least 6 characters long.');
+    setFieldErrors({});
+
+    if (policyChecks.some(check => !check.met)) {
+      setError('New password does not meet the password requirements.');
       return;
     }
 
@@ -60,6 +60,9 @@ const ChangePassword = () => {
     try {
       const response = await authService.changePassword(currentPassword, newPassword);
       if (response.status === 'success') {
+        // Other sessions are signed out; keep this one on the rotated token
+        localStorage.setItem('token', response.token);
+        localStorage.setItem('refreshToken', response.refreshToken);
         setShowAlert(true);
         // Reset form
         setCurrentPassword('');
@@ -67,7 +70,14 @@ const ChangePassword = () => {
         setConfirmPassword('');
       }
     } catch (err) {
-      setError(err.response?.data?.message || 'Failed to change password. Please try again.');
+      if (err.code === 'CURRENT_PASSWORD_INCORRECT') {
+        setCurrentPassword('');
+        setStep(1);
+      }
+      const fields = getFieldErrors(err);
+      setFieldErrors(fields);
+      // Messages for a field are shown under its input instead
+      setError(Object.keys(fields).length ? '' : err.message || 'Failed to change password. Please try again.');
       setShowBlur(false);
     } finally {
       setIsLoading(false);
@@ -130,6 +140,7 @@ const ChangePassword = () => {
                       )}
                     </button>
                   </div>
+                  <FieldError message={fieldErrors.currentPassword} />
                 </label>
 
                 {/* Error Message */}
@@ -141,7 +152,7 @@ const ChangePassword = () => {
                   disabled={isLoading}
                   className={`w-full px-4 py-2 text-sm cursor-pointer font-medium text-white bg-purple-600 rounded-lg hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-purple-500 ${isLoading ? 'opacity-50 cursor-not-allowed' : ''}`}
                 >
-                  {isLoading ? 'Verifying...' : 'Next'}
+                  Next
                 </button>
               </form>
             )}
@@ -177,6 +188,7 @@ const ChangePassword = () => {
                       )}
                     </button>
                   </div>
+                  <FieldError message={fieldErrors.newPassword} />
                 </label>
 
                 <label className="block">
@@ -209,17 +221,38 @@ const ChangePassword = () => {
                   </div>
                 </label>
 
+                {/* Password Requirements */}
+                <ul className="text-sm space-y-1">
+                  {policyChecks.map((check) => (
+                    <li key={check.label} className={check.met ? 'text-green-600' : 'text-gray-500'}>
+                      {check.met ? '✓' : '•'} {check.label}
+                    </li>
+                  ))}
+                </ul>
+
                 {/* Error Message */}
                 {error && <p className="text-sm text-red-500">{error}</p>}
 
                 {/* Submit Button */}
-                <button
-                  type="submit"
-                  disabled={isLoading}
-                  className={`w-full px-4 py-2 text-sm cursor-pointer font-medium text-white bg-purple-600 rounded-lg hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-purple-500 ${isLoading ? 'opacity-50 cursor-not-allowed' : ''}`}
-                >
-                  {isLoading ? 'Updating Password...' : 'Update Password'}
-                </button>
+                <div className="flex gap-2">
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setError('');
+                      setStep(1);
+                    }}
+                    className="w-1/3 px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300"
+                  >
+                    Back
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={isLoading}
+                    className={`w-2/3 px-4 py-2 text-sm cursor-pointer font-medium text-white bg-purple-600 rounded-lg hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-purple-500 ${isLoading ? 'opacity-50 cursor-not-allowed' : ''}`}
+                  >
+                    {isLoading ? 'Updating Password...' : 'Update Password'}
+                  </button>
+                </div>
               </form>
             )}
           </div>
@@ -37,6 +37,7 @@
  *    - Alternative contact
  * 
  * Validation:
+ * - Invitation link (faculty accounts are invite-only; the email comes from the invite)
  * - Institutional email
  * - Required credentials
  * - Document formats
@@ -64,26 +65,42 @@
  * ```
  */
 
-import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import ModernSuccessAlert from './ModernSuccessAlert';
-import { authService } from '../services/api';
-import { useAuth } from '../context/AuthContext';
-import { validateFacultyData } from '../services/validationService';
+import FieldError from './FieldError';
+import { authService, getFieldErrors } from '../services/api';
 
 const FacultySignUp = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
   const [showSuccessAlert, setShowSuccessAlert] = useState(false);
+  const [successMessage, setSuccessMessage] = useState('Your account has been successfully created!');
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
   const [isLoading, setIsLoading] = useState(false);
   const navigate = useNavigate();
-  const { login } = useAuth();
+
+  // Faculty accounts are created from an admin's invitation link (?invite=<token>)
+  const [searchParams] = useSearchParams();
+  const inviteToken = searchParams.get('invite');
+  const [invite, setInvite] = useState(null);
+  const [inviteError, setInviteError] = useState('');
+  const [checkingInvite, setCheckingInvite] = useState(Boolean(inviteToken));
+
+  useEffect(() => {
+    if (!inviteToken) return;
+    authService.lookupInvite(inviteToken)
+      .then((response) => setInvite(response.data.invite))
+      .catch((err) => setInviteError(err.message))
+      .finally(() => setCheckingInvite(false));
+  }, [inviteToken]);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setIsLoading(true);
     setError('');
+    setFieldErrors({});
 
     try {
       // Get form values
@@ -108,43 +125,31 @@ const FacultySignUp = () => {
         return;
       }
 
-      // Validate faculty email against dummy data
-      const validation = await validateFacultyData(email);
-      if (!validation.isValid) {
-        setError(validation.error);
-        setIsLoading(false);
-        return;
-      }
-
       // Prepare user data
       const userData = {
         fullName,
         email,
         password,
         role: 'faculty',
+        inviteToken,
         facultyId: facultyID,
         phone
       };
 
-      // Call API to store user data
+      // Call API to store user data (the server redeems the invite)
       const response = await authService.signup(userData);
       
-      // Store token and user data
-      localStorage.setItem('token', response.token);
-      localStorage.setItem('user', JSON.stringify(response.data.user));
-
-      // Update auth context
-      login(response.data.user);
-
-      // Show success message
+      // Invited accounts are active straight away; the user signs in next
+      setSuccessMessage(response.message);
       setShowSuccessAlert(true);
 
-      // Navigate directly to faculty dashboard after a delay
       setTimeout(() => {
-        navigate('/faculty');
-      }, 1500);
+        navigate('/signin');
+      }, 3000);
     } catch (err) {
-      setError(err.message || 'An error occurred during signup');
+      const fields = getFieldErrors(err);
+      setFieldErrors(fields);
+      setError(Object.keys(fields).length ? '' : err.message || 'An error occurred during signup');
     } finally {
       setIsLoading(false);
     }
@@ -154,6 +159,24 @@ const FacultySignUp = () => {
     setShowSuccessAlert(false);
   };
 
+  if (!invite) {
+    return (
+      <section className="bg-gradient-to-r from-purple-500 to-indigo-500 min-h-screen flex items-center justify-center">
+        <div className="w-full max-w-md px-6 py-8 bg-white rounded-lg shadow-lg text-center">
+          <h1 className="text-3xl font-bold text-gray-800">Faculty Sign Up</h1>
+          <p className="mt-4 text-sm text-gray-600">
+            {checkingInvite
+              ? 'Checking your invitation...'
+              : inviteError || 'Faculty accounts are by invitation only. Please use the link in your invitation email, or ask an administrator to invite you.'}
+          </p>
+          <Link to="/signin" className="inline-block mt-6 text-purple-700 hover:text-purple-900">
+            Go to Sign In
+          </Link>
+        </div>
+      </section>
+    );
+  }
+
   return (
     <section className="bg-gradient-to-r from-purple-500 to-indigo-500 min-h-screen flex items-center justify-center py-10">
       <div className="w-full max-w-md px-6 py-8 bg-white rounded-lg shadow-lg">
@@ -175,6 +198,7 @@ const FacultySignUp = () => {
               placeholder="Enter your full name"
               required
             />
+            <FieldError message={fieldErrors.fullName} />
           </label>
 
           {/* Faculty ID Input */}
@@ -187,6 +211,7 @@ const FacultySignUp = () => {
               placeholder="Enter your faculty ID"
               required
             />
+            <FieldError message={fieldErrors.facultyId} />
           </label>
 
           {/* Email Input */}
@@ -194,11 +219,12 @@ const FacultySignUp = () => {
             <span className="block mb-1 text-sm font-medium text-gray-700">Email Address</span>
             <input
               name="email"
-              className="w-full px-4 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg shadow-sm bg-gray-100 focus:outline-none"
               type="email"
-              placeholder="Enter your email"
-              required
+              value={invite.email}
+              readOnly
             />
+            <FieldError message={fieldErrors.email} />
           </label>
 
           
@@ -258,6 +284,7 @@ const FacultySignUp = () => {
                 )}
               </button>
             </div>
+            <FieldError message={fieldErrors.password} />
           </label>
 
           {/* Confirm Password Input */}
@@ -352,7 +379,7 @@ const FacultySignUp = () => {
         {/* Success Alert */}
         {showSuccessAlert && (
           <ModernSuccessAlert
-            message="Your account has been successfully created!"
+            message={successMessage}
             onClose={closeSuccessAlert}
           />
         )}
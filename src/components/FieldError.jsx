@@ -0,0 +1,24 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * Field Error Component
+ *
+ * Shows the message the API returned for one form field, under its input.
+ * Forms collect the messages with getFieldErrors (services/api.js).
+ *
+ * @component FieldError
+ * @example
+ * ```jsx
+ * <FieldError message={fieldErrors.email} />
+ * ```
+ */
+const FieldError = ({ message }) => (
+  message ? <p className="mt-1 text-sm text-red-500">{message}</p> : null
+);
+
+FieldError.propTypes = {
+  message: PropTypes.string
+};
+
+export default FieldError;
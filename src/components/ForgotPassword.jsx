@@ -1,7 +1,29 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { Link } from 'react-router-dom';
+import { authService } from '../services/api';
 
 const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+    setIsLoading(true);
+
+    try {
+      const response = await authService.forgotPassword(email.trim());
+      setMessage(response.message);
+    } catch (err) {
+      setError(err.message || 'Failed to process forgot password request');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   return (
     <section className="bg-gradient-to-r from-purple-500 to-indigo-500 min-h-screen flex items-center justify-center">
       <div className="w-full max-w-md px-6 py-8 bg-white rounded-lg shadow-lg">
@@ -11,14 +33,28 @@ const ForgotPassword = () => {
           Don’t worry, we’ll send you an email to reset your password.
         </p>
 
+        {message && (
+          <div className="mt-4 p-3 bg-green-100 border border-green-400 text-green-700 rounded">
+            {message}
+          </div>
+        )}
+
+        {error && (
+          <div className="mt-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+            {error}
+          </div>
+        )}
+
         {/* Reset Password Form */}
-        <form className="mt-6 space-y-4">
+        <form className="mt-6 space-y-4" onSubmit={handleSubmit}>
           {/* Email Input */}
           <label className="block">
             <span className="block mb-1 text-sm font-medium text-gray-700">Your Email</span>
             <input
               className="w-full px-4 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
               type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
               placeholder="example@gmail.com"
               inputMode="email"
               required
@@ -28,9 +64,10 @@ const ForgotPassword = () => {
           {/* Reset Password Button */}
           <button
             type="submit"
-            className="w-full px-4 py-2 text-sm cursor-pointer font-medium text-white bg-purple-600 rounded-lg hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-purple-500"
+            disabled={isLoading}
+            className="w-full px-4 py-2 text-sm cursor-pointer font-medium text-white bg-purple-600 rounded-lg hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-purple-500 disabled:opacity-50"
           >
-            Reset Password
+            {isLoading ? 'Sending...' : 'Reset Password'}
           </button>
         </form>
 
@@ -0,0 +1,205 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import ModernSuccessAlert from './ModernSuccessAlert';
+import { authService } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+
+/**
+ * Google Sign Up Component
+ *
+ * Last step of signing up with Google. Name and email come from Google, so
+ * the form only asks for the details of the role picked in RoleSelection;
+ * the server checks them against the institute roster before creating the
+ * account. Alumni accounts then wait for admin approval; students are
+ * signed in straight away.
+ *
+ * @component GoogleSignUp
+ */
+
+const DEPARTMENTS = ['CSE', 'ECE', 'EEE', 'CIVIL', 'MECH', 'CHEM', 'MME'];
+const YEARS = ['E-1', 'E-2', 'E-3', 'E-4'];
+
+// Role details asked for on the form, matching the password signup pages.
+// Faculty and admin accounts are invite-only and cannot sign up with Google.
+const ROLE_FIELDS = {
+  student: [
+    { name: 'studentId', label: 'Student ID', placeholder: 'Enter your student ID' },
+    { name: 'yearOfStudy', label: 'Year', options: YEARS },
+    { name: 'department', label: 'Department', options: DEPARTMENTS },
+    { name: 'phoneNumber', label: 'Phone Number', type: 'tel', placeholder: 'Enter your phone number' }
+  ],
+  alumni: [
+    { name: 'collegeId', label: 'College ID', placeholder: 'Enter your college ID' },
+    { name: 'yearOfPassedOut', label: 'Graduation Year', type: 'number', placeholder: 'Enter your graduation year' },
+    { name: 'phoneNumber', label: 'Phone Number', type: 'tel', placeholder: 'Enter your phone number' }
+  ]
+};
+
+const dashboardRoutes = {
+  admin: '/admin',
+  student: '/student',
+  alumni: '/alumni',
+  faculty: '/faculty'
+};
+
+const readGoogleSignup = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem('googleSignup'));
+  } catch {
+    return null;
+  }
+};
+
+const inputClassName = 'w-full px-4 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-purple-500';
+
+const GoogleSignUp = () => {
+  const [searchParams] = useSearchParams();
+  const role = searchParams.get('role');
+  const [googleSignup] = useState(readGoogleSignup);
+  const [formData, setFormData] = useState({});
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [showAlert, setShowAlert] = useState(false);
+  const [successMessage, setSuccessMessage] = useState('');
+  const navigate = useNavigate();
+  const { login } = useAuth();
+
+  const fields = ROLE_FIELDS[role];
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleSignUp = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsLoading(true);
+
+    try {
+      const response = await authService.googleSignup({
+        googleToken: googleSignup.googleToken,
+        role,
+        ...Object.fromEntries(Object.entries(formData).map(([name, value]) => [name, value.trim()]))
+      });
+      sessionStorage.removeItem('googleSignup');
+
+      if (response.token) {
+        localStorage.setItem('token', response.token);
+        localStorage.setItem('refreshToken', response.refreshToken);
+        localStorage.setItem('user', JSON.stringify(response.data.user));
+        login(response.data.user);
+      }
+
+      setSuccessMessage(response.message);
+      setShowAlert(true);
+
+      setTimeout(() => {
+        navigate(response.token ? dashboardRoutes[role] : '/signin');
+      }, 3000);
+    } catch (err) {
+      console.error('Google signup error:', err);
+      setError(err.message || 'An error occurred during signup. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (!googleSignup || !fields) {
+    return (
+      <section className="bg-gradient-to-r from-purple-500 to-indigo-500 min-h-screen flex items-center justify-center">
+        <div className="w-full max-w-md px-6 py-8 bg-white rounded-lg shadow-lg text-center">
+          <h1 className="text-3xl font-bold text-gray-800">Sign Up with Google</h1>
+          <p className="mt-4 text-sm text-gray-600">
+            {googleSignup ? 'Please choose a role first.' : 'Your Google sign-up has expired. Please sign in with Google again.'}
+          </p>
+          <Link
+            to={googleSignup ? '/select-role' : '/signin'}
+            className="inline-block mt-6 text-purple-700 hover:text-purple-900"
+          >
+            {googleSignup ? 'Choose a role' : 'Go to Sign In'}
+          </Link>
+        </div>
+      </section>
+    );
+  }
+
+  return (
+    <section className="bg-gradient-to-r from-purple-500 to-indigo-500 min-h-screen flex items-center justify-center py-10">
+      <div className="w-full max-w-md px-6 py-8 bg-white rounded-lg shadow-lg">
+        <h1 className="text-3xl font-bold text-center text-gray-800 capitalize">{role} Sign Up</h1>
+        <p className="mt-2 text-sm text-center text-gray-600">
+          Signing up with Google as {googleSignup.email}.
+        </p>
+
+        <form className="mt-6 space-y-4" onSubmit={handleSignUp}>
+          <label className="block">
+            <span className="block mb-1 text-sm font-medium text-gray-700">Full Name</span>
+            <input className={`${inputClassName} bg-gray-100`} type="text" value={googleSignup.fullName || ''} disabled />
+          </label>
+
+          {fields.map((field) => (
+            <label key={field.name} className="block">
+              <span className="block mb-1 text-sm font-medium text-gray-700">{field.label}</span>
+              {field.options ? (
+                <select
+                  name={field.name}
+                  value={formData[field.name] || ''}
+                  onChange={handleInputChange}
+                  className={inputClassName}
+                  required
+                >
+                  <option value="" disabled>Select {field.label}</option>
+                  {field.options.map(option => (
+                    <option key={option} value={option}>{option}</option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  name={field.name}
+                  type={field.type || 'text'}
+                  value={formData[field.name] || ''}
+                  onChange={handleInputChange}
+                  className={inputClassName}
+                  placeholder={field.placeholder}
+                  required
+                />
+              )}
+            </label>
+          ))}
+
+          {error && <p className="text-sm text-red-500">{error}</p>}
+
+          <button
+            type="submit"
+            disabled={isLoading}
+            className={`w-full px-4 py-2 text-sm font-medium cursor-pointer text-white bg-purple-600 rounded-lg hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-purple-500 ${
+              isLoading ? 'opacity-50 cursor-not-allowed' : ''
+            }`}
+          >
+            {isLoading ? 'Signing up...' : 'Sign Up'}
+          </button>
+        </form>
+
+        <p className="mt-4 text-sm text-center text-gray-600">
+          Wrong role?{' '}
+          <Link to="/select-role" className="text-purple-700 hover:text-purple-900">
+            Choose again
+          </Link>
+        </p>
+
+        {showAlert && (
+          <ModernSuccessAlert
+            message={successMessage}
+            onClose={() => setShowAlert(false)}
+          />
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default GoogleSignUp;
@@ -0,0 +1,114 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { authService } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+
+/**
+ * Logged-in Devices Component
+ *
+ * Lists the devices currently signed in to the account, lets the user sign
+ * out a single device, or sign out everywhere (including this browser).
+ *
+ * @component LoggedInDevices
+ */
+const LoggedInDevices = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const { logout } = useAuth();
+  const navigate = useNavigate();
+
+  const fetchSessions = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await authService.getSessions();
+      setSessions(response.data.sessions);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load signed-in devices');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const handleRevoke = async (session) => {
+    if (session.current) {
+      logout();
+      navigate('/signin');
+      return;
+    }
+    try {
+      await authService.revokeSession(session._id);
+      setSessions(prev => prev.filter(item => item._id !== session._id));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to sign out device');
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Sign out of every device, including this one?')) return;
+    try {
+      await authService.logoutAll();
+      logout();
+      navigate('/signin');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to sign out of all devices');
+    }
+  };
+
+  return (
+    <div className="mt-8 bg-white rounded-lg shadow-md p-6">
+      <div className="flex justify-between items-center mb-6">
+        <h3 className="text-xl font-semibold text-gray-800">Logged-in Devices</h3>
+        <button
+          onClick={handleLogoutAll}
+          disabled={sessions.length === 0}
+          className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition disabled:opacity-50"
+        >
+          Log Out Everywhere
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-4 text-red-600 bg-red-50 px-4 py-2 rounded-md">{error}</div>
+      )}
+
+      {loading ? (
+        <div className="text-center py-4">Loading devices...</div>
+      ) : (
+        <div className="space-y-2">
+          {sessions.map((session) => (
+            <div key={session._id} className="p-3 bg-gray-50 rounded flex flex-wrap justify-between items-center gap-2">
+              <div>
+                <p className="font-semibold text-gray-700">
+                  {session.device}
+                  {session.current && (
+                    <span className="ml-2 px-2 py-1 rounded-full text-xs bg-green-100 text-green-800">This device</span>
+                  )}
+                </p>
+                <p className="text-sm text-gray-500">
+                  {session.ip || 'Unknown IP'} • Signed in {new Date(session.createdAt).toLocaleString()} • Last active {new Date(session.lastUsedAt).toLocaleString()}
+                </p>
+              </div>
+              <button
+                onClick={() => handleRevoke(session)}
+                className="px-3 py-1 text-sm text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300"
+              >
+                Sign Out
+              </button>
+            </div>
+          ))}
+          {sessions.length === 0 && (
+            <div className="text-center text-gray-500">No active sessions</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LoggedInDevices;
@@ -11,6 +11,7 @@
  * - Profile dropdown menu
  * - Active link highlighting
  * - Logout functionality
+ * - Impersonation banner while an admin is viewing as another user
  * 
  * Components Used:
  * - React Hooks: useState, useEffect
@@ -34,6 +35,7 @@ import { Link, useNavigate } from 'react-router-dom';
 import NotificationIcon from './NotificationIcon'; // Import NotificationIcon
 import ProfileIcon from './ProfileIcon'; // Import ProfileIcon
 import { useNavigation } from '../context/NavigationContext';
+import { useAuth } from '../context/AuthContext';
 
 const MainNavbar = () => {
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
@@ -44,6 +46,7 @@ const MainNavbar = () => {
   const navigate = useNavigate();
 
   const { getHomePath, canAccessRoute, requiresAuth, isAuthenticated } = useNavigation();
+  const { user, impersonator, endImpersonation } = useAuth();
 
   // Function to close the mobile menu
   const closeMobileMenu = () => {
@@ -73,17 +76,42 @@ const MainNavbar = () => {
     closeMobileMenu();
   };
 
+  const handleEndImpersonation = async () => {
+    await endImpersonation();
+    navigate('/admin');
+  };
+
   // Navigation items with permission checks
   const navigationItems = [
     { path: getHomePath(), label: 'Home', alwaysShow: true },
     { path: '/departments', label: 'Departments', show: canAccessRoute('/departments') },
     { path: '/sessions', label: 'Sessions', show: true }, // Always show Sessions, but handle auth in click
     { path: '/placements', label: 'Placements', show: canAccessRoute('/placements') },
+    { path: '/alumnidirectory', label: 'Alumni Directory', show: canAccessRoute('/alumnidirectory') },
+    { path: '/skills', label: 'Find by Skill', show: canAccessRoute('/skills') },
     { path: '/aboutus', label: 'About Us', show: canAccessRoute('/aboutus') }
   ];
 
   return (
     <div>
+      {/* Impersonation Banner */}
+      {impersonator && (
+        <div className="sticky top-0 z-40 w-full px-4 py-2 bg-amber-400 text-amber-950 text-sm">
+          <div className="flex flex-wrap items-center justify-between gap-2 mx-auto max-w-7xl">
+            <span>
+              Viewing as <strong>{user?.fullName}</strong> ({user?.role}). Changes are disabled.
+              {' '}Access ends at {new Date(impersonator.expiresAt).toLocaleTimeString()}.
+            </span>
+            <button
+              onClick={handleEndImpersonation}
+              className="px-3 py-1 font-medium text-white bg-amber-800 rounded-md hover:bg-amber-900"
+            >
+              Return to {impersonator.user?.fullName || 'admin'}
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Main Navbar */}
       <header className="sticky top-0 z-30 w-full px-1 py-1 bg-cyan-700 border border-gray-200 sm:px-4 mt-0.5">
         <div className="flex items-center justify-between mx-auto max-w-7xl">
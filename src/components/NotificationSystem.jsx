@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
 import AdminNotification from './AdminNotification';
-import axios from 'axios';
+import { getNotifications, markNotificationAsRead } from '../services/api';
 
 const NotificationSystem = () => {
   const { user } = useAuth();
@@ -14,8 +14,12 @@ const NotificationSystem = () => {
     const fetchNotifications = async () => {
       setIsLoading(true);
       try {
-        const response = await axios.get(`/api/notifications/user/${user._id}`);
-        setNotifications(response.data.notifications);
+        const response = await getNotifications();
+        // The API stores a read flag; the filters work on a read/unread status
+        setNotifications(response.data.notifications.map(notification => ({
+          ...notification,
+          status: notification.read ? 'read' : 'unread'
+        })));
       } catch (error) {
         console.error('Error fetching notifications:', error);
       } finally {
@@ -34,7 +38,7 @@ const NotificationSystem = () => {
 
   const markAsRead = async (notificationId) => {
     try {
-      await axios.patch(`/api/notifications/${notificationId}/read`);
+      await markNotificationAsRead(notificationId);
       setNotifications(notifications.map(notification => 
         notification._id === notificationId 
           ? { ...notification, status: 'read' }
@@ -0,0 +1,129 @@
+import React, { useState, useEffect } from 'react';
+import { userService, getFieldErrors } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+
+/**
+ * Privacy Settings Component
+ *
+ * Lets the signed-in user choose who sees each of their contact and
+ * profile fields in the directory, skill search, sessions and user lists.
+ * Admins always see every field.
+ *
+ * @component PrivacySettings
+ */
+
+const LEVELS = [
+  { value: 'public', label: 'Everyone' },
+  { value: 'signed_in', label: 'Signed-in users' },
+  { value: 'department', label: 'My department' },
+  { value: 'admins', label: 'Admins only' }
+];
+
+const FIELDS = [
+  { name: 'email', label: 'Email' },
+  { name: 'phoneNumber', label: 'Phone number' },
+  { name: 'profilePhoto', label: 'Profile photo' },
+  { name: 'designation', label: 'Designation' },
+  { name: 'currentCompany', label: 'Current company', alumniOnly: true },
+  { name: 'location', label: 'Location' },
+  { name: 'positions', label: 'Career history', alumniOnly: true },
+  { name: 'higherStudies', label: 'Higher studies', alumniOnly: true },
+  { name: 'skills', label: 'Skills' }
+];
+
+const PrivacySettings = () => {
+  const [privacy, setPrivacy] = useState(null);
+  const [draft, setDraft] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const { user } = useAuth();
+
+  useEffect(() => {
+    userService.getProfile()
+      .then((response) => {
+        setPrivacy(response.data.privacy);
+        setDraft(response.data.privacy);
+      })
+      .catch(err => setError(err.response?.data?.message || 'Failed to load your privacy settings'));
+  }, []);
+
+  const fields = FIELDS.filter(field => !field.alumniOnly || user?.role === 'alumni');
+  const changed = privacy && fields.some(field => draft[field.name] !== privacy[field.name]);
+
+  const handleSave = async () => {
+    // Only the levels that changed are sent
+    const update = Object.fromEntries(fields
+      .filter(field => draft[field.name] !== privacy[field.name])
+      .map(field => [field.name, draft[field.name]]));
+
+    try {
+      setSaving(true);
+      setError('');
+      setMessage('');
+      const response = await userService.updateProfile({ privacy: update });
+      setPrivacy(response.data.privacy);
+      setDraft(response.data.privacy);
+      setMessage('Privacy settings saved');
+    } catch (err) {
+      const fieldErrors = Object.values(getFieldErrors(err));
+      setError(fieldErrors.length > 0 ? fieldErrors.join(' ') : err.response?.data?.message || 'Failed to save your privacy settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-8 bg-white rounded-lg shadow-md p-6">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-xl font-semibold text-gray-800">Privacy</h3>
+        <button
+          onClick={handleSave}
+          disabled={!changed || saving}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save Privacy Settings'}
+        </button>
+      </div>
+      <p className="text-sm text-gray-500 mb-6">
+        Choose who can see each part of your profile. Admins can always see everything.
+      </p>
+
+      {error && (
+        <div className="mb-4 px-4 py-2 rounded-md text-red-600 bg-red-50">{error}</div>
+      )}
+      {message && (
+        <div className="mb-4 px-4 py-2 rounded-md text-green-700 bg-green-50">{message}</div>
+      )}
+
+      {privacy ? (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {fields.map(field => (
+            <div key={field.name} className="flex items-center justify-between gap-4">
+              <label htmlFor={`privacy-${field.name}`} className="text-sm font-medium text-gray-700">
+                {field.label}
+              </label>
+              <select
+                id={`privacy-${field.name}`}
+                value={draft[field.name]}
+                onChange={(e) => {
+                  setDraft(prev => ({ ...prev, [field.name]: e.target.value }));
+                  setMessage('');
+                }}
+                className="p-2 border rounded-lg text-sm"
+              >
+                {LEVELS.map(level => (
+                  <option key={level.value} value={level.value}>{level.label}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+      ) : (
+        !error && <div className="text-center py-4">Loading privacy settings...</div>
+      )}
+    </div>
+  );
+};
+
+export default PrivacySettings;
@@ -25,7 +25,7 @@
  * 
  * Sections:
  * 1. Profile Header
- *    - Profile image
+ *    - Profile photo (uploaded to the server, stored in several sizes)
  *    - Basic information
  *    - Edit controls
  * 
@@ -44,10 +44,27 @@
  *    - Attended sessions
  *    - Upcoming sessions
  * 
+ * 5. Skills (student/alumni/faculty)
+ *    - Skills from the skills list with endorsement counts
+ * 
+ * 6. Privacy
+ *    - Who can see each contact/profile field
+ * 
+ * 7. Logged-in Devices
+ *    - Active sign-ins with sign out / log out everywhere
+ * 
+ * 8. Two-Factor Authentication (admin/faculty)
+ *    - Authenticator app setup, recovery codes
+ * 
+ * 9. Your Data
+ *    - Data download, account deletion with a grace period
+ * 
+ * Pages can pass children (e.g. the alumni career history) to show them
+ * under the overview.
+ * 
  * Dependencies:
  * - AuthContext for user data
  * - API services for data fetching
- * - Image upload utilities
  * 
  * @component Profile
  * @example
@@ -62,14 +79,31 @@
  */
 
 import React, { useState, useRef, useEffect } from 'react';
+import PropTypes from 'prop-types';
 import { useAuth } from '../context/AuthContext';
 import TermsAndConditions from './TermsAndConditions';
-import axios from 'axios';
+import LoggedInDevices from './LoggedInDevices';
+import TwoFactorSettings from './TwoFactorSettings';
+import AccountData from './AccountData';
+import SkillsSection from './SkillsSection';
+import PrivacySettings from './PrivacySettings';
+import ProfilePhoto from './ProfilePhoto';
+import { sessionService, userService } from '../services/api';
+
+// Select options are plain values or { value, label }
+const optionValue = (option) => (typeof option === 'object' ? option.value : option);
+const optionLabel = (option) => (typeof option === 'object' ? option.label : option);
+
+const displayValue = (field, value) => {
+  const option = field.type === 'select' && field.options.find(item => optionValue(item) === value);
+  return option ? optionLabel(option) : value;
+};
 
-const Profile = ({ profileData, overviewFields, onSave }) => {
+const Profile = ({ profileData, overviewFields, onSave, children }) => {
   const [isEditing, setIsEditing] = useState(false);
   const [data, setData] = useState(profileData || {});
-  const [isPhotoEditing, setIsPhotoEditing] = useState(false);
+  const [isUploadingPhoto, setIsUploadingPhoto] = useState(false);
+  const [photoError, setPhotoError] = useState('');
   const fileInputRef = useRef(null);
   const { user, setUser } = useAuth();
   const [sessionContributions, setSessionContributions] = useState({
@@ -91,7 +125,7 @@ const Profile = ({ profileData, overviewFields, onSave }) => {
       const fetchSessionContributions = async () => {
         setIsLoading(true);
         try {
-          const response = await axios.get(`/api/sessions/user/${user._id}`);
+          const response = await sessionService.getUserSessions(user._id);
           setSessionContributions({
             requested: response.data.requestedSessions || [],
             conducted: response.data.conductedSessions || []
@@ -115,29 +149,45 @@ const Profile = ({ profileData, overviewFields, onSave }) => {
     }));
   };
 
-  const handlePhotoChange = (e) => {
+  // The stored user keeps the photo URLs so the header shows the new photo too
+  const applyPhoto = ({ profilePhoto, profilePhotoSizes }) => {
+    const updatedUser = { ...user, profilePhoto, profilePhotoSizes };
+    setUser(updatedUser);
+    localStorage.setItem('user', JSON.stringify(updatedUser));
+  };
+
+  const handlePhotoChange = async (e) => {
     const file = e.target.files[0];
-    if (file) {
-      const reader = new FileReader();
-      reader.onloadend = () => {
-        const newProfileImage = reader.result;
-        setData(prevData => ({
-          ...prevData,
-          profileImage: newProfileImage
-        }));
-        if (user) {
-          const updatedUser = { ...user, profilePhoto: newProfileImage };
-          setUser(updatedUser);
-          localStorage.setItem('user', JSON.stringify(updatedUser));
-        }
-      };
-      reader.readAsDataURL(file);
+    // Allow choosing the same file again after an error
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    try {
+      setIsUploadingPhoto(true);
+      setPhotoError('');
+      const response = await userService.uploadProfilePhoto(file);
+      applyPhoto(response.data.user);
+    } catch (error) {
+      setPhotoError(error.response?.data?.message || 'Failed to upload your photo');
+    } finally {
+      setIsUploadingPhoto(false);
+    }
+  };
+
+  const handleRemovePhoto = async () => {
+    try {
+      setPhotoError('');
+      const response = await userService.removeProfilePhoto();
+      applyPhoto(response.data.user);
+    } catch (error) {
+      setPhotoError(error.response?.data?.message || 'Failed to remove your photo');
     }
   };
 
   const handleSave = async () => {
     setIsEditing(false);
-    setIsPhotoEditing(false);
     if (onSave) {
       await onSave(data);
     }
@@ -149,7 +199,7 @@ const Profile = ({ profileData, overviewFields, onSave }) => {
     { name: 'phone', label: 'Phone', type: 'tel' },
     { name: 'department', label: 'Department', type: 'text' },
     { name: 'designation', label: 'Designation', type: 'text' },
-    { name: 'company', label: 'Company', type: 'text' },
+    { name: 'currentCompany', label: 'Company', type: 'text' },
     { name: 'location', label: 'Location', type: 'text' }
   ];
 
@@ -167,27 +217,24 @@ const Profile = ({ profileData, overviewFields, onSave }) => {
         <div className="absolute inset-0 bg-gray-600 bg-opacity-50 rounded-lg h-25"></div>
         <div className="absolute bottom-0 left-0 p-6 flex items-center space-x-4">
           <div className="relative">
-            <img
-              src={data.profileImage || '/src/assets/profile1.jpg'}
-              className="w-24 h-24 rounded-full border-4 border-white shadow-md object-scale-up"
-              alt="Profile"
+            <ProfilePhoto
+              user={user}
+              size="large"
+              className={`w-24 h-24 rounded-full border-4 border-white shadow-md object-cover ${isUploadingPhoto ? 'opacity-50' : ''}`}
               style={{ transform: 'translateY(18%)' }}
             />
-            {isPhotoEditing && (
-              <input
-                type="file"
-                ref={fileInputRef}
-                onChange={handlePhotoChange}
-                accept="image/*"
-                className="hidden"
-              />
-            )}
+            <input
+              type="file"
+              ref={fileInputRef}
+              onChange={handlePhotoChange}
+              accept="image/jpeg,image/png,image/webp"
+              className="hidden"
+            />
             <button
-              onClick={() => {
-                setIsPhotoEditing(true);
-                fileInputRef.current?.click();
-              }}
-              className="absolute bottom-0 right-0 bg-blue-600 text-gray-800 rounded-full p-2 hover:bg-blue-700 transition"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={isUploadingPhoto}
+              title="Upload a JPEG, PNG or WebP photo (up to 5MB)"
+              className="absolute bottom-0 right-0 bg-blue-600 text-gray-800 rounded-full p-2 hover:bg-blue-700 transition disabled:opacity-50"
             >
               <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 9a2 2 0 012-2h.93a2 2 0 001.664-.89l.812-1.22A2 2 0 0110.07 4h3.86a2 2 0 011.664.89l.812 1.22A2 2 0 0018.07 7H19a2 2 0 012 2v9a2 2 0 01-2 2H5a2 2 0 01-2-2V9z" />
@@ -223,6 +270,18 @@ const Profile = ({ profileData, overviewFields, onSave }) => {
         </div>
       </div>
 
+      {/* Photo Upload Status */}
+      {(photoError || user?.profilePhotoSizes) && (
+        <div className="mt-10 flex items-center gap-4 text-sm">
+          {photoError && <span className="text-red-600">{photoError}</span>}
+          {user?.profilePhotoSizes && (
+            <button onClick={handleRemovePhoto} className="text-gray-600 hover:text-red-600">
+              Remove photo
+            </button>
+          )}
+        </div>
+      )}
+
       {/* Profile Overview Section */}
       <div className="mt-8 bg-white rounded-lg shadow-md p-6">
         <div className="flex justify-between items-center mb-6">
@@ -238,7 +297,7 @@ const Profile = ({ profileData, overviewFields, onSave }) => {
           {fieldsToUse.map((field) => (
             <div key={field.name}>
               <h5 className="text-sm font-semibold text-gray-800 uppercase">{field.label}</h5>
-              {isEditing ? (
+              {isEditing && !field.readOnly ? (
                 field.type === 'select' ? (
                   <select
                     name={field.name}
@@ -247,8 +306,8 @@ const Profile = ({ profileData, overviewFields, onSave }) => {
                     className="w-full p-2 border rounded-lg"
                   >
                     {field.options.map((option) => (
-                      <option key={option} value={option}>
-                        {option}
+                      <option key={optionValue(option)} value={optionValue(option)}>
+                        {optionLabel(option)}
                       </option>
                     ))}
                   </select>
@@ -262,7 +321,7 @@ const Profile = ({ profileData, overviewFields, onSave }) => {
                   />
                 )
               ) : (
-                <p className="text-gray-600">{data[field.name] || 'Not specified'}</p>
+                <p className="text-gray-600">{displayValue(field, data[field.name]) || 'Not specified'}</p>
               )}
             </div>
           ))}
@@ -280,6 +339,24 @@ const Profile = ({ profileData, overviewFields, onSave }) => {
         )}
       </div>
 
+      {/* Page-specific Sections */}
+      {children}
+
+      {/* Skills Section */}
+      {user?.role !== 'admin' && <SkillsSection />}
+
+      {/* Privacy Settings Section */}
+      <PrivacySettings />
+
+      {/* Logged-in Devices Section */}
+      <LoggedInDevices />
+
+      {/* Two-Factor Authentication Section */}
+      {(user?.role === 'admin' || user?.role === 'faculty') && <TwoFactorSettings />}
+
+      {/* Data Export and Account Deletion Section */}
+      <AccountData />
+
       {/* Session Contributions Section for Alumni and Faculty */}
       {(user?.role === 'alumni' || user?.role === 'faculty') && (
         <div className="mt-8 bg-white rounded-lg shadow-md p-6">
@@ -393,4 +470,15 @@ const Profile = ({ profileData, overviewFields, onSave }) => {
   );
 };
 
+Profile.propTypes = {
+  profileData: PropTypes.object,
+  overviewFields: PropTypes.arrayOf(PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    label: PropTypes.string.isRequired,
+    type: PropTypes.string
+  })),
+  onSave: PropTypes.func,
+  children: PropTypes.node
+};
+
 export default Profile;
\ No newline at end of file
@@ -1,6 +1,7 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import ProfilePhoto from './ProfilePhoto';
 
 const ProfileIcon = () => {
   const [isDropdownOpen, setIsDropdownOpen] = useState(false);
@@ -46,10 +47,10 @@ const ProfileIcon = () => {
         onClick={() => setIsDropdownOpen(!isDropdownOpen)}
       >
         <div className="avatar avatar-sm">
-          <img
-            src={'/src/assets/profile1.jpg' ||user?.profilePhoto }
-            alt="Profile"
-            className="rounded-full w-5 h-5"
+          <ProfilePhoto
+            user={user}
+            size="thumb"
+            className="rounded-full w-5 h-5 object-cover"
             style={{ width: '30px', height: '30px' }}
           />
         </div>
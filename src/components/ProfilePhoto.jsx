@@ -0,0 +1,64 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import placeholder from '../assets/profile1.jpg';
+
+/**
+ * Profile Photo Component
+ *
+ * Shows a user's photo in the requested size, or a placeholder when they
+ * have none or the image cannot be loaded. Uploaded photos are served by
+ * the API server from /uploads; other URLs (e.g. a Google account photo)
+ * are used as they are.
+ *
+ * Props:
+ * @param {Object} user - User with profilePhoto and profilePhotoSizes
+ * @param {string} size - thumb (64px), medium (256px) or large (512px)
+ *
+ * Other props (alt, className, style) are passed to the img element.
+ *
+ * @component ProfilePhoto
+ */
+
+// Get the base URL for API requests
+const API_BASE_URL = import.meta.env.VITE_API_URL || '';
+
+// Accounts created before uploads existed point at a file in the frontend sources
+const LEGACY_DEFAULT_PREFIX = '/src/assets/';
+
+const profilePhotoUrl = (user, size = 'medium') => {
+  const url = user?.profilePhotoSizes?.[size] || user?.profilePhoto;
+  if (!url || url.startsWith(LEGACY_DEFAULT_PREFIX)) {
+    return placeholder;
+  }
+  return url.startsWith('/uploads/') ? `${API_BASE_URL}${url}` : url;
+};
+
+const ProfilePhoto = ({ user, size = 'medium', alt = 'Profile', ...imgProps }) => (
+  <img
+    src={profilePhotoUrl(user, size)}
+    alt={alt}
+    onError={(e) => {
+      // Only once, in case the placeholder fails too
+      if (!e.currentTarget.dataset.fallback) {
+        e.currentTarget.dataset.fallback = 'true';
+        e.currentTarget.src = placeholder;
+      }
+    }}
+    {...imgProps}
+  />
+);
+
+ProfilePhoto.propTypes = {
+  user: PropTypes.shape({
+    profilePhoto: PropTypes.string,
+    profilePhotoSizes: PropTypes.shape({
+      thumb: PropTypes.string,
+      medium: PropTypes.string,
+      large: PropTypes.string
+    })
+  }),
+  size: PropTypes.oneOf(['thumb', 'medium', 'large']),
+  alt: PropTypes.string
+};
+
+export default ProfilePhoto;
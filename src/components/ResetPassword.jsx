@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import FieldError from './FieldError';
+import { authService, getFieldErrors } from '../services/api';
+
+/**
+ * Reset Password Component
+ *
+ * Landing page for the link sent by the forgot password flow. Reads the
+ * token from the query string and sets a new password. Existing sessions
+ * are signed out by the server once the password changes.
+ *
+ * @component ResetPassword
+ */
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState(token ? '' : 'This reset link is missing its token.');
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const navigate = useNavigate();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setFieldErrors({});
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await authService.resetPassword(token, password);
+      setMessage(response.message);
+
+      // Any stored session was issued before the change and is no longer valid
+      localStorage.removeItem('token');
+      localStorage.removeItem('user');
+
+      setTimeout(() => {
+        navigate('/signin');
+      }, 3000);
+    } catch (err) {
+      const fields = getFieldErrors(err);
+      setFieldErrors(fields);
+      setError(Object.keys(fields).length ? '' : err.message || 'Password reset failed');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <section className="bg-gradient-to-r from-purple-500 to-indigo-500 min-h-screen flex items-center justify-center">
+      <div className="w-full max-w-md px-6 py-8 bg-white rounded-lg shadow-lg">
+        <h1 className="text-3xl font-bold text-center text-gray-800">Choose a New Password</h1>
+
+        {message && (
+          <div className="mt-4 p-3 bg-green-100 border border-green-400 text-green-700 rounded">
+            {message}
+          </div>
+        )}
+
+        {error && (
+          <div className="mt-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+            {error}
+          </div>
+        )}
+
+        {token && !message && (
+          <form className="mt-6 space-y-4" onSubmit={handleSubmit}>
+            <label className="block">
+              <span className="block mb-1 text-sm font-medium text-gray-700">New Password</span>
+              <input
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Enter a new password"
+                required
+              />
+              <FieldError message={fieldErrors.password} />
+            </label>
+
+            <label className="block">
+              <span className="block mb-1 text-sm font-medium text-gray-700">Confirm Password</span>
+              <input
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+                type="password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                placeholder="Re-enter the new password"
+                required
+              />
+            </label>
+
+            <button
+              type="submit"
+              disabled={isLoading}
+              className="w-full px-4 py-2 text-sm cursor-pointer font-medium text-white bg-purple-600 rounded-lg hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-purple-500 disabled:opacity-50"
+            >
+              {isLoading ? 'Saving...' : 'Reset Password'}
+            </button>
+          </form>
+        )}
+
+        {/* Links */}
+        <div className="mt-6 text-center">
+          <p className="text-sm text-gray-600">
+            <Link to="/signin" className="text-purple-700 hover:text-purple-900">
+              Back to Sign In
+            </Link>
+          </p>
+          <p className="mt-2 text-sm text-gray-600">
+            Link expired?{' '}
+            <Link to="/forgotpassword" className="text-purple-700 hover:text-purple-900">
+              Request a new one
+            </Link>
+          </p>
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default ResetPassword;
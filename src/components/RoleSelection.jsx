@@ -1,16 +1,37 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 
+// Set by SignIn when a Google account has no matching user yet
+const readGoogleSignup = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem('googleSignup'));
+  } catch {
+    return null;
+  }
+};
+
 const RoleSelection = () => {
   const [selectedRole, setSelectedRole] = useState('');
+  const [googleSignup, setGoogleSignup] = useState(readGoogleSignup);
   const navigate = useNavigate();
 
+  const cancelGoogleSignup = () => {
+    sessionStorage.removeItem('googleSignup');
+    setGoogleSignup(null);
+  };
+
   const handleRoleSelect = () => {
     if (!selectedRole) {
       alert('Please select a role');
       return;
     }
 
+    // Google users fill in only their role details on a shared form
+    if (googleSignup) {
+      navigate(`/google-signup?role=${selectedRole}`);
+      return;
+    }
+
     switch (selectedRole) {
       case 'student':
         navigate('/studentsignup');
@@ -37,6 +58,19 @@ const RoleSelection = () => {
           What role do you want to sign up for?
         </p>
 
+        {googleSignup && (
+          <div className="mb-6 p-3 bg-purple-50 border border-purple-200 text-purple-800 rounded text-sm">
+            Signing up with Google as <span className="font-medium">{googleSignup.email}</span>.{' '}
+            <button
+              type="button"
+              onClick={cancelGoogleSignup}
+              className="text-purple-700 hover:text-purple-900 underline bg-transparent border-none cursor-pointer"
+            >
+              Use a password instead
+            </button>
+          </div>
+        )}
+
         <div className="space-y-6">
           <div className="relative">
             <select
@@ -47,8 +81,13 @@ const RoleSelection = () => {
               <option value="">Select a role</option>
               <option value="student">Student</option>
               <option value="alumni">Alumni</option>
-              <option value="faculty">Faculty</option>
-              <option value="admin">Admin</option>
+              {/* Faculty and admin sign up from an emailed invitation, so not with Google */}
+              {!googleSignup && (
+                <>
+                  <option value="faculty">Faculty (by invitation)</option>
+                  <option value="admin">Admin (by invitation)</option>
+                </>
+              )}
             </select>
             <div className="pointer-events-none absolute inset-y-0 right-0 flex items-center px-2 text-gray-700">
               <svg className="fill-current h-4 w-4" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20">
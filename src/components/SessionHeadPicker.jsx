@@ -0,0 +1,134 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { sessionService } from '../services/api';
+
+/**
+ * Session Head Picker Component
+ *
+ * Autocomplete over the alumni, faculty and admin accounts that can head a
+ * session. A name that belongs to nobody with an account can be used as a
+ * guest speaker instead.
+ *
+ * Props:
+ * @param {Object} value - { user } for an account or { name } for a guest; null when empty
+ * @param {Function} onChange - Called with the new value
+ *
+ * @component SessionHeadPicker
+ */
+
+const SEARCH_DELAY = 250; // ms after the last keystroke
+
+const SessionHeadPicker = ({ value, onChange }) => {
+  const [text, setText] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    const search = text.trim();
+    if (!search) {
+      setSuggestions([]);
+      return undefined;
+    }
+
+    const timer = setTimeout(() => {
+      sessionService.searchSessionHeads(search)
+        .then(response => setSuggestions(response.data.users))
+        .catch(() => setSuggestions([]));
+    }, SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [text]);
+
+  const choose = (head) => {
+    onChange(head);
+    setText('');
+    setSuggestions([]);
+    setOpen(false);
+  };
+
+  if (value) {
+    return (
+      <div className="flex items-center justify-between px-4 py-3 border border-blue-200 bg-white">
+        <span className="text-base text-gray-800">
+          {value.user ? value.user.fullName : value.name}
+          <span className="ml-2 text-sm text-gray-500">
+            {value.user ? `${value.user.role}${value.user.department ? `, ${value.user.department}` : ''}` : 'guest speaker'}
+          </span>
+        </span>
+        <button
+          type="button"
+          onClick={() => onChange(null)}
+          className="text-sm text-blue-600 hover:text-blue-800"
+        >
+          Change
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="relative">
+      <input
+        type="text"
+        id="sessionHead"
+        value={text}
+        onChange={(e) => {
+          setText(e.target.value);
+          setOpen(true);
+        }}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') {
+            e.preventDefault();
+          } else if (e.key === 'Escape') {
+            setOpen(false);
+          }
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setTimeout(() => setOpen(false), 150)}
+        className="block w-full px-4 py-3 text-base border border-blue-200 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+        placeholder="Search alumni and faculty by name"
+      />
+      {open && text.trim() && (
+        <ul className="absolute z-10 w-full mt-1 bg-white border border-gray-200 rounded-md shadow-lg max-h-60 overflow-y-auto">
+          {suggestions.map(user => (
+            <li key={user._id}>
+              <button
+                type="button"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => choose({ user })}
+                className="w-full px-3 py-2 text-left text-sm text-gray-700 hover:bg-indigo-50"
+              >
+                {user.fullName}
+                <span className="ml-1 text-gray-400">({user.role}{user.department ? `, ${user.department}` : ''})</span>
+              </button>
+            </li>
+          ))}
+          <li>
+            <button
+              type="button"
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => choose({ name: text.trim() })}
+              className="w-full px-3 py-2 text-left text-sm text-gray-500 hover:bg-indigo-50"
+            >
+              Use &quot;{text.trim()}&quot; as a guest speaker
+            </button>
+          </li>
+        </ul>
+      )}
+    </div>
+  );
+};
+
+SessionHeadPicker.propTypes = {
+  value: PropTypes.shape({
+    user: PropTypes.shape({
+      _id: PropTypes.string.isRequired,
+      fullName: PropTypes.string.isRequired,
+      role: PropTypes.string,
+      department: PropTypes.string
+    }),
+    name: PropTypes.string
+  }),
+  onChange: PropTypes.func.isRequired
+};
+
+export default SessionHeadPicker;
@@ -1,7 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import ModernSuccessAlert from './ModernSuccessAlert';
-import { sessionService } from '../services/api';
+import FieldError from './FieldError';
+import SessionHeadPicker from './SessionHeadPicker';
+import { sessionService, getFieldErrors } from '../services/api';
 import { useAuth } from '../context/AuthContext';
 
 const SessionUpload = () => {
@@ -10,8 +12,10 @@ const SessionUpload = () => {
   const [showSuccessAlert, setShowSuccessAlert] = useState(false);
   const [showBlur, setShowBlur] = useState(false);
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
   const [isLoading, setIsLoading] = useState(false);
   const [minDate, setMinDate] = useState('');
+  const [sessionHead, setSessionHead] = useState(null);
 
   useEffect(() => {
     // Set minimum date to tomorrow
@@ -25,6 +29,7 @@ const SessionUpload = () => {
     e.preventDefault();
     setIsLoading(true);
     setError('');
+    setFieldErrors({});
     setShowBlur(true); // Show blur immediately after button click
 
     try {
@@ -34,7 +39,6 @@ const SessionUpload = () => {
       const time = e.target.elements.time.value;
       const venue = e.target.elements.venue.value.trim();
       const feedbackFormLink = e.target.elements.feedbackFormLink.value.trim();
-      const sessionHead = e.target.elements.sessionHead.value.trim();
       const department = e.target.elements.department.value;
 
       // Check if all required fields are filled
@@ -63,7 +67,8 @@ const SessionUpload = () => {
         time,
         venue,
         feedbackFormLink,
-        sessionHead,
+        // A linked account, or the name of a guest speaker
+        ...(sessionHead.user ? { sessionHead: sessionHead.user._id } : { sessionHeadName: sessionHead.name }),
         department,
         status: 'upcoming'
       };
@@ -81,6 +86,7 @@ const SessionUpload = () => {
       console.error('Session upload error:', err);
       const errorMessage = err.response?.data?.message || err.message || 'An error occurred during session upload';
       setError(errorMessage);
+      setFieldErrors(getFieldErrors(err));
       setShowBlur(false);
     } finally {
       setIsLoading(false);
@@ -125,6 +131,7 @@ const SessionUpload = () => {
                     className="block w-full px-4 py-3 text-base border border-blue-200 shadow-sm focus:border-blue-500 focus:ring-blue-500"
                     placeholder="Enter session title"
                   />
+                  <FieldError message={fieldErrors.title} />
                 </div>
 
                 <div className="col-span-1 sm:col-span-2">
@@ -139,6 +146,7 @@ const SessionUpload = () => {
                     className="block w-full px-4 py-3 text-base border border-blue-200 shadow-sm focus:border-blue-500 focus:ring-blue-500"
                     placeholder="Enter session description"
                   />
+                  <FieldError message={fieldErrors.description} />
                 </div>
 
                 <div>
@@ -153,6 +161,7 @@ const SessionUpload = () => {
                     required
                     className="block w-full px-4 py-3 text-base border border-blue-200 shadow-sm focus:border-blue-500 focus:ring-blue-500"
                   />
+                  <FieldError message={fieldErrors.date} />
                 </div>
 
                 <div>
@@ -166,6 +175,7 @@ const SessionUpload = () => {
                     required
                     className="block w-full px-4 py-3 text-base border border-blue-200 shadow-sm focus:border-blue-500 focus:ring-blue-500"
                   />
+                  <FieldError message={fieldErrors.time} />
                 </div>
 
                 <div>
@@ -180,20 +190,15 @@ const SessionUpload = () => {
                     className="block w-full px-4 py-3 text-base border border-blue-200 shadow-sm focus:border-blue-500 focus:ring-blue-500"
                     placeholder="Enter venue"
                   />
+                  <FieldError message={fieldErrors.venue} />
                 </div>
 
                 <div>
                   <label htmlFor="sessionHead" className="block text-sm font-medium text-blue-700 mb-1">
                     Session Head
                   </label>
-                  <input
-                    type="text"
-                    name="sessionHead"
-                    id="sessionHead"
-                    required
-                    className="block w-full px-4 py-3 text-base border border-blue-200 shadow-sm focus:border-blue-500 focus:ring-blue-500"
-                    placeholder="Enter session head name"
-                  />
+                  <SessionHeadPicker value={sessionHead} onChange={setSessionHead} />
+                  <FieldError message={fieldErrors.sessionHead || fieldErrors.sessionHeadName} />
                 </div>
 
                 <div>
@@ -211,11 +216,12 @@ const SessionUpload = () => {
                     <option value="CSE">Computer Science Engineering</option>
                     <option value="ECE">Electronics & Communication Engineering</option>
                     <option value="EEE">Electrical & Electronics Engineering</option>
-                    <option value="ME">Mechanical Engineering</option>
-                    <option value="CE">Civil Engineering</option>
+                    <option value="MECH">Mechanical Engineering</option>
+                    <option value="CIVIL">Civil Engineering</option>
                     <option value="CHEM">Chemical Engineering</option>
                     <option value="MME">Metallurgical and Materials Engineering</option>
                   </select>
+                  <FieldError message={fieldErrors.department} />
                 </div>
 
                 <div className="col-span-1 sm:col-span-2">
@@ -229,6 +235,7 @@ const SessionUpload = () => {
                     className="block w-full px-4 py-3 text-base border border-blue-200 shadow-sm focus:border-blue-500 focus:ring-blue-500"
                     placeholder="Enter feedback form URL"
                   />
+                  <FieldError message={fieldErrors.feedbackFormLink} />
                 </div>
               </div>
 
@@ -0,0 +1,118 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { skillService } from '../services/api';
+
+/**
+ * Skill Picker Component
+ *
+ * Autocomplete input over the skills list. Suggestions match the start of a
+ * skill's name or any of its aliases, so typing "js" offers "JavaScript".
+ *
+ * Props:
+ * @param {Function} onSelect - Called with the chosen skill ({ _id, name, aliases })
+ * @param {string[]} exclude - Skill names not to suggest (e.g. already added)
+ * @param {string} placeholder - Input placeholder
+ *
+ * @component SkillPicker
+ */
+
+const SEARCH_DELAY = 250; // ms after the last keystroke
+
+const SkillPicker = ({ onSelect, exclude = [], placeholder = 'Type a skill' }) => {
+  const [text, setText] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    const search = text.trim();
+    if (!search) {
+      setSuggestions([]);
+      return undefined;
+    }
+
+    const timer = setTimeout(() => {
+      skillService.searchSkills(search)
+        .then(response => setSuggestions(response.data.skills))
+        .catch(() => setSuggestions([]));
+    }, SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [text]);
+
+  const visible = suggestions.filter(skill => !exclude.includes(skill.name));
+
+  const choose = (skill) => {
+    onSelect(skill);
+    setText('');
+    setSuggestions([]);
+    setOpen(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      if (visible.length > 0) {
+        choose(visible[0]);
+      }
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  // The alias that matched, shown next to the name ("JavaScript (js)")
+  const matchedAlias = (skill) => {
+    const term = text.trim().toLowerCase();
+    if (skill.name.toLowerCase().startsWith(term)) {
+      return null;
+    }
+    return skill.aliases.find(alias => alias.toLowerCase().startsWith(term)) || null;
+  };
+
+  return (
+    <div className="relative w-64">
+      <input
+        type="text"
+        value={text}
+        onChange={(e) => {
+          setText(e.target.value);
+          setOpen(true);
+        }}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setTimeout(() => setOpen(false), 150)}
+        placeholder={placeholder}
+        className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+      />
+      {open && text.trim() && (
+        <ul className="absolute z-10 w-full mt-1 bg-white border border-gray-200 rounded-md shadow-lg max-h-60 overflow-y-auto">
+          {visible.length > 0 ? (
+            visible.map(skill => (
+              <li key={skill._id}>
+                <button
+                  type="button"
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={() => choose(skill)}
+                  className="w-full px-3 py-2 text-left text-sm text-gray-700 hover:bg-indigo-50"
+                >
+                  {skill.name}
+                  {matchedAlias(skill) && (
+                    <span className="ml-1 text-gray-400">({matchedAlias(skill)})</span>
+                  )}
+                </button>
+              </li>
+            ))
+          ) : (
+            <li className="px-3 py-2 text-sm text-gray-500">No matching skills in the list</li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+SkillPicker.propTypes = {
+  onSelect: PropTypes.func.isRequired,
+  exclude: PropTypes.arrayOf(PropTypes.string),
+  placeholder: PropTypes.string
+};
+
+export default SkillPicker;
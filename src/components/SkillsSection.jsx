@@ -0,0 +1,127 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { skillService, userService, getFieldErrors } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import SkillPicker from './SkillPicker';
+
+/**
+ * Skills Section Component
+ *
+ * The signed-in user's skills with the number of endorsements each has
+ * received. Skills are picked from the admin-managed skills list; removing
+ * a skill also removes its endorsements.
+ *
+ * @component SkillsSection
+ */
+const SkillsSection = () => {
+  const [skills, setSkills] = useState([]);
+  const [draft, setDraft] = useState([]);
+  const [isEditing, setIsEditing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const { user } = useAuth();
+  const userId = user?._id;
+
+  const loadSkills = useCallback(() => {
+    skillService.getEndorsements(userId)
+      .then(response => setSkills(response.data.skills))
+      .catch(err => setError(err.response?.data?.message || 'Failed to load your skills'));
+  }, [userId]);
+
+  useEffect(() => {
+    if (userId) {
+      loadSkills();
+    }
+  }, [userId, loadSkills]);
+
+  const startEditing = () => {
+    setDraft(skills.map(skill => skill.name));
+    setError('');
+    setIsEditing(true);
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError('');
+      await userService.updateProfile({ skills: draft });
+      setIsEditing(false);
+      loadSkills();
+    } catch (err) {
+      const fieldErrors = Object.values(getFieldErrors(err));
+      setError(fieldErrors.length > 0 ? fieldErrors.join(' ') : err.response?.data?.message || 'Failed to save your skills');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-8 bg-white rounded-lg shadow-md p-6">
+      <div className="flex justify-between items-center mb-6">
+        <h3 className="text-xl font-semibold text-gray-800">Skills</h3>
+        <button
+          onClick={isEditing ? () => setIsEditing(false) : startEditing}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+        >
+          {isEditing ? 'Cancel' : 'Edit Skills'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-4 px-4 py-2 rounded-md text-red-600 bg-red-50">{error}</div>
+      )}
+
+      {isEditing ? (
+        <div>
+          <div className="flex flex-wrap gap-2 mb-4">
+            {draft.map(name => (
+              <span key={name} className="inline-flex items-center gap-1 px-3 py-1 text-sm text-indigo-800 bg-indigo-100 rounded-full">
+                {name}
+                <button
+                  onClick={() => setDraft(draft.filter(item => item !== name))}
+                  className="text-indigo-600 hover:text-indigo-900"
+                  aria-label={`Remove ${name}`}
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+          </div>
+          <div className="flex justify-between items-start gap-4">
+            <SkillPicker
+              exclude={draft}
+              onSelect={(skill) => setDraft([...draft, skill.name])}
+              placeholder="Add a skill"
+            />
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="px-6 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Skills'}
+            </button>
+          </div>
+          <p className="mt-2 text-sm text-gray-500">
+            Can&apos;t find a skill? Ask an administrator to add it to the list.
+          </p>
+        </div>
+      ) : skills.length > 0 ? (
+        <div className="flex flex-wrap gap-2">
+          {skills.map(skill => (
+            <span key={skill.name} className="inline-flex items-center gap-2 px-3 py-1 text-sm text-gray-700 bg-gray-100 rounded-full">
+              {skill.name}
+              {skill.count > 0 && (
+                <span className="px-2 text-xs font-semibold text-white bg-indigo-500 rounded-full" title="Endorsements">
+                  {skill.count}
+                </span>
+              )}
+            </span>
+          ))}
+        </div>
+      ) : (
+        <p className="text-gray-500">No skills added</p>
+      )}
+    </div>
+  );
+};
+
+export default SkillsSection;
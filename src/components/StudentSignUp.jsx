@@ -60,23 +60,24 @@
 import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import ModernSuccessAlert from './ModernSuccessAlert'; // Adjust the import path as needed
-import { authService } from '../services/api';
-import { useAuth } from '../context/AuthContext';
-import { validateStudentData } from '../services/validationService';
+import FieldError from './FieldError';
+import { authService, getFieldErrors } from '../services/api';
 
 const StudentSignUp = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
   const [showAlert, setShowAlert] = useState(false);
+  const [successMessage, setSuccessMessage] = useState('Your account has been successfully created!');
   const [error, setError] = useState(''); // State to manage error messages
+  const [fieldErrors, setFieldErrors] = useState({});
   const [isLoading, setIsLoading] = useState(false);
   const navigate = useNavigate();
-  const { login } = useAuth();
 
   const handleSignUp = async (e) => {
     e.preventDefault();
     setIsLoading(true);
     setError('');
+    setFieldErrors({});
 
     try {
       // Get form values
@@ -118,14 +119,6 @@ const StudentSignUp = () => {
         return;
       }
 
-      // Validate student data against dummy data
-      const validation = await validateStudentData(email, studentID);
-      if (!validation.isValid) {
-        setError(validation.error);
-        setIsLoading(false);
-        return;
-      }
-
       // Prepare user data
       const userData = {
         fullName,
@@ -135,34 +128,28 @@ const StudentSignUp = () => {
         studentId: studentID,
         phoneNumber,
         department,
-        yearOfStudy: year,
-        branch: validation.data.Branch // Add branch from dummy data
+        yearOfStudy: year
       };
 
-      // Call API to store user data
+      // Call API to store user data (the server verifies it against the roster)
       const response = await authService.signup(userData);
       
-      if (response.status === 'success' && response.token) {
-        // Store token and user data
-        localStorage.setItem('token', response.token);
-        localStorage.setItem('user', JSON.stringify(response.data.user));
-
-        // Update auth context
-        login(response.data.user);
-
-        // Show success message
+      if (response.status === 'success') {
+        // The account stays inactive until the emailed verification link is opened
+        setSuccessMessage(response.message);
         setShowAlert(true);
 
-        // Navigate directly to student dashboard after a delay
         setTimeout(() => {
-          navigate('/student');
-        }, 1500);
+          navigate('/signin');
+        }, 3000);
       } else {
         setError('Invalid response from server');
       }
     } catch (err) {
       console.error('Signup error:', err);
-      setError(err.response?.data?.message || 'An error occurred during signup. Please try again.');
+      const fields = getFieldErrors(err);
+      setFieldErrors(fields);
+      setError(Object.keys(fields).length ? '' : err.message || 'An error occurred during signup. Please try again.');
     } finally {
       setIsLoading(false);
     }
@@ -193,6 +180,7 @@ const StudentSignUp = () => {
               placeholder="Enter your full name"
               required
             />
+            <FieldError message={fieldErrors.fullName} />
           </label>
 
           {/* Student ID Input */}
@@ -205,6 +193,7 @@ const StudentSignUp = () => {
               placeholder="Enter your student ID"
               required
             />
+            <FieldError message={fieldErrors.studentId} />
           </label>
 
           {/* Email Input */}
@@ -217,6 +206,7 @@ const StudentSignUp = () => {
               placeholder="Enter your email"
               required
             />
+            <FieldError message={fieldErrors.email} />
           </label>
 
           {/* Password Input */}
@@ -274,6 +264,7 @@ const StudentSignUp = () => {
                 )}
               </button>
             </div>
+            <FieldError message={fieldErrors.password} />
           </label>
 
           {/* Confirm Password Input */}
@@ -346,6 +337,7 @@ const StudentSignUp = () => {
               placeholder="Enter your phone number"
               required
             />
+            <FieldError message={fieldErrors.phoneNumber} />
           </label>
 
           {/* Year Dropdown */}
@@ -364,6 +356,7 @@ const StudentSignUp = () => {
               <option value="E-3">E-3</option>
               <option value="E-4">E-4</option>
             </select>
+            <FieldError message={fieldErrors.yearOfStudy} />
           </label>
 
           {/* Department Dropdown */}
@@ -385,6 +378,7 @@ const StudentSignUp = () => {
               <option value="CHEM">CHEM</option>
               <option value="MME">MME</option>
             </select>
+            <FieldError message={fieldErrors.department} />
           </label>
 
           {/* Sign Up Button */}
@@ -423,7 +417,7 @@ const StudentSignUp = () => {
         {/* Success Alert */}
         {showAlert && (
           <ModernSuccessAlert
-            message="Your account has been successfully created!"
+            message={successMessage}
             onClose={closeAlert}
           />
         )}
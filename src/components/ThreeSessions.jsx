@@ -42,7 +42,7 @@ const ThreeSessions = ({ sessions, type, isAdmin, onDelete, onCancel, sectionId
                   <div className="w-12 h-12 rounded-full overflow-hidden mr-4 border-2 border-blue-200">
                     <img 
                       src={session.profileImage} 
-                      alt={session.conductedBy} 
+                      alt={session.conductedBy?.fullName || 'Session head'}
                       className="w-full h-full object-cover"
                     />
                   </div>
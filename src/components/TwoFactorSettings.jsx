@@ -0,0 +1,258 @@
+import React, { useState, useEffect } from 'react';
+import { authService } from '../services/api';
+
+/**
+ * Two-Factor Settings Component
+ *
+ * Lets admin and faculty users turn on authenticator-app codes for signing
+ * in: scan the QR code, confirm with a code, then save the one-time recovery
+ * codes. Enabled accounts can replace their recovery codes or turn 2FA off
+ * (unless it is mandatory for their role).
+ *
+ * @component TwoFactorSettings
+ */
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  const fetchStatus = async () => {
+    try {
+      setLoading(true);
+      const response = await authService.getTwoFactorStatus();
+      setStatus(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load two-factor settings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const resetForm = () => {
+    setCode('');
+    setPassword('');
+    setError('');
+    setMessage('');
+  };
+
+  const handleStartSetup = async () => {
+    resetForm();
+    try {
+      const response = await authService.setupTwoFactor();
+      setSetup(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to start two-factor setup');
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      const response = await authService.enableTwoFactor(code.trim());
+      setRecoveryCodes(response.data.recoveryCodes);
+      setMessage(response.message);
+      setSetup(null);
+      setCode('');
+      fetchStatus();
+    } catch (err) {
+      setError(err.message || 'Invalid authentication code');
+    }
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      const response = await authService.regenerateRecoveryCodes(code.trim());
+      setRecoveryCodes(response.data.recoveryCodes);
+      setMessage(response.message);
+      setCode('');
+      fetchStatus();
+    } catch (err) {
+      setError(err.message || 'Invalid authentication code');
+    }
+  };
+
+  const handleDisable = async () => {
+    setError('');
+    if ((status.hasPassword && !password) || !code) {
+      setError(status.hasPassword
+        ? 'Enter your password and an authentication or recovery code'
+        : 'Enter an authentication or recovery code');
+      return;
+    }
+    try {
+      const response = await authService.disableTwoFactor(password, code.trim());
+      resetForm();
+      setRecoveryCodes([]);
+      setMessage(response.message);
+      fetchStatus();
+    } catch (err) {
+      setError(err.message || 'Failed to disable two-factor authentication');
+    }
+  };
+
+  if (loading && !status) {
+    return (
+      <div className="mt-8 bg-white rounded-lg shadow-md p-6">
+        <div className="text-center py-4">Loading two-factor settings...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mt-8 bg-white rounded-lg shadow-md p-6">
+      <div className="flex justify-between items-center mb-6">
+        <h3 className="text-xl font-semibold text-gray-800">Two-Factor Authentication</h3>
+        {status && (
+          <span className={`px-2 py-1 rounded-full text-xs ${status.enabled ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'}`}>
+            {status.enabled ? 'Enabled' : 'Disabled'}
+          </span>
+        )}
+      </div>
+
+      {status?.required && !status.enabled && (
+        <div className="mb-4 text-yellow-800 bg-yellow-50 px-4 py-2 rounded-md">
+          Two-factor authentication is required for admin accounts. Set it up to use admin features.
+        </div>
+      )}
+
+      {error && (
+        <div className="mb-4 text-red-600 bg-red-50 px-4 py-2 rounded-md">{error}</div>
+      )}
+      {message && (
+        <div className="mb-4 text-green-700 bg-green-50 px-4 py-2 rounded-md">{message}</div>
+      )}
+
+      {/* Recovery codes are only ever shown once */}
+      {recoveryCodes.length > 0 && (
+        <div className="mb-6 p-4 bg-gray-50 rounded">
+          <p className="text-sm text-gray-700 mb-3">
+            Each recovery code can be used once to sign in without your authenticator app.
+            They will not be shown again.
+          </p>
+          <div className="grid grid-cols-2 gap-2 font-mono text-sm">
+            {recoveryCodes.map((recoveryCode) => (
+              <span key={recoveryCode} className="px-2 py-1 bg-white border border-gray-200 rounded">{recoveryCode}</span>
+            ))}
+          </div>
+          <button
+            onClick={() => setRecoveryCodes([])}
+            className="mt-3 px-3 py-1 text-sm text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300"
+          >
+            I have saved these codes
+          </button>
+        </div>
+      )}
+
+      {status && !status.enabled && !setup && (
+        <div>
+          <p className="text-gray-600 mb-4">
+            Protect your account with a code from an authenticator app such as Google Authenticator or Authy.
+          </p>
+          <button
+            onClick={handleStartSetup}
+            className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition"
+          >
+            Set Up Two-Factor Authentication
+          </button>
+        </div>
+      )}
+
+      {setup && (
+        <form onSubmit={handleEnable} className="space-y-4">
+          <p className="text-gray-600">
+            Scan this QR code with your authenticator app, or enter the key manually.
+          </p>
+          <img src={setup.qrCode} alt="Two-factor QR code" className="w-48 h-48" />
+          <p className="font-mono text-sm text-gray-800 break-all">{setup.secret}</p>
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="Enter the 6 digit code"
+            className="w-full max-w-xs px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            required
+          />
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition"
+            >
+              Enable
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                setSetup(null);
+                resetForm();
+              }}
+              className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {status?.enabled && (
+        <form onSubmit={handleRegenerate} className="space-y-4">
+          <p className="text-gray-600">
+            {status.recoveryCodesRemaining} recovery code{status.recoveryCodesRemaining === 1 ? '' : 's'} remaining.
+          </p>
+          <div className="flex flex-wrap gap-2">
+            <input
+              type="text"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="Authentication code"
+              className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            />
+            {!status.required && status.hasPassword && (
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Current password (to disable)"
+                className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              />
+            )}
+          </div>
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={!code}
+              className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition disabled:opacity-50"
+            >
+              New Recovery Codes
+            </button>
+            {!status.required && (
+              <button
+                type="button"
+                onClick={handleDisable}
+                className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition"
+              >
+                Disable
+              </button>
+            )}
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
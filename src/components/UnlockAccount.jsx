@@ -0,0 +1,76 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authService } from '../services/api';
+
+/**
+ * Unlock Account Component
+ *
+ * Landing page for the link emailed when an account is locked after
+ * repeated failed sign-ins. Confirms the token and points back to sign in.
+ *
+ * @component UnlockAccount
+ */
+const UnlockAccount = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'unlocking' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This unlock link is missing its token.');
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single-use, so never submit the same link twice
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    authService.unlockAccount(token)
+      .then((response) => {
+        setStatus('success');
+        setMessage(response.message);
+      })
+      .catch((err) => {
+        setStatus('error');
+        setMessage(err.message || 'Failed to unlock account');
+      });
+  }, [token]);
+
+  return (
+    <section className="bg-gradient-to-r from-purple-500 to-indigo-500 min-h-screen flex items-center justify-center">
+      <div className="w-full max-w-md px-6 py-8 bg-white rounded-lg shadow-lg">
+        <h1 className="text-3xl font-bold text-center text-gray-800">Unlock Account</h1>
+
+        {status === 'unlocking' && (
+          <p className="mt-4 text-sm text-center text-gray-600">Unlocking your account...</p>
+        )}
+
+        {status === 'success' && (
+          <div className="mt-4 p-3 bg-green-100 border border-green-400 text-green-700 rounded">
+            {message}
+          </div>
+        )}
+
+        {status === 'error' && (
+          <div className="mt-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+            {message}
+          </div>
+        )}
+
+        {/* Links */}
+        <div className="mt-6 text-center">
+          <p className="text-sm text-gray-600">
+            <Link to="/signin" className="text-purple-700 hover:text-purple-900">
+              Go to Sign In
+            </Link>
+          </p>
+          <p className="mt-2 text-sm text-gray-600">
+            Forgot your password?{' '}
+            <Link to="/forgotpassword" className="text-purple-700 hover:text-purple-900">
+              Reset it
+            </Link>
+          </p>
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default UnlockAccount;
@@ -0,0 +1,110 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authService } from '../services/api';
+
+/**
+ * Verify Email Component
+ *
+ * Landing page for the link sent after signup. Reads the token from the
+ * query string, confirms it with the server and lets the user request a
+ * fresh link when it has expired.
+ *
+ * @component VerifyEmail
+ */
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is missing its token.');
+  const [email, setEmail] = useState('');
+  const [resendMessage, setResendMessage] = useState('');
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single-use, so never confirm the same link twice
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    authService.verifyEmail(token)
+      .then((response) => {
+        setStatus('success');
+        setMessage(response.message);
+      })
+      .catch((err) => {
+        setStatus('error');
+        setMessage(err.message || 'Email verification failed');
+      });
+  }, [token]);
+
+  const handleResend = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await authService.resendVerification(email.trim());
+      setResendMessage(response.message);
+    } catch (err) {
+      setResendMessage(err.message || 'Failed to resend verification email');
+    }
+  };
+
+  return (
+    <section className="bg-gradient-to-r from-purple-500 to-indigo-500 min-h-screen flex items-center justify-center">
+      <div className="w-full max-w-md px-6 py-8 bg-white rounded-lg shadow-lg">
+        <h1 className="text-3xl font-bold text-center text-gray-800">Email Verification</h1>
+
+        {status === 'verifying' && (
+          <p className="mt-4 text-sm text-center text-gray-600">Verifying your email...</p>
+        )}
+
+        {status === 'success' && (
+          <div className="mt-4 p-3 bg-green-100 border border-green-400 text-green-700 rounded">
+            {message}
+          </div>
+        )}
+
+        {status === 'error' && (
+          <>
+            <div className="mt-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+              {message}
+            </div>
+
+            {/* Resend Form */}
+            <form className="mt-6 space-y-4" onSubmit={handleResend}>
+              <label className="block">
+                <span className="block mb-1 text-sm font-medium text-gray-700">Send me a new link</span>
+                <input
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  placeholder="example@gmail.com"
+                  inputMode="email"
+                  required
+                />
+              </label>
+              <button
+                type="submit"
+                className="w-full px-4 py-2 text-sm cursor-pointer font-medium text-white bg-purple-600 rounded-lg hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-purple-500"
+              >
+                Resend Verification Email
+              </button>
+              {resendMessage && (
+                <p className="text-sm text-center text-gray-600">{resendMessage}</p>
+              )}
+            </form>
+          </>
+        )}
+
+        {/* Links */}
+        <div className="mt-6 text-center">
+          <p className="text-sm text-gray-600">
+            <Link to="/signin" className="text-purple-700 hover:text-purple-900">
+              Go to Sign In
+            </Link>
+          </p>
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default VerifyEmail;
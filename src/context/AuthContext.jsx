@@ -1,4 +1,5 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
+import { authService, impersonationService, restoreImpersonator } from '../services/api';
 
 /**
  * Authentication Context
@@ -11,6 +12,7 @@ import React, { createContext, useContext, useState, useEffect } from 'react';
  * - isAuthenticated: Boolean indicating authentication status
  * - loading: Loading state during authentication operations
  * - error: Authentication error messages
+ * - impersonator: { user, expiresAt } while an admin is viewing as another user
  * 
  * Methods:
  * - login: Authenticate user with credentials
@@ -18,6 +20,8 @@ import React, { createContext, useContext, useState, useEffect } from 'react';
  * - register: Create new user account
  * - updateUser: Update user information
  * - verifyToken: Validate authentication token
+ * - startImpersonation: Admin views the app as another user (read-only)
+ * - endImpersonation: Return to the admin's own session
  * 
  * Usage:
  * ```jsx
@@ -32,7 +36,7 @@ import React, { createContext, useContext, useState, useEffect } from 'react';
  * 
  * Security:
  * - Token storage in localStorage
- * - Automatic token refresh
+ * - Automatic token refresh (refresh token rotation in services/api.js)
  * - Session management
  * 
  * @type {React.Context} Authentication context
@@ -42,6 +46,7 @@ const AuthContext = createContext(null);
 
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
+  const [impersonator, setImpersonator] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -52,15 +57,19 @@ export const AuthProvider = ({ children }) => {
     if (storedUser && token) {
       try {
         const parsedUser = JSON.parse(storedUser);
-        // Ensure profilePhoto is set
-        if (!parsedUser.profilePhoto) {
-          parsedUser.profilePhoto = '/src/assets/profile1.jpg';
-        }
         setUser(parsedUser);
+
+        const storedImpersonator = localStorage.getItem('impersonator');
+        if (storedImpersonator) {
+          const { user: adminUser, expiresAt } = JSON.parse(storedImpersonator);
+          setImpersonator({ user: adminUser, expiresAt });
+        }
       } catch (error) {
         console.error('Error parsing stored user:', error);
         localStorage.removeItem('user');
         localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
+        localStorage.removeItem('impersonator');
       }
     }
     setLoading(false);
@@ -71,10 +80,59 @@ export const AuthProvider = ({ children }) => {
     return true;
   };
 
+  // The admin's own tokens are kept aside and restored by endImpersonation
+  const startImpersonation = async (userId, reason) => {
+    const response = await impersonationService.start(userId, reason);
+
+    localStorage.setItem('impersonator', JSON.stringify({
+      token: localStorage.getItem('token'),
+      refreshToken: localStorage.getItem('refreshToken'),
+      user,
+      expiresAt: response.expiresAt
+    }));
+    localStorage.setItem('token', response.token);
+    localStorage.removeItem('refreshToken');
+    localStorage.setItem('user', JSON.stringify(response.data.user));
+
+    setImpersonator({ user, expiresAt: response.expiresAt });
+    setUser(response.data.user);
+    return response.data.user;
+  };
+
+  const endImpersonation = async () => {
+    try {
+      await impersonationService.end();
+    } catch (error) {
+      console.error('Error ending impersonation:', error);
+    }
+    const adminUser = restoreImpersonator();
+    setImpersonator(null);
+    if (adminUser) {
+      setUser(adminUser);
+    }
+  };
+
   const logout = () => {
+    // Signing out while impersonating ends the impersonation and signs the admin out
+    if (impersonator) {
+      impersonationService.end(localStorage.getItem('token')).catch((error) => {
+        console.error('Error ending impersonation:', error);
+      });
+      restoreImpersonator();
+      setImpersonator(null);
+    }
+
+    // End the server-side session; local state is cleared regardless
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken) {
+      authService.logout(refreshToken).catch((error) => {
+        console.error('Error ending session:', error);
+      });
+    }
     setUser(null);
     localStorage.removeItem('user');
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
   };
 
   const value = {
@@ -83,6 +141,9 @@ export const AuthProvider = ({ children }) => {
     loading,
     login,
     logout,
+    impersonator,
+    startImpersonation,
+    endImpersonation,
     isAuthenticated: !!user,
     userRole: user?.role
   };
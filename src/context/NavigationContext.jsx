@@ -77,10 +77,10 @@ export const NavigationProvider = ({ children }) => {
 
     // Role-specific route permissions
     const rolePermissions = {
-      admin: ['/sessions', '/departments', '/aboutus', '/placements'],
-      student: ['/sessions', '/departments', '/aboutus', '/placements'], // Students can access sessions
-      alumni: ['/sessions', '/departments', '/aboutus', '/placements'],
-      faculty: ['/sessions', '/departments', '/aboutus', '/placements']
+      admin: ['/sessions', '/departments', '/aboutus', '/placements', '/alumnidirectory', '/skills'],
+      student: ['/sessions', '/departments', '/aboutus', '/placements', '/alumnidirectory', '/skills'], // Students can access sessions
+      alumni: ['/sessions', '/departments', '/aboutus', '/placements', '/alumnidirectory', '/skills'],
+      faculty: ['/sessions', '/departments', '/aboutus', '/placements', '/alumnidirectory', '/skills']
     };
 
     return rolePermissions[user?.role]?.includes(route) || false;
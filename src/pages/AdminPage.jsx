@@ -102,6 +102,182 @@ const AdminPage = () => {
               </Link>
             </div>
           </div>
+          {/* Roster Import Card */}
+          <div className="card shadow-lg rounded-md overflow-hidden bg-slate-700 transition-transform duration-300 hover:scale-105">
+            {/* Image */}
+            <img
+              className="w-full h-40 object-cover-top rounded-t-md"
+              src="src/assets/stats.webp"
+              alt="Roster Import"
+            />
+
+            {/* Card Body */}
+            <div className="card-body p-4 flex justify-between items-center">
+              {/* Title */}
+              <h3 className="text-lg font-bold text-white">Import Roster</h3>
+              {/* Button */}
+              <Link
+                to="/rosterimport"
+                className="btn gap-x-2 bg-indigo-400 text-white border-indigo-600 disabled:opacity-50 disabled:pointer-events-none hover:bg-indigo-800 hover:border-indigo-800 active:bg-indigo-800 active:border-indigo-800 focus:outline-none focus:ring-4 focus:ring-indigo-300 inline-block px-4 py-2 rounded-md transition-all duration-300"
+              >
+                Import
+              </Link>
+            </div>
+          </div>
+          {/* Registration Approvals Card */}
+          <div className="card shadow-lg rounded-md overflow-hidden bg-slate-700 transition-transform duration-300 hover:scale-105">
+            {/* Image */}
+            <img
+              className="w-full h-40 object-cover-top rounded-t-md"
+              src="src/assets/reqSession.jpg"
+              alt="Registration Approvals"
+            />
+
+            {/* Card Body */}
+            <div className="card-body p-4 flex justify-between items-center">
+              {/* Title */}
+              <h3 className="text-lg font-bold text-white">Approve Registrations</h3>
+              {/* Button */}
+              <Link
+                to="/registrationapprovals"
+                className="btn gap-x-2 bg-indigo-400 text-white border-indigo-600 disabled:opacity-50 disabled:pointer-events-none hover:bg-indigo-800 hover:border-indigo-800 active:bg-indigo-800 active:border-indigo-800 focus:outline-none focus:ring-4 focus:ring-indigo-300 inline-block px-4 py-2 rounded-md transition-all duration-300"
+              >
+                Review
+              </Link>
+            </div>
+          </div>
+          {/* Locked Accounts Card */}
+          <div className="card shadow-lg rounded-md overflow-hidden bg-slate-700 transition-transform duration-300 hover:scale-105">
+            {/* Image */}
+            <img
+              className="w-full h-40 object-cover-top rounded-t-md"
+              src="src/assets/stats.webp"
+              alt="Locked Accounts"
+            />
+
+            {/* Card Body */}
+            <div className="card-body p-4 flex justify-between items-center">
+              {/* Title */}
+              <h3 className="text-lg font-bold text-white">Locked Accounts</h3>
+              {/* Button */}
+              <Link
+                to="/lockedaccounts"
+                className="btn gap-x-2 bg-indigo-400 text-white border-indigo-600 disabled:opacity-50 disabled:pointer-events-none hover:bg-indigo-800 hover:border-indigo-800 active:bg-indigo-800 active:border-indigo-800 focus:outline-none focus:ring-4 focus:ring-indigo-300 inline-block px-4 py-2 rounded-md transition-all duration-300"
+              >
+                View
+              </Link>
+            </div>
+          </div>
+          {/* Permissions Card */}
+          <div className="card shadow-lg rounded-md overflow-hidden bg-slate-700 transition-transform duration-300 hover:scale-105">
+            {/* Image */}
+            <img
+              className="w-full h-40 object-cover-top rounded-t-md"
+              src="src/assets/reqSession.jpg"
+              alt="Permissions"
+            />
+
+            {/* Card Body */}
+            <div className="card-body p-4 flex justify-between items-center">
+              {/* Title */}
+              <h3 className="text-lg font-bold text-white">Department Permissions</h3>
+              {/* Button */}
+              <Link
+                to="/permissions"
+                className="btn gap-x-2 bg-indigo-400 text-white border-indigo-600 disabled:opacity-50 disabled:pointer-events-none hover:bg-indigo-800 hover:border-indigo-800 active:bg-indigo-800 active:border-indigo-800 focus:outline-none focus:ring-4 focus:ring-indigo-300 inline-block px-4 py-2 rounded-md transition-all duration-300"
+              >
+                Manage
+              </Link>
+            </div>
+          </div>
+          {/* Invitations Card */}
+          <div className="card shadow-lg rounded-md overflow-hidden bg-slate-700 transition-transform duration-300 hover:scale-105">
+            {/* Image */}
+            <img
+              className="w-full h-40 object-cover-top rounded-t-md"
+              src="src/assets/reqSession.jpg"
+              alt="Invitations"
+            />
+
+            {/* Card Body */}
+            <div className="card-body p-4 flex justify-between items-center">
+              {/* Title */}
+              <h3 className="text-lg font-bold text-white">Faculty & Admin Invites</h3>
+              {/* Button */}
+              <Link
+                to="/invites"
+                className="btn gap-x-2 bg-indigo-400 text-white border-indigo-600 disabled:opacity-50 disabled:pointer-events-none hover:bg-indigo-800 hover:border-indigo-800 active:bg-indigo-800 active:border-indigo-800 focus:outline-none focus:ring-4 focus:ring-indigo-300 inline-block px-4 py-2 rounded-md transition-all duration-300"
+              >
+                Invite
+              </Link>
+            </div>
+          </div>
+          {/* Audit Log Card */}
+          <div className="card shadow-lg rounded-md overflow-hidden bg-slate-700 transition-transform duration-300 hover:scale-105">
+            {/* Image */}
+            <img
+              className="w-full h-40 object-cover-top rounded-t-md"
+              src="src/assets/reqSession.jpg"
+              alt="Audit Log"
+            />
+
+            {/* Card Body */}
+            <div className="card-body p-4 flex justify-between items-center">
+              {/* Title */}
+              <h3 className="text-lg font-bold text-white">Audit Log</h3>
+              {/* Button */}
+              <Link
+                to="/auditlog"
+                className="btn gap-x-2 bg-indigo-400 text-white border-indigo-600 disabled:opacity-50 disabled:pointer-events-none hover:bg-indigo-800 hover:border-indigo-800 active:bg-indigo-800 active:border-indigo-800 focus:outline-none focus:ring-4 focus:ring-indigo-300 inline-block px-4 py-2 rounded-md transition-all duration-300"
+              >
+                View
+              </Link>
+            </div>
+          </div>
+          {/* Skills List Card */}
+          <div className="card shadow-lg rounded-md overflow-hidden bg-slate-700 transition-transform duration-300 hover:scale-105">
+            {/* Image */}
+            <img
+              className="w-full h-40 object-cover-top rounded-t-md"
+              src="src/assets/reqSession.jpg"
+              alt="Skills List"
+            />
+
+            {/* Card Body */}
+            <div className="card-body p-4 flex justify-between items-center">
+              {/* Title */}
+              <h3 className="text-lg font-bold text-white">Skills List</h3>
+              {/* Button */}
+              <Link
+                to="/skilltaxonomy"
+                className="btn gap-x-2 bg-indigo-400 text-white border-indigo-600 disabled:opacity-50 disabled:pointer-events-none hover:bg-indigo-800 hover:border-indigo-800 active:bg-indigo-800 active:border-indigo-800 focus:outline-none focus:ring-4 focus:ring-indigo-300 inline-block px-4 py-2 rounded-md transition-all duration-300"
+              >
+                Manage
+              </Link>
+            </div>
+          </div>
+          {/* View As User Card */}
+          <div className="card shadow-lg rounded-md overflow-hidden bg-slate-700 transition-transform duration-300 hover:scale-105">
+            {/* Image */}
+            <img
+              className="w-full h-40 object-cover-top rounded-t-md"
+              src="src/assets/reqSession.jpg"
+              alt="View as User"
+            />
+
+            {/* Card Body */}
+            <div className="card-body p-4 flex justify-between items-center">
+              {/* Title */}
+              <h3 className="text-lg font-bold text-white">View as User</h3>
+              {/* Button */}
+              <Link
+                to="/viewasuser"
+                className="btn gap-x-2 bg-indigo-400 text-white border-indigo-600 disabled:opacity-50 disabled:pointer-events-none hover:bg-indigo-800 hover:border-indigo-800 active:bg-indigo-800 active:border-indigo-800 focus:outline-none focus:ring-4 focus:ring-indigo-300 inline-block px-4 py-2 rounded-md transition-all duration-300"
+              >
+                Open
+              </Link>
+            </div>
+          </div>
         </div>
       </div>
       <Footer />
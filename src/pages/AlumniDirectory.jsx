@@ -0,0 +1,311 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import Header from '../components/Header';
+import MainNavbar from '../components/MainNavbar';
+import Footer from '../components/Footer';
+import ProfilePhoto from '../components/ProfilePhoto';
+import { directoryService } from '../services/api';
+
+/**
+ * Alumni Directory Page
+ *
+ * Lets signed-in users find alumni by name and filter them by department,
+ * batch, company, location and skills. The filter menus are filled from the
+ * facets the API returns, with the number of alumni for each value. Alumni
+ * who hid their listing (or limited it to other alumni) are left out by the
+ * API.
+ *
+ * @component AlumniDirectory
+ */
+
+const SORT_OPTIONS = [
+  { value: 'relevance', label: 'Best match' },
+  { value: 'name', label: 'Name' },
+  { value: 'newest', label: 'Newest batch' },
+  { value: 'oldest', label: 'Oldest batch' }
+];
+
+const EMPTY_FACETS = { departments: [], years: [], companies: [], locations: [], skills: [] };
+
+const FacetSelect = ({ label, value, options, onChange, placeholder = 'All' }) => (
+  <div className="w-48">
+    <label className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+    >
+      <option value="">{placeholder}</option>
+      {options.map(option => (
+        <option key={option.value} value={option.value}>{option.value} ({option.count})</option>
+      ))}
+    </select>
+  </div>
+);
+
+FacetSelect.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.string.isRequired,
+  options: PropTypes.arrayOf(PropTypes.shape({
+    value: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+    count: PropTypes.number
+  })).isRequired,
+  onChange: PropTypes.func.isRequired,
+  placeholder: PropTypes.string
+};
+
+const AlumniDirectory = () => {
+  const [alumni, setAlumni] = useState([]);
+  const [facets, setFacets] = useState(EMPTY_FACETS);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [filters, setFilters] = useState({ department: '', year: '', company: '', location: '' });
+  const [skills, setSkills] = useState([]);
+  const [search, setSearch] = useState('');
+  const [appliedSearch, setAppliedSearch] = useState('');
+  const [sort, setSort] = useState('');
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchAlumni = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await directoryService.searchAlumni({
+        search: appliedSearch || undefined,
+        department: filters.department || undefined,
+        year: filters.year || undefined,
+        company: filters.company || undefined,
+        location: filters.location || undefined,
+        skills: skills.length > 0 ? skills.join(',') : undefined,
+        sort: sort || undefined,
+        page
+      });
+      setAlumni(response.data.alumni);
+      setFacets(response.data.facets);
+      setPagination(response.data.pagination);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load the alumni directory');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, skills, appliedSearch, sort, page]);
+
+  useEffect(() => {
+    fetchAlumni();
+  }, [fetchAlumni]);
+
+  const updateFilter = (name, value) => {
+    setFilters(prev => ({ ...prev, [name]: value }));
+    setPage(1);
+  };
+
+  const addSkill = (skill) => {
+    if (skill && !skills.includes(skill)) {
+      setSkills([...skills, skill]);
+      setPage(1);
+    }
+  };
+
+  const removeSkill = (skill) => {
+    setSkills(skills.filter(item => item !== skill));
+    setPage(1);
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setAppliedSearch(search.trim());
+    // A new search is ranked by relevance; clearing it falls back to the default order
+    setSort('');
+    setPage(1);
+  };
+
+  const clearFilters = () => {
+    setFilters({ department: '', year: '', company: '', location: '' });
+    setSkills([]);
+    setSearch('');
+    setAppliedSearch('');
+    setSort('');
+    setPage(1);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <Header />
+      <MainNavbar />
+      <div className="container mx-auto px-4 py-8">
+        <div className="flex justify-between items-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-800">Alumni Directory</h1>
+          {loading && (
+            <div className="text-blue-600">Loading...</div>
+          )}
+          {error && (
+            <div className="text-red-600 bg-red-50 px-4 py-2 rounded-md">{error}</div>
+          )}
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+          {/* Search and Sort */}
+          <div className="flex flex-wrap items-end gap-4 mb-6">
+            <form className="flex gap-2" onSubmit={handleSearch}>
+              <input
+                type="text"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Search by name"
+                className="p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+              />
+              <button
+                type="submit"
+                className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700"
+              >
+                Search
+              </button>
+            </form>
+            <div className="w-48">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Sort by</label>
+              <select
+                value={sort || (appliedSearch ? 'relevance' : 'name')}
+                onChange={(e) => {
+                  setSort(e.target.value);
+                  setPage(1);
+                }}
+                className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+              >
+                {SORT_OPTIONS.filter(option => option.value !== 'relevance' || appliedSearch).map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <button
+              onClick={clearFilters}
+              className="ml-auto px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300"
+            >
+              Clear filters
+            </button>
+          </div>
+
+          {/* Filters */}
+          <div className="flex flex-wrap items-end gap-4 mb-4">
+            <FacetSelect
+              label="Department"
+              value={filters.department}
+              options={facets.departments}
+              onChange={(value) => updateFilter('department', value)}
+            />
+            <FacetSelect
+              label="Batch"
+              value={filters.year}
+              options={facets.years}
+              onChange={(value) => updateFilter('year', value)}
+            />
+            <FacetSelect
+              label="Company"
+              value={filters.company}
+              options={facets.companies}
+              onChange={(value) => updateFilter('company', value)}
+            />
+            <FacetSelect
+              label="Location"
+              value={filters.location}
+              options={facets.locations}
+              onChange={(value) => updateFilter('location', value)}
+            />
+            <FacetSelect
+              label="Add skill"
+              placeholder="Choose a skill"
+              value=""
+              options={facets.skills.filter(option => !skills.includes(option.value))}
+              onChange={addSkill}
+            />
+          </div>
+          {skills.length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {skills.map(skill => (
+                <span key={skill} className="inline-flex items-center gap-1 px-3 py-1 text-sm text-indigo-800 bg-indigo-100 rounded-full">
+                  {skill}
+                  <button onClick={() => removeSkill(skill)} className="text-indigo-600 hover:text-indigo-900" aria-label={`Remove ${skill}`}>
+                    ×
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Results */}
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {alumni.map(alumnus => (
+            <div key={alumnus._id} className="bg-white rounded-lg shadow-md p-6">
+              <div className="flex items-center gap-4">
+                <ProfilePhoto
+                  user={alumnus}
+                  size="thumb"
+                  alt={alumnus.fullName}
+                  className="w-16 h-16 rounded-full object-cover"
+                />
+                <div>
+                  <h3 className="text-lg font-semibold text-gray-800">{alumnus.fullName}</h3>
+                  <p className="text-sm text-gray-500">
+                    {[alumnus.department, alumnus.yearOfPassedOut && `Batch of ${alumnus.yearOfPassedOut}`].filter(Boolean).join(' · ')}
+                  </p>
+                </div>
+              </div>
+              {(alumnus.designation || alumnus.currentCompany) && (
+                <p className="mt-4 text-gray-700">
+                  {[alumnus.designation, alumnus.currentCompany].filter(Boolean).join(' at ')}
+                </p>
+              )}
+              {alumnus.location && (
+                <p className="text-sm text-gray-500">{alumnus.location}</p>
+              )}
+              {alumnus.skills?.length > 0 && (
+                <div className="mt-4 flex flex-wrap gap-2">
+                  {alumnus.skills.map(skill => (
+                    <button
+                      key={skill}
+                      onClick={() => addSkill(skill)}
+                      className="px-2 py-1 text-xs text-gray-700 bg-gray-100 rounded-full hover:bg-indigo-100"
+                    >
+                      {skill}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+        {!loading && alumni.length === 0 && (
+          <div className="bg-white rounded-lg shadow-md p-6 text-center text-gray-500">
+            No alumni match these filters
+          </div>
+        )}
+
+        {/* Pagination */}
+        <div className="flex justify-between items-center mt-6 text-sm text-gray-600">
+          <span>{pagination.total} alumni</span>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={page <= 1}
+              className="px-3 py-1 bg-gray-200 rounded-md hover:bg-gray-300 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span>Page {pagination.page} of {Math.max(pagination.pages, 1)}</span>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={page >= pagination.pages}
+              className="px-3 py-1 bg-gray-200 rounded-md hover:bg-gray-300 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      </div>
+      <Footer />
+    </div>
+  );
+};
+
+export default AlumniDirectory;
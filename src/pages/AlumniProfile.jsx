@@ -1,43 +1,119 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import Header from '../components/Header';
 import Footer from '../components/Footer';
 import Profile from '../components/Profile';
+import CareerHistory from '../components/CareerHistory';
+import { userService, getFieldErrors } from '../services/api';
+
+// Fields the alumnus can change in the overview (the rest of the user.profile
+// policy is edited in the career history and skills sections)
+const EDITABLE_FIELDS = [
+  'fullName',
+  'phoneNumber',
+  'yearOfPassedOut',
+  'location',
+  'directoryVisibility'
+];
+
+const VISIBILITY_OPTIONS = [
+  { value: 'everyone', label: 'Everyone signed in' },
+  { value: 'alumni', label: 'Other alumni only' },
+  { value: 'hidden', label: 'Hidden from the directory' }
+];
+
+const toProfileData = (user) => ({
+  fullName: user.fullName,
+  collegeId: user.collegeId,
+  mailId: user.email,
+  phoneNumber: user.phoneNumber,
+  yearOfPassedOut: user.yearOfPassedOut,
+  designation: user.designation,
+  currentCompany: user.currentCompany,
+  location: user.location,
+  directoryVisibility: user.directoryVisibility || 'everyone',
+  positions: user.positions || [],
+  higherStudies: user.higherStudies || []
+});
 
 const AlumniProfile = () => {
-  const alumniData = {
-    profileImage: 'src/assets/profile1.jpg',
-    fullName: 'John Doe',
-    collegeId: 'A202345',
-    mailId: 'johndoe@gmail.com',
-    phoneNumber: '+1234567890',
-    graduationYear: '2020',
-    currentJob: 'Software Engineer',
-  };
+  const [alumniData, setAlumniData] = useState(null);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    const fetchProfile = async () => {
+      try {
+        const response = await userService.getProfile();
+        setAlumniData(toProfileData(response.data.user));
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load your profile');
+      }
+    };
+
+    fetchProfile();
+  }, []);
 
   const overviewFields = [
     { name: 'fullName', label: 'Full Name', type: 'text' },
-    { name: 'collegeId', label: 'College ID', type: 'text' },
-    { name: 'mailId', label: 'Email ID', type: 'email' },
+    { name: 'collegeId', label: 'College ID', type: 'text', readOnly: true },
+    { name: 'mailId', label: 'Email ID', type: 'email', readOnly: true },
     { name: 'phoneNumber', label: 'Phone Number', type: 'tel' },
-    { name: 'graduationYear', label: 'Graduation Year', type: 'text' },
-    { name: 'currentJob', label: 'Current Job', type: 'text' },
+    { name: 'yearOfPassedOut', label: 'Graduation Year', type: 'number' },
+    // Follow the current position in the career history
+    { name: 'designation', label: 'Current Role', type: 'text', readOnly: true },
+    { name: 'currentCompany', label: 'Current Company', type: 'text', readOnly: true },
+    { name: 'location', label: 'Location', type: 'text' },
+    { name: 'directoryVisibility', label: 'Alumni Directory Listing', type: 'select', options: VISIBILITY_OPTIONS }
   ];
 
-  const handleSave = (updatedData) => {
-    console.log('Updated Alumni Data:', updatedData);
+  const handleSave = async (updatedData) => {
+    const payload = Object.fromEntries(EDITABLE_FIELDS.map(field => [field, updatedData[field]]));
+
+    try {
+      setError(null);
+      setMessage(null);
+      const response = await userService.updateProfile(payload);
+      setAlumniData(toProfileData(response.data.user));
+      setMessage('Profile updated');
+    } catch (err) {
+      const fieldErrors = Object.values(getFieldErrors(err));
+      setError(fieldErrors.length > 0 ? fieldErrors.join(' ') : err.response?.data?.message || 'Failed to update your profile');
+    }
+  };
+
+  // CareerHistory shows its own field errors, so failures are passed back to it
+  const handleSaveCareer = async (careerHistory) => {
+    setError(null);
+    setMessage(null);
+    const response = await userService.updateProfile(careerHistory);
+    setAlumniData(toProfileData(response.data.user));
+    setMessage('Career history updated');
   };
 
   return (
     <div className="min-h-screen flex flex-col bg-gray-100">
       <Header />
+      {(error || message) && (
+        <div className={`mx-6 mt-6 px-4 py-2 rounded-md ${error ? 'text-red-600 bg-red-50' : 'text-green-700 bg-green-50'}`}>
+          {error || message}
+        </div>
+      )}
       <Profile
         profileData={alumniData}
         overviewFields={overviewFields}
         onSave={handleSave}
-      />
+      >
+        {alumniData && (
+          <CareerHistory
+            positions={alumniData.positions}
+            higherStudies={alumniData.higherStudies}
+            onSave={handleSaveCareer}
+          />
+        )}
+      </Profile>
       <Footer />
     </div>
   );
 };
 
-export default AlumniProfile;
\ No newline at end of file
+export default AlumniProfile;
@@ -0,0 +1,307 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import axios from 'axios';
+import Header from '../components/Header';
+import Footer from '../components/Footer';
+
+/**
+ * Audit Log Page
+ *
+ * Admin viewer for the audit trail: who changed what, when and from where.
+ * Entries can be filtered by action, record type and date range, searched
+ * by actor email, action, record ID or request path, and downloaded as an
+ * Excel or CSV file with the same filters applied.
+ *
+ * @component AuditLog
+ */
+
+// Get the base URL for API requests
+const API_BASE_URL = import.meta.env.VITE_API_URL || '';
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem('token')}`,
+  'Content-Type': 'application/json'
+});
+
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const AuditLog = () => {
+  const [logs, setLogs] = useState([]);
+  const [filterOptions, setFilterOptions] = useState({ actions: [], targetModels: [] });
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [selectedAction, setSelectedAction] = useState('');
+  const [selectedTarget, setSelectedTarget] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [search, setSearch] = useState('');
+  const [searchQuery, setSearchQuery] = useState('');
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const filterParams = useMemo(() => ({
+    action: selectedAction || undefined,
+    targetModel: selectedTarget || undefined,
+    from: from || undefined,
+    to: to || undefined,
+    search: searchQuery || undefined
+  }), [selectedAction, selectedTarget, from, to, searchQuery]);
+
+  const fetchLogs = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await axios.get(`${API_BASE_URL}/api/audit-logs`, {
+        headers: authHeaders(),
+        params: { ...filterParams, page }
+      });
+      setLogs(response.data.data.logs);
+      setFilterOptions(response.data.data.filters);
+      setPagination(response.data.data.pagination);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch audit log');
+    } finally {
+      setLoading(false);
+    }
+  }, [filterParams, page]);
+
+  useEffect(() => {
+    fetchLogs();
+  }, [fetchLogs]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    if (page === 1 && search === searchQuery) {
+      fetchLogs();
+    } else {
+      setSearchQuery(search);
+      setPage(1);
+    }
+  };
+
+  const handleExport = async (format) => {
+    try {
+      setExporting(true);
+      setError(null);
+      const response = await axios.get(`${API_BASE_URL}/api/audit-logs/export`, {
+        headers: authHeaders(),
+        params: { ...filterParams, format },
+        responseType: 'blob'
+      });
+
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch {
+      setError('Failed to export audit log');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <Header />
+      <div className="container mx-auto px-4 py-8">
+        <div className="flex justify-between items-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-800">Audit Log</h1>
+          {loading && (
+            <div className="text-blue-600">Loading...</div>
+          )}
+          {error && (
+            <div className="text-red-600 bg-red-50 px-4 py-2 rounded-md">{error}</div>
+          )}
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+          {/* Filters */}
+          <div className="flex flex-wrap items-end gap-4 mb-6">
+            <div className="w-56">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Action</label>
+              <select
+                value={selectedAction}
+                onChange={(e) => {
+                  setSelectedAction(e.target.value);
+                  setPage(1);
+                }}
+                className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="">All</option>
+                {filterOptions.actions.map(action => (
+                  <option key={action} value={action}>{action}</option>
+                ))}
+              </select>
+            </div>
+            <div className="w-48">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Record Type</label>
+              <select
+                value={selectedTarget}
+                onChange={(e) => {
+                  setSelectedTarget(e.target.value);
+                  setPage(1);
+                }}
+                className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="">All</option>
+                {filterOptions.targetModels.map(model => (
+                  <option key={model} value={model}>{model}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">From</label>
+              <input
+                type="date"
+                value={from}
+                onChange={(e) => {
+                  setFrom(e.target.value);
+                  setPage(1);
+                }}
+                className="p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">To</label>
+              <input
+                type="date"
+                value={to}
+                onChange={(e) => {
+                  setTo(e.target.value);
+                  setPage(1);
+                }}
+                className="p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+            <form className="flex gap-2" onSubmit={handleSearch}>
+              <input
+                type="text"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Search email, action, ID or path"
+                className="p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+              />
+              <button
+                type="submit"
+                className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700"
+              >
+                Search
+              </button>
+            </form>
+            <div className="ml-auto flex gap-2">
+              <button
+                onClick={() => handleExport('xlsx')}
+                disabled={exporting}
+                className="px-4 py-2 text-sm font-medium text-white bg-green-600 rounded-md hover:bg-green-700 disabled:opacity-50"
+              >
+                Export Excel
+              </button>
+              <button
+                onClick={() => handleExport('csv')}
+                disabled={exporting}
+                className="px-4 py-2 text-sm font-medium text-white bg-green-600 rounded-md hover:bg-green-700 disabled:opacity-50"
+              >
+                Export CSV
+              </button>
+            </div>
+          </div>
+
+          {/* Audit Log Table */}
+          <div className="overflow-x-auto bg-gray-50 rounded-lg">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actor</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Record</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Changes</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">IP</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {logs.length > 0 ? (
+                  logs.map((log) => (
+                    <tr key={log._id} className="hover:bg-gray-50 align-top">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{new Date(log.createdAt).toLocaleString()}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        <div>{log.actor?.fullName || (log.actorRole === 'system' ? 'System' : 'Deleted user')}</div>
+                        <div className="text-gray-500">{log.actorEmail}</div>
+                        <div className="text-xs text-gray-400 capitalize">{log.actorRole}</div>
+                        {log.impersonatedUser && (
+                          <div className="text-xs text-amber-700">viewing as {log.impersonatedUser.fullName}</div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-900">{log.action}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        <div>{log.targetModel || '—'}</div>
+                        {log.targetId && <div className="text-xs text-gray-500 font-mono">{log.targetId}</div>}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-700">
+                        {log.changes.length > 0 && (
+                          <ul className="space-y-1">
+                            {log.changes.map(change => (
+                              <li key={change.field} className="break-all">
+                                <span className="font-medium">{change.field}</span>:{' '}
+                                <span className="text-red-600">{formatValue(change.before)}</span>
+                                {' → '}
+                                <span className="text-green-700">{formatValue(change.after)}</span>
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                        {log.meta && (
+                          <pre className="mt-1 text-xs text-gray-500 whitespace-pre-wrap break-all">{JSON.stringify(log.meta, null, 2)}</pre>
+                        )}
+                        {log.changes.length === 0 && !log.meta && '—'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{log.ip || '—'}</td>
+                    </tr>
+                  ))
+                ) : (
+                  <tr>
+                    <td colSpan="6" className="px-6 py-4 text-center text-gray-500">
+                      No audit log entries found
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Pagination */}
+          <div className="flex justify-between items-center mt-4 text-sm text-gray-600">
+            <span>{pagination.total} entries</span>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page <= 1}
+                className="px-3 py-1 bg-gray-200 rounded-md hover:bg-gray-300 disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <span>Page {pagination.page} of {Math.max(pagination.pages, 1)}</span>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={page >= pagination.pages}
+                className="px-3 py-1 bg-gray-200 rounded-md hover:bg-gray-300 disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+      <Footer />
+    </div>
+  );
+};
+
+export default AuditLog;
@@ -0,0 +1,284 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import Header from '../components/Header';
+import Footer from '../components/Footer';
+
+/**
+ * Failed Signups Page
+ *
+ * Admin triage screen for recorded signup failures. Attempts can be
+ * filtered by status and error category, searched by name or email, and
+ * marked as checked individually or in bulk.
+ *
+ * @component FailedSignups
+ */
+
+// Get the base URL for API requests
+const API_BASE_URL = import.meta.env.VITE_API_URL || '';
+
+const CATEGORY_LABELS = {
+  duplicate_email: 'Duplicate email',
+  roster_mismatch: 'Roster mismatch',
+  invalid_invite: 'Invalid invite',
+  validation_error: 'Validation error',
+  blocked: 'Blocked email',
+  server_error: 'Server error'
+};
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem('token')}`,
+  'Content-Type': 'application/json'
+});
+
+const FailedSignups = () => {
+  const [failedSignups, setFailedSignups] = useState([]);
+  const [uncheckedByCategory, setUncheckedByCategory] = useState({});
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [selectedStatus, setSelectedStatus] = useState('unchecked');
+  const [selectedCategory, setSelectedCategory] = useState('');
+  const [search, setSearch] = useState('');
+  // The search box is applied when the form is submitted
+  const [searchQuery, setSearchQuery] = useState('');
+  const [page, setPage] = useState(1);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchFailedSignups = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await axios.get(`${API_BASE_URL}/api/failed-signups`, {
+        headers: authHeaders(),
+        params: {
+          status: selectedStatus || undefined,
+          category: selectedCategory || undefined,
+          search: searchQuery || undefined,
+          page
+        }
+      });
+      setFailedSignups(response.data.data.failedSignups);
+      setUncheckedByCategory(response.data.data.uncheckedByCategory);
+      setPagination(response.data.data.pagination);
+      setSelectedIds([]);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch failed signups');
+    } finally {
+      setLoading(false);
+    }
+  }, [selectedStatus, selectedCategory, searchQuery, page]);
+
+  useEffect(() => {
+    fetchFailedSignups();
+  }, [fetchFailedSignups]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    if (page === 1 && search === searchQuery) {
+      fetchFailedSignups();
+    } else {
+      setSearchQuery(search);
+      setPage(1);
+    }
+  };
+
+  const updateStatus = async (ids, status) => {
+    try {
+      await axios.patch(`${API_BASE_URL}/api/failed-signups/bulk`, { ids, status }, { headers: authHeaders() });
+      fetchFailedSignups();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update failed signups');
+    }
+  };
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => (prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id]));
+  };
+
+  const allSelected = failedSignups.length > 0 && selectedIds.length === failedSignups.length;
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <Header />
+      <div className="container mx-auto px-4 py-8">
+        <div className="flex justify-between items-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-800">Failed Signups</h1>
+          {loading && (
+            <div className="text-blue-600">Loading...</div>
+          )}
+          {error && (
+            <div className="text-red-600 bg-red-50 px-4 py-2 rounded-md">{error}</div>
+          )}
+        </div>
+
+        {/* Unchecked attempts per category */}
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-8">
+          {Object.entries(CATEGORY_LABELS).map(([category, label]) => (
+            <button
+              key={category}
+              onClick={() => {
+                setSelectedCategory(selectedCategory === category ? '' : category);
+                setPage(1);
+              }}
+              className={`p-4 rounded-lg text-left shadow-sm ${
+                selectedCategory === category ? 'bg-indigo-100 ring-2 ring-indigo-400' : 'bg-white'
+              }`}
+            >
+              <h3 className="text-sm font-semibold text-gray-700">{label}</h3>
+              <p className="text-2xl font-bold text-red-600">{uncheckedByCategory[category] || 0}</p>
+              <p className="text-xs text-gray-500">unchecked</p>
+            </button>
+          ))}
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+          {/* Filters */}
+          <div className="flex flex-wrap items-end gap-4 mb-6">
+            <div className="w-48">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Status</label>
+              <select
+                value={selectedStatus}
+                onChange={(e) => {
+                  setSelectedStatus(e.target.value);
+                  setPage(1);
+                }}
+                className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="">All</option>
+                <option value="unchecked">Unchecked</option>
+                <option value="checked">Checked</option>
+              </select>
+            </div>
+            <div className="w-48">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Category</label>
+              <select
+                value={selectedCategory}
+                onChange={(e) => {
+                  setSelectedCategory(e.target.value);
+                  setPage(1);
+                }}
+                className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="">All</option>
+                {Object.entries(CATEGORY_LABELS).map(([category, label]) => (
+                  <option key={category} value={category}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <form className="flex gap-2" onSubmit={handleSearch}>
+              <input
+                type="text"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Search name or email"
+                className="p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+              />
+              <button
+                type="submit"
+                className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700"
+              >
+                Search
+              </button>
+            </form>
+            <button
+              onClick={() => updateStatus(selectedIds, 'checked')}
+              disabled={selectedIds.length === 0}
+              className="ml-auto px-4 py-2 text-sm font-medium text-white bg-green-600 rounded-md hover:bg-green-700 disabled:opacity-50"
+            >
+              Mark {selectedIds.length || ''} Checked
+            </button>
+          </div>
+
+          {/* Failed Signup Table */}
+          <div className="overflow-x-auto bg-gray-50 rounded-lg">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-4 py-3">
+                    <input
+                      type="checkbox"
+                      checked={allSelected}
+                      onChange={() => setSelectedIds(allSelected ? [] : failedSignups.map(signup => signup._id))}
+                    />
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Email</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Role</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Category</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Error</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">IP</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {failedSignups.length > 0 ? (
+                  failedSignups.map((signup) => (
+                    <tr key={signup._id} className="hover:bg-gray-50">
+                      <td className="px-4 py-4 text-center">
+                        <input
+                          type="checkbox"
+                          checked={selectedIds.includes(signup._id)}
+                          onChange={() => toggleSelected(signup._id)}
+                        />
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{new Date(signup.createdAt).toLocaleString()}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{signup.name}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{signup.email}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 capitalize">{signup.role || '—'}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{CATEGORY_LABELS[signup.category] || signup.category}</td>
+                      <td className="px-6 py-4 text-sm text-red-600">{signup.error}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{signup.metadata?.ip || '—'}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        <button
+                          onClick={() => updateStatus([signup._id], signup.status === 'checked' ? 'unchecked' : 'checked')}
+                          title={signup.checkedBy ? `Checked by ${signup.checkedBy.fullName}` : 'Toggle status'}
+                          className={`px-2 py-1 rounded-full text-sm ${
+                            signup.status === 'checked' ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
+                          }`}
+                        >
+                          {signup.status}
+                        </button>
+                      </td>
+                    </tr>
+                  ))
+                ) : (
+                  <tr>
+                    <td colSpan="9" className="px-6 py-4 text-center text-gray-500">
+                      No failed signups found
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Pagination */}
+          <div className="flex justify-between items-center mt-4 text-sm text-gray-600">
+            <span>{pagination.total} attempts</span>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page <= 1}
+                className="px-3 py-1 bg-gray-200 rounded-md hover:bg-gray-300 disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <span>Page {pagination.page} of {Math.max(pagination.pages, 1)}</span>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={page >= pagination.pages}
+                className="px-3 py-1 bg-gray-200 rounded-md hover:bg-gray-300 disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+      <Footer />
+    </div>
+  );
+};
+
+export default FailedSignups;
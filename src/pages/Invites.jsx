@@ -0,0 +1,273 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import Header from '../components/Header';
+import Footer from '../components/Footer';
+import FieldError from '../components/FieldError';
+import { getFieldErrors } from '../services/api';
+
+/**
+ * Invites Page
+ *
+ * Admin view for inviting faculty members and admins, who cannot sign up
+ * without an invitation. Pending invites can be resent (which also renews
+ * their expiry) or revoked.
+ *
+ * @component Invites
+ */
+
+// Get the base URL for API requests
+const API_BASE_URL = import.meta.env.VITE_API_URL || '';
+
+const STATE_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  expired: 'bg-gray-100 text-gray-700',
+  accepted: 'bg-green-100 text-green-800',
+  revoked: 'bg-red-100 text-red-800'
+};
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem('token')}`,
+  'Content-Type': 'application/json'
+});
+
+const emptyInvite = { email: '', role: 'faculty', note: '' };
+
+const Invites = () => {
+  const [invites, setInvites] = useState([]);
+  const [selectedState, setSelectedState] = useState('pending');
+  const [newInvite, setNewInvite] = useState(emptyInvite);
+  const [loading, setLoading] = useState(true);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [message, setMessage] = useState('');
+
+  const fetchInvites = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await axios.get(`${API_BASE_URL}/api/invites`, {
+        headers: authHeaders(),
+        params: { state: selectedState || undefined }
+      });
+      setInvites(response.data.data.invites);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch invites');
+    } finally {
+      setLoading(false);
+    }
+  }, [selectedState]);
+
+  useEffect(() => {
+    fetchInvites();
+  }, [fetchInvites]);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setNewInvite(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setFieldErrors({});
+    setMessage('');
+
+    try {
+      setSending(true);
+      const response = await axios.post(`${API_BASE_URL}/api/invites`, newInvite, { headers: authHeaders() });
+      setMessage(response.data.message);
+      setNewInvite(emptyInvite);
+      fetchInvites();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to create invite');
+      setFieldErrors(getFieldErrors(err));
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleResend = async (inviteId) => {
+    setError(null);
+    setMessage('');
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/invites/${inviteId}/resend`, {}, { headers: authHeaders() });
+      setMessage(response.data.message);
+      fetchInvites();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to resend invite');
+    }
+  };
+
+  const handleRevoke = async (inviteId) => {
+    setError(null);
+    setMessage('');
+    try {
+      await axios.delete(`${API_BASE_URL}/api/invites/${inviteId}`, { headers: authHeaders() });
+      fetchInvites();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to revoke invite');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <Header />
+      <div className="container mx-auto px-4 py-8">
+        <div className="flex justify-between items-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-800">Invitations</h1>
+          {loading && (
+            <div className="text-blue-600">Loading...</div>
+          )}
+          {error && (
+            <div className="text-red-600 bg-red-50 px-4 py-2 rounded-md">{error}</div>
+          )}
+        </div>
+
+        {/* Invite Form */}
+        <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+          <h2 className="text-xl font-semibold text-gray-800 mb-4">Invite Faculty or Admin</h2>
+          <form onSubmit={handleInvite} className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Email</label>
+              <input
+                name="email"
+                type="email"
+                value={newInvite.email}
+                onChange={handleInputChange}
+                className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                placeholder="name@rguktn.ac.in"
+                required
+              />
+              <FieldError message={fieldErrors.email} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Role</label>
+              <select
+                name="role"
+                value={newInvite.role}
+                onChange={handleInputChange}
+                className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="faculty">Faculty</option>
+                <option value="admin">Admin</option>
+              </select>
+              <FieldError message={fieldErrors.role} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Message (optional)</label>
+              <input
+                name="note"
+                type="text"
+                value={newInvite.note}
+                onChange={handleInputChange}
+                className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                maxLength={500}
+              />
+              <FieldError message={fieldErrors.note} />
+            </div>
+            <div className="md:col-span-3 flex items-center gap-4">
+              <button
+                type="submit"
+                disabled={sending}
+                className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700 disabled:opacity-50"
+              >
+                {sending ? 'Sending...' : 'Send Invite'}
+              </button>
+              {message && <span className="text-sm text-green-700">{message}</span>}
+            </div>
+          </form>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+          {/* Filters */}
+          <div className="flex flex-wrap items-end gap-4 mb-6">
+            <div className="w-48">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Status</label>
+              <select
+                value={selectedState}
+                onChange={(e) => setSelectedState(e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="">All</option>
+                <option value="pending">Pending</option>
+                <option value="expired">Expired</option>
+                <option value="accepted">Accepted</option>
+                <option value="revoked">Revoked</option>
+              </select>
+            </div>
+          </div>
+
+          {/* Invites Table */}
+          <div className="overflow-x-auto bg-gray-50 rounded-lg">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Email</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Role</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Invited By</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Sent</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Expires</th>
+                  <th className="px-6 py-3"></th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {invites.length > 0 ? (
+                  invites.map((invite) => (
+                    <tr key={invite._id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {invite.email}
+                        {invite.acceptedUser && (
+                          <div className="text-gray-500">{invite.acceptedUser.fullName}</div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 capitalize">{invite.role}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${STATE_STYLES[invite.state]}`}>
+                          {invite.state}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{invite.invitedBy?.fullName || '—'}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {invite.lastSentAt ? `${new Date(invite.lastSentAt).toLocaleString()} (${invite.sendCount}×)` : 'Not sent'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{new Date(invite.expiresAt).toLocaleString()}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-right space-x-2">
+                        {(invite.state === 'pending' || invite.state === 'expired') && (
+                          <>
+                            <button
+                              onClick={() => handleResend(invite._id)}
+                              className="px-3 py-1 text-sm text-white bg-indigo-600 rounded-md hover:bg-indigo-700"
+                            >
+                              Resend
+                            </button>
+                            <button
+                              onClick={() => handleRevoke(invite._id)}
+                              className="px-3 py-1 text-sm text-white bg-red-600 rounded-md hover:bg-red-700"
+                            >
+                              Revoke
+                            </button>
+                          </>
+                        )}
+                      </td>
+                    </tr>
+                  ))
+                ) : (
+                  <tr>
+                    <td colSpan="7" className="px-6 py-4 text-center text-gray-500">
+                      No invites found
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+      <Footer />
+    </div>
+  );
+};
+
+export default Invites;
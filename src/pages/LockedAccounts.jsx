@@ -0,0 +1,148 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import Header from '../components/Header';
+import Footer from '../components/Footer';
+
+/**
+ * Locked Accounts Page
+ *
+ * Admin view of accounts and IP addresses locked out after repeated failed
+ * sign-ins. Lockouts expire on their own; admins can lift one early.
+ *
+ * @component LockedAccounts
+ */
+
+// Get the base URL for API requests
+const API_BASE_URL = import.meta.env.VITE_API_URL || '';
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem('token')}`,
+  'Content-Type': 'application/json'
+});
+
+const LockedAccounts = () => {
+  const [locks, setLocks] = useState([]);
+  const [selectedScope, setSelectedScope] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchLocks = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await axios.get(`${API_BASE_URL}/api/login-locks`, {
+        headers: authHeaders(),
+        params: { scope: selectedScope || undefined }
+      });
+      setLocks(response.data.data.locks);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch locked accounts');
+    } finally {
+      setLoading(false);
+    }
+  }, [selectedScope]);
+
+  useEffect(() => {
+    fetchLocks();
+  }, [fetchLocks]);
+
+  const handleUnlock = async (lockId) => {
+    try {
+      await axios.delete(`${API_BASE_URL}/api/login-locks/${lockId}`, { headers: authHeaders() });
+      setLocks(prev => prev.filter(lock => lock._id !== lockId));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to lift lockout');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <Header />
+      <div className="container mx-auto px-4 py-8">
+        <div className="flex justify-between items-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-800">Locked Accounts</h1>
+          {loading && (
+            <div className="text-blue-600">Loading...</div>
+          )}
+          {error && (
+            <div className="text-red-600 bg-red-50 px-4 py-2 rounded-md">{error}</div>
+          )}
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+          {/* Filters */}
+          <div className="flex flex-wrap items-end gap-4 mb-6">
+            <div className="w-48">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Type</label>
+              <select
+                value={selectedScope}
+                onChange={(e) => setSelectedScope(e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="">All</option>
+                <option value="account">Accounts</option>
+                <option value="ip">IP addresses</option>
+              </select>
+            </div>
+            <button
+              onClick={fetchLocks}
+              className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700"
+            >
+              Refresh
+            </button>
+          </div>
+
+          {/* Lockout Table */}
+          <div className="overflow-x-auto bg-gray-50 rounded-lg">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Account / IP</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">User</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Lockouts</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Failure</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Locked Until</th>
+                  <th className="px-6 py-3"></th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {locks.length > 0 ? (
+                  locks.map((lock) => (
+                    <tr key={lock._id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 capitalize">{lock.scope}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{lock.key.slice(lock.key.indexOf(':') + 1)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {lock.user ? `${lock.user.fullName} (${lock.user.role})` : '—'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{lock.lockouts}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{new Date(lock.lastFailureAt).toLocaleString()}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-red-600">{new Date(lock.lockedUntil).toLocaleString()}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-right">
+                        <button
+                          onClick={() => handleUnlock(lock._id)}
+                          className="px-3 py-1 text-sm text-white bg-green-600 rounded-md hover:bg-green-700"
+                        >
+                          Unlock
+                        </button>
+                      </td>
+                    </tr>
+                  ))
+                ) : (
+                  <tr>
+                    <td colSpan="7" className="px-6 py-4 text-center text-gray-500">
+                      No active lockouts
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+      <Footer />
+    </div>
+  );
+};
+
+export default LockedAccounts;
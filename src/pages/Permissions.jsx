@@ -0,0 +1,309 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import Header from '../components/Header';
+import Footer from '../components/Footer';
+import FieldError from '../components/FieldError';
+import { getFieldErrors } from '../services/api';
+
+/**
+ * Permissions Page
+ *
+ * Admin view for granting capabilities to individual users, such as letting
+ * a department placement coordinator approve placements or an HOD manage
+ * sessions for their own department only.
+ *
+ * @component Permissions
+ */
+
+// Get the base URL for API requests
+const API_BASE_URL = import.meta.env.VITE_API_URL || '';
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem('token')}`,
+  'Content-Type': 'application/json'
+});
+
+const emptyGrant = {
+  email: '',
+  capability: '',
+  department: '',
+  note: '',
+  expiresAt: ''
+};
+
+const Permissions = () => {
+  const [grants, setGrants] = useState([]);
+  const [capabilities, setCapabilities] = useState([]);
+  const [departments, setDepartments] = useState([]);
+  const [selectedCapability, setSelectedCapability] = useState('');
+  const [selectedDepartment, setSelectedDepartment] = useState('');
+  const [newGrant, setNewGrant] = useState(emptyGrant);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [message, setMessage] = useState('');
+
+  const fetchGrants = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await axios.get(`${API_BASE_URL}/api/permissions`, {
+        headers: authHeaders(),
+        params: {
+          capability: selectedCapability || undefined,
+          department: selectedDepartment || undefined
+        }
+      });
+      setGrants(response.data.data.grants);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch permissions');
+    } finally {
+      setLoading(false);
+    }
+  }, [selectedCapability, selectedDepartment]);
+
+  useEffect(() => {
+    axios.get(`${API_BASE_URL}/api/permissions/capabilities`, { headers: authHeaders() })
+      .then((response) => {
+        setCapabilities(response.data.data.capabilities);
+        setDepartments(response.data.data.departments);
+      })
+      .catch((err) => setError(err.response?.data?.message || 'Failed to fetch capabilities'));
+  }, []);
+
+  useEffect(() => {
+    fetchGrants();
+  }, [fetchGrants]);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setNewGrant(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleGrant = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setFieldErrors({});
+    setMessage('');
+
+    try {
+      setSaving(true);
+      const response = await axios.post(`${API_BASE_URL}/api/permissions`, {
+        ...newGrant,
+        department: newGrant.department || null,
+        expiresAt: newGrant.expiresAt || undefined
+      }, { headers: authHeaders() });
+      setMessage(response.data.message);
+      setNewGrant(emptyGrant);
+      fetchGrants();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to grant permission');
+      setFieldErrors(getFieldErrors(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (grantId) => {
+    try {
+      await axios.delete(`${API_BASE_URL}/api/permissions/${grantId}`, { headers: authHeaders() });
+      setGrants(prev => prev.filter(grant => grant._id !== grantId));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to revoke permission');
+    }
+  };
+
+  const describe = (name) => capabilities.find(capability => capability.name === name)?.description || name;
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <Header />
+      <div className="container mx-auto px-4 py-8">
+        <div className="flex justify-between items-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-800">Permissions</h1>
+          {loading && (
+            <div className="text-blue-600">Loading...</div>
+          )}
+          {error && (
+            <div className="text-red-600 bg-red-50 px-4 py-2 rounded-md">{error}</div>
+          )}
+        </div>
+
+        {/* Grant Form */}
+        <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+          <h2 className="text-xl font-semibold text-gray-800 mb-4">Grant a Capability</h2>
+          <form onSubmit={handleGrant} className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">User Email</label>
+              <input
+                name="email"
+                type="email"
+                value={newGrant.email}
+                onChange={handleInputChange}
+                className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                placeholder="coordinator@example.com"
+                required
+              />
+              <FieldError message={fieldErrors.email} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Capability</label>
+              <select
+                name="capability"
+                value={newGrant.capability}
+                onChange={handleInputChange}
+                className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                required
+              >
+                <option value="">Select capability</option>
+                {capabilities.map(capability => (
+                  <option key={capability.name} value={capability.name}>{capability.description}</option>
+                ))}
+              </select>
+              <FieldError message={fieldErrors.capability} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Department</label>
+              <select
+                name="department"
+                value={newGrant.department}
+                onChange={handleInputChange}
+                className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="">All departments</option>
+                {departments.map(department => (
+                  <option key={department} value={department}>{department}</option>
+                ))}
+              </select>
+              <FieldError message={fieldErrors.department} />
+            </div>
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Note</label>
+              <input
+                name="note"
+                type="text"
+                value={newGrant.note}
+                onChange={handleInputChange}
+                className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                placeholder="e.g. CSE DPN member 2025-26"
+                maxLength={200}
+              />
+              <FieldError message={fieldErrors.note} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Expires (optional)</label>
+              <input
+                name="expiresAt"
+                type="date"
+                value={newGrant.expiresAt}
+                onChange={handleInputChange}
+                className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+              />
+              <FieldError message={fieldErrors.expiresAt} />
+            </div>
+            <div className="md:col-span-3 flex items-center gap-4">
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700 disabled:opacity-50"
+              >
+                {saving ? 'Granting...' : 'Grant'}
+              </button>
+              {message && <span className="text-sm text-green-700">{message}</span>}
+            </div>
+          </form>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+          {/* Filters */}
+          <div className="flex flex-wrap items-end gap-4 mb-6">
+            <div className="w-64">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Capability</label>
+              <select
+                value={selectedCapability}
+                onChange={(e) => setSelectedCapability(e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="">All</option>
+                {capabilities.map(capability => (
+                  <option key={capability.name} value={capability.name}>{capability.description}</option>
+                ))}
+              </select>
+            </div>
+            <div className="w-48">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Department</label>
+              <select
+                value={selectedDepartment}
+                onChange={(e) => setSelectedDepartment(e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="">All</option>
+                {departments.map(department => (
+                  <option key={department} value={department}>{department}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {/* Grants Table */}
+          <div className="overflow-x-auto bg-gray-50 rounded-lg">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">User</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Capability</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Department</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Note</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Granted By</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Expires</th>
+                  <th className="px-6 py-3"></th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {grants.length > 0 ? (
+                  grants.map((grant) => (
+                    <tr key={grant._id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {grant.user ? (
+                          <>
+                            <div>{grant.user.fullName} ({grant.user.role})</div>
+                            <div className="text-gray-500">{grant.user.email}</div>
+                          </>
+                        ) : 'Deleted user'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{describe(grant.capability)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{grant.department || 'All'}</td>
+                      <td className="px-6 py-4 text-sm text-gray-500">{grant.note || '—'}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{grant.grantedBy?.fullName || '—'}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {grant.expiresAt ? new Date(grant.expiresAt).toLocaleDateString() : 'Never'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-right">
+                        <button
+                          onClick={() => handleRevoke(grant._id)}
+                          className="px-3 py-1 text-sm text-white bg-red-600 rounded-md hover:bg-red-700"
+                        >
+                          Revoke
+                        </button>
+                      </td>
+                    </tr>
+                  ))
+                ) : (
+                  <tr>
+                    <td colSpan="7" className="px-6 py-4 text-center text-gray-500">
+                      No permissions granted
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+      <Footer />
+    </div>
+  );
+};
+
+export default Permissions;
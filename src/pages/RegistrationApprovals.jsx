@@ -0,0 +1,224 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import Header from '../components/Header';
+import Footer from '../components/Footer';
+
+/**
+ * Registration Approvals Page
+ *
+ * Admin queue for alumni and admin signups that are waiting for approval.
+ * Admins can approve an account or reject it with a reason (optionally
+ * blocking the email), and can lift earlier rejections.
+ *
+ * @component RegistrationApprovals
+ */
+
+// Get the base URL for API requests
+const API_BASE_URL = import.meta.env.VITE_API_URL || '';
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem('token')}`,
+  'Content-Type': 'application/json'
+});
+
+const RegistrationApprovals = () => {
+  const [pendingUsers, setPendingUsers] = useState([]);
+  const [rejections, setRejections] = useState([]);
+  const [rejectingId, setRejectingId] = useState(null);
+  const [reason, setReason] = useState('');
+  const [block, setBlock] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchQueue = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const [pendingResponse, rejectedResponse] = await Promise.all([
+        axios.get(`${API_BASE_URL}/api/registrations/pending`, { headers: authHeaders() }),
+        axios.get(`${API_BASE_URL}/api/registrations/rejected`, { headers: authHeaders() })
+      ]);
+      setPendingUsers(pendingResponse.data.data.users);
+      setRejections(rejectedResponse.data.data.rejections);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch registrations');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchQueue();
+  }, []);
+
+  const handleApprove = async (userId) => {
+    try {
+      await axios.post(`${API_BASE_URL}/api/registrations/${userId}/approve`, {}, { headers: authHeaders() });
+      setPendingUsers(prev => prev.filter(user => user._id !== userId));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to approve registration');
+    }
+  };
+
+  const handleReject = async (e) => {
+    e.preventDefault();
+    try {
+      await axios.post(
+        `${API_BASE_URL}/api/registrations/${rejectingId}/reject`,
+        { reason, block },
+        { headers: authHeaders() }
+      );
+      setRejectingId(null);
+      setReason('');
+      setBlock(false);
+      fetchQueue();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to reject registration');
+    }
+  };
+
+  const handleUnblock = async (rejectionId) => {
+    try {
+      await axios.delete(`${API_BASE_URL}/api/registrations/rejected/${rejectionId}`, { headers: authHeaders() });
+      setRejections(prev => prev.filter(rejection => rejection._id !== rejectionId));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to remove rejection');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <Header />
+      <div className="container mx-auto px-4 py-8">
+        <div className="flex justify-between items-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-800">Registration Approvals</h1>
+          {loading && (
+            <div className="text-blue-600">Loading...</div>
+          )}
+          {error && (
+            <div className="text-red-600 bg-red-50 px-4 py-2 rounded-md">{error}</div>
+          )}
+        </div>
+
+        {/* Pending Registrations */}
+        <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+          <h2 className="text-2xl font-semibold text-gray-800 mb-6">Pending Registrations</h2>
+          <div className="bg-gray-50 rounded-lg p-4">
+            {pendingUsers.length > 0 ? (
+              <div className="space-y-2">
+                {pendingUsers.map((pendingUser) => (
+                  <div key={pendingUser._id} className="p-3 bg-white rounded shadow-sm">
+                    <div className="flex flex-wrap justify-between items-center gap-2">
+                      <p className="text-gray-700">
+                        <span className="font-semibold">{pendingUser.fullName}</span>
+                        <span className="mx-2">•</span>
+                        <span>{pendingUser.email}</span>
+                        <span className="mx-2">•</span>
+                        <span className="capitalize">{pendingUser.role}</span>
+                        {pendingUser.collegeId && (
+                          <>
+                            <span className="mx-2">•</span>
+                            <span>{pendingUser.collegeId}</span>
+                          </>
+                        )}
+                        <span className="mx-2">•</span>
+                        <span className="text-gray-500">{new Date(pendingUser.createdAt).toLocaleDateString()}</span>
+                      </p>
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => handleApprove(pendingUser._id)}
+                          className="px-3 py-1 text-sm text-white bg-green-600 rounded-md hover:bg-green-700"
+                        >
+                          Approve
+                        </button>
+                        <button
+                          onClick={() => setRejectingId(pendingUser._id)}
+                          className="px-3 py-1 text-sm text-white bg-red-600 rounded-md hover:bg-red-700"
+                        >
+                          Reject
+                        </button>
+                      </div>
+                    </div>
+
+                    {rejectingId === pendingUser._id && (
+                      <form className="mt-3 space-y-2" onSubmit={handleReject}>
+                        <textarea
+                          value={reason}
+                          onChange={(e) => setReason(e.target.value)}
+                          placeholder="Reason for rejection (sent to the applicant)"
+                          className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                          required
+                        />
+                        <label className="flex items-center gap-2 text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={block}
+                            onChange={(e) => setBlock(e.target.checked)}
+                          />
+                          Block this email from registering again
+                        </label>
+                        <div className="flex gap-2">
+                          <button
+                            type="submit"
+                            className="px-3 py-1 text-sm text-white bg-red-600 rounded-md hover:bg-red-700"
+                          >
+                            Confirm Rejection
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => setRejectingId(null)}
+                            className="px-3 py-1 text-sm text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      </form>
+                    )}
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div className="text-center text-gray-500">No registrations awaiting approval</div>
+            )}
+          </div>
+        </div>
+
+        {/* Rejected Signups */}
+        <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+          <h2 className="text-2xl font-semibold text-gray-800 mb-6">Rejected Signups</h2>
+          <div className="bg-gray-50 rounded-lg p-4">
+            {rejections.length > 0 ? (
+              <div className="space-y-2">
+                {rejections.map((rejection) => (
+                  <div key={rejection._id} className="p-3 bg-white rounded shadow-sm flex flex-wrap justify-between items-center gap-2">
+                    <p className="text-gray-700">
+                      <span className="font-semibold">{rejection.name}</span>
+                      <span className="mx-2">•</span>
+                      <span>{rejection.email}</span>
+                      <span className="mx-2">•</span>
+                      <span className="text-red-600">{rejection.reason}</span>
+                      {rejection.blocked && (
+                        <span className="ml-2 px-2 py-1 rounded-full text-sm bg-red-100 text-red-800">blocked</span>
+                      )}
+                    </p>
+                    <button
+                      onClick={() => handleUnblock(rejection._id)}
+                      className="px-3 py-1 text-sm text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300"
+                    >
+                      {rejection.blocked ? 'Unblock' : 'Remove'}
+                    </button>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div className="text-center text-gray-500">No rejected signups</div>
+            )}
+          </div>
+        </div>
+      </div>
+      <Footer />
+    </div>
+  );
+};
+
+export default RegistrationApprovals;
@@ -0,0 +1,274 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import Header from '../components/Header';
+import Footer from '../components/Footer';
+
+/**
+ * Roster Import Page
+ *
+ * Lets admins bulk-load students or alumni into the signup roster from an
+ * .xlsx/.csv file. The file is first sent as a dry run so the admin can
+ * review creates, updates and row errors before committing.
+ *
+ * Expected Columns:
+ * - Students: ID, Name, Email, Department, Year of Study
+ * - Alumni: College ID, Name, Email, Department (optional), Graduation Year
+ *
+ * @component RosterImport
+ */
+
+// Get the base URL for API requests
+const API_BASE_URL = import.meta.env.VITE_API_URL || '';
+
+const RosterImport = () => {
+  const [role, setRole] = useState('student');
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const sendImport = async (commit) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('role', role);
+    formData.append('commit', String(commit));
+
+    const response = await axios.post(`${API_BASE_URL}/api/roster/import`, formData, {
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem('token')}`
+      }
+    });
+    return response.data.data;
+  };
+
+  const handlePreview = async (e) => {
+    e.preventDefault();
+    if (!file) {
+      setError('Please choose a file to import.');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      setResult(null);
+      setPreview(await sendImport(false));
+    } catch (err) {
+      setPreview(null);
+      setError(err.response?.data?.message || 'Failed to read the roster file');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const resetFileInput = () => {
+    const input = document.getElementById('roster-file');
+    if (input) input.value = '';
+  };
+
+  const handleCommit = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const data = await sendImport(true);
+      setResult(data.summary);
+      setPreview(null);
+      setFile(null);
+      resetFileInput();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to import roster');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const idLabel = role === 'student' ? 'Student ID' : 'College ID';
+  const idField = role === 'student' ? 'studentId' : 'collegeId';
+  const hasChanges = preview && (preview.creates.length > 0 || preview.updates.length > 0);
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <Header />
+      <div className="container mx-auto px-4 py-8">
+        <div className="flex justify-between items-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-800">Roster Import</h1>
+          {loading && (
+            <div className="text-blue-600">Processing...</div>
+          )}
+          {error && (
+            <div className="text-red-600 bg-red-50 px-4 py-2 rounded-md">{error}</div>
+          )}
+        </div>
+
+        {/* Upload Form */}
+        <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+          <h2 className="text-2xl font-semibold text-gray-800 mb-2">Upload Roster File</h2>
+          <p className="text-sm text-gray-600 mb-6">
+            {role === 'student'
+              ? 'Columns: ID, Name, Email, Department (CSE…MME), Year of Study (E-1…E-4)'
+              : 'Columns: College ID, Name, Email, Department (optional), Graduation Year'}
+          </p>
+          <form className="flex flex-wrap items-end gap-4" onSubmit={handlePreview}>
+            <div className="w-48">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Roster Type</label>
+              <select
+                value={role}
+                onChange={(e) => {
+                  setRole(e.target.value);
+                  setPreview(null);
+                }}
+                className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="student">Students</option>
+                <option value="alumni">Alumni</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">File (.xlsx, .csv)</label>
+              <input
+                id="roster-file"
+                type="file"
+                accept=".xlsx,.xls,.csv"
+                onChange={(e) => {
+                  setFile(e.target.files[0] || null);
+                  setPreview(null);
+                }}
+                className="p-2 border border-gray-300 rounded-md"
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={loading}
+              className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700 disabled:opacity-50"
+            >
+              Preview Changes
+            </button>
+          </form>
+        </div>
+
+        {result && (
+          <div className="bg-green-50 text-green-800 rounded-lg p-4 mb-8">
+            Import complete: {result.created} created, {result.updated} updated,{' '}
+            {result.unchanged} unchanged, {result.failed} rows skipped with errors.
+          </div>
+        )}
+
+        {preview && (
+          <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+            <div className="flex justify-between items-center mb-6">
+              <h2 className="text-2xl font-semibold text-gray-800">Dry Run</h2>
+              <button
+                onClick={handleCommit}
+                disabled={loading || !hasChanges}
+                className="px-4 py-2 text-sm font-medium text-white bg-green-600 rounded-md hover:bg-green-700 disabled:opacity-50"
+              >
+                Commit Import
+              </button>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
+              <div className="bg-green-50 p-4 rounded-lg">
+                <h3 className="text-lg font-semibold text-green-800">New</h3>
+                <p className="text-3xl font-bold text-green-600">{preview.summary.created}</p>
+              </div>
+              <div className="bg-blue-50 p-4 rounded-lg">
+                <h3 className="text-lg font-semibold text-blue-800">Updated</h3>
+                <p className="text-3xl font-bold text-blue-600">{preview.summary.updated}</p>
+              </div>
+              <div className="bg-gray-50 p-4 rounded-lg">
+                <h3 className="text-lg font-semibold text-gray-800">Unchanged</h3>
+                <p className="text-3xl font-bold text-gray-600">{preview.summary.unchanged}</p>
+              </div>
+              <div className="bg-red-50 p-4 rounded-lg">
+                <h3 className="text-lg font-semibold text-red-800">Errors</h3>
+                <p className="text-3xl font-bold text-red-600">{preview.summary.failed}</p>
+              </div>
+            </div>
+
+            {preview.errors.length > 0 && (
+              <div className="mb-8">
+                <h3 className="text-xl font-semibold text-gray-800 mb-4">Rows With Errors</h3>
+                <div className="bg-gray-50 rounded-lg p-4 space-y-2">
+                  {preview.errors.map((rowError) => (
+                    <div key={rowError.row} className="p-3 bg-white rounded shadow-sm">
+                      <p className="text-gray-700">
+                        <span className="font-semibold">Row {rowError.row}</span>
+                        <span className="mx-2">•</span>
+                        <span>{rowError.email || 'No email'}</span>
+                        <span className="mx-2">•</span>
+                        <span className="text-red-600">{rowError.errors.join('; ')}</span>
+                      </p>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {preview.updates.length > 0 && (
+              <div className="mb-8">
+                <h3 className="text-xl font-semibold text-gray-800 mb-4">Updates</h3>
+                <div className="bg-gray-50 rounded-lg p-4 space-y-2">
+                  {preview.updates.map((update) => (
+                    <div key={update.row} className="p-3 bg-white rounded shadow-sm">
+                      <p className="text-gray-700">
+                        <span className="font-semibold">{update.entry.email}</span>
+                        {update.changes.map((change) => (
+                          <span key={change.field}>
+                            <span className="mx-2">•</span>
+                            {change.field}: <span className="text-red-600 line-through">{change.from ?? '—'}</span>
+                            {' → '}
+                            <span className="text-green-700">{change.to}</span>
+                          </span>
+                        ))}
+                      </p>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {preview.creates.length > 0 && (
+              <div>
+                <h3 className="text-xl font-semibold text-gray-800 mb-4">New Entries</h3>
+                <div className="overflow-x-auto bg-gray-50 rounded-lg">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-100">
+                      <tr>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Row</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{idLabel}</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Email</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Department</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          {role === 'student' ? 'Year' : 'Graduation Year'}
+                        </th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {preview.creates.map(({ row, entry }) => (
+                        <tr key={row} className="hover:bg-gray-50">
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{row}</td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{entry[idField]}</td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{entry.fullName}</td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{entry.email}</td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{entry.department}</td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                            {role === 'student' ? entry.yearOfStudy : entry.graduationYear}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+      <Footer />
+    </div>
+  );
+};
+
+export default RosterImport;
@@ -0,0 +1,211 @@
+import React, { useState, useEffect } from 'react';
+import Header from '../components/Header';
+import MainNavbar from '../components/MainNavbar';
+import Footer from '../components/Footer';
+import SkillPicker from '../components/SkillPicker';
+import { useAuth } from '../context/AuthContext';
+import { skillService } from '../services/api';
+
+/**
+ * Skill Search Page
+ *
+ * Finds students, alumni and faculty who have a skill, most endorsed first.
+ * Alumni and faculty can endorse a student's skill from the results, or
+ * withdraw their endorsement.
+ *
+ * @component SkillSearch
+ */
+
+const ROLE_OPTIONS = [
+  { value: '', label: 'Everyone' },
+  { value: 'student', label: 'Students' },
+  { value: 'alumni', label: 'Alumni' },
+  { value: 'faculty', label: 'Faculty' }
+];
+
+const ENDORSER_ROLES = ['alumni', 'faculty'];
+
+const SkillSearch = () => {
+  const [skill, setSkill] = useState(null);
+  const [role, setRole] = useState('');
+  const [page, setPage] = useState(1);
+  const [users, setUsers] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const { user } = useAuth();
+
+  const canEndorse = ENDORSER_ROLES.includes(user?.role);
+
+  useEffect(() => {
+    if (!skill) {
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    skillService.getUsersBySkill(skill._id, { role: role || undefined, page })
+      .then((response) => {
+        setUsers(response.data.users);
+        setPagination(response.data.pagination);
+      })
+      .catch(err => setError(err.response?.data?.message || 'Failed to load users with this skill'))
+      .finally(() => setLoading(false));
+  }, [skill, role, page]);
+
+  const toggleEndorsement = async (target) => {
+    try {
+      setError(null);
+      const response = target.endorsedByMe
+        ? await skillService.withdrawEndorsement(target._id, skill.name)
+        : await skillService.endorseSkill(target._id, skill.name);
+      setUsers(prev => prev.map(item => (
+        item._id === target._id
+          ? { ...item, endorsementCount: response.data.count, endorsedByMe: !target.endorsedByMe }
+          : item
+      )));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update your endorsement');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <Header />
+      <MainNavbar />
+      <div className="container mx-auto px-4 py-8">
+        <div className="flex justify-between items-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-800">Find by Skill</h1>
+          {loading && (
+            <div className="text-blue-600">Loading...</div>
+          )}
+          {error && (
+            <div className="text-red-600 bg-red-50 px-4 py-2 rounded-md">{error}</div>
+          )}
+        </div>
+
+        {/* Filters */}
+        <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+          <div className="flex flex-wrap items-end gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Skill</label>
+              <SkillPicker
+                onSelect={(selected) => {
+                  setSkill(selected);
+                  setPage(1);
+                }}
+                placeholder={skill ? skill.name : 'Type a skill'}
+              />
+            </div>
+            <div className="w-48">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Show</label>
+              <select
+                value={role}
+                onChange={(e) => {
+                  setRole(e.target.value);
+                  setPage(1);
+                }}
+                className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+              >
+                {ROLE_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+        </div>
+
+        {/* Results */}
+        {skill ? (
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <h2 className="text-xl font-semibold text-gray-800 mb-4">
+              {pagination.total} with {skill.name}
+            </h2>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-100">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Role</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Department</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Endorsements</th>
+                    {canEndorse && <th className="px-6 py-3"></th>}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {users.length > 0 ? (
+                    users.map(item => (
+                      <tr key={item._id} className="hover:bg-gray-50">
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {item.fullName}
+                          {item.role === 'alumni' && (item.designation || item.currentCompany) && (
+                            <p className="text-xs text-gray-500">
+                              {[item.designation, item.currentCompany].filter(Boolean).join(' at ')}
+                            </p>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 capitalize">{item.role}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {[item.department, item.yearOfStudy].filter(Boolean).join(' · ') || '—'}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{item.endorsementCount}</td>
+                        {canEndorse && (
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-right">
+                            {item.role === 'student' && (
+                              <button
+                                onClick={() => toggleEndorsement(item)}
+                                className={`px-3 py-1 text-sm rounded-md ${
+                                  item.endorsedByMe
+                                    ? 'text-gray-700 bg-gray-200 hover:bg-gray-300'
+                                    : 'text-white bg-indigo-600 hover:bg-indigo-700'
+                                }`}
+                              >
+                                {item.endorsedByMe ? 'Withdraw endorsement' : 'Endorse'}
+                              </button>
+                            )}
+                          </td>
+                        )}
+                      </tr>
+                    ))
+                  ) : (
+                    <tr>
+                      <td colSpan={canEndorse ? 5 : 4} className="px-6 py-4 text-center text-gray-500">
+                        {loading ? 'Loading...' : 'Nobody lists this skill yet'}
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+
+            {/* Pagination */}
+            <div className="flex justify-end items-center gap-2 mt-6 text-sm text-gray-600">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page <= 1}
+                className="px-3 py-1 bg-gray-200 rounded-md hover:bg-gray-300 disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <span>Page {pagination.page} of {Math.max(pagination.pages, 1)}</span>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={page >= pagination.pages}
+                className="px-3 py-1 bg-gray-200 rounded-md hover:bg-gray-300 disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div className="bg-white rounded-lg shadow-md p-6 text-center text-gray-500">
+            Choose a skill to see who has it
+          </div>
+        )}
+      </div>
+      <Footer />
+    </div>
+  );
+};
+
+export default SkillSearch;
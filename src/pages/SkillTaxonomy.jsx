@@ -0,0 +1,277 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import Header from '../components/Header';
+import Footer from '../components/Footer';
+import FieldError from '../components/FieldError';
+import { getFieldErrors } from '../services/api';
+
+/**
+ * Skill Taxonomy Page
+ *
+ * Admin view of the skills list users pick their skills from. Aliases are
+ * other spellings that resolve to a skill ("JS" for JavaScript). Renaming a
+ * skill updates every profile that has it; deleting one removes it from
+ * profiles along with its endorsements.
+ *
+ * @component SkillTaxonomy
+ */
+
+// Get the base URL for API requests
+const API_BASE_URL = import.meta.env.VITE_API_URL || '';
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem('token')}`,
+  'Content-Type': 'application/json'
+});
+
+const emptySkill = {
+  name: '',
+  aliases: '',
+  category: ''
+};
+
+const SkillTaxonomy = () => {
+  const [skills, setSkills] = useState([]);
+  const [form, setForm] = useState(emptySkill);
+  const [editingId, setEditingId] = useState(null);
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [message, setMessage] = useState('');
+
+  const fetchSkills = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_BASE_URL}/api/skills`, { headers: authHeaders() });
+      setSkills(response.data.data.skills);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch skills');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSkills();
+  }, []);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const resetForm = () => {
+    setForm(emptySkill);
+    setEditingId(null);
+    setFieldErrors({});
+  };
+
+  const startEditing = (skill) => {
+    setForm({
+      name: skill.name,
+      aliases: skill.aliases.join(', '),
+      category: skill.category || ''
+    });
+    setEditingId(skill._id);
+    setFieldErrors({});
+    setMessage('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setFieldErrors({});
+    setMessage('');
+
+    const payload = {
+      name: form.name,
+      aliases: form.aliases.split(',').map(alias => alias.trim()).filter(Boolean),
+      category: form.category || undefined
+    };
+
+    try {
+      setSaving(true);
+      const response = editingId
+        ? await axios.put(`${API_BASE_URL}/api/skills/${editingId}`, payload, { headers: authHeaders() })
+        : await axios.post(`${API_BASE_URL}/api/skills`, payload, { headers: authHeaders() });
+      setMessage(response.data.message);
+      resetForm();
+      fetchSkills();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save skill');
+      setFieldErrors(getFieldErrors(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (skill) => {
+    if (!window.confirm(`Remove ${skill.name} from the list and from every profile that has it?`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${API_BASE_URL}/api/skills/${skill._id}`, { headers: authHeaders() });
+      setSkills(prev => prev.filter(item => item._id !== skill._id));
+      if (editingId === skill._id) {
+        resetForm();
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete skill');
+    }
+  };
+
+  const term = search.trim().toLowerCase();
+  const filteredSkills = skills.filter(skill => (
+    !term ||
+    skill.name.toLowerCase().includes(term) ||
+    skill.aliases.some(alias => alias.toLowerCase().includes(term)) ||
+    skill.category?.toLowerCase().includes(term)
+  ));
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <Header />
+      <div className="container mx-auto px-4 py-8">
+        <div className="flex justify-between items-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-800">Skills List</h1>
+          {loading && (
+            <div className="text-blue-600">Loading...</div>
+          )}
+          {error && (
+            <div className="text-red-600 bg-red-50 px-4 py-2 rounded-md">{error}</div>
+          )}
+        </div>
+
+        {/* Skill Form */}
+        <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+          <h2 className="text-xl font-semibold text-gray-800 mb-4">{editingId ? 'Edit Skill' : 'Add a Skill'}</h2>
+          <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+              <input
+                name="name"
+                type="text"
+                value={form.name}
+                onChange={handleInputChange}
+                className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                placeholder="e.g. JavaScript"
+                maxLength={50}
+                required
+              />
+              <FieldError message={fieldErrors.name} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Aliases (comma-separated)</label>
+              <input
+                name="aliases"
+                type="text"
+                value={form.aliases}
+                onChange={handleInputChange}
+                className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                placeholder="e.g. JS, ECMAScript"
+              />
+              <FieldError message={fieldErrors.aliases || Object.entries(fieldErrors).find(([field]) => field.startsWith('aliases.'))?.[1]} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Category</label>
+              <input
+                name="category"
+                type="text"
+                value={form.category}
+                onChange={handleInputChange}
+                className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                placeholder="e.g. Programming"
+                maxLength={50}
+              />
+              <FieldError message={fieldErrors.category} />
+            </div>
+            <div className="md:col-span-3 flex items-center gap-4">
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700 disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : editingId ? 'Save' : 'Add'}
+              </button>
+              {editingId && (
+                <button
+                  type="button"
+                  onClick={resetForm}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300"
+                >
+                  Cancel
+                </button>
+              )}
+              {message && <span className="text-sm text-green-700">{message}</span>}
+            </div>
+          </form>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+          {/* Filters */}
+          <div className="flex flex-wrap items-end gap-4 mb-6">
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search name, alias or category"
+              className="p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+            />
+            <span className="text-sm text-gray-500">{skills.length} skills</span>
+          </div>
+
+          {/* Skills Table */}
+          <div className="overflow-x-auto bg-gray-50 rounded-lg">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Aliases</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Category</th>
+                  <th className="px-6 py-3"></th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {filteredSkills.length > 0 ? (
+                  filteredSkills.map(skill => (
+                    <tr key={skill._id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{skill.name}</td>
+                      <td className="px-6 py-4 text-sm text-gray-500">{skill.aliases.join(', ') || '—'}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{skill.category || '—'}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-right space-x-2">
+                        <button
+                          onClick={() => startEditing(skill)}
+                          className="px-3 py-1 text-sm text-white bg-indigo-600 rounded-md hover:bg-indigo-700"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => handleDelete(skill)}
+                          className="px-3 py-1 text-sm text-white bg-red-600 rounded-md hover:bg-red-700"
+                        >
+                          Delete
+                        </button>
+                      </td>
+                    </tr>
+                  ))
+                ) : (
+                  <tr>
+                    <td colSpan="4" className="px-6 py-4 text-center text-gray-500">
+                      No skills found
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+      <Footer />
+    </div>
+  );
+};
+
+export default SkillTaxonomy;
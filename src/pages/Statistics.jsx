@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, Link } from 'react-router-dom';
 import axios from 'axios';
 import Header from '../components/Header';
 import Footer from '../components/Footer';
@@ -128,7 +128,7 @@ const Statistics = () => {
   const [selectedAlumniYear, setSelectedAlumniYear] = useState('ALL');
 
   const branches = ['ALL', 'CSE', 'ECE', 'EEE', 'CIVIL', 'MECH', 'CHEM', 'MME'];
-  const years = ['ALL', 'E1', 'E2', 'E3', 'E4'];
+  const years = ['ALL', 'E-1', 'E-2', 'E-3', 'E-4'];
 
   // Fetch student data based on filters
   const fetchStudentData = async () => {
@@ -277,6 +277,59 @@ const Statistics = () => {
           </div>
         </div>
 
+        {/* Alumni Employment */}
+        <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+          <h2 className="text-2xl font-semibold text-gray-800 mb-6">Where Alumni Work Now</h2>
+
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-6 mb-6">
+            <div className="bg-purple-50 p-6 rounded-lg">
+              <h3 className="text-lg font-semibold text-purple-800">Currently Employed</h3>
+              <p className="text-3xl font-bold text-purple-600">{stats.alumniEmployment?.employed || '0'}</p>
+            </div>
+            <div className="bg-blue-50 p-6 rounded-lg">
+              <h3 className="text-lg font-semibold text-blue-800">In Higher Studies</h3>
+              <p className="text-3xl font-bold text-blue-600">{stats.alumniEmployment?.studying || '0'}</p>
+            </div>
+            <div className="bg-gray-50 p-6 rounded-lg">
+              <h3 className="text-lg font-semibold text-gray-800">Shared Their Career History</h3>
+              <p className="text-3xl font-bold text-gray-600">{stats.alumniEmployment?.withHistory || '0'}</p>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-800 mb-4">Top Employers</h3>
+              {stats.alumniEmployment?.topCompanies?.length > 0 ? (
+                <ul className="divide-y divide-gray-200">
+                  {stats.alumniEmployment.topCompanies.map(({ company, count }) => (
+                    <li key={company} className="flex justify-between py-2 text-gray-700">
+                      <span>{company}</span>
+                      <span className="font-semibold">{count}</span>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-gray-500">No current positions recorded</p>
+              )}
+            </div>
+            <div>
+              <h3 className="text-lg font-semibold text-gray-800 mb-4">Top Universities</h3>
+              {stats.alumniEmployment?.topUniversities?.length > 0 ? (
+                <ul className="divide-y divide-gray-200">
+                  {stats.alumniEmployment.topUniversities.map(({ university, count }) => (
+                    <li key={university} className="flex justify-between py-2 text-gray-700">
+                      <span>{university}</span>
+                      <span className="font-semibold">{count}</span>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-gray-500">No higher studies recorded</p>
+              )}
+            </div>
+          </div>
+        </div>
+
         {/* Student Year-wise Statistics */}
         <div className="bg-white rounded-lg shadow-md p-6 mb-8">
           <h2 className="text-2xl font-semibold text-gray-800 mb-6">Student Year-wise Statistics</h2>
@@ -566,7 +619,12 @@ const Statistics = () => {
 
         {/* Failed Signups */}
         <div className="bg-white rounded-lg shadow-md p-6 mb-8">
-          <h2 className="text-2xl font-semibold text-gray-800 mb-6">Failed Signups</h2>
+          <div className="flex justify-between items-center mb-6">
+            <h2 className="text-2xl font-semibold text-gray-800">Failed Signups</h2>
+            <Link to="/failedsignups" className="text-sm text-indigo-600 hover:text-indigo-800">
+              Review and resolve →
+            </Link>
+          </div>
           <div className="bg-gray-50 rounded-lg p-4">
             {stats.failedSignups?.length > 0 ? (
               <div className="space-y-2">
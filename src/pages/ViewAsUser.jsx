@@ -0,0 +1,224 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+import Header from '../components/Header';
+import Footer from '../components/Footer';
+import SkillPicker from '../components/SkillPicker';
+import { useAuth } from '../context/AuthContext';
+
+/**
+ * View As User Page
+ *
+ * Lets an admin open the app as a student, alumni or faculty member to see
+ * exactly what that user sees. The session is read-only, lasts 30 minutes
+ * and is recorded in the audit log together with the reason given. Users
+ * can be filtered by role, name or email, and by skill.
+ *
+ * @component ViewAsUser
+ */
+
+// Get the base URL for API requests
+const API_BASE_URL = import.meta.env.VITE_API_URL || '';
+
+const HOME_PATHS = {
+  student: '/student',
+  alumni: '/alumni',
+  faculty: '/faculty'
+};
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem('token')}`,
+  'Content-Type': 'application/json'
+});
+
+const ViewAsUser = () => {
+  const [users, setUsers] = useState([]);
+  const [search, setSearch] = useState('');
+  const [selectedRole, setSelectedRole] = useState('');
+  const [selectedSkill, setSelectedSkill] = useState(null);
+  const [selectedUser, setSelectedUser] = useState(null);
+  const [reason, setReason] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [starting, setStarting] = useState(false);
+  const [error, setError] = useState(null);
+  const { startImpersonation } = useAuth();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    setLoading(true);
+    axios.get(`${API_BASE_URL}/api/users`, {
+      headers: authHeaders(),
+      params: { skill: selectedSkill?.name }
+    })
+      .then((response) => {
+        setUsers(response.data.data.users.filter(user => user.role !== 'admin'));
+      })
+      .catch((err) => setError(err.response?.data?.message || 'Failed to fetch users'))
+      .finally(() => setLoading(false));
+  }, [selectedSkill]);
+
+  const term = search.trim().toLowerCase();
+  const filteredUsers = users.filter(user => (
+    (!selectedRole || user.role === selectedRole) &&
+    (!term || user.fullName?.toLowerCase().includes(term) || user.email?.toLowerCase().includes(term))
+  ));
+
+  const handleStart = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    try {
+      setStarting(true);
+      const user = await startImpersonation(selectedUser._id, reason);
+      navigate(HOME_PATHS[user.role] || '/');
+    } catch (err) {
+      setError(err.message || 'Could not view as this user');
+      setStarting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <Header />
+      <div className="container mx-auto px-4 py-8">
+        <div className="flex justify-between items-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-800">View as User</h1>
+          {loading && (
+            <div className="text-blue-600">Loading...</div>
+          )}
+          {error && (
+            <div className="text-red-600 bg-red-50 px-4 py-2 rounded-md">{error}</div>
+          )}
+        </div>
+
+        {/* Confirmation */}
+        {selectedUser && (
+          <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+            <h2 className="text-xl font-semibold text-gray-800 mb-2">
+              View as {selectedUser.fullName} ({selectedUser.role})
+            </h2>
+            <p className="text-sm text-gray-600 mb-4">
+              You will see the app as this user for up to 30 minutes. Changes are disabled, and the
+              start and end of this session are recorded in the audit log with your reason.
+            </p>
+            <form onSubmit={handleStart} className="flex flex-wrap items-end gap-4">
+              <div className="flex-1 min-w-64">
+                <label className="block text-sm font-medium text-gray-700 mb-2">Reason</label>
+                <input
+                  type="text"
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                  placeholder="e.g. Student reported an empty dashboard"
+                  maxLength={200}
+                  required
+                />
+              </div>
+              <button
+                type="submit"
+                disabled={starting}
+                className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700 disabled:opacity-50"
+              >
+                {starting ? 'Starting...' : 'Start'}
+              </button>
+              <button
+                type="button"
+                onClick={() => setSelectedUser(null)}
+                className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300"
+              >
+                Cancel
+              </button>
+            </form>
+          </div>
+        )}
+
+        <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+          {/* Filters */}
+          <div className="flex flex-wrap items-end gap-4 mb-6">
+            <div className="w-48">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Role</label>
+              <select
+                value={selectedRole}
+                onChange={(e) => setSelectedRole(e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="">All</option>
+                <option value="student">Student</option>
+                <option value="alumni">Alumni</option>
+                <option value="faculty">Faculty</option>
+              </select>
+            </div>
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search name or email"
+              className="p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+            />
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Skill</label>
+              <SkillPicker onSelect={setSelectedSkill} placeholder="Filter by skill" />
+            </div>
+            {selectedSkill && (
+              <span className="inline-flex items-center gap-1 px-3 py-1 text-sm text-indigo-800 bg-indigo-100 rounded-full">
+                {selectedSkill.name}
+                <button onClick={() => setSelectedSkill(null)} className="text-indigo-600 hover:text-indigo-900" aria-label="Clear skill filter">
+                  ×
+                </button>
+              </span>
+            )}
+          </div>
+
+          {/* Users Table */}
+          <div className="overflow-x-auto bg-gray-50 rounded-lg">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Email</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Role</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Department</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Skills</th>
+                  <th className="px-6 py-3"></th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {filteredUsers.length > 0 ? (
+                  filteredUsers.map((user) => (
+                    <tr key={user._id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{user.fullName}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{user.email || '—'}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 capitalize">{user.role}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{user.department || '—'}</td>
+                      <td className="px-6 py-4 text-sm text-gray-500">{user.skills?.join(', ') || '—'}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-right">
+                        <button
+                          onClick={() => {
+                            setSelectedUser(user);
+                            setReason('');
+                          }}
+                          className="px-3 py-1 text-sm text-white bg-indigo-600 rounded-md hover:bg-indigo-700"
+                        >
+                          View as
+                        </button>
+                      </td>
+                    </tr>
+                  ))
+                ) : (
+                  <tr>
+                    <td colSpan="6" className="px-6 py-4 text-center text-gray-500">
+                      No users found
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+      <Footer />
+    </div>
+  );
+};
+
+export default ViewAsUser;
@@ -13,24 +13,111 @@ const api = axios.create({
 // Request interceptor for adding auth token
 api.interceptors.request.use((config) => {
   const token = localStorage.getItem('token');
-  if (token) {
+  if (token && !config.headers.Authorization) {
     config.headers.Authorization = `Bearer ${token}`;
   }
   return config;
 });
 
-// Response interceptor for handling errors
-api.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      window.location.href = '/signin';
-    }
+// Endpoints whose 401 means bad credentials rather than an expired access token
+const AUTH_ENDPOINTS = ['/api/auth/login', '/api/auth/refresh', '/api/auth/logout', '/api/auth/2fa/verify'];
+
+// Shared so that parallel 401s trigger a single refresh
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshPromise = api.post('/api/auth/refresh', { refreshToken })
+      .then((response) => {
+        localStorage.setItem('token', response.data.token);
+        localStorage.setItem('refreshToken', response.data.refreshToken);
+        return response.data.token;
+      })
+      .catch((error) => {
+        // Another tab may have rotated the refresh token first
+        if (refreshToken && localStorage.getItem('refreshToken') !== refreshToken) {
+          return localStorage.getItem('token');
+        }
+        throw error;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Puts back the admin's own session saved when they started viewing as another user
+export const restoreImpersonator = () => {
+  const stored = localStorage.getItem('impersonator');
+  localStorage.removeItem('impersonator');
+  if (!stored) {
+    return null;
+  }
+  const { token, refreshToken, user } = JSON.parse(stored);
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+  localStorage.setItem('user', JSON.stringify(user));
+  return user;
+};
+
+const endSession = () => {
+  // Impersonation tokens cannot be refreshed; when one expires, return to the admin session
+  if (restoreImpersonator()) {
+    window.location.href = '/admin';
+    return;
+  }
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+  window.location.href = '/signin';
+};
+
+// Response interceptor: refresh the access token once and replay the request
+const retryWithRefresh = (client) => async (error) => {
+  const { config, response } = error;
+  const sentToken = config?.headers?.Authorization;
+
+  if (response?.status !== 401 || !sentToken || AUTH_ENDPOINTS.some(path => config.url?.includes(path))) {
     return Promise.reject(error);
   }
-);
+
+  if (config._retry || !localStorage.getItem('refreshToken')) {
+    endSession();
+    return Promise.reject(error);
+  }
+
+  try {
+    const token = await refreshAccessToken();
+    config._retry = true;
+    config.headers.Authorization = `Bearer ${token}`;
+    return client(config);
+  } catch {
+    endSession();
+    return Promise.reject(error);
+  }
+};
+
+// Error responses carry errors: [{ field, code, message }]; forms read them as { field: message }
+const attachFieldErrors = (error) => {
+  const data = error.response?.data;
+  if (data && typeof data === 'object' && Array.isArray(data.errors)) {
+    data.fieldErrors = data.errors.reduce((fields, { field, message }) => (
+      field && !fields[field] ? { ...fields, [field]: message } : fields
+    ), {});
+  }
+  return Promise.reject(error);
+};
+
+// Field errors from an axios error or from error.response.data thrown by the services below
+export const getFieldErrors = (error) => error?.fieldErrors || error?.response?.data?.fieldErrors || {};
+
+api.interceptors.response.use((response) => response, retryWithRefresh(api));
+api.interceptors.response.use((response) => response, attachFieldErrors);
+// Pages that call axios directly get the same silent refresh and field errors
+axios.interceptors.response.use((response) => response, retryWithRefresh(axios));
+axios.interceptors.response.use((response) => response, attachFieldErrors);
 
 // Auth services
 export const authService = {
@@ -38,6 +125,10 @@ export const authService = {
     const response = await api.post('/api/auth/login', credentials);
     return response.data;
   },
+  getAuthProviders: async () => {
+    const response = await api.get('/api/auth/providers');
+    return response.data;
+  },
   signup: async (userData) => {
     try {
       const response = await api.post('/api/auth/signup', userData);
@@ -46,6 +137,14 @@ export const authService = {
       throw error.response?.data || { message: 'An error occurred during signup' };
     }
   },
+  lookupInvite: async (inviteToken) => {
+    try {
+      const response = await api.get(`/api/invites/lookup/${inviteToken}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Could not check the invitation' };
+    }
+  },
   forgotPassword: async (email) => {
     try {
       const response = await api.post('/api/auth/forgot-password', { email });
@@ -69,17 +168,144 @@ export const authService = {
     } catch (error) {
       throw error.response?.data || { message: 'Email verification failed' };
     }
+  },
+  changePassword: async (currentPassword, newPassword) => {
+    try {
+      const response = await api.patch('/api/auth/password', { currentPassword, newPassword });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to change password' };
+    }
+  },
+  logout: async (refreshToken) => {
+    const response = await api.post('/api/auth/logout', { refreshToken });
+    return response.data;
+  },
+  logoutAll: async () => {
+    const response = await api.post('/api/auth/logout-all');
+    return response.data;
+  },
+  getSessions: async () => {
+    const response = await api.get('/api/auth/sessions');
+    return response.data;
+  },
+  revokeSession: async (sessionId) => {
+    const response = await api.delete(`/api/auth/sessions/${sessionId}`);
+    return response.data;
+  },
+  verifyTwoFactor: async (payload) => {
+    try {
+      const response = await api.post('/api/auth/2fa/verify', payload);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to verify authentication code' };
+    }
+  },
+  getTwoFactorStatus: async () => {
+    const response = await api.get('/api/auth/2fa/status');
+    return response.data;
+  },
+  setupTwoFactor: async () => {
+    const response = await api.post('/api/auth/2fa/setup');
+    return response.data;
+  },
+  enableTwoFactor: async (code) => {
+    try {
+      const response = await api.post('/api/auth/2fa/enable', { code });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to enable two-factor authentication' };
+    }
+  },
+  regenerateRecoveryCodes: async (code) => {
+    try {
+      const response = await api.post('/api/auth/2fa/recovery-codes', { code });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to generate recovery codes' };
+    }
+  },
+  disableTwoFactor: async (password, code) => {
+    try {
+      const response = await api.post('/api/auth/2fa/disable', { password, code });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to disable two-factor authentication' };
+    }
+  },
+  completeGoogleLogin: async (googleToken) => {
+    try {
+      const response = await api.post('/api/auth/google/complete', { googleToken });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Google sign-in failed' };
+    }
+  },
+  googleSignup: async (signupData) => {
+    try {
+      const response = await api.post('/api/auth/google/signup', signupData);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'An error occurred during signup' };
+    }
+  },
+  unlockAccount: async (token) => {
+    try {
+      const response = await api.get(`/api/auth/unlock-account/${token}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to unlock account' };
+    }
+  },
+  resendVerification: async (email) => {
+    try {
+      const response = await api.post('/api/auth/resend-verification', { email });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to resend verification email' };
+    }
+  }
+};
+
+// Admin "view as user" services
+export const impersonationService = {
+  start: async (userId, reason) => {
+    try {
+      const response = await api.post('/api/impersonation', { userId, reason });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Could not view as this user' };
+    }
+  },
+  // Pass the impersonation token when local storage no longer holds it (sign-out)
+  end: async (token) => {
+    const config = token ? { headers: { Authorization: `Bearer ${token}` } } : undefined;
+    const response = await api.post('/api/impersonation/end', {}, config);
+    return response.data;
   }
 };
 
 // User services
 export const userService = {
   getProfile: async () => {
-    const response = await api.get('/user/profile');
+    const response = await api.get('/api/users/profile');
     return response.data;
   },
   updateProfile: async (profileData) => {
-    const response = await api.put('/user/profile', profileData);
+    const response = await api.put('/api/users/profile', profileData);
+    return response.data;
+  },
+  uploadProfilePhoto: async (file) => {
+    const formData = new FormData();
+    formData.append('photo', file);
+    // Replaces the instance's JSON content type; axios adds the multipart boundary
+    const response = await api.put('/api/users/profile/photo', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+    return response.data;
+  },
+  removeProfilePhoto: async () => {
+    const response = await api.delete('/api/users/profile/photo');
     return response.data;
   },
   getFacultyMembers: async () => {
@@ -88,6 +314,61 @@ export const userService = {
   }
 };
 
+// Alumni directory
+export const directoryService = {
+  searchAlumni: async (params) => {
+    const response = await api.get('/api/alumni', { params });
+    return response.data;
+  }
+};
+
+// Own account data and deletion
+export const skillService = {
+  searchSkills: async (search) => {
+    const response = await api.get('/api/skills', { params: { search } });
+    return response.data;
+  },
+  getUsersBySkill: async (skillId, params) => {
+    const response = await api.get(`/api/skills/${skillId}/users`, { params });
+    return response.data;
+  },
+  getEndorsements: async (userId) => {
+    const response = await api.get(`/api/skills/endorsements/${userId}`);
+    return response.data;
+  },
+  endorseSkill: async (userId, skill) => {
+    const response = await api.post(`/api/skills/endorsements/${userId}`, { skill });
+    return response.data;
+  },
+  withdrawEndorsement: async (userId, skill) => {
+    const response = await api.delete(`/api/skills/endorsements/${userId}/${encodeURIComponent(skill)}`);
+    return response.data;
+  }
+};
+
+export const accountService = {
+  exportData: async () => {
+    const response = await api.get('/api/account/export', { responseType: 'blob' });
+    return response.data;
+  },
+  getDeletion: async () => {
+    const response = await api.get('/api/account/deletion');
+    return response.data;
+  },
+  requestDeletion: async (confirmation, password) => {
+    try {
+      const response = await api.post('/api/account/deletion', { confirmation, password });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to request account deletion' };
+    }
+  },
+  cancelDeletion: async () => {
+    const response = await api.delete('/api/account/deletion');
+    return response.data;
+  }
+};
+
 // Session services
 export const sessionService = {
   getAllSessions: async () => {
@@ -106,46 +387,30 @@ export const sessionService = {
     const response = await api.delete(`/api/sessions/${id}`);
     return response.data;
   },
-  updateSessionStatus: async (id, status, reason = '') => {
-    const response = await api.patch(`/api/sessions/${id}/status`, { status, reason });
-    return response.data;
-  },
-  getPendingSessions: async () => {
-    const response = await api.get('/api/sessions/pending');
-    return response.data;
-  },
-  sendSessionStatusEmail: async (sessionId, status, reason = '') => {
-    const response = await api.post(`/api/sessions/${sessionId}/notify`, { status, reason });
+  updateSessionStatus: async (id, status) => {
+    const response = await api.put(`/api/sessions/${id}`, { status });
     return response.data;
   },
   getUserSessions: async (userId) => {
     const response = await api.get(`/api/sessions/user/${userId}`);
     return response.data;
-  }
-};
-
-// Department services
-export const departmentService = {
-  getAllDepartments: async () => {
-    const response = await api.get('/departments');
-    return response.data;
   },
-  getDepartmentMembers: async (departmentId) => {
-    const response = await api.get(`/departments/${departmentId}/members`);
+  searchSessionHeads: async (search) => {
+    const response = await api.get('/api/sessions/heads', { params: { search } });
     return response.data;
-  },
+  }
 };
 
 // Placement services
 export const placementService = {
   getAllPlacements: async () => {
-    const response = await api.get('/placements');
+    const response = await api.get('/api/placements');
     return response.data;
   },
-  getPlacementStats: async () => {
-    const response = await api.get('/placements/stats');
+  reviewPlacement: async (id, status) => {
+    const response = await api.put(`/api/placements/${id}`, { status });
     return response.data;
-  },
+  }
 };
 
 // Notification API calls